@@ -0,0 +1,417 @@
+/**
+ * Interview Analytics
+ *
+ * Counts what happens to each question: the browser reports asks, invalid
+ * answers, repeats, "why" requests, follow-ups, handoffs and how long an
+ * answer took (POST /api/events), and the server adds the LLM calls and
+ * TTS renders it makes. Events are kept as they arrive, one JSON object
+ * per line:
+ *
+ *   { sessionId, type, at, questionnaire: { id, version }, questionId, data }
+ *
+ * and the report is worked out from them on request, per questionnaire
+ * version and question id. Events carry counts, durations and outcomes
+ * only; anything else (a transcript, an answer) is dropped on the way in.
+ *
+ * A session is abandoned at the last question it was asked when it never
+ * completed and nothing has been heard from it for abandonMinutes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Events the browser reports
+const CLIENT_EVENTS = [
+  'interview.started',
+  'question.asked',
+  'question.answered',
+  'answer.invalid',
+  'repeat.requested',
+  'why.requested',
+  'followup.answered',
+  'handoff.requested',
+  'interview.completed',
+];
+
+// Events the server records itself
+const SERVER_EVENTS = ['llm.call', 'tts.render'];
+
+const MAX_DATA_FIELDS = 12;
+const MAX_DATA_STRING_LENGTH = 64;
+
+/**
+ * The data of an event with only numbers, booleans and short strings kept.
+ */
+function cleanData(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return {};
+  const cleaned = {};
+  for (const [key, value] of Object.entries(data).slice(0, MAX_DATA_FIELDS)) {
+    if (typeof value === 'number' && Number.isFinite(value)) cleaned[key] = value;
+    else if (typeof value === 'boolean' || value === null) cleaned[key] = value;
+    else if (typeof value === 'string' && value.length <= MAX_DATA_STRING_LENGTH) cleaned[key] = value;
+  }
+  return cleaned;
+}
+
+function dayOf(at) {
+  return at.slice(0, 10);
+}
+
+function inRange(event, { from, to }) {
+  return (!from || event.at >= from) && (!to || event.at <= to);
+}
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+/**
+ * Keeps events in process memory; they are lost when the server restarts.
+ */
+class MemoryAnalyticsStore {
+  constructor() {
+    this.events = [];
+  }
+
+  async append(events) {
+    this.events.push(...events.map((event) => JSON.parse(JSON.stringify(event))));
+  }
+
+  async read(range = {}) {
+    return this.events.filter((event) => inRange(event, range)).map((event) => JSON.parse(JSON.stringify(event)));
+  }
+}
+
+/**
+ * One JSON Lines file per day (events-<YYYY-MM-DD>.jsonl), only ever
+ * appended to.
+ */
+class FileAnalyticsStore {
+  constructor(directory) {
+    this.directory = directory;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  filePath(day) {
+    return path.join(this.directory, `events-${day}.jsonl`);
+  }
+
+  async append(events) {
+    const byDay = new Map();
+    for (const event of events) {
+      const day = dayOf(event.at);
+      byDay.set(day, (byDay.get(day) || '') + `${JSON.stringify(event)}\n`);
+    }
+    for (const [day, lines] of byDay) {
+      await fs.promises.appendFile(this.filePath(day), lines);
+    }
+  }
+
+  async read(range = {}) {
+    const files = (await fs.promises.readdir(this.directory))
+      .map((file) => /^events-(\d{4}-\d{2}-\d{2})\.jsonl$/.exec(file))
+      .filter((match) => match
+        && (!range.from || match[1] >= dayOf(range.from))
+        && (!range.to || match[1] <= dayOf(range.to)))
+      .map((match) => match[0])
+      .sort();
+    const events = [];
+    for (const file of files) {
+      const raw = await fs.promises.readFile(path.join(this.directory, file), 'utf8');
+      for (const line of raw.split('\n')) {
+        if (!line.trim()) continue;
+        const event = JSON.parse(line);
+        if (inRange(event, range)) events.push(event);
+      }
+    }
+    return events;
+  }
+}
+
+/**
+ * Build the store named by config.analytics.store ("file" or "memory").
+ */
+function createAnalyticsStore(analyticsConfig) {
+  switch (analyticsConfig.store) {
+    case 'memory':
+      return new MemoryAnalyticsStore();
+    case 'file':
+      return new FileAnalyticsStore(analyticsConfig.directory);
+    default:
+      throw new Error(`Unknown analytics store "${analyticsConfig.store}"`);
+  }
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+function ratio(count, total) {
+  return total > 0 ? Math.round((count / total) * 1000) / 1000 : null;
+}
+
+function average(values) {
+  return values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+}
+
+function percentile(values, fraction) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)];
+}
+
+function numbers(events, field) {
+  return events.map((event) => event.data[field]).filter((value) => typeof value === 'number');
+}
+
+function sum(events, field) {
+  return numbers(events, field).reduce((total, value) => total + value, 0);
+}
+
+function summarizeLlm(events) {
+  const latencies = numbers(events, 'latencyMs');
+  return {
+    calls: events.length,
+    failures: events.filter((event) => event.data.ok === false).length,
+    latencyMsAvg: average(latencies),
+    latencyMsP90: percentile(latencies, 0.9),
+    inputTokens: sum(events, 'inputTokens'),
+    outputTokens: sum(events, 'outputTokens'),
+  };
+}
+
+function summarizeTts(events) {
+  const rendered = events.filter((event) => !event.data.cached);
+  const latencies = numbers(rendered, 'latencyMs');
+  return {
+    requests: events.length,
+    cacheHits: events.length - rendered.length,
+    characters: sum(rendered, 'characters'),
+    latencyMsAvg: average(latencies),
+    latencyMsP90: percentile(latencies, 0.9),
+  };
+}
+
+function summarizeQuestion(questionId, events, abandonedSessions) {
+  const ofType = (type) => events.filter((event) => event.type === type);
+  const asked = ofType('question.asked');
+  const answered = ofType('question.answered');
+  const valid = answered.filter((event) => event.data.outcome === 'valid');
+  const sessions = new Set(asked.map((event) => event.sessionId)).size;
+  const invalid = ofType('answer.invalid').length;
+  const repeats = ofType('repeat.requested').length;
+  const whys = ofType('why.requested').length;
+  const handoffs = ofType('handoff.requested').length;
+  const durations = numbers(valid, 'durationMs');
+  return {
+    questionId,
+    sessions,
+    asks: asked.length,
+    answered: answered.length,
+    valid: valid.length,
+    noResponse: answered.filter((event) => event.data.outcome === 'no_response').length,
+    movedOn: answered.filter((event) => event.data.outcome === 'invalid').length,
+    attemptsAvg: answered.length > 0
+      ? Math.round((sum(answered, 'attempts') / answered.length) * 100) / 100
+      : null,
+    invalid,
+    invalidRate: ratio(invalid, asked.length),
+    repeats,
+    repeatRate: ratio(repeats, sessions),
+    whys,
+    whyRate: ratio(whys, sessions),
+    followups: ofType('followup.answered').length,
+    handoffs,
+    handoffRate: ratio(handoffs, sessions),
+    abandoned: abandonedSessions,
+    abandonRate: ratio(abandonedSessions, sessions),
+    timeToAnswerMsMedian: percentile(durations, 0.5),
+    timeToAnswerMsP90: percentile(durations, 0.9),
+    llm: summarizeLlm(ofType('llm.call')),
+  };
+}
+
+/**
+ * Sessions abandoned, by the id of the last question each was asked.
+ */
+function abandonments(events, now, abandonMinutes) {
+  const sessions = new Map();
+  for (const event of events) {
+    const state = sessions.get(event.sessionId) || { lastAt: event.at, lastQuestionId: null, completed: false };
+    if (event.at > state.lastAt) state.lastAt = event.at;
+    if (event.type === 'question.asked' && event.questionId) state.lastQuestionId = event.questionId;
+    if (event.type === 'interview.completed') state.completed = true;
+    sessions.set(event.sessionId, state);
+  }
+  const cutoff = new Date(now.getTime() - abandonMinutes * 60 * 1000).toISOString();
+  const byQuestion = new Map();
+  for (const state of sessions.values()) {
+    if (state.completed || !state.lastQuestionId || state.lastAt > cutoff) continue;
+    byQuestion.set(state.lastQuestionId, (byQuestion.get(state.lastQuestionId) || 0) + 1);
+  }
+  return byQuestion;
+}
+
+function summarizeVersion(questionnaire, events, { now, abandonMinutes, questionOrder }) {
+  const abandoned = abandonments(events, now, abandonMinutes);
+  const byQuestion = new Map();
+  for (const event of events) {
+    if (!event.questionId) continue;
+    if (!byQuestion.has(event.questionId)) byQuestion.set(event.questionId, []);
+    byQuestion.get(event.questionId).push(event);
+  }
+  const order = questionOrder || [];
+  const position = (id) => (order.includes(id) ? order.indexOf(id) : order.length);
+  const questionIds = Array.from(byQuestion.keys())
+    .sort((a, b) => position(a) - position(b));
+
+  const started = new Set(events.filter((event) => event.type === 'interview.started').map((event) => event.sessionId));
+  const completed = new Set(events.filter((event) => event.type === 'interview.completed').map((event) => event.sessionId));
+  const abandonedCount = Array.from(abandoned.values()).reduce((total, count) => total + count, 0);
+  return {
+    id: questionnaire ? questionnaire.id : null,
+    version: questionnaire ? questionnaire.version : null,
+    sessions: started.size,
+    completed: completed.size,
+    abandoned: abandonedCount,
+    completionRate: ratio(completed.size, started.size),
+    llm: summarizeLlm(events.filter((event) => event.type === 'llm.call')),
+    tts: summarizeTts(events.filter((event) => event.type === 'tts.render')),
+    questions: questionIds.map((id) => summarizeQuestion(id, byQuestion.get(id), abandoned.get(id) || 0)),
+  };
+}
+
+class Analytics {
+  constructor(store, { abandonMinutes = 30 } = {}) {
+    this.store = store;
+    this.abandonMinutes = abandonMinutes;
+  }
+
+  /**
+   * Keep events ({ sessionId, type, questionnaire, questionId, data }),
+   * stamped with the time they arrived. Unknown types are skipped; returns
+   * how many were kept.
+   */
+  async record(events) {
+    const at = new Date().toISOString();
+    const kept = events
+      .filter((event) => CLIENT_EVENTS.includes(event.type) || SERVER_EVENTS.includes(event.type))
+      .map((event) => ({
+        sessionId: event.sessionId || null,
+        type: event.type,
+        at,
+        questionnaire: event.questionnaire
+          ? { id: event.questionnaire.id, version: event.questionnaire.version }
+          : null,
+        questionId: typeof event.questionId === 'string' ? event.questionId.slice(0, 128) : null,
+        data: cleanData(event.data),
+      }));
+    if (kept.length > 0) await this.store.append(kept);
+    return kept.length;
+  }
+
+  /**
+   * The report for the events between from and to (ISO timestamps), one
+   * entry per questionnaire version, optionally only questionnaireId (and
+   * version). questionOrder(id, version) may resolve the version's question
+   * ids so questions are listed in script order.
+   */
+  async report({ questionnaireId = null, version = null, from = null, to = null, now = new Date(), questionOrder = null } = {}) {
+    const events = await this.store.read({ from, to });
+    const groups = new Map();
+    for (const event of events) {
+      const questionnaire = event.questionnaire;
+      if (questionnaireId && (!questionnaire || questionnaire.id !== questionnaireId)) continue;
+      if (version !== null && (!questionnaire || questionnaire.version !== version)) continue;
+      const key = questionnaire ? `${questionnaire.id}@${questionnaire.version}` : '';
+      if (!groups.has(key)) groups.set(key, { questionnaire, events: [] });
+      groups.get(key).events.push(event);
+    }
+
+    const questionnaires = [];
+    for (const { questionnaire, events: grouped } of groups.values()) {
+      const order = questionnaire && questionOrder
+        ? await questionOrder(questionnaire.id, questionnaire.version)
+        : null;
+      questionnaires.push(summarizeVersion(questionnaire, grouped, {
+        now,
+        abandonMinutes: this.abandonMinutes,
+        questionOrder: order,
+      }));
+    }
+    questionnaires.sort((a, b) => String(a.id).localeCompare(String(b.id)) || (b.version || 0) - (a.version || 0));
+    return {
+      generatedAt: now.toISOString(),
+      from,
+      to,
+      abandonMinutes: this.abandonMinutes,
+      questionnaires,
+    };
+  }
+}
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+const CSV_COLUMNS = [
+  ['questionnaire', (version) => version.id],
+  ['version', (version) => version.version],
+  ['question_id', (version, question) => question.questionId],
+  ['sessions', (version, question) => question.sessions],
+  ['asks', (version, question) => question.asks],
+  ['answered', (version, question) => question.answered],
+  ['valid', (version, question) => question.valid],
+  ['no_response', (version, question) => question.noResponse],
+  ['moved_on', (version, question) => question.movedOn],
+  ['attempts_avg', (version, question) => question.attemptsAvg],
+  ['invalid', (version, question) => question.invalid],
+  ['invalid_rate', (version, question) => question.invalidRate],
+  ['repeats', (version, question) => question.repeats],
+  ['repeat_rate', (version, question) => question.repeatRate],
+  ['whys', (version, question) => question.whys],
+  ['why_rate', (version, question) => question.whyRate],
+  ['followups', (version, question) => question.followups],
+  ['handoffs', (version, question) => question.handoffs],
+  ['handoff_rate', (version, question) => question.handoffRate],
+  ['abandoned', (version, question) => question.abandoned],
+  ['abandon_rate', (version, question) => question.abandonRate],
+  ['time_to_answer_ms_median', (version, question) => question.timeToAnswerMsMedian],
+  ['time_to_answer_ms_p90', (version, question) => question.timeToAnswerMsP90],
+  ['llm_calls', (version, question) => question.llm.calls],
+  ['llm_failures', (version, question) => question.llm.failures],
+  ['llm_latency_ms_avg', (version, question) => question.llm.latencyMsAvg],
+  ['llm_latency_ms_p90', (version, question) => question.llm.latencyMsP90],
+  ['llm_input_tokens', (version, question) => question.llm.inputTokens],
+  ['llm_output_tokens', (version, question) => question.llm.outputTokens],
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The report's questions as CSV, one row per questionnaire version and
+ * question.
+ */
+function reportToCsv(report) {
+  const rows = [CSV_COLUMNS.map(([name]) => name)];
+  for (const version of report.questionnaires) {
+    for (const question of version.questions) {
+      rows.push(CSV_COLUMNS.map(([, value]) => value(version, question)));
+    }
+  }
+  return `${rows.map((row) => row.map(csvCell).join(',')).join('\n')}\n`;
+}
+
+module.exports = {
+  CLIENT_EVENTS,
+  SERVER_EVENTS,
+  Analytics,
+  MemoryAnalyticsStore,
+  FileAnalyticsStore,
+  createAnalyticsStore,
+  reportToCsv,
+};
@@ -0,0 +1,316 @@
+/**
+ * Audit Log
+ *
+ * Append-only, hash-chained record of an interview: every prompt spoken,
+ * transcript heard, validation (with the LLM prompt, reply, provider, model
+ * and failed attempts), why-request, follow-up, recorded answer and handoff.
+ *
+ * Each entry stores the hash of the one before it, and its own hash covers
+ * its content plus that link, so editing, removing or reordering an entry
+ * breaks the chain. The latest hash is also kept as the log's head, which
+ * catches entries cut off the end. With AUDIT_HMAC_KEY set the hashes are
+ * HMACs, so someone who can write the files cannot rebuild a valid chain
+ * without the key.
+ *
+ * Logs outlive their sessions: deleting or purging a session only appends
+ * a final entry. Starting a log also adds it to the manifest, a chain of
+ * its own, so a log that is deleted whole is still missed.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { isValidSessionId } = require('./session-store');
+
+const GENESIS_HASH = '0'.repeat(64);
+// Log id of the manifest; never a valid session id
+const MANIFEST_ID = 'manifest';
+
+/**
+ * JSON with object keys sorted, so a hash does not depend on key order.
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashEntry(entry, hmacKey = null) {
+  const payload = canonicalJson({
+    seq: entry.seq,
+    sessionId: entry.sessionId,
+    type: entry.type,
+    at: entry.at,
+    data: entry.data,
+    prevHash: entry.prevHash,
+  });
+  const hash = hmacKey ? crypto.createHmac('sha256', hmacKey) : crypto.createHash('sha256');
+  return hash.update(payload).digest('hex');
+}
+
+/**
+ * Check a log's entries against each other and against its head (pass
+ * head: null for a log whose head is missing). Every log starts with an
+ * entry, so an empty one fails. Returns
+ * { ok, count, problems: [{ seq, problem }] }.
+ */
+function verifyChain(entries, { head, hmacKey = null } = {}) {
+  const problems = [];
+  let prevHash = GENESIS_HASH;
+
+  if (entries.length === 0) {
+    problems.push({ seq: null, problem: 'log is missing or empty' });
+  }
+
+  entries.forEach((entry, index) => {
+    if (entry.seq !== index) {
+      problems.push({ seq: entry.seq, problem: `expected entry ${index}; an entry was removed or reordered` });
+    }
+    if (entry.prevHash !== prevHash) {
+      problems.push({ seq: entry.seq, problem: 'does not link to the previous entry' });
+    }
+    if (hashEntry(entry, hmacKey) !== entry.hash) {
+      problems.push({ seq: entry.seq, problem: 'content does not match its hash; the entry was edited' });
+    }
+    prevHash = entry.hash;
+  });
+
+  if (head === null && entries.length > 0) {
+    problems.push({ seq: null, problem: 'log has no head; it cannot be checked for entries removed from the end' });
+  } else if (head) {
+    const last = entries[entries.length - 1];
+    if (!last || last.seq !== head.seq || last.hash !== head.hash) {
+      problems.push({
+        seq: head.seq,
+        problem: `log ends at entry ${last ? last.seq : 'none'} but its head is entry ${head.seq}; entries were removed from the end`,
+      });
+    }
+  }
+
+  return { ok: problems.length === 0, count: entries.length, problems };
+}
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+/**
+ * Keeps logs in process memory; they are lost when the server restarts.
+ */
+class MemoryAuditStore {
+  constructor() {
+    this.logs = new Map();
+    this.heads = new Map();
+  }
+
+  async append(sessionId, entry) {
+    if (!this.logs.has(sessionId)) this.logs.set(sessionId, []);
+    this.logs.get(sessionId).push(JSON.parse(JSON.stringify(entry)));
+    this.heads.set(sessionId, { seq: entry.seq, hash: entry.hash });
+  }
+
+  async read(sessionId) {
+    return (this.logs.get(sessionId) || []).map((entry) => JSON.parse(JSON.stringify(entry)));
+  }
+
+  async head(sessionId) {
+    return this.heads.get(sessionId) || null;
+  }
+
+  async list() {
+    return Array.from(this.logs.keys()).filter(isValidSessionId);
+  }
+}
+
+/**
+ * One JSON Lines file per session (<id>.jsonl) that is only ever appended
+ * to, plus <id>.head.json with the latest entry's seq and hash.
+ */
+class FileAuditStore {
+  constructor(directory) {
+    this.directory = directory;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  logPath(sessionId) {
+    return path.join(this.directory, `${sessionId}.jsonl`);
+  }
+
+  headPath(sessionId) {
+    return path.join(this.directory, `${sessionId}.head.json`);
+  }
+
+  async append(sessionId, entry) {
+    await fs.promises.appendFile(this.logPath(sessionId), `${JSON.stringify(entry)}\n`);
+    const temp = `${this.headPath(sessionId)}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify({ seq: entry.seq, hash: entry.hash }));
+    await fs.promises.rename(temp, this.headPath(sessionId));
+  }
+
+  async read(sessionId) {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(this.logPath(sessionId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return raw.split('\n').filter((line) => line.trim()).map((line) => JSON.parse(line));
+  }
+
+  async head(sessionId) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.headPath(sessionId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async list() {
+    const files = await fs.promises.readdir(this.directory);
+    const ids = new Set();
+    for (const file of files) {
+      const match = /^(.+?)\.(jsonl|head\.json)$/.exec(file);
+      if (match && isValidSessionId(match[1])) ids.add(match[1]);
+    }
+    return Array.from(ids);
+  }
+}
+
+/**
+ * Build the store named by config.audit.store ("file" or "memory").
+ */
+function createAuditStore(auditConfig) {
+  switch (auditConfig.store) {
+    case 'memory':
+      return new MemoryAuditStore();
+    case 'file':
+      return new FileAuditStore(auditConfig.directory);
+    default:
+      throw new Error(`Unknown audit store "${auditConfig.store}"`);
+  }
+}
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+class AuditLog {
+  constructor(store, { hmacKey = null } = {}) {
+    this.store = store;
+    this.hmacKey = hmacKey || null;
+    this.heads = new Map();
+    this.locks = new Map();
+  }
+
+  get algorithm() {
+    return this.hmacKey ? 'hmac-sha256' : 'sha256';
+  }
+
+  /**
+   * Serialize appends per session so every entry links to the one before.
+   */
+  withLock(sessionId, fn) {
+    const previous = this.locks.get(sessionId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(fn);
+    this.locks.set(sessionId, next);
+    return next.finally(() => {
+      if (this.locks.get(sessionId) === next) this.locks.delete(sessionId);
+    });
+  }
+
+  async currentHead(sessionId) {
+    if (this.heads.has(sessionId)) return this.heads.get(sessionId);
+    const head = await this.store.head(sessionId);
+    if (head) this.heads.set(sessionId, head);
+    return head;
+  }
+
+  /**
+   * Start a session's log. Only sessions with a log get entries appended,
+   * so a made-up session id cannot create one.
+   */
+  create(sessionId, data = {}) {
+    return this.append(sessionId, 'session.created', data, { create: true });
+  }
+
+  /**
+   * Append an entry; resolves with it, or with null when the session has
+   * no log.
+   */
+  append(sessionId, type, data = {}, { create = false } = {}) {
+    if (!isValidSessionId(sessionId)) return Promise.resolve(null);
+
+    return this.withLock(sessionId, async () => {
+      const head = await this.currentHead(sessionId);
+      if (!head && !create) return null;
+
+      const entry = await this.chain(sessionId, head, { sessionId, type, data });
+      if (!head) {
+        await this.withLock(MANIFEST_ID, async () => this.chain(
+          MANIFEST_ID,
+          await this.currentHead(MANIFEST_ID),
+          { sessionId, type: 'log.started', data: {} }
+        ));
+      }
+      return entry;
+    });
+  }
+
+  /**
+   * Write the entry that follows head in a log.
+   */
+  async chain(logId, head, { sessionId, type, data }) {
+    const entry = {
+      seq: head ? head.seq + 1 : 0,
+      sessionId,
+      type,
+      at: new Date().toISOString(),
+      data,
+      prevHash: head ? head.hash : GENESIS_HASH,
+    };
+    entry.hash = hashEntry(entry, this.hmacKey);
+
+    await this.store.append(logId, entry);
+    this.heads.set(logId, { seq: entry.seq, hash: entry.hash });
+    return entry;
+  }
+
+  /**
+   * Everything needed to verify the log elsewhere.
+   */
+  async export(sessionId) {
+    if (!isValidSessionId(sessionId)) return null;
+    const entries = await this.store.read(sessionId);
+    if (entries.length === 0) return null;
+    return {
+      sessionId,
+      algorithm: this.algorithm,
+      head: await this.store.head(sessionId),
+      exportedAt: new Date().toISOString(),
+      entries,
+    };
+  }
+
+  async verify(sessionId) {
+    const entries = await this.store.read(sessionId);
+    const head = await this.store.head(sessionId);
+    return verifyChain(entries, { head, hmacKey: this.hmacKey });
+  }
+}
+
+module.exports = {
+  GENESIS_HASH,
+  MANIFEST_ID,
+  AuditLog,
+  MemoryAuditStore,
+  FileAuditStore,
+  createAuditStore,
+  canonicalJson,
+  hashEntry,
+  verifyChain,
+};
@@ -0,0 +1,169 @@
+/**
+ * Authentication
+ *
+ * Who may call the endpoints that spend provider budget (/api/tts,
+ * /api/stt, /api/validate, /api/why, /api/followup, /api/followup-check):
+ *
+ * - an applicant's browser or phone call, with the session token issued
+ *   with its session (Authorization: Bearer <token>). A token is the
+ *   session id, its tenant and an expiry, signed with AUTH_SECRET.
+ * - a tenant's own server, with one of the tenant's API keys (X-API-Key).
+ *
+ * Tenants are listed in tenants.json; only the SHA-256 of each key is kept
+ * there (npm run tenant:key adds one). Sessions started without a key
+ * belong to the public tenant.
+ */
+
+const crypto = require('crypto');
+const { watchedJson } = require('./voices');
+
+const PUBLIC_TENANT = 'public';
+const TOKEN_VERSION = 'v1';
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// ============================================================================
+// SESSION TOKENS
+// ============================================================================
+
+function sign(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * A token for one session: v1.<payload>.<signature>, where the payload is
+ * base64url JSON { sid, tenant, exp } (exp in epoch seconds).
+ */
+function issueSessionToken(secret, { sessionId, tenant = PUBLIC_TENANT, ttlMs, now = Date.now() }) {
+  const payload = Buffer.from(JSON.stringify({
+    sid: sessionId,
+    tenant,
+    exp: Math.floor((now + ttlMs) / 1000),
+  })).toString('base64url');
+  return `${TOKEN_VERSION}.${payload}.${sign(secret, `${TOKEN_VERSION}.${payload}`)}`;
+}
+
+/**
+ * { sessionId, tenant, expiresAt } for a token signed with secret, or
+ * throws an AuthError for one that is malformed, forged or expired.
+ */
+function verifySessionToken(secret, token, now = Date.now()) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3 || parts[0] !== TOKEN_VERSION) {
+    throw new AuthError('Malformed session token');
+  }
+  const expected = Buffer.from(sign(secret, `${parts[0]}.${parts[1]}`));
+  const actual = Buffer.from(parts[2]);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new AuthError('Invalid session token');
+  }
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthError('Malformed session token');
+  }
+  if (!claims || typeof claims.sid !== 'string' || typeof claims.exp !== 'number') {
+    throw new AuthError('Malformed session token');
+  }
+  if (claims.exp * 1000 <= now) {
+    throw new AuthError('Session token has expired');
+  }
+  return {
+    sessionId: claims.sid,
+    tenant: typeof claims.tenant === 'string' ? claims.tenant : PUBLIC_TENANT,
+    expiresAt: new Date(claims.exp * 1000).toISOString(),
+  };
+}
+
+/**
+ * The token from an Authorization: Bearer header, or null.
+ */
+function bearerToken(header) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+  return match ? match[1] : null;
+}
+
+// ============================================================================
+// TENANT API KEYS
+// ============================================================================
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * A new key for a tenant; only its hash is stored, so it is shown once.
+ */
+function generateApiKey() {
+  return `vq_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * tenants.json, re-read when it changes:
+ *
+ *   { "tenants": { "<id>": { "name": "...", "keys": [{ "id", "hash",
+ *     "createdAt", "revokedAt" }], "limits": { "session": {...},
+ *     "tenant": {...} } } } }
+ *
+ * limits override the RATE_LIMIT_* defaults for the tenant's sessions and
+ * for the tenant as a whole. A missing file means there are no tenant
+ * keys, only the public tenant.
+ */
+class TenantDirectory {
+  constructor(tenantsPath) {
+    this.tenantsPath = tenantsPath;
+    this.readTenants = watchedJson(tenantsPath);
+  }
+
+  tenants() {
+    const document = this.readTenants();
+    return (document && document.tenants) || {};
+  }
+
+  get(tenantId) {
+    const tenant = this.tenants()[tenantId];
+    return tenant ? { id: tenantId, ...tenant } : null;
+  }
+
+  /**
+   * The tenant an API key belongs to, or null for an unknown or revoked key.
+   */
+  findByKey(key) {
+    if (typeof key !== 'string' || !key) return null;
+    const hash = Buffer.from(hashApiKey(key));
+    for (const [tenantId, tenant] of Object.entries(this.tenants())) {
+      const match = (tenant.keys || []).find((entry) => !entry.revokedAt
+        && typeof entry.hash === 'string'
+        && entry.hash.length === hash.length
+        && crypto.timingSafeEqual(Buffer.from(entry.hash), hash));
+      if (match) return { id: tenantId, ...tenant, keyId: match.id || null };
+    }
+    return null;
+  }
+
+  /**
+   * The tenant's limit overrides ({ session, tenant }), empty when none.
+   */
+  limitsFor(tenantId) {
+    const tenant = this.tenants()[tenantId];
+    return (tenant && tenant.limits) || {};
+  }
+}
+
+module.exports = {
+  PUBLIC_TENANT,
+  AuthError,
+  issueSessionToken,
+  verifySessionToken,
+  bearerToken,
+  hashApiKey,
+  generateApiKey,
+  TenantDirectory,
+};
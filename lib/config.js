@@ -0,0 +1,229 @@
+/**
+ * Server Configuration
+ *
+ * Read once from the environment (and .env) so the server and the
+ * command-line scripts share the same settings.
+ */
+
+require('dotenv').config();
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// A rate limit from the environment; 0 turns the limit off
+function limitFromEnv(name, fallback) {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : Number(value);
+}
+
+// Express's "trust proxy": a hop count, or addresses/subnets to trust
+function trustProxyFromEnv(value) {
+  if (!value) return false;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value === 'true' ? true : value;
+}
+
+const config = {
+  port: process.env.PORT || 3000,
+  elevenlabs: {
+    apiKey: process.env.ELEVENLABS_API_KEY,
+    voiceId: process.env.ELEVENLABS_VOICE_ID || 'EXAVITQu4vr4xnSDxMaL',
+    modelId: 'eleven_turbo_v2_5',
+    baseUrl: (process.env.ELEVENLABS_BASE_URL || 'https://api.elevenlabs.io').replace(/\/+$/, ''),
+    voiceSettings: {
+      stability: process.env.ELEVENLABS_STABILITY !== undefined ? Number(process.env.ELEVENLABS_STABILITY) : 0.5,
+      similarityBoost: process.env.ELEVENLABS_SIMILARITY_BOOST !== undefined
+        ? Number(process.env.ELEVENLABS_SIMILARITY_BOOST)
+        : 0.75,
+    },
+  },
+  ttsCache: {
+    // scripted (the interview's fixed prompts), all, or off
+    mode: process.env.TTS_CACHE || 'scripted',
+    directory: process.env.TTS_CACHE_DIR || path.join(ROOT_DIR, 'data', 'tts-cache'),
+  },
+  anthropic: {
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    model: process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514',
+    baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+  },
+  openai: {
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  },
+  local: {
+    apiKey: process.env.LOCAL_LLM_API_KEY,
+    model: process.env.LOCAL_LLM_MODEL,
+    baseUrl: process.env.LOCAL_LLM_BASE_URL,
+  },
+  validationProvider: process.env.VALIDATION_PROVIDER || 'anthropic',
+  llm: {
+    providers: parseList(process.env.LLM_PROVIDERS),
+    timeoutMs: Number(process.env.LLM_TIMEOUT_MS) || 8000,
+    maxRetries: process.env.LLM_MAX_RETRIES !== undefined ? Number(process.env.LLM_MAX_RETRIES) : 2,
+    retryBaseDelayMs: Number(process.env.LLM_RETRY_BASE_DELAY_MS) || 250,
+  },
+  stt: {
+    // Tried in order; unconfigured ones are skipped. Audio cannot be
+    // redacted, so it stays on this machine unless STT_PROVIDERS names a
+    // hosted provider and that provider has its own STT_* key.
+    providers: parseList(process.env.STT_PROVIDERS || 'whisper-cpp'),
+    timeoutMs: Number(process.env.STT_TIMEOUT_MS) || 20000,
+    maxAudioBytes: (Number(process.env.STT_MAX_AUDIO_MB) || 10) * 1024 * 1024,
+    whisperCpp: {
+      binary: process.env.WHISPER_CPP_BINARY,
+      model: process.env.WHISPER_CPP_MODEL,
+      ffmpeg: process.env.FFMPEG_PATH || 'ffmpeg',
+      threads: Number(process.env.WHISPER_CPP_THREADS) || 4,
+    },
+    openai: {
+      apiKey: process.env.STT_OPENAI_API_KEY,
+      model: process.env.STT_OPENAI_MODEL || 'whisper-1',
+      baseUrl: process.env.STT_OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    },
+  },
+  decisionTreePath: process.env.DECISION_TREE_PATH
+    || path.join(ROOT_DIR, 'protective_underwriting_decision_tree (1).json'),
+  underwritingRulesPath: process.env.UNDERWRITING_RULES_PATH
+    || path.join(ROOT_DIR, 'underwriting_rules.json'),
+  voiceProfilesPath: process.env.VOICE_PROFILES_PATH
+    || path.join(ROOT_DIR, 'voice_profiles.json'),
+  pronunciationLexiconPath: process.env.PRONUNCIATION_LEXICON_PATH
+    || path.join(ROOT_DIR, 'pronunciation_lexicon.json'),
+  // Guards agent-only endpoints; without it they are closed, unless
+  // INTERNAL_ACCESS=local opens them to requests from this machine
+  // (development only, and never behind a proxy).
+  internalApiKey: process.env.INTERNAL_API_KEY,
+  internalLocalAccess: process.env.INTERNAL_ACCESS === 'local',
+  auth: {
+    // The provider endpoints need a session token or a tenant API key
+    // unless AUTH=off
+    enabled: process.env.AUTH !== 'off',
+    // Signs session tokens; without it tokens only last as long as the process
+    secret: process.env.AUTH_SECRET,
+    tokenTtlHours: Number(process.env.AUTH_TOKEN_TTL_HOURS) || 12,
+    tenantsPath: process.env.TENANTS_PATH || path.join(ROOT_DIR, 'tenants.json'),
+  },
+  // Origins that may call the API from a browser (* for any); none when unset
+  corsOrigins: parseList(process.env.CORS_ORIGINS),
+  // Set behind a load balancer so client addresses come from X-Forwarded-For
+  trustProxy: trustProxyFromEnv(process.env.TRUST_PROXY),
+  rateLimits: {
+    session: {
+      requestsPerMinute: limitFromEnv('RATE_LIMIT_SESSION_REQUESTS_PER_MINUTE', 120),
+      ttsCharactersPerDay: limitFromEnv('RATE_LIMIT_SESSION_TTS_CHARACTERS_PER_DAY', 30000),
+      llmTokensPerDay: limitFromEnv('RATE_LIMIT_SESSION_LLM_TOKENS_PER_DAY', 150000),
+    },
+    // Per tenant; every session started without an API key shares the
+    // public tenant's limits
+    tenant: {
+      requestsPerMinute: limitFromEnv('RATE_LIMIT_TENANT_REQUESTS_PER_MINUTE', 1200),
+      ttsCharactersPerDay: limitFromEnv('RATE_LIMIT_TENANT_TTS_CHARACTERS_PER_DAY', 2000000),
+      llmTokensPerDay: limitFromEnv('RATE_LIMIT_TENANT_LLM_TOKENS_PER_DAY', 10000000),
+    },
+    sessionsPerHourPerAddress: limitFromEnv('RATE_LIMIT_SESSIONS_PER_HOUR_PER_ADDRESS', 30),
+  },
+  fhir: {
+    // Canonical URL prefix for the exported Questionnaire and its extensions
+    canonicalBase: (process.env.FHIR_CANONICAL_BASE || 'http://example.org/voice-questionnaire').replace(/\/+$/, ''),
+    questionnaireId: process.env.FHIR_QUESTIONNAIRE_ID || 'underwriting-interview',
+  },
+  questionnaires: {
+    store: process.env.QUESTIONNAIRE_STORE || process.env.SESSION_STORE || 'file',
+    directory: process.env.QUESTIONNAIRE_DIR || path.join(ROOT_DIR, 'data', 'questionnaires'),
+    // The script new sessions are interviewed with
+    defaultId: process.env.QUESTIONNAIRE_ID || 'underwriting',
+  },
+  sessions: {
+    store: process.env.SESSION_STORE || 'file',
+    directory: process.env.SESSION_DIR || path.join(ROOT_DIR, 'data', 'sessions'),
+    ttlHours: Number(process.env.SESSION_TTL_HOURS) || 72,
+    purgeIntervalMinutes: Number(process.env.SESSION_PURGE_INTERVAL_MINUTES) || 60,
+  },
+  fixtures: {
+    // live, record (save provider calls) or replay (serve them offline)
+    mode: process.env.PROVIDER_MODE || 'live',
+    directory: process.env.PROVIDER_FIXTURES_DIR || path.join(ROOT_DIR, 'fixtures'),
+  },
+  redaction: {
+    // Redact applicant details from every LLM prompt unless REDACTION=off
+    enabled: process.env.REDACTION !== 'off',
+    categories: parseList(process.env.REDACTION_CATEGORIES),
+    // questionId:category pairs whose whole answer is identifying
+    fields: process.env.REDACTION_FIELDS
+      || 'cust_id_first_name:name,cust_id_last_name:name,*provider_name:provider',
+    providerNames: parseList(process.env.REDACTION_PROVIDER_NAMES),
+  },
+  telephony: {
+    // Verifies X-Twilio-Signature on the voice webhooks when set
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    // The URL Twilio calls (e.g. https://intake.example.com); signatures are
+    // computed over it, so set it when behind a proxy
+    publicUrl: (process.env.TELEPHONY_PUBLIC_URL || '').replace(/\/+$/, ''),
+    transferNumber: process.env.TELEPHONY_TRANSFER_NUMBER,
+    // say (Twilio's voices) or elevenlabs (<Play> of /api/tts audio)
+    voice: process.env.TELEPHONY_VOICE || 'say',
+    sayVoice: process.env.TELEPHONY_SAY_VOICE,
+    gatherTimeoutSeconds: Number(process.env.TELEPHONY_GATHER_TIMEOUT_SECONDS) || 5,
+    idleMinutes: Number(process.env.TELEPHONY_IDLE_MINUTES) || 30,
+  },
+  conversation: {
+    // Text conversations (POST /api/conversation/turn) not heard from for
+    // this long leave memory; their next turn resumes them from the session
+    idleMinutes: Number(process.env.CONVERSATION_IDLE_MINUTES) || 30,
+    // The longest message one turn accepts
+    maxTextLength: Number(process.env.CONVERSATION_MAX_TEXT_LENGTH) || 1000,
+  },
+  audit: {
+    store: process.env.AUDIT_STORE || process.env.SESSION_STORE || 'file',
+    directory: process.env.AUDIT_DIR || path.join(ROOT_DIR, 'data', 'audit'),
+    hmacKey: process.env.AUDIT_HMAC_KEY,
+  },
+  analytics: {
+    store: process.env.ANALYTICS_STORE || process.env.SESSION_STORE || 'file',
+    directory: process.env.ANALYTICS_DIR || path.join(ROOT_DIR, 'data', 'analytics'),
+    // A session not heard from for this long, and never completed, counts
+    // as abandoned at the last question it was asked
+    abandonMinutes: Number(process.env.ANALYTICS_ABANDON_MINUTES) || 30,
+  },
+  webhooks: {
+    // Endpoints sent every event in events, signed with secret; nothing is
+    // sent without both
+    urls: parseList(process.env.WEBHOOK_URLS),
+    secret: process.env.WEBHOOK_SECRET,
+    events: parseList(process.env.WEBHOOK_EVENTS || 'session.completed,session.handoff,session.abandoned'),
+    store: process.env.WEBHOOK_STORE || process.env.SESSION_STORE || 'file',
+    directory: process.env.WEBHOOK_DIR || path.join(ROOT_DIR, 'data', 'webhooks'),
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 10,
+    retryBaseSeconds: Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30,
+    retryMaxSeconds: Number(process.env.WEBHOOK_RETRY_MAX_SECONDS) || 6 * 60 * 60,
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    retentionDays: Number(process.env.WEBHOOK_RETENTION_DAYS) || 7,
+    // An unfinished session not heard from for this long is abandoned;
+    // defaults to ANALYTICS_ABANDON_MINUTES
+    abandonMinutes: Number(process.env.WEBHOOK_ABANDON_MINUTES) || null,
+  },
+};
+
+if (!config.webhooks.abandonMinutes) {
+  config.webhooks.abandonMinutes = config.analytics.abandonMinutes;
+}
+
+// Without LLM_PROVIDERS, VALIDATION_PROVIDER goes first and the remaining
+// providers are the failover. Set LLM_PROVIDERS=local to never call a
+// hosted model.
+if (config.llm.providers.length === 0) {
+  const known = ['anthropic', 'openai', 'local'];
+  const primary = known.includes(config.validationProvider) ? config.validationProvider : 'anthropic';
+  config.llm.providers = [primary, ...known.filter((name) => name !== primary)];
+}
+
+module.exports = config;
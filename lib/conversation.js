@@ -0,0 +1,237 @@
+/**
+ * Text Conversations
+ *
+ * Runs the interview as a typed chat for POST /api/conversation/turn, so
+ * partners can put it in their own chat widgets or SMS bots: each turn is
+ * what the applicant wrote, answered with what the interviewer says next.
+ * Like a phone call (lib/telephony.js), every conversation is a
+ * FlowController, so repeat and why requests, agent requests, retries,
+ * follow-ups and conflicts behave as on the web; what the controller
+ * speaks is collected as messages and listening ends the turn.
+ *
+ * The session id is all a client keeps. Conversations are held in memory
+ * by session id; one that is not (a restart, another server process, or
+ * idle for too long) is picked up from the stored session at the question
+ * that is due.
+ */
+
+const {
+  FlowController,
+  SessionService,
+  getStrings,
+  normalizeLanguage,
+} = require('../public/lib/conversation-flow');
+
+// ============================================================================
+// SESSIONS
+// ============================================================================
+
+/**
+ * Creates the conversation's server session in-process instead of over
+ * HTTP, and remembers nothing between conversations. Phone calls use it
+ * too.
+ */
+class InProcessSessionService extends SessionService {
+  constructor({ baseUrl, createSession }) {
+    super({ baseUrl });
+    this.createSession = createSession;
+  }
+
+  async create(language) {
+    try {
+      return await this.createSession(language);
+    } catch (error) {
+      console.error('Session create error:', error);
+      return null;
+    }
+  }
+}
+
+// ============================================================================
+// CONVERSATIONS
+// ============================================================================
+
+/**
+ * One typed conversation. start(language), resume(session) and hear(text)
+ * each resolve with the next turn: { status: 'awaiting_input' | 'complete'
+ * | 'handoff' | 'error', messages: [{ role: 'assistant', text }], language,
+ * question }, where messages is what the controller said since the last
+ * turn and question ({ id, type, choices }) the one it waits on.
+ */
+class ChatConversation {
+  constructor({ sessionId = null, questions, baseUrl, createSession = null }) {
+    this.sessionId = sessionId;
+    this.messages = [];
+    this.turn = null;
+    this.resolveTurn = null;
+    this.pendingListen = null;
+    this.outcome = null;
+    this.startedAt = new Date().toISOString();
+    this.lastActivity = Date.now();
+
+    const tts = {
+      speak: async (text) => {
+        this.messages.push({ role: 'assistant', text });
+      },
+      stop() {},
+      setLanguage() {},
+    };
+    const asr = {
+      listen: () => new Promise((resolve) => {
+        this.pendingListen = resolve;
+        this.endTurn('awaiting_input');
+      }),
+      stop: () => {
+        const listen = this.pendingListen;
+        this.pendingListen = null;
+        if (listen) listen('');
+      },
+      setLanguage() {},
+    };
+
+    this.controller = new FlowController({
+      tts,
+      asr,
+      questions,
+      baseUrl,
+      sessions: new InProcessSessionService({
+        baseUrl,
+        createSession: async (language) => {
+          const session = await createSession(language);
+          this.sessionId = session ? session.id : null;
+          return session;
+        },
+      }),
+    });
+    this.controller.onStateChange = (state) => {
+      if (state.status === 'complete') this.finish('complete');
+      else if (state.status === 'handoff') this.finish('handoff');
+      else if (state.status === 'idle' && state.error) this.finish('error');
+    };
+  }
+
+  get language() {
+    return this.controller.state.language;
+  }
+
+  expectTurn() {
+    this.lastActivity = Date.now();
+    this.turn = new Promise((resolve) => {
+      this.resolveTurn = resolve;
+    });
+    return this.turn;
+  }
+
+  endTurn(status) {
+    if (!this.resolveTurn) return;
+    const resolve = this.resolveTurn;
+    this.resolveTurn = null;
+    const messages = this.messages;
+    this.messages = [];
+    const question = status === 'awaiting_input'
+      ? this.controller.questions[this.controller.state.currentQuestionIndex]
+      : null;
+    resolve({
+      status,
+      messages,
+      language: this.language,
+      question: question ? { id: question.id, type: question.type, choices: question.choices || null } : null,
+    });
+  }
+
+  /**
+   * The conversation is over for now. Without a handoff channel nobody can
+   * reach the applicant here, so a handoff says an agent will get in touch.
+   */
+  finish(outcome) {
+    if (this.outcome) return;
+    this.outcome = outcome;
+    const strings = getStrings(this.language);
+    if (outcome === 'handoff') this.messages.push({ role: 'assistant', text: strings.chatHandoff });
+    if (outcome === 'error') this.messages.push({ role: 'assistant', text: strings.flowError });
+    this.endTurn(outcome);
+  }
+
+  run(task) {
+    const turn = this.expectTurn();
+    task().catch((error) => {
+      console.error('Conversation error:', error);
+      this.finish('error');
+    });
+    return turn;
+  }
+
+  /**
+   * A new interview: creates the session and asks the first question.
+   */
+  start(language) {
+    this.controller.setLanguage(normalizeLanguage(language));
+    return this.run(() => this.controller.start());
+  }
+
+  /**
+   * Pick up a stored session (with its accessToken) at the question due.
+   */
+  resume(session) {
+    return this.run(() => this.controller.resume(session));
+  }
+
+  /**
+   * Pass what the applicant wrote to the waiting controller. Null while the
+   * previous turn is still being worked on.
+   */
+  hear(text) {
+    if (!this.pendingListen) return null;
+    const listen = this.pendingListen;
+    this.pendingListen = null;
+    const turn = this.expectTurn();
+    listen(typeof text === 'string' ? text.trim() : '');
+    return turn;
+  }
+
+  stop() {
+    if (!this.outcome) this.outcome = 'stopped';
+    this.controller.stop();
+  }
+}
+
+/**
+ * The conversations in memory, by session id. Those idle for longer than
+ * idleMs are stopped and dropped by purgeIdle(); their next turn resumes
+ * them.
+ */
+class ConversationRegistry {
+  constructor({ idleMs }) {
+    this.idleMs = idleMs;
+    this.conversations = new Map();
+  }
+
+  get(sessionId) {
+    return this.conversations.get(sessionId) || null;
+  }
+
+  add(conversation) {
+    this.conversations.set(conversation.sessionId, conversation);
+    return conversation;
+  }
+
+  end(sessionId) {
+    const conversation = this.conversations.get(sessionId);
+    if (!conversation) return null;
+    this.conversations.delete(sessionId);
+    conversation.stop();
+    return conversation;
+  }
+
+  purgeIdle(now = Date.now()) {
+    const idle = [...this.conversations.values()].filter((conversation) => now - conversation.lastActivity > this.idleMs);
+    idle.forEach((conversation) => this.end(conversation.sessionId));
+    return idle;
+  }
+}
+
+module.exports = {
+  InProcessSessionService,
+  ChatConversation,
+  ConversationRegistry,
+};
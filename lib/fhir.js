@@ -0,0 +1,666 @@
+/**
+ * FHIR R4 Mapping
+ *
+ * - questionnaireToFhir: question script -> Questionnaire. Sections become
+ *   groups, requires / trigger -> enableWhen, choices -> answerOption,
+ *   translations -> the translation extension on item text.
+ * - sessionToQuestionnaireResponse: session -> QuestionnaireResponse with
+ *   typed answers and follow-ups nested under the answer they belong to.
+ * - questionnaireFromFhir: Questionnaire -> question script, so questions
+ *   can be authored in standard FHIR tooling.
+ *
+ * Script features FHIR has no element for (trigger expressions that are not
+ * a plain AND / OR of comparisons, CONTAINS requirements, onNo, follow-up
+ * settings, constraints, announcements) travel in extensions under the
+ * canonical base, so an exported Questionnaire imports back to the same
+ * script. Each function returns { resource | script, warnings } and lists
+ * what other FHIR tools will not understand.
+ */
+
+const config = require('./config');
+const { parseTrigger } = require('../public/lib/decision-tree');
+const QuestionTranslations = require('../public/lib/question-translations');
+
+const HL7_EXTENSIONS = {
+  minValue: 'http://hl7.org/fhir/StructureDefinition/minValue',
+  maxValue: 'http://hl7.org/fhir/StructureDefinition/maxValue',
+  maxOccurs: 'http://hl7.org/fhir/StructureDefinition/questionnaire-maxOccurs',
+  unit: 'http://hl7.org/fhir/StructureDefinition/questionnaire-unit',
+  translation: 'http://hl7.org/fhir/StructureDefinition/translation',
+};
+
+const ITEM_TYPES = {
+  yes_no: 'boolean',
+  choice: 'choice',
+  date: 'date',
+  open: 'text',
+};
+
+const SCRIPT_TYPES = {
+  boolean: { type: 'yes_no' },
+  choice: { type: 'choice' },
+  'open-choice': { type: 'choice' },
+  integer: { type: 'number', numberFormat: 'integer' },
+  decimal: { type: 'number', numberFormat: 'decimal' },
+  date: { type: 'date' },
+  dateTime: { type: 'date' },
+  string: { type: 'open' },
+  text: { type: 'open' },
+};
+
+const ENABLE_WHEN_OPERATORS = {
+  '==': '=',
+  '!=': '!=',
+  '<': '<',
+  '<=': '<=',
+  '>': '>',
+  '>=': '>=',
+};
+
+const FLIPPED_OPERATORS = { '<': '>', '<=': '>=', '>': '<', '>=': '<=' };
+
+const ISO_DATE_PATTERN = /^\d{4}(?:-\d{2}(?:-\d{2})?)?$/;
+const FOLLOWUP_SUFFIX = '.followup';
+
+function extensionUrl(base, name) {
+  return `${base}/StructureDefinition/questionnaire-${name}`;
+}
+
+function findExtension(element, url) {
+  return (element && element.extension || []).find((extension) => extension.url === url) || null;
+}
+
+function extensionValue(extension) {
+  if (!extension) return undefined;
+  const key = Object.keys(extension).find((name) => name.startsWith('value'));
+  return key ? extension[key] : undefined;
+}
+
+function itemType(question) {
+  if (question.type === 'number') return question.numberFormat === 'integer' ? 'integer' : 'decimal';
+  return ITEM_TYPES[question.type] || 'text';
+}
+
+function slugify(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// ============================================================================
+// EXPORT: QUESTIONNAIRE
+// ============================================================================
+
+function translationExtensions(texts) {
+  return Object.entries(texts).map(([lang, content]) => ({
+    url: HL7_EXTENSIONS.translation,
+    extension: [
+      { url: 'lang', valueCode: lang },
+      { url: 'content', valueString: content },
+    ],
+  }));
+}
+
+function questionTranslations(question) {
+  const texts = {};
+  for (const lang of QuestionTranslations.availableLanguages(question)) {
+    const text = QuestionTranslations.translateQuestion(question, lang);
+    if (text !== question.question) texts[lang] = text;
+  }
+  return texts;
+}
+
+function sectionTranslations(question) {
+  const texts = {};
+  for (const lang of QuestionTranslations.availableLanguages(question)) {
+    const text = QuestionTranslations.translateSection(question.section, lang, question);
+    if (text !== question.section) texts[lang] = text;
+  }
+  return texts;
+}
+
+/**
+ * enableWhen answer[x] for a literal compared against a question.
+ */
+function enableWhenAnswer(target, value) {
+  if (typeof value === 'boolean') return { answerBoolean: value };
+  if (typeof value === 'number') {
+    return target && target.numberFormat === 'integer' && Number.isInteger(value)
+      ? { answerInteger: value }
+      : { answerDecimal: value };
+  }
+  if (target && target.type === 'yes_no' && /^(yes|no)$/i.test(value)) {
+    return { answerBoolean: value.toUpperCase() === 'YES' };
+  }
+  if (target && target.type === 'date' && ISO_DATE_PATTERN.test(value)) return { answerDate: value };
+  return { answerString: value };
+}
+
+/**
+ * A single comparison of an answer id with a literal, as an enableWhen
+ * entry, or null when FHIR cannot express it.
+ */
+function comparisonToEnableWhen(node, byId) {
+  if (node.type !== 'compare' || !ENABLE_WHEN_OPERATORS[node.op]) return null;
+  let ref = node.left;
+  let literal = node.right;
+  let op = node.op;
+  if (ref.type === 'literal' && literal.type === 'ref') {
+    [ref, literal] = [literal, ref];
+    op = FLIPPED_OPERATORS[op] || op;
+  }
+  if (ref.type !== 'ref' || literal.type !== 'literal') return null;
+
+  if (literal.value === null) {
+    if (op !== '==' && op !== '!=') return null;
+    return { question: ref.id, operator: 'exists', answerBoolean: op === '!=' };
+  }
+  return {
+    question: ref.id,
+    operator: ENABLE_WHEN_OPERATORS[op],
+    ...enableWhenAnswer(byId.get(ref.id), literal.value),
+  };
+}
+
+/**
+ * A trigger that is one comparison, or comparisons joined only by AND or
+ * only by OR, maps to enableWhen; anything else returns null.
+ */
+function triggerToEnableWhen(trigger, byId) {
+  let ast;
+  try {
+    ast = parseTrigger(trigger);
+  } catch (error) {
+    return null;
+  }
+  if (ast.type === 'literal') return ast.value === true ? { conditions: [], behavior: 'all' } : null;
+
+  const behavior = ast.type === 'logical' && ast.op === 'OR' ? 'any' : 'all';
+  const operands = [];
+  const collect = (node) => {
+    if (node.type === 'logical' && node.op === (behavior === 'any' ? 'OR' : 'AND')) {
+      collect(node.left);
+      collect(node.right);
+    } else {
+      operands.push(node);
+    }
+  };
+  collect(ast);
+
+  const conditions = operands.map((node) => comparisonToEnableWhen(node, byId));
+  if (conditions.some((condition) => condition === null)) return null;
+  return { conditions, behavior };
+}
+
+/**
+ * requires maps to enableWhen unless it uses CONTAINS or mixes all and any.
+ */
+function requiresToEnableWhen(requires, byId) {
+  const grouped = requires.all || requires.any;
+  const all = grouped ? requires.all || [] : [].concat(requires);
+  const any = grouped ? requires.any || [] : [];
+  if (all.length > 0 && any.length > 0) return null;
+
+  const list = all.length > 0 ? all : any;
+  if (list.some((req) => !req || !req.id || req.contains || req.answer === undefined)) return null;
+  return {
+    conditions: list.map((req) => ({
+      question: req.id,
+      operator: '=',
+      ...enableWhenAnswer(byId.get(req.id), req.answer),
+    })),
+    behavior: any.length > 0 ? 'any' : 'all',
+  };
+}
+
+/**
+ * Merge the enableWhen of a trigger and of requires when both hold.
+ */
+function mergeEnableWhen(parts) {
+  const present = parts.filter((part) => part && part.conditions.length > 0);
+  if (present.length === 0) return { conditions: [], behavior: 'all' };
+  if (present.length === 1) return present[0];
+  if (present.every((part) => part.behavior === 'all' || part.conditions.length === 1)) {
+    return { conditions: present.flatMap((part) => part.conditions), behavior: 'all' };
+  }
+  return null;
+}
+
+function rangeExtensions(question, base) {
+  const extensions = [];
+  for (const [key, url] of [['min', HL7_EXTENSIONS.minValue], ['max', HL7_EXTENSIONS.maxValue]]) {
+    const value = question[key];
+    if (value === undefined || value === null) continue;
+    if (question.type === 'date' && value === 'today') {
+      extensions.push({ url: extensionUrl(base, `${key}-relative`), valueString: value });
+    } else if (question.type === 'date') {
+      extensions.push({ url, valueDate: String(value) });
+    } else if (question.numberFormat === 'integer' && Number.isInteger(value)) {
+      extensions.push({ url, valueInteger: value });
+    } else {
+      extensions.push({ url, valueDecimal: Number(value) });
+    }
+  }
+  if (question.unit) {
+    extensions.push({ url: HL7_EXTENSIONS.unit, valueCoding: { display: question.unit } });
+  }
+  return extensions;
+}
+
+function scriptExtensions(question, base) {
+  const extensions = [];
+  if (question.trigger !== undefined && question.trigger !== null && question.trigger !== 'true' && question.trigger !== true) {
+    extensions.push({ url: extensionUrl(base, 'trigger'), valueString: String(question.trigger) });
+  }
+  if (question.requires) {
+    extensions.push({ url: extensionUrl(base, 'requires'), valueString: JSON.stringify(question.requires) });
+  }
+  if (question.onNo) {
+    extensions.push({ url: extensionUrl(base, 'on-no'), valueString: question.onNo });
+  }
+  if (question.followups) {
+    extensions.push({ url: extensionUrl(base, 'followups'), valueString: JSON.stringify(question.followups) });
+  }
+  for (const constraint of question.constraints || []) {
+    extensions.push({
+      url: extensionUrl(base, 'constraint'),
+      extension: [
+        { url: 'key', valueId: constraint.id },
+        { url: 'expression', valueString: constraint.rule },
+        ...(constraint.message ? [{ url: 'human', valueString: constraint.message }] : []),
+      ],
+    });
+  }
+  if (question.announcement) {
+    extensions.push({ url: extensionUrl(base, 'announcement'), valueString: question.announcement });
+  }
+  if (question.kind) {
+    extensions.push({ url: extensionUrl(base, 'kind'), valueCode: question.kind });
+  }
+  if (question.underwriting) {
+    extensions.push({ url: extensionUrl(base, 'underwriting'), valueBoolean: true });
+  }
+  return extensions;
+}
+
+function questionToItem(question, byId, base, warnings) {
+  const item = {
+    linkId: question.id,
+    text: question.question,
+    type: itemType(question),
+  };
+
+  const translations = questionTranslations(question);
+  if (Object.keys(translations).length > 0) {
+    item._text = { extension: translationExtensions(translations) };
+  }
+
+  let trigger;
+  if (typeof question.trigger === 'boolean') {
+    trigger = question.trigger ? { conditions: [], behavior: 'all' } : null;
+  } else if (question.trigger) {
+    trigger = triggerToEnableWhen(question.trigger, byId);
+  }
+  const requires = question.requires ? requiresToEnableWhen(question.requires, byId) : undefined;
+  const enableWhen = trigger === null || requires === null ? null : mergeEnableWhen([trigger, requires]);
+  if (enableWhen && enableWhen.conditions.length > 0) {
+    item.enableWhen = enableWhen.conditions;
+    if (enableWhen.conditions.length > 1) item.enableBehavior = enableWhen.behavior;
+  } else if (!enableWhen) {
+    warnings.push(`${question.id}: condition has no enableWhen form; kept only in the trigger/requires extension`);
+  }
+
+  if (Array.isArray(question.choices)) {
+    item.answerOption = question.choices.map((choice) => ({ valueString: String(choice) }));
+  }
+
+  const extensions = [...rangeExtensions(question, base), ...scriptExtensions(question, base)];
+  if (extensions.length > 0) item.extension = extensions;
+
+  const max = question.followups && Number.isInteger(question.followups.max) ? question.followups.max : 0;
+  if (max > 0) {
+    item.item = [{
+      linkId: `${question.id}${FOLLOWUP_SUFFIX}`,
+      text: 'Follow-up',
+      type: 'text',
+      repeats: true,
+      readOnly: true,
+      extension: [{ url: HL7_EXTENSIONS.maxOccurs, valueInteger: max }],
+    }];
+  }
+  return item;
+}
+
+/**
+ * Consecutive questions of one section share a group item. Group linkIds
+ * number every group of the script, so the Questionnaire and a response
+ * that skips whole sections still agree.
+ */
+function groupBySection(questions, toItem) {
+  const groups = [];
+  for (const question of questions) {
+    let group = groups[groups.length - 1];
+    if (!group || group.section !== question.section) {
+      group = {
+        linkId: `section-${groups.length + 1}-${slugify(question.section)}`,
+        section: question.section,
+        first: question,
+        items: [],
+      };
+      groups.push(group);
+    }
+    const item = toItem(question);
+    if (item) group.items.push(item);
+  }
+  return groups.filter((group) => group.items.length > 0);
+}
+
+/**
+ * Build a FHIR R4 Questionnaire from a question script
+ * ({ carrier, version, questions } as returned by loadQuestionnaire).
+ */
+function questionnaireToFhir(questionnaire, options = {}) {
+  const base = options.canonicalBase || config.fhir.canonicalBase;
+  const id = options.id || config.fhir.questionnaireId;
+  const questions = questionnaire.questions || [];
+  const byId = new Map(questions.map((question) => [question.id, question]));
+  const warnings = [];
+
+  const groups = groupBySection(questions, (question) => questionToItem(question, byId, base, warnings));
+  const resource = {
+    resourceType: 'Questionnaire',
+    id,
+    url: `${base}/Questionnaire/${id}`,
+    ...(questionnaire.version ? { version: String(questionnaire.version) } : {}),
+    name: id.replace(/(^|[^A-Za-z0-9])([A-Za-z0-9])/g, (match, sep, ch) => ch.toUpperCase()),
+    title: options.title || questionnaire.title || 'Underwriting interview',
+    status: options.status || 'active',
+    ...(questionnaire.carrier ? { publisher: questionnaire.carrier } : {}),
+    item: groups.map((group) => {
+      const item = {
+        linkId: group.linkId,
+        text: group.section,
+        type: 'group',
+        item: group.items,
+      };
+      const translations = sectionTranslations(group.first);
+      if (Object.keys(translations).length > 0) {
+        item._text = { extension: translationExtensions(translations) };
+      }
+      return item;
+    }),
+  };
+  return { resource, warnings };
+}
+
+// ============================================================================
+// EXPORT: QUESTIONNAIRE RESPONSE
+// ============================================================================
+
+const RESPONSE_STATUSES = {
+  complete: 'completed',
+  active: 'in-progress',
+  paused: 'in-progress',
+};
+
+/**
+ * answer[x] for a stored (normalized) answer.
+ */
+function answerValue(question, answer) {
+  if (question.type === 'yes_no' && (answer === 'YES' || answer === 'NO')) {
+    return { valueBoolean: answer === 'YES' };
+  }
+  if (question.type === 'number' && /^-?\d+(\.\d+)?$/.test(String(answer).trim())) {
+    const number = Number(answer);
+    return question.numberFormat === 'integer' && Number.isInteger(number)
+      ? { valueInteger: number }
+      : { valueDecimal: number };
+  }
+  if (question.type === 'date' && ISO_DATE_PATTERN.test(String(answer))) {
+    return { valueDate: String(answer) };
+  }
+  return { valueString: String(answer) };
+}
+
+function answerToItem(question, session) {
+  const answer = session.answers[question.id];
+  if (answer === undefined) return null;
+
+  const item = { linkId: question.id, text: question.question };
+  if (answer === 'NO_RESPONSE') return item;
+
+  const entry = answerValue(question, answer);
+  const followups = (session.followups && session.followups[question.id] && session.followups[question.id].items) || [];
+  if (followups.length > 0) {
+    entry.item = followups.map((followup) => ({
+      linkId: `${question.id}${FOLLOWUP_SUFFIX}`,
+      text: followup.q,
+      answer: [{ valueString: followup.a }],
+    }));
+  }
+  item.answer = [entry];
+  return item;
+}
+
+/**
+ * Build a FHIR R4 QuestionnaireResponse for a session. Items follow the
+ * Questionnaire built from the same script; unanswered questions are left
+ * out and "no response" answers are items without an answer.
+ */
+function sessionToQuestionnaireResponse(session, questionnaire, options = {}) {
+  const base = options.canonicalBase || config.fhir.canonicalBase;
+  const id = options.id || config.fhir.questionnaireId;
+  const groups = groupBySection(questionnaire.questions || [], (question) => answerToItem(question, session));
+  const questionnaireUrl = `${base}/Questionnaire/${id}`;
+
+  return {
+    resourceType: 'QuestionnaireResponse',
+    id: session.id,
+    identifier: { system: `${base}/session`, value: session.id },
+    questionnaire: questionnaire.version ? `${questionnaireUrl}|${questionnaire.version}` : questionnaireUrl,
+    status: RESPONSE_STATUSES[session.status] || 'in-progress',
+    authored: session.completedAt || session.updatedAt,
+    ...(session.language ? { language: session.language } : {}),
+    item: groups.map((group) => ({
+      linkId: group.linkId,
+      text: group.section,
+      item: group.items,
+    })),
+  };
+}
+
+// ============================================================================
+// IMPORT: QUESTIONNAIRE -> SCRIPT
+// ============================================================================
+
+function readTranslations(element) {
+  const texts = {};
+  for (const extension of (element && element.extension) || []) {
+    if (extension.url !== HL7_EXTENSIONS.translation) continue;
+    const lang = extensionValue(findExtension(extension, 'lang'));
+    const content = extensionValue(findExtension(extension, 'content'));
+    if (lang && content) texts[lang] = content;
+  }
+  return texts;
+}
+
+function readJsonExtension(item, url, warnings) {
+  const value = extensionValue(findExtension(item, url));
+  if (value === undefined) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    warnings.push(`${item.linkId}: ignored unreadable extension ${url}`);
+    return undefined;
+  }
+}
+
+function enableWhenValue(condition) {
+  if (condition.answerBoolean !== undefined) return condition.answerBoolean;
+  if (condition.answerCoding) return condition.answerCoding.display || condition.answerCoding.code;
+  const key = Object.keys(condition).find((name) => name.startsWith('answer'));
+  return key ? condition[key] : undefined;
+}
+
+function triggerLiteral(value) {
+  if (typeof value === 'boolean' || typeof value === 'number') return String(value);
+  const text = String(value);
+  return text.includes('\'') ? `"${text.replace(/"/g, '\'')}"` : `'${text}'`;
+}
+
+/**
+ * enableWhen -> requires when every condition is "= value", otherwise a
+ * trigger expression.
+ */
+function enableWhenToCondition(item, warnings) {
+  const conditions = item.enableWhen || [];
+  if (conditions.length === 0) return {};
+  const behavior = item.enableBehavior === 'any' ? 'any' : 'all';
+
+  if (conditions.every((condition) => condition.operator === '=' && enableWhenValue(condition) !== undefined
+    && (condition.answerBoolean !== undefined || condition.answerString !== undefined || condition.answerCoding))) {
+    const list = conditions.map((condition) => ({
+      id: condition.question,
+      answer: condition.answerBoolean !== undefined
+        ? (condition.answerBoolean ? 'YES' : 'NO')
+        : enableWhenValue(condition),
+    }));
+    return { requires: behavior === 'any' && list.length > 1 ? { any: list } : list };
+  }
+
+  const parts = [];
+  for (const condition of conditions) {
+    if (condition.operator === 'exists') {
+      parts.push(`${condition.question} ${enableWhenValue(condition) === false ? '==' : '!='} null`);
+      continue;
+    }
+    const value = enableWhenValue(condition);
+    const op = condition.operator === '=' ? '==' : condition.operator;
+    if (value === undefined || !Object.values(ENABLE_WHEN_OPERATORS).includes(condition.operator)) {
+      warnings.push(`${item.linkId}: ignored enableWhen on "${condition.question}" with operator ${condition.operator}`);
+      continue;
+    }
+    parts.push(`${condition.question} ${op} ${triggerLiteral(value)}`);
+  }
+  if (parts.length === 0) return {};
+  return { trigger: parts.join(behavior === 'any' ? ' OR ' : ' AND ') };
+}
+
+function readRange(item, base, question) {
+  for (const [key, url] of [['min', HL7_EXTENSIONS.minValue], ['max', HL7_EXTENSIONS.maxValue]]) {
+    const relative = extensionValue(findExtension(item, extensionUrl(base, `${key}-relative`)));
+    const value = relative !== undefined ? relative : extensionValue(findExtension(item, url));
+    if (value !== undefined) question[key] = value;
+  }
+  const unit = extensionValue(findExtension(item, HL7_EXTENSIONS.unit));
+  if (unit) question.unit = unit.display || unit.code;
+}
+
+function itemToQuestion(item, section, sectionTexts, base, warnings) {
+  const mapped = SCRIPT_TYPES[item.type];
+  if (!mapped) {
+    warnings.push(`${item.linkId}: item type "${item.type}" imported as an open question`);
+  }
+  const question = {
+    id: item.linkId,
+    section,
+    question: item.text || item.linkId,
+    ...(mapped || { type: 'open' }),
+  };
+
+  const kind = extensionValue(findExtension(item, extensionUrl(base, 'kind')));
+  if (kind) question.kind = kind;
+
+  const trigger = extensionValue(findExtension(item, extensionUrl(base, 'trigger')));
+  const requires = readJsonExtension(item, extensionUrl(base, 'requires'), warnings);
+  if (trigger !== undefined || requires !== undefined) {
+    if (trigger !== undefined) question.trigger = trigger;
+    if (requires !== undefined) question.requires = requires;
+  } else {
+    Object.assign(question, enableWhenToCondition(item, warnings));
+  }
+
+  if (Array.isArray(item.answerOption)) {
+    question.choices = item.answerOption.map((option) => (option.valueCoding
+      ? option.valueCoding.display || option.valueCoding.code
+      : String(extensionValue(option))));
+  } else if (item.answerValueSet) {
+    warnings.push(`${item.linkId}: answerValueSet ${item.answerValueSet} is not expanded; add the choices by hand`);
+  }
+
+  readRange(item, base, question);
+
+  const onNo = extensionValue(findExtension(item, extensionUrl(base, 'on-no')));
+  if (onNo) question.onNo = onNo;
+  const followups = readJsonExtension(item, extensionUrl(base, 'followups'), warnings);
+  if (followups) question.followups = followups;
+
+  const constraints = (item.extension || [])
+    .filter((extension) => extension.url === extensionUrl(base, 'constraint'))
+    .map((extension) => ({
+      id: extensionValue(findExtension(extension, 'key')),
+      rule: extensionValue(findExtension(extension, 'expression')),
+      ...(findExtension(extension, 'human') ? { message: extensionValue(findExtension(extension, 'human')) } : {}),
+    }));
+  if (constraints.length > 0) question.constraints = constraints;
+
+  const announcement = extensionValue(findExtension(item, extensionUrl(base, 'announcement')));
+  if (announcement) question.announcement = announcement;
+  if (extensionValue(findExtension(item, extensionUrl(base, 'underwriting')))) question.underwriting = true;
+
+  const questionTexts = readTranslations(item._text);
+  const languages = new Set([...Object.keys(questionTexts), ...Object.keys(sectionTexts)]);
+  if (languages.size > 0) {
+    question.translations = {};
+    for (const lang of languages) {
+      question.translations[lang] = {
+        ...(questionTexts[lang] ? { question: questionTexts[lang] } : {}),
+        ...(sectionTexts[lang] ? { section: sectionTexts[lang] } : {}),
+      };
+    }
+  }
+  return question;
+}
+
+/**
+ * Build a question script ({ title, version, source, questions }) from a
+ * FHIR R4 Questionnaire. Groups become sections; nested question items are
+ * asked right after their parent.
+ */
+function questionnaireFromFhir(resource, options = {}) {
+  if (!resource || resource.resourceType !== 'Questionnaire') {
+    throw new Error('Expected a FHIR Questionnaire resource');
+  }
+  const base = options.canonicalBase || config.fhir.canonicalBase;
+  const warnings = [];
+  const questions = [];
+
+  const visit = (items, section, sectionTexts) => {
+    for (const item of items || []) {
+      if (item.type === 'group') {
+        visit(item.item, item.text || section, readTranslations(item._text));
+      } else if (item.type === 'display') {
+        warnings.push(`${item.linkId}: display item skipped`);
+      } else if (item.linkId && item.linkId.endsWith(FOLLOWUP_SUFFIX)) {
+        continue;
+      } else {
+        questions.push(itemToQuestion(item, section, sectionTexts, base, warnings));
+        if (item.repeats) warnings.push(`${item.linkId}: repeats is not supported; asked once`);
+        visit(item.item, section, sectionTexts);
+      }
+    }
+  };
+  visit(resource.item, resource.title || 'General', {});
+
+  const script = {
+    title: resource.title || resource.name || null,
+    version: resource.version || null,
+    source: { url: resource.url || null, version: resource.version || null },
+    questions,
+  };
+  return { script, warnings };
+}
+
+module.exports = {
+  questionnaireToFhir,
+  sessionToQuestionnaireResponse,
+  questionnaireFromFhir,
+};
@@ -0,0 +1,350 @@
+/**
+ * Flow Engine
+ *
+ * Runs the question branching on the server. The browser only renders and
+ * speaks the question it is given; answers are accepted for the question
+ * that is currently due and nothing else, and only when they fit its type,
+ * so the script cannot be skipped or reordered from the client.
+ *
+ * When an answer breaks one of the questionnaire's cross-answer constraints
+ * the flow stops on a pending conflict until the applicant corrects one of
+ * the answers or confirms them. Every conflict stays on the session.
+ */
+
+const crypto = require('crypto');
+const {
+  findNextQuestionIndex,
+  resolveNextIndex,
+  findConstraintViolations,
+} = require('../public/lib/question-flow');
+const AnswerParsers = require('../public/lib/answer-parsers');
+const { SessionError, markComplete } = require('./sessions');
+
+const MAX_ANSWER_LENGTH = 2000;
+const MAX_FOLLOWUP_TEXT_LENGTH = 2000;
+const CONFLICT_RESOLUTIONS = ['corrected', 'confirmed', 'unresolved'];
+// Corrections that still break the rule are asked about this many times,
+// then recorded as unresolved so the interview can go on.
+const MAX_CONFLICT_ROUNDS = 2;
+
+function pendingConflict(session) {
+  if (!session.pendingConflictId) return null;
+  return (session.conflicts || []).find((conflict) => conflict.id === session.pendingConflictId) || null;
+}
+
+function describeConflict(conflict, questions) {
+  return {
+    id: conflict.id,
+    constraintId: conflict.constraintId,
+    message: conflict.message,
+    questions: conflict.questionIds.map((id) => {
+      const question = questions.find((q) => q.id === id);
+      return {
+        id,
+        question: question ? question.question : id,
+        type: question ? question.type : null,
+        answer: conflict.answers[id],
+      };
+    }),
+  };
+}
+
+function describe(session, questions, index) {
+  const question = index >= 0 ? questions[index] : null;
+  const conflict = pendingConflict(session);
+  return {
+    sessionId: session.id,
+    status: session.status,
+    complete: session.status === 'complete',
+    questionIndex: question ? index : -1,
+    question,
+    conflict: conflict ? describeConflict(conflict, questions) : null,
+    answeredCount: Object.keys(session.answers || {}).length,
+    totalQuestions: questions.length,
+    questionnaire: session.questionnaire || null,
+  };
+}
+
+/**
+ * A violation the applicant already confirmed (or could not resolve) for
+ * the same answers is not raised again.
+ */
+function isSettled(session, violation) {
+  return (session.conflicts || []).some((conflict) => conflict.constraintId === violation.constraintId
+    && (conflict.resolution === 'confirmed' || conflict.resolution === 'unresolved')
+    && violation.questionIds.every((id) => conflict.answers[id] === session.answers[id]));
+}
+
+/**
+ * Index of the question due for a session. The saved question id wins; when
+ * it no longer exists, the first due question without an answer is used.
+ */
+function locateCurrent(session, questions) {
+  if (session.status === 'complete') return -1;
+  const answers = session.answers || {};
+
+  if (session.currentQuestionId) {
+    const savedIndex = questions.findIndex((q) => q.id === session.currentQuestionId);
+    if (savedIndex !== -1) return findNextQuestionIndex(questions, savedIndex, answers);
+  }
+
+  for (let i = findNextQuestionIndex(questions, 0, answers); i !== -1; i = findNextQuestionIndex(questions, i + 1, answers)) {
+    if (answers[questions[i].id] === undefined) return i;
+  }
+  return -1;
+}
+
+function normalizeAnswer(answer) {
+  if (typeof answer === 'number' && Number.isFinite(answer)) return String(answer);
+  if (typeof answer !== 'string' || !answer.trim()) {
+    throw new SessionError('answer must be a non-empty string');
+  }
+  if (answer.length > MAX_ANSWER_LENGTH) {
+    throw new SessionError(`answer must be at most ${MAX_ANSWER_LENGTH} characters`);
+  }
+  return answer.trim();
+}
+
+/**
+ * The answer in the form its question type allows, so a client cannot
+ * steer the branching with a value the interviewer would never accept:
+ * yes/no questions take YES or NO, choice questions one of their choices,
+ * and dates and numbers must parse and fall within the question's min/max.
+ */
+function checkAnswerType(question, answer, { language = 'en', now = new Date() } = {}) {
+  if (question.type === 'yes_no') {
+    const upper = answer.toUpperCase();
+    if (upper !== 'YES' && upper !== 'NO') {
+      throw new SessionError(`"${question.id}" must be answered YES or NO`, 400, { reason: 'invalid_answer' });
+    }
+    return upper;
+  }
+
+  if (question.type === 'choice' && Array.isArray(question.choices) && question.choices.length > 0) {
+    const choice = question.choices.find((c) => String(c).toLowerCase() === answer.toLowerCase());
+    if (choice === undefined) {
+      throw new SessionError(
+        `"${question.id}" must be one of: ${question.choices.join(', ')}`,
+        400,
+        { reason: 'invalid_answer' }
+      );
+    }
+    return String(choice);
+  }
+
+  if (question.type === 'date' || question.type === 'number') {
+    const parsed = AnswerParsers.parseAnswer(question, answer, { now, language });
+    if (!parsed.valid) {
+      throw new SessionError(`"${question.id}" is not a valid ${question.type} answer`, 400, { reason: parsed.reason });
+    }
+  }
+
+  return answer;
+}
+
+/**
+ * Follow-ups may only be recorded for questions that allow them, and never
+ * more than the question's max.
+ */
+function normalizeFollowups(question, followups) {
+  if (followups === undefined || followups === null) return null;
+  const items = Array.isArray(followups) ? followups : followups.items;
+  if (!Array.isArray(items)) throw new SessionError('followups must be an array of {q, a} items');
+  if (items.length === 0) return null;
+
+  const max = question.followups && Number.isInteger(question.followups.max) ? question.followups.max : 0;
+  if (items.length > max) {
+    throw new SessionError(`"${question.id}" allows at most ${max} follow-up(s)`);
+  }
+
+  return {
+    count: items.length,
+    items: items.map((item) => {
+      if (!item || typeof item.q !== 'string' || typeof item.a !== 'string') {
+        throw new SessionError('each follow-up must have string q and a');
+      }
+      return {
+        q: item.q.slice(0, MAX_FOLLOWUP_TEXT_LENGTH),
+        a: item.a.slice(0, MAX_FOLLOWUP_TEXT_LENGTH),
+      };
+    }),
+  };
+}
+
+class FlowEngine {
+  /**
+   * questionnaireFor(session) resolves the questionnaire ({ questions }) a
+   * session is asked from.
+   */
+  constructor(sessions, questionnaireFor) {
+    this.sessions = sessions;
+    this.questionnaireFor = questionnaireFor;
+  }
+
+  /**
+   * Report the question currently due, without changing anything.
+   */
+  async current(sessionId) {
+    const session = await this.sessions.require(sessionId);
+    const { questions } = await this.questionnaireFor(session);
+    return describe(session, questions, locateCurrent(session, questions));
+  }
+
+  /**
+   * Pin the question currently due (the first one for a new session) and
+   * return it. Safe to call again when resuming.
+   */
+  start(sessionId) {
+    return this.sessions.mutate(sessionId, async (session) => {
+      const { questions } = await this.questionnaireFor(session);
+      const index = locateCurrent(session, questions);
+      this.moveTo(session, questions, index);
+      return describe(session, questions, index);
+    });
+  }
+
+  /**
+   * Record the answer to the question currently due and advance.
+   */
+  answer(sessionId, { questionId, answer, followups } = {}) {
+    return this.sessions.mutate(sessionId, async (session) => {
+      if (session.status === 'complete') {
+        throw new SessionError('Session is already complete', 409);
+      }
+      const conflict = pendingConflict(session);
+      if (conflict) {
+        throw new SessionError('Resolve the pending answer conflict first', 409, { conflictId: conflict.id });
+      }
+
+      const { questions } = await this.questionnaireFor(session);
+      const index = locateCurrent(session, questions);
+      const expectedQuestionId = index >= 0 ? questions[index].id : null;
+      if (!questionId || questionId !== expectedQuestionId) {
+        throw new SessionError(
+          `"${questionId}" is not the question currently due`,
+          409,
+          { expectedQuestionId }
+        );
+      }
+
+      const question = questions[index];
+      const normalizedAnswer = checkAnswerType(question, normalizeAnswer(answer), { language: session.language });
+      const normalizedFollowups = normalizeFollowups(question, followups);
+
+      session.answers = { ...session.answers, [question.id]: normalizedAnswer };
+      if (normalizedFollowups) {
+        session.followups = { ...session.followups, [question.id]: normalizedFollowups };
+      }
+
+      if (this.openConflict(session, questions, question.id, index, 1)) {
+        this.moveTo(session, questions, index);
+        return describe(session, questions, index);
+      }
+
+      const nextIndex = resolveNextIndex(questions, index, normalizedAnswer, session.answers);
+      this.moveTo(session, questions, nextIndex);
+      return describe(session, questions, nextIndex);
+    });
+  }
+
+  /**
+   * Settle the pending conflict: "corrected" replaces one of the conflicting
+   * answers, "confirmed" keeps them all, "unresolved" gives up. The flow
+   * then continues after the question whose answer raised the conflict.
+   */
+  resolve(sessionId, { conflictId, resolution, questionId, answer } = {}) {
+    return this.sessions.mutate(sessionId, async (session) => {
+      const { questions } = await this.questionnaireFor(session);
+      const conflict = pendingConflict(session);
+      if (!conflict || conflict.id !== conflictId) {
+        throw new SessionError('No such pending conflict', 409, { conflictId: conflict ? conflict.id : null });
+      }
+      if (!CONFLICT_RESOLUTIONS.includes(resolution)) {
+        throw new SessionError(`resolution must be one of: ${CONFLICT_RESOLUTIONS.join(', ')}`);
+      }
+
+      if (resolution === 'corrected') {
+        if (!conflict.questionIds.includes(questionId)) {
+          throw new SessionError(`questionId must be one of: ${conflict.questionIds.join(', ')}`);
+        }
+        const corrected = questions.find((q) => q.id === questionId);
+        const normalizedAnswer = corrected
+          ? checkAnswerType(corrected, normalizeAnswer(answer), { language: session.language })
+          : normalizeAnswer(answer);
+        conflict.correction = {
+          questionId,
+          previousAnswer: session.answers[questionId],
+          answer: normalizedAnswer,
+        };
+        session.answers = { ...session.answers, [questionId]: normalizedAnswer };
+      }
+
+      conflict.resolution = resolution;
+      conflict.resolvedAt = new Date().toISOString();
+      session.pendingConflictId = null;
+
+      let index = questions.findIndex((q) => q.id === conflict.answeredQuestionId);
+      if (index === -1) index = locateCurrent(session, questions);
+
+      if (resolution === 'corrected' && this.openConflict(session, questions, questionId, index, conflict.round + 1)) {
+        this.moveTo(session, questions, index);
+        return describe(session, questions, index);
+      }
+
+      const nextIndex = index === -1
+        ? -1
+        : resolveNextIndex(questions, index, session.answers[questions[index].id], session.answers);
+      this.moveTo(session, questions, nextIndex);
+      return describe(session, questions, nextIndex);
+    });
+  }
+
+  /**
+   * Record the first unsettled constraint the new answer breaks and make it
+   * the pending conflict. Returns the conflict, or null when the flow can
+   * move on (including when the rounds for it are used up).
+   */
+  openConflict(session, questions, questionId, answeredIndex, round) {
+    const violation = findConstraintViolations(questions, session.answers, { onlyFor: questionId })
+      .find((candidate) => !isSettled(session, candidate));
+    if (!violation) return null;
+
+    const now = new Date().toISOString();
+    const conflict = {
+      id: crypto.randomUUID(),
+      constraintId: violation.constraintId,
+      declaredOn: violation.questionId,
+      message: violation.message,
+      questionIds: violation.questionIds,
+      answers: Object.fromEntries(violation.questionIds.map((id) => [id, session.answers[id]])),
+      answeredQuestionId: answeredIndex >= 0 ? questions[answeredIndex].id : questionId,
+      round,
+      detectedAt: now,
+      resolvedAt: null,
+      resolution: null,
+      correction: null,
+    };
+    session.conflicts = [...(session.conflicts || []), conflict];
+
+    if (round > MAX_CONFLICT_ROUNDS) {
+      conflict.resolution = 'unresolved';
+      conflict.resolvedAt = now;
+      return null;
+    }
+    session.pendingConflictId = conflict.id;
+    return conflict;
+  }
+
+  moveTo(session, questions, index) {
+    if (index === -1) {
+      if (Object.keys(session.answers || {}).length > 0) markComplete(session);
+      return;
+    }
+    session.currentQuestionIndex = index;
+    session.currentQuestionId = questions[index].id;
+  }
+}
+
+module.exports = {
+  FlowEngine,
+};
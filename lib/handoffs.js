@@ -0,0 +1,295 @@
+/**
+ * Agent Handoffs
+ *
+ * When an applicant asks for a person, a ticket is opened on their session
+ * with what an agent needs to pick it up: the answers so far (already on
+ * the session), the conversation up to the handoff and the question they
+ * were stuck on. While a ticket is open the session's status is "handoff".
+ *
+ *   waiting    nobody has claimed it yet
+ *   active     an agent claimed it; agent and applicant exchange messages
+ *              and the agent may record answers for the questions due
+ *   returned   the agent handed control back to the scripted flow
+ *   cancelled  the applicant went on without an agent
+ *
+ * Returning or cancelling puts the session back on the question due at
+ * that moment, so the script continues where the agent left it. Tickets
+ * stay on the session (session.handoffs) after they close.
+ *
+ * Everything that happens is published to listeners: the applicant's page
+ * listens to its own session, the agent console to every ticket.
+ */
+
+const crypto = require('crypto');
+const { SessionError } = require('./sessions');
+
+const OPEN_STATUSES = ['waiting', 'active'];
+const MAX_TRANSCRIPT_ENTRIES = 50;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_REASON_LENGTH = 200;
+const MAX_AGENT_NAME_LENGTH = 80;
+
+function openTicket(session) {
+  return (session.handoffs || []).find((ticket) => OPEN_STATUSES.includes(ticket.status)) || null;
+}
+
+function requireOpenTicket(session) {
+  const ticket = openTicket(session);
+  if (!ticket) throw new SessionError('No open handoff for this session', 404);
+  return ticket;
+}
+
+function cleanText(value, maxLength = MAX_TEXT_LENGTH) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  return value.trim().slice(0, maxLength);
+}
+
+/**
+ * The last entries of the conversation before the handoff, as
+ * [{ role, text }] with the roles the controller uses.
+ */
+function normalizeTranscript(transcript) {
+  if (!Array.isArray(transcript)) return [];
+  return transcript
+    .filter((entry) => entry && (entry.role === 'user' || entry.role === 'assistant'))
+    .map((entry) => ({ role: entry.role, text: cleanText(entry.text) }))
+    .filter((entry) => entry.text)
+    .slice(-MAX_TRANSCRIPT_ENTRIES);
+}
+
+/**
+ * A ticket as listed in the agent console: enough to pick one without the
+ * conversation.
+ */
+function summarize(session, ticket) {
+  return {
+    id: ticket.id,
+    sessionId: session.id,
+    status: ticket.status,
+    reason: ticket.reason,
+    language: session.language,
+    channel: session.channel || { type: 'web' },
+    questionId: ticket.questionId,
+    agent: ticket.agent,
+    answeredCount: Object.keys(session.answers || {}).length,
+    messageCount: ticket.messages.length,
+    requestedAt: ticket.requestedAt,
+    claimedAt: ticket.claimedAt,
+    closedAt: ticket.closedAt,
+  };
+}
+
+class HandoffDesk {
+  /**
+   * flow is the FlowEngine the agent's answers go through.
+   */
+  constructor(sessions, flow) {
+    this.sessions = sessions;
+    this.flow = flow;
+    this.agentListeners = new Set();
+    this.sessionListeners = new Map();
+  }
+
+  // ==========================================================================
+  // LISTENERS
+  // ==========================================================================
+
+  /**
+   * listener(type, data) hears every ticket event; returns the unsubscribe
+   * function.
+   */
+  listenToAll(listener) {
+    this.agentListeners.add(listener);
+    return () => this.agentListeners.delete(listener);
+  }
+
+  /**
+   * listener(type, data) hears the events of one session's tickets.
+   */
+  listenToSession(sessionId, listener) {
+    if (!this.sessionListeners.has(sessionId)) this.sessionListeners.set(sessionId, new Set());
+    const listeners = this.sessionListeners.get(sessionId);
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size === 0) this.sessionListeners.delete(sessionId);
+    };
+  }
+
+  publish(sessionId, type, data) {
+    const event = { sessionId, ...data };
+    const listeners = [...this.agentListeners, ...(this.sessionListeners.get(sessionId) || [])];
+    for (const listener of listeners) {
+      try {
+        listener(type, event);
+      } catch (error) {
+        console.error('Handoff listener error:', error);
+      }
+    }
+  }
+
+  // ==========================================================================
+  // TICKETS
+  // ==========================================================================
+
+  /**
+   * Open a ticket for a session ({ reason, questionId, transcript }). A
+   * session has at most one open ticket; asking again returns it.
+   */
+  async request(sessionId, { reason, questionId, transcript } = {}) {
+    let created = false;
+    const result = await this.sessions.mutate(sessionId, (session) => {
+      if (session.status === 'complete') {
+        throw new SessionError('Session is already complete', 409);
+      }
+      const existing = openTicket(session);
+      if (existing) return { session, ticket: existing };
+
+      const ticket = {
+        id: crypto.randomUUID(),
+        status: 'waiting',
+        reason: cleanText(reason, MAX_REASON_LENGTH) || 'requested',
+        questionId: cleanText(questionId, MAX_REASON_LENGTH) || session.currentQuestionId,
+        transcript: normalizeTranscript(transcript),
+        messages: [],
+        agentAnswers: [],
+        agent: null,
+        requestedAt: new Date().toISOString(),
+        claimedAt: null,
+        closedAt: null,
+        resumeQuestionId: null,
+      };
+      session.handoffs = [...(session.handoffs || []), ticket];
+      session.status = 'handoff';
+      created = true;
+      return { session, ticket };
+    });
+    if (created) this.publish(sessionId, 'ticket', summarize(result.session, result.ticket));
+    return { ticket: result.ticket, created };
+  }
+
+  /**
+   * Summaries of the tickets, oldest first; open ones only unless
+   * includeClosed.
+   */
+  async list({ includeClosed = false } = {}) {
+    const sessions = await this.sessions.list();
+    return sessions
+      .flatMap((session) => (session.handoffs || [])
+        .filter((ticket) => includeClosed || OPEN_STATUSES.includes(ticket.status))
+        .map((ticket) => summarize(session, ticket)))
+      .sort((a, b) => a.requestedAt.localeCompare(b.requestedAt));
+  }
+
+  /**
+   * The open ticket of a session (or its latest one), the session's
+   * answers and the question due, for the agent taking it.
+   */
+  async context(sessionId) {
+    const session = await this.sessions.require(sessionId);
+    const tickets = session.handoffs || [];
+    const ticket = openTicket(session) || tickets[tickets.length - 1];
+    if (!ticket) throw new SessionError('No handoff for this session', 404);
+    const due = await this.flow.current(sessionId);
+    return {
+      ticket: { ...summarize(session, ticket), transcript: ticket.transcript, messages: ticket.messages, agentAnswers: ticket.agentAnswers },
+      answers: session.answers,
+      followups: session.followups,
+      due,
+    };
+  }
+
+  /**
+   * An agent takes the ticket. Another agent's claim is refused.
+   */
+  async claim(sessionId, agent) {
+    const name = cleanText(agent, MAX_AGENT_NAME_LENGTH) || 'Agent';
+    const result = await this.sessions.mutate(sessionId, (session) => {
+      const ticket = requireOpenTicket(session);
+      if (ticket.status === 'active' && ticket.agent !== name) {
+        throw new SessionError(`Already claimed by ${ticket.agent}`, 409, { agent: ticket.agent });
+      }
+      ticket.status = 'active';
+      ticket.agent = name;
+      ticket.claimedAt = ticket.claimedAt || new Date().toISOString();
+      return { session, ticket };
+    });
+    this.publish(sessionId, 'claimed', summarize(result.session, result.ticket));
+    return result.ticket;
+  }
+
+  /**
+   * Add a message to the open ticket; from is "agent" or "applicant".
+   * Agents must claim the ticket before writing to the applicant.
+   */
+  async message(sessionId, from, text) {
+    const cleaned = cleanText(text);
+    if (!cleaned) throw new SessionError('text is required');
+    const message = await this.sessions.mutate(sessionId, (session) => {
+      const ticket = requireOpenTicket(session);
+      if (from === 'agent' && ticket.status !== 'active') {
+        throw new SessionError('Claim the handoff before messaging the applicant', 409);
+      }
+      const entry = { id: crypto.randomUUID(), from, text: cleaned, at: new Date().toISOString() };
+      ticket.messages = [...ticket.messages, entry];
+      return { ticketId: ticket.id, ...entry };
+    });
+    this.publish(sessionId, 'message', message);
+    return message;
+  }
+
+  /**
+   * Record the agent's answer to the question currently due (the same
+   * rules as the applicant's answers) and return what is due next.
+   */
+  async answer(sessionId, { questionId, answer }) {
+    const session = await this.sessions.require(sessionId);
+    const ticket = requireOpenTicket(session);
+    if (ticket.status !== 'active') {
+      throw new SessionError('Claim the handoff before recording answers', 409);
+    }
+
+    const result = await this.flow.answer(sessionId, { questionId, answer });
+    const entry = { questionId, answer: String(answer).trim(), agent: ticket.agent, at: new Date().toISOString() };
+    await this.sessions.mutate(sessionId, (current) => {
+      const open = openTicket(current);
+      if (open) open.agentAnswers = [...open.agentAnswers, entry];
+    });
+    this.publish(sessionId, 'answer', {
+      ticketId: ticket.id,
+      ...entry,
+      nextQuestionId: result.question ? result.question.id : null,
+      complete: result.complete,
+    });
+    return result;
+  }
+
+  /**
+   * Close the open ticket and give the session back to the scripted flow:
+   * by "agent" (returned) or "applicant" (cancelled). Returns the ticket
+   * and the question due, where the flow continues.
+   */
+  async returnControl(sessionId, by) {
+    const due = await this.flow.current(sessionId);
+    const result = await this.sessions.mutate(sessionId, (session) => {
+      const ticket = requireOpenTicket(session);
+      ticket.status = by === 'applicant' ? 'cancelled' : 'returned';
+      ticket.closedAt = new Date().toISOString();
+      ticket.resumeQuestionId = due.question ? due.question.id : null;
+      if (session.status === 'handoff') session.status = 'active';
+      return { session, ticket };
+    });
+    this.publish(sessionId, 'returned', {
+      ...summarize(result.session, result.ticket),
+      by,
+      resumeQuestionId: result.ticket.resumeQuestionId,
+      complete: due.complete,
+    });
+    return { ticket: result.ticket, due: await this.flow.current(sessionId) };
+  }
+}
+
+module.exports = {
+  HandoffDesk,
+  openTicket,
+};
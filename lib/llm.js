@@ -0,0 +1,252 @@
+/**
+ * LLM Providers
+ *
+ * One interface for every model backend used by validation, follow-ups and
+ * explanations:
+ *
+ *   provider.complete(prompt, { maxTokens, signal }) -> text
+ *
+ * LLMClient tries the configured providers in order. Each call has a
+ * timeout, retryable failures (timeouts, network errors, 429, 5xx) are
+ * retried with exponential backoff, and then the next provider is tried.
+ * When every provider fails the caller falls back to its rule-based answer.
+ */
+
+class LLMError extends Error {
+  constructor(message, { provider = null, status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+function trimTrailingSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+async function postJson(provider, url, headers, body, signal) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new LLMError(`${provider} request timed out`, { provider, retryable: true });
+    }
+    throw new LLMError(`${provider} request failed: ${error.message}`, { provider, retryable: true });
+  }
+
+  if (!response.ok) {
+    const retryable = response.status === 429 || response.status >= 500;
+    throw new LLMError(`${provider} API error: ${response.status}`, {
+      provider,
+      status: response.status,
+      retryable,
+    });
+  }
+
+  return response.json();
+}
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicProvider {
+  constructor({ apiKey, model, baseUrl }) {
+    this.name = 'anthropic';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.baseUrl = trimTrailingSlash(baseUrl);
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async complete(prompt, { maxTokens, signal }) {
+    const data = await postJson(
+      this.name,
+      `${this.baseUrl}/v1/messages`,
+      {
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01',
+      },
+      {
+        model: this.model,
+        max_tokens: maxTokens,
+        messages: [{ role: 'user', content: prompt }],
+      },
+      signal
+    );
+    return {
+      text: data.content[0].text.trim(),
+      usage: data.usage
+        ? { inputTokens: data.usage.input_tokens, outputTokens: data.usage.output_tokens }
+        : null,
+    };
+  }
+}
+
+/**
+ * OpenAI Chat Completions API. With a custom base URL this also talks to
+ * self-hosted OpenAI-compatible servers (llama.cpp server, Ollama, vLLM).
+ */
+class OpenAICompatibleProvider {
+  constructor({ name = 'openai', apiKey, model, baseUrl, requiresApiKey = true }) {
+    this.name = name;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.baseUrl = baseUrl ? trimTrailingSlash(baseUrl) : null;
+    this.requiresApiKey = requiresApiKey;
+  }
+
+  isConfigured() {
+    if (!this.baseUrl || !this.model) return false;
+    return this.requiresApiKey ? !!this.apiKey : true;
+  }
+
+  async complete(prompt, { maxTokens, signal }) {
+    const data = await postJson(
+      this.name,
+      `${this.baseUrl}/chat/completions`,
+      this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+      {
+        model: this.model,
+        max_tokens: maxTokens,
+        messages: [{ role: 'user', content: prompt }],
+      },
+      signal
+    );
+    return {
+      text: data.choices[0].message.content.trim(),
+      usage: data.usage
+        ? { inputTokens: data.usage.prompt_tokens, outputTokens: data.usage.completion_tokens }
+        : null,
+    };
+  }
+}
+
+const PROVIDER_FACTORIES = {
+  anthropic: (config) => new AnthropicProvider(config.anthropic),
+  openai: (config) => new OpenAICompatibleProvider({ name: 'openai', ...config.openai }),
+  local: (config) => new OpenAICompatibleProvider({ name: 'local', ...config.local, requiresApiKey: false }),
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class LLMClient {
+  constructor(providers, { timeoutMs, maxRetries, retryBaseDelayMs }) {
+    this.providers = providers;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.retryBaseDelayMs = retryBaseDelayMs;
+  }
+
+  /**
+   * Providers that have the credentials/URL they need, in failover order.
+   */
+  activeProviders() {
+    return this.providers.filter((provider) => provider.isConfigured());
+  }
+
+  isEnabled() {
+    return this.activeProviders().length > 0;
+  }
+
+  describe() {
+    return this.activeProviders().map((provider) => ({ name: provider.name, model: provider.model }));
+  }
+
+  async callWithTimeout(provider, prompt, maxTokens) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    try {
+      return await provider.complete(prompt, { maxTokens, signal: controller.signal });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  backoffDelay(attempt) {
+    const base = this.retryBaseDelayMs * 2 ** attempt;
+    return base + Math.floor(Math.random() * this.retryBaseDelayMs);
+  }
+
+  /**
+   * Send a prompt, retrying and failing over as configured. Resolves with
+   * { text, provider, model, attempts, failures, usage }; rejects with the
+   * last error when every provider failed. failures lists each failed
+   * attempt ({ provider, attempt, error, status }) and is also set on the
+   * rejected error.
+   */
+  async complete(prompt, { maxTokens = 120 } = {}) {
+    const providers = this.activeProviders();
+    if (providers.length === 0) {
+      throw new LLMError('No LLM provider configured');
+    }
+
+    let lastError = null;
+    let attempts = 0;
+    const failures = [];
+
+    for (const provider of providers) {
+      for (let attempt = 0; attempt <= this.maxRetries; attempt += 1) {
+        attempts += 1;
+        try {
+          const result = await this.callWithTimeout(provider, prompt, maxTokens);
+          return {
+            text: result.text,
+            usage: result.usage,
+            // A replayed completion names the provider that recorded it
+            provider: result.provider || provider.name,
+            model: result.model || provider.model,
+            attempts,
+            failures,
+          };
+        } catch (error) {
+          lastError = error;
+          failures.push({
+            provider: provider.name,
+            attempt: attempt + 1,
+            error: error.message,
+            status: error instanceof LLMError ? error.status : null,
+          });
+          const retryable = error instanceof LLMError ? error.retryable : false;
+          console.error(`LLM ${provider.name} attempt ${attempt + 1} failed:`, error.message);
+          if (!retryable || attempt === this.maxRetries) break;
+          await sleep(this.backoffDelay(attempt));
+        }
+      }
+    }
+
+    lastError.failures = failures;
+    lastError.attempts = attempts;
+    throw lastError;
+  }
+}
+
+/**
+ * Build the client from config.llm.providers (e.g. ["local", "anthropic"]).
+ */
+function createLLMClient(config) {
+  const providers = config.llm.providers.map((name) => {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) throw new Error(`Unknown LLM provider "${name}"`);
+    return factory(config);
+  });
+  return new LLMClient(providers, config.llm);
+}
+
+module.exports = {
+  LLMError,
+  LLMClient,
+  AnthropicProvider,
+  OpenAICompatibleProvider,
+  createLLMClient,
+};
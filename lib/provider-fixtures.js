@@ -0,0 +1,253 @@
+/**
+ * Provider Fixtures
+ *
+ * PROVIDER_MODE=record|replay|live for the LLM and TTS providers:
+ *
+ *   live    - call the providers (default)
+ *   record  - call the providers and save every request and response
+ *   replay  - answer from the saved fixtures without touching the network;
+ *             a request with no fixture fails with MissingFixtureError
+ *
+ * A fixture is keyed by a hash of its kind and normalized request (for the
+ * LLM the prompt, for TTS the text, voice, model and language), so the same
+ * interview replays the same model output. Fixtures are plain files under
+ * PROVIDER_FIXTURES_DIR:
+ *
+ *   llm/<key>.json              { kind, key, request, response, provider, model, recordedAt }
+ *   tts/<key>.json, <key>.mp3   the request and the audio
+ *   stt/<key>.json              { ..., request: { audio (sha256), contentType, language }, response }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { LLMError } = require('./llm');
+
+const PROVIDER_MODES = ['live', 'record', 'replay'];
+
+class MissingFixtureError extends Error {
+  constructor(kind, key) {
+    super(`No recorded ${kind} fixture ${key} (PROVIDER_MODE=replay); record it with PROVIDER_MODE=record`);
+    this.name = 'MissingFixtureError';
+    this.kind = kind;
+    this.key = key;
+  }
+}
+
+/**
+ * Whitespace differences (indentation, trailing newlines) do not change the
+ * key; everything else does.
+ */
+function normalizeText(text) {
+  return String(text).normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+function fixtureKey(kind, request) {
+  const normalized = Object.keys(request).sort().map((name) => [
+    name,
+    typeof request[name] === 'string' ? normalizeText(request[name]) : request[name],
+  ]);
+  return crypto.createHash('sha256').update(JSON.stringify([kind, normalized])).digest('hex').slice(0, 32);
+}
+
+class FixtureStore {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  filePath(kind, key, extension = 'json') {
+    return path.join(this.directory, kind, `${key}.${extension}`);
+  }
+
+  async read(kind, request) {
+    const key = fixtureKey(kind, request);
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath(kind, key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new MissingFixtureError(kind, key);
+      throw error;
+    }
+  }
+
+  async write(kind, request, fixture) {
+    const key = fixtureKey(kind, request);
+    await fs.promises.mkdir(path.join(this.directory, kind), { recursive: true });
+    const document = { kind, key, request, ...fixture, recordedAt: new Date().toISOString() };
+    await fs.promises.writeFile(this.filePath(kind, key), `${JSON.stringify(document, null, 2)}\n`);
+    return document;
+  }
+
+  async readAudio(request) {
+    const fixture = await this.read('tts', request);
+    return { ...fixture, audio: await fs.promises.readFile(this.filePath('tts', fixture.key, 'mp3')) };
+  }
+
+  async writeAudio(request, audio, fixture = {}) {
+    const document = await this.write('tts', request, { ...fixture, bytes: audio.length });
+    await fs.promises.writeFile(this.filePath('tts', document.key, 'mp3'), audio);
+    return document;
+  }
+}
+
+// ============================================================================
+// LLM PROVIDERS
+// ============================================================================
+
+/**
+ * Wraps a live provider and saves each successful completion.
+ */
+class RecordingProvider {
+  constructor(provider, store) {
+    this.provider = provider;
+    this.store = store;
+    this.name = provider.name;
+    this.model = provider.model;
+  }
+
+  isConfigured() {
+    return this.provider.isConfigured();
+  }
+
+  async complete(prompt, options) {
+    const result = await this.provider.complete(prompt, options);
+    await this.store.write('llm', { prompt }, {
+      provider: this.name,
+      model: this.model,
+      response: { text: result.text, usage: result.usage || null },
+    });
+    return result;
+  }
+}
+
+/**
+ * Stands in for every provider in replay mode. A missing fixture is not
+ * retryable, so it fails the call at once.
+ */
+class ReplayProvider {
+  constructor(store) {
+    this.store = store;
+    this.name = 'replay';
+    this.model = 'fixtures';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async complete(prompt) {
+    try {
+      const fixture = await this.store.read('llm', { prompt });
+      return { ...fixture.response, provider: fixture.provider, model: fixture.model };
+    } catch (error) {
+      if (!(error instanceof MissingFixtureError)) throw error;
+      const wrapped = new LLMError(error.message, { provider: this.name });
+      wrapped.missingFixture = error;
+      throw wrapped;
+    }
+  }
+}
+
+/**
+ * Apply PROVIDER_MODE to an LLM client's providers.
+ */
+function applyProviderMode(llm, mode, store) {
+  if (!PROVIDER_MODES.includes(mode)) {
+    throw new Error(`Unknown PROVIDER_MODE "${mode}" (use ${PROVIDER_MODES.join(', ')})`);
+  }
+  if (mode === 'record') {
+    llm.providers = llm.providers.map((provider) => new RecordingProvider(provider, store));
+  } else if (mode === 'replay') {
+    llm.providers = [new ReplayProvider(store)];
+  }
+  return llm;
+}
+
+// ============================================================================
+// STT PROVIDERS
+// ============================================================================
+
+/**
+ * Transcriptions are keyed by a hash of the audio, not the audio itself.
+ */
+function sttRequest(audio, { contentType, language }) {
+  return {
+    audio: crypto.createHash('sha256').update(audio).digest('hex'),
+    contentType,
+    language: language || null,
+  };
+}
+
+class RecordingSTTProvider {
+  constructor(provider, store) {
+    this.provider = provider;
+    this.store = store;
+    this.name = provider.name;
+    this.model = provider.model;
+  }
+
+  isConfigured() {
+    return this.provider.isConfigured();
+  }
+
+  async transcribe(audio, options) {
+    const result = await this.provider.transcribe(audio, options);
+    await this.store.write('stt', sttRequest(audio, options), {
+      provider: this.name,
+      model: this.model,
+      response: { transcript: result.transcript, confidence: result.confidence, alternatives: result.alternatives },
+    });
+    return result;
+  }
+}
+
+class ReplaySTTProvider {
+  constructor(store) {
+    this.store = store;
+    this.name = 'replay';
+    this.model = 'fixtures';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async transcribe(audio, options) {
+    const fixture = await this.store.read('stt', sttRequest(audio, options));
+    return { ...fixture.response, provider: fixture.provider, model: fixture.model };
+  }
+}
+
+/**
+ * Apply PROVIDER_MODE to a speech-to-text client's providers.
+ */
+function applySTTProviderMode(stt, mode, store) {
+  if (mode === 'record') {
+    stt.providers = stt.providers.map((provider) => new RecordingSTTProvider(provider, store));
+  } else if (mode === 'replay') {
+    stt.providers = [new ReplaySTTProvider(store)];
+  }
+  return stt;
+}
+
+/**
+ * The MissingFixtureError behind an error, if any.
+ */
+function missingFixture(error) {
+  if (error instanceof MissingFixtureError) return error;
+  return error && error.missingFixture instanceof MissingFixtureError ? error.missingFixture : null;
+}
+
+module.exports = {
+  PROVIDER_MODES,
+  MissingFixtureError,
+  FixtureStore,
+  RecordingProvider,
+  ReplayProvider,
+  RecordingSTTProvider,
+  ReplaySTTProvider,
+  applyProviderMode,
+  applySTTProviderMode,
+  fixtureKey,
+  missingFixture,
+  normalizeText,
+};
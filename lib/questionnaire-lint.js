@@ -0,0 +1,534 @@
+/**
+ * Questionnaire Linter
+ *
+ * Checks a decision tree (protective_underwriting_decision_tree.json format)
+ * or a question script (the QUESTIONS format: requires / onNo / followups)
+ * for definitions that would break or silently change the interview, and
+ * the underwriting rules that read its answers.
+ */
+
+const {
+  compileDecisionTree,
+  parseTrigger,
+  collectReferences,
+} = require('../public/lib/decision-tree');
+
+// Answer categories shared by both formats, used for type checks.
+const TREE_CATEGORIES = {
+  boolean: 'boolean',
+  single_select: 'choice',
+  integer: 'number',
+  decimal: 'number',
+  date: 'date',
+  text: 'text',
+};
+
+const SCRIPT_CATEGORIES = {
+  yes_no: 'boolean',
+  choice: 'choice',
+  number: 'number',
+  date: 'date',
+  open: 'text',
+};
+
+function issue(severity, rule, id, message) {
+  return { severity, rule, id: id || null, message };
+}
+
+/**
+ * Normalize tree nodes into lint entries, in the order they will be asked.
+ */
+function entriesFromTree(tree) {
+  const nodes = Array.isArray(tree.nodes) ? tree.nodes : [];
+  let order = [];
+  try {
+    order = compileDecisionTree(tree).map((q) => q.id);
+  } catch (error) {
+    order = [];
+  }
+  const position = new Map(order.map((id, index) => [id, index]));
+
+  return nodes.map((node, index) => ({
+    index,
+    id: node.id,
+    section: node.section,
+    question: node.question,
+    rawType: node.answer_type,
+    category: TREE_CATEGORIES[node.answer_type],
+    choices: Array.isArray(node.options) ? node.options : null,
+    kind: node.type,
+    trigger: node.trigger,
+    children: node.children,
+    followups: node.followups,
+    min: node.min,
+    max: node.max,
+    unit: node.unit,
+    constraints: node.constraints,
+    position: position.has(node.id) ? position.get(node.id) : null,
+  }));
+}
+
+/**
+ * Normalize script questions into lint entries; array order is ask order.
+ */
+function entriesFromScript(questions) {
+  return questions.map((q, index) => ({
+    index,
+    id: q.id,
+    section: q.section,
+    question: q.question,
+    rawType: q.type,
+    category: SCRIPT_CATEGORIES[q.type],
+    choices: Array.isArray(q.choices) ? q.choices : null,
+    trigger: q.trigger,
+    requires: q.requires,
+    onNo: q.onNo,
+    followups: q.followups,
+    min: q.min,
+    max: q.max,
+    unit: q.unit,
+    constraints: q.constraints,
+    position: index,
+  }));
+}
+
+function flattenRequires(requires) {
+  if (!requires) return [];
+  if (requires.all || requires.any) {
+    return [].concat(requires.all || [], requires.any || []);
+  }
+  return Array.isArray(requires) ? requires : [requires];
+}
+
+function checkIdentity(entries, issues) {
+  const seenIds = new Map();
+  const seenText = new Map();
+
+  for (const entry of entries) {
+    if (!entry.id) {
+      issues.push(issue('error', 'missing-id', null, `Entry #${entry.index} has no id`));
+      continue;
+    }
+    if (seenIds.has(entry.id)) {
+      issues.push(issue('error', 'duplicate-id', entry.id, `Id "${entry.id}" is defined more than once`));
+    } else {
+      seenIds.set(entry.id, entry);
+    }
+
+    if (!entry.question || !String(entry.question).trim()) {
+      issues.push(issue('error', 'missing-question', entry.id, `"${entry.id}" has no question text`));
+      continue;
+    }
+    // Generic follow-ons ("What condition and date diagnosed?") legitimately
+    // repeat across sections, so duplicates only count within a section.
+    const textKey = `${entry.section || ''}\n${String(entry.question).trim().toLowerCase()}`;
+    if (seenText.has(textKey)) {
+      issues.push(issue(
+        'error',
+        'duplicate-question-text',
+        entry.id,
+        `"${entry.id}" asks the same question as "${seenText.get(textKey)}": "${entry.question}"`
+      ));
+    } else {
+      seenText.set(textKey, entry.id);
+    }
+  }
+
+  return seenIds;
+}
+
+function checkTypes(entries, issues, format) {
+  const knownTypes = format === 'tree' ? TREE_CATEGORIES : SCRIPT_CATEGORIES;
+  for (const entry of entries) {
+    if (!entry.id) continue;
+    if (!Object.prototype.hasOwnProperty.call(knownTypes, entry.rawType)) {
+      issues.push(issue(
+        'error',
+        'unknown-type',
+        entry.id,
+        `"${entry.id}" has unknown ${format === 'tree' ? 'answer_type' : 'type'} "${entry.rawType}"`
+      ));
+    }
+    if (entry.category === 'choice' && (!entry.choices || entry.choices.length === 0)) {
+      issues.push(issue(
+        'error',
+        'choice-without-choices',
+        entry.id,
+        `"${entry.id}" is a choice question with no ${format === 'tree' ? 'options' : 'choices'}`
+      ));
+    }
+    if (entry.followups) {
+      const max = entry.followups.max;
+      if (!Number.isInteger(max) || max <= 0) {
+        issues.push(issue('error', 'followups-without-max', entry.id, `"${entry.id}" has follow-ups without a positive integer max`));
+      }
+    }
+  }
+}
+
+/**
+ * Check that a comparison against an answer id uses a value of the right type.
+ */
+function checkComparison(entry, target, op, value, issues) {
+  const category = target.category;
+  const label = `"${entry.id}" compares "${target.id}" (${target.rawType})`;
+
+  if (op === 'CONTAINS') {
+    if (category === 'boolean' || category === 'number') {
+      issues.push(issue('error', 'trigger-type-mismatch', entry.id, `${label} with CONTAINS`));
+    }
+    return;
+  }
+  if (value === null || value === undefined) return;
+
+  if (typeof value === 'boolean' && category !== 'boolean') {
+    issues.push(issue('error', 'trigger-type-mismatch', entry.id, `${label} against ${value}`));
+    return;
+  }
+  if (['<', '<=', '>', '>='].includes(op) && category !== 'number' && category !== 'date') {
+    issues.push(issue('error', 'trigger-type-mismatch', entry.id, `${label} with ${op}`));
+    return;
+  }
+  if (typeof value === 'number' && category !== 'number') {
+    issues.push(issue('error', 'trigger-type-mismatch', entry.id, `${label} against the number ${value}`));
+    return;
+  }
+  if (typeof value === 'string') {
+    if (category === 'boolean' && !['YES', 'NO'].includes(value.toUpperCase())) {
+      issues.push(issue('error', 'trigger-type-mismatch', entry.id, `${label} against "${value}"; use YES/NO or true/false`));
+    } else if (category === 'number' && !Number.isFinite(Number(value))) {
+      issues.push(issue('error', 'trigger-type-mismatch', entry.id, `${label} against "${value}"`));
+    } else if (category === 'choice' && target.choices
+      && !target.choices.some((choice) => String(choice).toLowerCase() === value.toLowerCase())) {
+      issues.push(issue('error', 'trigger-type-mismatch', entry.id, `${label} against "${value}", which is not one of its choices`));
+    }
+  }
+}
+
+/**
+ * Every id a question depends on must exist and be asked before it.
+ */
+function checkDependency(entry, dependencyId, byId, issues, via) {
+  const target = byId.get(dependencyId);
+  if (!target) {
+    issues.push(issue('error', 'unknown-reference', entry.id, `"${entry.id}" ${via} references unknown id "${dependencyId}"`));
+    return null;
+  }
+  if (dependencyId === entry.id) {
+    issues.push(issue('error', 'self-reference', entry.id, `"${entry.id}" ${via} references itself`));
+    return null;
+  }
+  if (entry.position !== null && target.position !== null && target.position > entry.position) {
+    issues.push(issue(
+      'error',
+      'forward-reference',
+      entry.id,
+      `"${entry.id}" ${via} depends on "${dependencyId}", which is only asked later`
+    ));
+  }
+  return target;
+}
+
+function checkTriggers(entries, byId, issues) {
+  for (const entry of entries) {
+    if (!entry.id || entry.trigger === undefined || entry.trigger === null) continue;
+    if (typeof entry.trigger === 'boolean') continue;
+
+    let ast;
+    try {
+      ast = parseTrigger(entry.trigger);
+    } catch (error) {
+      issues.push(issue('error', 'trigger-syntax', entry.id, `"${entry.id}" trigger is invalid: ${error.message}`));
+      continue;
+    }
+
+    for (const ref of collectReferences(ast)) {
+      const target = checkDependency(entry, ref.id, byId, issues, 'trigger');
+      if (target) checkComparison(entry, target, ref.op, ref.value, issues);
+    }
+  }
+}
+
+/**
+ * Constraints may reference any question, earlier or later (they are
+ * checked once all their answers are in), but the ids must exist and the
+ * rule must parse. "today" is a reserved name for the current date.
+ */
+function checkConstraints(entries, byId, issues) {
+  const seen = new Map();
+  for (const entry of entries) {
+    if (!entry.id || entry.constraints === undefined) continue;
+    if (!Array.isArray(entry.constraints)) {
+      issues.push(issue('error', 'invalid-constraint', entry.id, `"${entry.id}" constraints must be an array`));
+      continue;
+    }
+
+    for (const constraint of entry.constraints) {
+      if (!constraint || !constraint.id || typeof constraint.rule !== 'string' || !constraint.rule.trim()) {
+        issues.push(issue('error', 'invalid-constraint', entry.id, `"${entry.id}" has a constraint without an id and rule`));
+        continue;
+      }
+      if (seen.has(constraint.id)) {
+        issues.push(issue(
+          'error',
+          'duplicate-constraint-id',
+          entry.id,
+          `Constraint "${constraint.id}" on "${entry.id}" is also defined on "${seen.get(constraint.id)}"`
+        ));
+      } else {
+        seen.set(constraint.id, entry.id);
+      }
+
+      let ast;
+      try {
+        ast = parseTrigger(constraint.rule);
+      } catch (error) {
+        issues.push(issue('error', 'constraint-syntax', entry.id, `"${entry.id}" constraint "${constraint.id}" is invalid: ${error.message}`));
+        continue;
+      }
+
+      const refs = collectReferences(ast).filter((ref) => ref.id !== 'today');
+      if (refs.length === 0) {
+        issues.push(issue('error', 'invalid-constraint', entry.id, `"${entry.id}" constraint "${constraint.id}" references no answers`));
+      }
+      for (const ref of refs) {
+        const target = byId.get(ref.id);
+        if (!target) {
+          issues.push(issue(
+            'error',
+            'unknown-reference',
+            entry.id,
+            `"${entry.id}" constraint "${constraint.id}" references unknown id "${ref.id}"`
+          ));
+          continue;
+        }
+        checkComparison(entry, target, ref.op, ref.value, issues);
+      }
+    }
+  }
+}
+
+function checkRequires(entries, byId, issues) {
+  for (const entry of entries) {
+    if (!entry.id) continue;
+
+    for (const req of flattenRequires(entry.requires)) {
+      if (!req || !req.id) {
+        issues.push(issue('error', 'invalid-requires', entry.id, `"${entry.id}" has a requires entry without an id`));
+        continue;
+      }
+      const target = checkDependency(entry, req.id, byId, issues, 'requires');
+      if (!target) continue;
+      if (req.answer !== undefined) checkComparison(entry, target, '==', req.answer, issues);
+      if (req.contains !== undefined) checkComparison(entry, target, 'CONTAINS', req.contains, issues);
+    }
+
+    if (entry.onNo !== undefined && entry.onNo !== 'END') {
+      const target = byId.get(entry.onNo);
+      if (!target) {
+        issues.push(issue('error', 'unknown-reference', entry.id, `"${entry.id}" onNo targets unknown id "${entry.onNo}"`));
+      } else if (target.position <= entry.position) {
+        issues.push(issue('error', 'backward-skip', entry.id, `"${entry.id}" onNo jumps back to "${entry.onNo}"`));
+      }
+    }
+    if (entry.onNo !== undefined && entry.category !== 'boolean') {
+      issues.push(issue('warning', 'onno-on-non-boolean', entry.id, `"${entry.id}" has onNo but is not a yes/no question`));
+    }
+  }
+}
+
+function checkTreeStructure(tree, entries, byId, issues) {
+  const roots = Array.isArray(tree.root_nodes) ? tree.root_nodes : [];
+  if (roots.length === 0) {
+    issues.push(issue('error', 'missing-roots', null, 'Tree has no root_nodes'));
+  }
+  for (const rootId of roots) {
+    if (!byId.has(rootId)) {
+      issues.push(issue('error', 'unknown-reference', rootId, `root_nodes references unknown id "${rootId}"`));
+    }
+  }
+
+  for (const entry of entries) {
+    if (!entry.id) continue;
+    for (const childId of entry.children || []) {
+      if (!byId.has(childId)) {
+        issues.push(issue('error', 'unknown-reference', entry.id, `"${entry.id}" children references unknown id "${childId}"`));
+      }
+    }
+    if (entry.kind === 'follow_on' && (entry.trigger === undefined || entry.trigger === null || entry.trigger === '')) {
+      issues.push(issue('error', 'missing-trigger', entry.id, `"${entry.id}" is a follow_on node without a trigger`));
+    }
+    if (entry.position === null && byId.get(entry.id) === entry) {
+      issues.push(issue('error', 'unreachable', entry.id, `"${entry.id}" is not reachable from root_nodes`));
+    }
+  }
+}
+
+const ISO_DATE_PATTERN = /^\d{4}(?:-\d{2}(?:-\d{2})?)?$/;
+
+function isDateLimit(value) {
+  return value === 'today' || (typeof value === 'string' && ISO_DATE_PATTERN.test(value));
+}
+
+/**
+ * min / max / unit only make sense on number and date questions, and the
+ * limits must be of the question's kind and in order.
+ */
+function checkRanges(entries, issues) {
+  for (const entry of entries) {
+    if (!entry.id) continue;
+    const limits = ['min', 'max'].filter((key) => entry[key] !== undefined && entry[key] !== null);
+    if (limits.length === 0 && entry.unit === undefined) continue;
+
+    if (entry.category !== 'number' && entry.category !== 'date') {
+      issues.push(issue('error', 'invalid-range', entry.id, `"${entry.id}" has min/max/unit but is not a number or date question`));
+      continue;
+    }
+    if (entry.unit !== undefined && (typeof entry.unit !== 'string' || !entry.unit.trim())) {
+      issues.push(issue('error', 'invalid-range', entry.id, `"${entry.id}" unit must be a non-empty string`));
+    }
+
+    const valid = entry.category === 'number' ? Number.isFinite : isDateLimit;
+    const expected = entry.category === 'number' ? 'a number' : 'an ISO date or "today"';
+    let bad = false;
+    for (const key of limits) {
+      if (!valid(entry[key])) {
+        issues.push(issue('error', 'invalid-range', entry.id, `"${entry.id}" ${key} must be ${expected}`));
+        bad = true;
+      }
+    }
+    if (bad || limits.length < 2) continue;
+
+    const outOfOrder = entry.category === 'number'
+      ? entry.min > entry.max
+      : entry.min !== 'today' && entry.max !== 'today' && entry.min > entry.max;
+    if (outOfOrder) {
+      issues.push(issue('error', 'invalid-range', entry.id, `"${entry.id}" min ${entry.min} is greater than max ${entry.max}`));
+    }
+  }
+}
+
+/**
+ * Lint a decision tree. Returns a list of { severity, rule, id, message }.
+ */
+function lintDecisionTree(tree) {
+  if (!tree || !Array.isArray(tree.nodes)) {
+    return [issue('error', 'invalid-document', null, 'Decision tree must have a nodes array')];
+  }
+  const issues = [];
+  const entries = entriesFromTree(tree);
+  const byId = checkIdentity(entries, issues);
+  checkTypes(entries, issues, 'tree');
+  checkRanges(entries, issues);
+  checkTreeStructure(tree, entries, byId, issues);
+  checkTriggers(entries, byId, issues);
+  checkConstraints(entries, byId, issues);
+  return issues;
+}
+
+/**
+ * Lint a question script (array of questions, or { questions: [...] }).
+ */
+function lintQuestionScript(script) {
+  const questions = Array.isArray(script) ? script : script && script.questions;
+  if (!Array.isArray(questions)) {
+    return [issue('error', 'invalid-document', null, 'Question script must be an array or have a questions array')];
+  }
+  const issues = [];
+  const entries = entriesFromScript(questions);
+  const byId = checkIdentity(entries, issues);
+  checkTypes(entries, issues, 'script');
+  checkRanges(entries, issues);
+  checkTriggers(entries, byId, issues);
+  checkConstraints(entries, byId, issues);
+  checkRequires(entries, byId, issues);
+  return issues;
+}
+
+/**
+ * Lint an underwriting rules file (underwriting_rules.json) against the
+ * decision tree whose answers it reads.
+ */
+function lintUnderwritingRules(rules, tree) {
+  if (!rules || !Array.isArray(rules.rules)) {
+    return [issue('error', 'invalid-document', null, 'Underwriting rules must have a rules array')];
+  }
+  const issues = [];
+  const classes = Array.isArray(rules.risk_classes) ? rules.risk_classes : [];
+  if (classes.length === 0) {
+    issues.push(issue('error', 'invalid-document', null, 'Underwriting rules must list risk_classes'));
+  }
+  if (rules.default_class !== undefined && !classes.includes(rules.default_class)) {
+    issues.push(issue('error', 'unknown-class', null, `default_class "${rules.default_class}" is not one of risk_classes`));
+  }
+
+  const byId = new Map(tree ? entriesFromTree(tree).map((entry) => [entry.id, entry]) : []);
+  const defaultClasses = { referral: 'Refer', knockout: 'Decline' };
+  const seen = new Set();
+
+  for (const rule of rules.rules) {
+    const id = rule && rule.id;
+    if (!id) {
+      issues.push(issue('error', 'missing-id', null, 'Underwriting rule has no id'));
+      continue;
+    }
+    if (seen.has(id)) {
+      issues.push(issue('error', 'duplicate-id', id, `Duplicate underwriting rule id "${id}"`));
+    }
+    seen.add(id);
+
+    if (!['rating', 'referral', 'knockout'].includes(rule.kind)) {
+      issues.push(issue('error', 'invalid-rule', id, `"${id}" has unknown kind "${rule.kind}"`));
+    }
+    const ruleClass = rule.class || defaultClasses[rule.kind];
+    if (!ruleClass) {
+      issues.push(issue('error', 'invalid-rule', id, `"${id}" is a rating rule without a class`));
+    } else if (!classes.includes(ruleClass)) {
+      issues.push(issue('error', 'unknown-class', id, `"${id}" assigns "${ruleClass}", which is not one of risk_classes`));
+    }
+
+    if (typeof rule.when !== 'string' || !rule.when.trim()) {
+      issues.push(issue('error', 'invalid-rule', id, `"${id}" has no when expression`));
+      continue;
+    }
+    let ast;
+    try {
+      ast = parseTrigger(rule.when);
+    } catch (error) {
+      issues.push(issue('error', 'trigger-syntax', id, `"${id}" when is invalid: ${error.message}`));
+      continue;
+    }
+    if (!tree) continue;
+
+    for (const ref of collectReferences(ast)) {
+      const target = byId.get(ref.id);
+      if (!target) {
+        issues.push(issue('error', 'unknown-reference', id, `"${id}" references unknown id "${ref.id}"`));
+        continue;
+      }
+      checkComparison({ id }, target, ref.op, ref.value, issues);
+    }
+  }
+  return issues;
+}
+
+/**
+ * Detect the document format and lint it. Underwriting rules are checked
+ * against options.tree when one is given.
+ */
+function lintQuestionnaire(document, options = {}) {
+  if (document && !Array.isArray(document) && Array.isArray(document.nodes)) {
+    return { format: 'tree', issues: lintDecisionTree(document) };
+  }
+  if (document && !Array.isArray(document) && Array.isArray(document.rules)) {
+    return { format: 'underwriting', issues: lintUnderwritingRules(document, options.tree) };
+  }
+  return { format: 'script', issues: lintQuestionScript(document) };
+}
+
+module.exports = {
+  lintDecisionTree,
+  lintQuestionScript,
+  lintUnderwritingRules,
+  lintQuestionnaire,
+};
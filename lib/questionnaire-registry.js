@@ -0,0 +1,816 @@
+/**
+ * Questionnaire Registry
+ *
+ * The question scripts applicants are interviewed with, and every version
+ * of them that was ever used. A script is edited as a draft (the questions
+ * with their requires / onNo / trigger, followups and translations), then
+ * published as a numbered version that never changes again. One version is
+ * active: new sessions are pinned to it ({ id, version } on the session) and
+ * keep it until they finish or are migrated, so the wording an applicant
+ * heard can always be looked up.
+ *
+ * Publishing records how the question ids changed since the previous
+ * version (renamed, removed, added). Migrating a session to a newer version
+ * follows those renames, drops answers to questions that no longer exist
+ * and lets the flow pick the question due.
+ *
+ * Stored as:
+ *
+ *   <id>/questionnaire.json     title, active and latest version, draft
+ *   <id>/versions/<n>.json      a published version
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { compileDecisionTree } = require('../public/lib/decision-tree');
+const { lintQuestionScript } = require('./questionnaire-lint');
+
+const QUESTIONNAIRE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const MAX_TITLE_LENGTH = 200;
+const MAX_NOTES_LENGTH = 2000;
+const MIGRATABLE_STATUSES = ['active', 'paused'];
+
+class QuestionnaireError extends Error {
+  constructor(message, status = 400, details = null) {
+    super(message);
+    this.name = 'QuestionnaireError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function isValidQuestionnaireId(id) {
+  return typeof id === 'string' && QUESTIONNAIRE_ID_PATTERN.test(id);
+}
+
+function copy(value) {
+  return value === null || value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+/**
+ * Keeps scripts in process memory; everything is lost on restart.
+ */
+class MemoryQuestionnaireStore {
+  constructor() {
+    this.scripts = new Map();
+    this.versions = new Map();
+  }
+
+  async getScript(id) {
+    return copy(this.scripts.get(id) || null);
+  }
+
+  async putScript(record) {
+    this.scripts.set(record.id, copy(record));
+    return record;
+  }
+
+  async deleteScript(id) {
+    for (const key of this.versions.keys()) {
+      if (key.startsWith(`${id}@`)) this.versions.delete(key);
+    }
+    return this.scripts.delete(id);
+  }
+
+  async listScripts() {
+    return Array.from(this.scripts.values()).map(copy);
+  }
+
+  async getVersion(id, version) {
+    return copy(this.versions.get(`${id}@${version}`) || null);
+  }
+
+  async putVersion(document) {
+    const key = `${document.questionnaireId}@${document.version}`;
+    if (this.versions.has(key)) throw new Error(`Version ${key} already exists`);
+    this.versions.set(key, copy(document));
+    return document;
+  }
+}
+
+/**
+ * One directory per script. Versions are written once (never replaced) and
+ * the script record through a temp file and a rename.
+ */
+class FileQuestionnaireStore {
+  constructor(directory) {
+    this.directory = directory;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  scriptDirectory(id) {
+    if (!isValidQuestionnaireId(id)) throw new Error(`Invalid questionnaire id: ${id}`);
+    return path.join(this.directory, id);
+  }
+
+  async readJson(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async getScript(id) {
+    if (!isValidQuestionnaireId(id)) return null;
+    return this.readJson(path.join(this.scriptDirectory(id), 'questionnaire.json'));
+  }
+
+  async putScript(record) {
+    const directory = this.scriptDirectory(record.id);
+    await fs.promises.mkdir(path.join(directory, 'versions'), { recursive: true });
+    const target = path.join(directory, 'questionnaire.json');
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(record, null, 2));
+    await fs.promises.rename(temp, target);
+    return record;
+  }
+
+  async deleteScript(id) {
+    if (!isValidQuestionnaireId(id)) return false;
+    const directory = this.scriptDirectory(id);
+    if (!fs.existsSync(directory)) return false;
+    await fs.promises.rm(directory, { recursive: true, force: true });
+    return true;
+  }
+
+  async listScripts() {
+    const entries = await fs.promises.readdir(this.directory, { withFileTypes: true });
+    const scripts = [];
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+      const record = await this.getScript(entry.name);
+      if (record) scripts.push(record);
+    }
+    return scripts;
+  }
+
+  async getVersion(id, version) {
+    if (!isValidQuestionnaireId(id) || !Number.isInteger(version)) return null;
+    return this.readJson(path.join(this.scriptDirectory(id), 'versions', `${version}.json`));
+  }
+
+  async putVersion(document) {
+    const directory = path.join(this.scriptDirectory(document.questionnaireId), 'versions');
+    await fs.promises.mkdir(directory, { recursive: true });
+    // 'wx' fails when the version exists: published versions are never rewritten
+    await fs.promises.writeFile(path.join(directory, `${document.version}.json`), JSON.stringify(document, null, 2), { flag: 'wx' });
+    return document;
+  }
+}
+
+/**
+ * Build the store named by config.questionnaires.store ("file" or "memory").
+ */
+function createQuestionnaireStore(questionnaireConfig) {
+  switch (questionnaireConfig.store) {
+    case 'memory':
+      return new MemoryQuestionnaireStore();
+    case 'file':
+      return new FileQuestionnaireStore(questionnaireConfig.directory);
+    default:
+      throw new Error(`Unknown questionnaire store "${questionnaireConfig.store}"`);
+  }
+}
+
+// ============================================================================
+// DOCUMENTS
+// ============================================================================
+
+/**
+ * The questions of an uploaded document: a decision tree is compiled, a
+ * question script (an array, or { questions }) is taken as is.
+ */
+function questionsFromDocument(document) {
+  if (document && !Array.isArray(document) && Array.isArray(document.nodes)) {
+    try {
+      return compileDecisionTree(document);
+    } catch (error) {
+      throw new QuestionnaireError(`Decision tree could not be compiled: ${error.message}`);
+    }
+  }
+  const questions = Array.isArray(document) ? document : document && document.questions;
+  if (!Array.isArray(questions)) {
+    throw new QuestionnaireError('Expected a decision tree, an array of questions or { questions: [...] }');
+  }
+  questions.forEach(checkQuestion);
+  return questions;
+}
+
+/**
+ * The minimum a question needs to be stored; everything else is left to
+ * the linter, whose issues come back with every draft change.
+ */
+function checkQuestion(question) {
+  if (!question || typeof question !== 'object' || Array.isArray(question)) {
+    throw new QuestionnaireError('Each question must be an object');
+  }
+  if (typeof question.id !== 'string' || !question.id.trim()) {
+    throw new QuestionnaireError('Each question needs an id');
+  }
+  if (typeof question.question !== 'string' || !question.question.trim()) {
+    throw new QuestionnaireError(`"${question.id}" needs question text`);
+  }
+}
+
+function checksum(questions) {
+  return crypto.createHash('sha256').update(JSON.stringify(questions)).digest('hex');
+}
+
+function cleanString(value, maxLength) {
+  return typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : null;
+}
+
+/**
+ * How question ids changed from one version to the next. renamed maps old
+ * ids to new ones and must only name ids that exist on each side.
+ */
+function describeChanges(previousQuestions, questions, renamed = {}) {
+  if (!renamed || typeof renamed !== 'object' || Array.isArray(renamed)) {
+    throw new QuestionnaireError('renamed must map old question ids to new ones');
+  }
+  const before = new Set(previousQuestions.map((q) => q.id));
+  const after = new Set(questions.map((q) => q.id));
+  for (const [from, to] of Object.entries(renamed)) {
+    if (!before.has(from)) throw new QuestionnaireError(`renamed: "${from}" is not in the previous version`);
+    if (!after.has(to)) throw new QuestionnaireError(`renamed: "${to}" is not in the draft`);
+  }
+  const renamedTo = new Set(Object.values(renamed));
+  return {
+    renamed: { ...renamed },
+    removed: [...before].filter((id) => !after.has(id) && !(id in renamed)),
+    added: [...after].filter((id) => !before.has(id) && !renamedTo.has(id)),
+  };
+}
+
+/**
+ * What the applicant's page gets: the questions and which version they are.
+ */
+function publicVersion(document) {
+  return {
+    id: document.questionnaireId,
+    version: document.version,
+    title: document.title,
+    carrier: document.carrier,
+    publishedAt: document.publishedAt,
+    questions: document.questions,
+  };
+}
+
+function summarizeVersion(document, activeVersion) {
+  return {
+    version: document.version,
+    active: document.version === activeVersion,
+    questionCount: document.questions.length,
+    notes: document.notes,
+    changes: document.changes,
+    publishedBy: document.publishedBy,
+    publishedAt: document.publishedAt,
+    checksum: document.checksum,
+  };
+}
+
+// ============================================================================
+// MIGRATION
+// ============================================================================
+
+/**
+ * Move a session's answers onto another version's questions: ids follow
+ * the renames, answers (and follow-ups) to questions the version no longer
+ * has are dropped, and a pending conflict over a dropped question is
+ * closed as unresolved. Returns what changed; the session is edited in
+ * place.
+ */
+function migrateSession(session, target, renamed) {
+  const ids = new Set(target.questions.map((q) => q.id));
+  const applied = {};
+  const dropped = {};
+  const rename = (id) => renamed[id] || id;
+
+  const answers = {};
+  for (const [id, answer] of Object.entries(session.answers || {})) {
+    const newId = rename(id);
+    if (!ids.has(newId)) {
+      dropped[id] = answer;
+      continue;
+    }
+    if (newId !== id) applied[id] = newId;
+    answers[newId] = answer;
+  }
+
+  const followups = {};
+  for (const [id, entry] of Object.entries(session.followups || {})) {
+    if (ids.has(rename(id))) followups[rename(id)] = entry;
+  }
+
+  const current = session.currentQuestionId ? rename(session.currentQuestionId) : null;
+  const pending = (session.conflicts || []).find((conflict) => conflict.id === session.pendingConflictId);
+  if (pending && !pending.questionIds.every((id) => ids.has(rename(id)))) {
+    pending.resolution = 'unresolved';
+    pending.resolvedAt = new Date().toISOString();
+    session.pendingConflictId = null;
+  } else if (pending) {
+    pending.questionIds = pending.questionIds.map(rename);
+    pending.answers = Object.fromEntries(Object.entries(pending.answers).map(([id, answer]) => [rename(id), answer]));
+    pending.answeredQuestionId = rename(pending.answeredQuestionId);
+  }
+
+  const from = session.questionnaire ? session.questionnaire.version : null;
+  session.answers = answers;
+  session.followups = followups;
+  session.currentQuestionId = current && ids.has(current) ? current : null;
+  session.currentQuestionIndex = session.currentQuestionId
+    ? target.questions.findIndex((q) => q.id === session.currentQuestionId)
+    : -1;
+  session.questionnaire = { id: target.questionnaireId, version: target.version };
+  return {
+    from,
+    to: target.version,
+    renamed: applied,
+    droppedAnswers: dropped,
+    currentQuestionId: session.currentQuestionId,
+    at: new Date().toISOString(),
+  };
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+class QuestionnaireRegistry {
+  /**
+   * defaultId is the script new sessions are interviewed with.
+   */
+  constructor(store, { defaultId }) {
+    this.store = store;
+    this.defaultId = defaultId;
+    this.versionCache = new Map();
+    this.activeCache = new Map();
+    this.locks = new Map();
+  }
+
+  /**
+   * Run changes to one script one at a time.
+   */
+  withLock(id, fn) {
+    const previous = this.locks.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(fn);
+    this.locks.set(id, next);
+    return next.finally(() => {
+      if (this.locks.get(id) === next) this.locks.delete(id);
+    });
+  }
+
+  async require(id) {
+    const record = await this.store.getScript(id);
+    if (!record) throw new QuestionnaireError('Questionnaire not found', 404);
+    return record;
+  }
+
+  /**
+   * Load a script, let fn change it, then save it, under the script's lock.
+   */
+  change(id, fn) {
+    return this.withLock(id, async () => {
+      const record = await this.require(id);
+      const result = await fn(record);
+      record.updatedAt = new Date().toISOString();
+      await this.store.putScript(record);
+      return result === undefined ? record : result;
+    });
+  }
+
+  // ==========================================================================
+  // SCRIPTS
+  // ==========================================================================
+
+  async list() {
+    const records = await this.store.listScripts();
+    return records
+      .map((record) => ({
+        id: record.id,
+        title: record.title,
+        activeVersion: record.activeVersion,
+        latestVersion: record.latestVersion,
+        hasDraft: !!record.draft,
+        default: record.id === this.defaultId,
+        updatedAt: record.updatedAt,
+      }))
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  /**
+   * A script with its draft and the summary of every published version.
+   */
+  async get(id) {
+    const record = await this.require(id);
+    const versions = [];
+    for (let version = 1; version <= record.latestVersion; version += 1) {
+      const document = await this.version(id, version);
+      if (document) versions.push(summarizeVersion(document, record.activeVersion));
+    }
+    return { ...record, default: record.id === this.defaultId, versions };
+  }
+
+  /**
+   * Create a script ({ id, title }), with a draft when a document is given.
+   */
+  create({ id, title, document } = {}) {
+    if (!isValidQuestionnaireId(id)) {
+      throw new QuestionnaireError('id must be lowercase letters, digits, "-" or "_" (at most 64)');
+    }
+    return this.withLock(id, async () => {
+      if (await this.store.getScript(id)) throw new QuestionnaireError('Questionnaire already exists', 409);
+      const now = new Date().toISOString();
+      const record = {
+        id,
+        title: cleanString(title, MAX_TITLE_LENGTH) || id,
+        activeVersion: null,
+        latestVersion: 0,
+        draft: document === undefined ? null : this.buildDraft(document, null),
+        createdAt: now,
+        updatedAt: now,
+      };
+      await this.store.putScript(record);
+      return record;
+    });
+  }
+
+  rename(id, { title } = {}) {
+    const cleaned = cleanString(title, MAX_TITLE_LENGTH);
+    if (!cleaned) throw new QuestionnaireError('title is required');
+    return this.change(id, (record) => {
+      record.title = cleaned;
+    });
+  }
+
+  /**
+   * Delete a script. Published versions are the record of what applicants
+   * were asked, so only scripts that were never published can go.
+   */
+  remove(id) {
+    return this.withLock(id, async () => {
+      const record = await this.require(id);
+      if (record.latestVersion > 0) {
+        throw new QuestionnaireError('Published questionnaires cannot be deleted', 409);
+      }
+      return this.store.deleteScript(id);
+    });
+  }
+
+  // ==========================================================================
+  // DRAFTS
+  // ==========================================================================
+
+  buildDraft(document, basedOn) {
+    const questions = questionsFromDocument(document);
+    return {
+      carrier: (document && document.carrier) || null,
+      sourceVersion: (document && !Array.isArray(document) && document.version) || null,
+      questions,
+      basedOn,
+      updatedAt: new Date().toISOString(),
+    };
+  }
+
+  /**
+   * The script's draft, starting one from the latest version when there is
+   * none.
+   */
+  async openDraft(record) {
+    if (record.draft) return record.draft;
+    const latest = record.latestVersion ? await this.version(record.id, record.latestVersion) : null;
+    record.draft = {
+      carrier: latest ? latest.carrier : null,
+      sourceVersion: latest ? latest.sourceVersion : null,
+      questions: latest ? copy(latest.questions) : [],
+      basedOn: latest ? latest.version : null,
+      updatedAt: new Date().toISOString(),
+    };
+    return record.draft;
+  }
+
+  /**
+   * The draft and what the linter says about it, or null without a draft.
+   */
+  async draft(id) {
+    const record = await this.require(id);
+    return record.draft ? { ...record.draft, issues: lintQuestionScript(record.draft.questions) } : null;
+  }
+
+  /**
+   * Replace the draft with a document (decision tree or question script).
+   */
+  saveDraft(id, document) {
+    return this.change(id, (record) => {
+      record.draft = this.buildDraft(document, record.latestVersion || null);
+      return { ...record.draft, issues: lintQuestionScript(record.draft.questions) };
+    });
+  }
+
+  discardDraft(id) {
+    return this.change(id, (record) => {
+      if (!record.draft) throw new QuestionnaireError('There is no draft', 404);
+      record.draft = null;
+    });
+  }
+
+  /**
+   * Add or replace one question of the draft. A new question goes after
+   * the question `after` (or before `before`), else at the end; naming a
+   * position moves an existing question.
+   */
+  putQuestion(id, questionId, question, { after = null, before = null } = {}) {
+    const entry = { ...question, id: questionId };
+    checkQuestion(entry);
+    return this.change(id, async (record) => {
+      const draft = await this.openDraft(record);
+      const questions = [...draft.questions];
+      const existing = questions.findIndex((q) => q.id === questionId);
+      const anchor = after || before;
+
+      if (existing !== -1 && !anchor) {
+        questions[existing] = entry;
+      } else {
+        if (existing !== -1) questions.splice(existing, 1);
+        let index = questions.length;
+        if (anchor) {
+          const anchorIndex = questions.findIndex((q) => q.id === anchor);
+          if (anchorIndex === -1) throw new QuestionnaireError(`"${anchor}" is not in the draft`);
+          index = after ? anchorIndex + 1 : anchorIndex;
+        }
+        questions.splice(index, 0, entry);
+      }
+      draft.questions = questions;
+      draft.updatedAt = new Date().toISOString();
+      return { question: entry, issues: lintQuestionScript(questions) };
+    });
+  }
+
+  removeQuestion(id, questionId) {
+    return this.change(id, async (record) => {
+      const draft = await this.openDraft(record);
+      if (!draft.questions.some((q) => q.id === questionId)) {
+        throw new QuestionnaireError(`"${questionId}" is not in the draft`, 404);
+      }
+      draft.questions = draft.questions.filter((q) => q.id !== questionId);
+      draft.updatedAt = new Date().toISOString();
+      return { issues: lintQuestionScript(draft.questions) };
+    });
+  }
+
+  // ==========================================================================
+  // VERSIONS
+  // ==========================================================================
+
+  /**
+   * Publish the draft as the next version ({ notes, publishedBy, renamed,
+   * activate }). Drafts with lint errors are refused. The new version
+   * becomes the active one unless activate is false.
+   */
+  async publish(id, { notes, publishedBy, renamed = {}, activate = true } = {}) {
+    const result = await this.change(id, async (record) => {
+      if (!record.draft) throw new QuestionnaireError('There is no draft to publish', 409);
+      const { questions } = record.draft;
+      if (questions.length === 0) throw new QuestionnaireError('The draft has no questions', 422);
+      const issues = lintQuestionScript(questions);
+      if (issues.some((issue) => issue.severity === 'error')) {
+        throw new QuestionnaireError('The draft has lint errors', 422, { issues });
+      }
+
+      const previous = record.latestVersion ? await this.version(id, record.latestVersion) : null;
+      const document = {
+        questionnaireId: id,
+        version: record.latestVersion + 1,
+        title: record.title,
+        carrier: record.draft.carrier,
+        sourceVersion: record.draft.sourceVersion,
+        questions,
+        notes: cleanString(notes, MAX_NOTES_LENGTH),
+        changes: previous ? describeChanges(previous.questions, questions, renamed || {}) : null,
+        basedOn: record.draft.basedOn,
+        publishedBy: cleanString(publishedBy, MAX_TITLE_LENGTH),
+        publishedAt: new Date().toISOString(),
+        checksum: checksum(questions),
+      };
+      await this.store.putVersion(document);
+
+      record.latestVersion = document.version;
+      if (activate !== false) record.activeVersion = document.version;
+      record.draft = null;
+      return { version: summarizeVersion(document, record.activeVersion), issues };
+    });
+    await this.refreshActive(id);
+    return result;
+  }
+
+  /**
+   * Make an earlier (or later) published version the one new sessions get.
+   */
+  async activate(id, version) {
+    const record = await this.change(id, async (current) => {
+      if (!Number.isInteger(version) || !(await this.version(id, version))) {
+        throw new QuestionnaireError('No such version', 404);
+      }
+      current.activeVersion = version;
+    });
+    await this.refreshActive(id);
+    return record;
+  }
+
+  async refreshActive(id) {
+    this.activeCache.delete(id);
+    return this.active(id);
+  }
+
+  /**
+   * A published version, or null. Versions never change, so they are
+   * cached once read.
+   */
+  async version(id, version) {
+    const key = `${id}@${version}`;
+    if (!this.versionCache.has(key)) {
+      const document = await this.store.getVersion(id, version);
+      if (!document) return null;
+      this.versionCache.set(key, document);
+    }
+    return this.versionCache.get(key);
+  }
+
+  /**
+   * The active version of a script (the default one without an id), or
+   * null when it has none.
+   */
+  async active(id = this.defaultId) {
+    if (!this.activeCache.has(id)) {
+      const record = await this.store.getScript(id);
+      if (!record || !record.activeVersion) return null;
+      this.activeCache.set(id, await this.version(id, record.activeVersion));
+    }
+    return this.activeCache.get(id);
+  }
+
+  /**
+   * The active version of the default script as last loaded, for callers
+   * that cannot wait (null before the first load).
+   */
+  cachedActive() {
+    return this.activeCache.get(this.defaultId) || null;
+  }
+
+  /**
+   * Every version loaded so far (the active ones and those the sessions
+   * seen by this process are pinned to), for callers that cannot wait.
+   */
+  cachedVersions() {
+    return [...this.versionCache.values()];
+  }
+
+  /**
+   * The active version of a script and every version an unfinished session
+   * is still pinned to, oldest first.
+   */
+  async versionsInUse(sessions, id = this.defaultId) {
+    const numbers = new Set();
+    const record = await this.store.getScript(id);
+    if (record && record.activeVersion) numbers.add(record.activeVersion);
+    for (const session of await sessions.list()) {
+      const pin = session.questionnaire;
+      if (pin && pin.id === id && session.status !== 'complete') numbers.add(pin.version);
+    }
+    const versions = await Promise.all([...numbers].sort((a, b) => a - b).map((version) => this.version(id, version)));
+    return versions.filter(Boolean);
+  }
+
+  async requireActive(id = this.defaultId) {
+    const document = await this.active(id);
+    if (!document) throw new QuestionnaireError('No published questionnaire is active', 503);
+    return document;
+  }
+
+  /**
+   * The version a session is pinned to. Sessions created before pinning
+   * follow the active version.
+   */
+  async forSession(session) {
+    if (!session.questionnaire) return this.requireActive();
+    const { id, version } = session.questionnaire;
+    const document = await this.version(id, version);
+    if (!document) throw new QuestionnaireError(`Questionnaire ${id} version ${version} is missing`, 500);
+    return document;
+  }
+
+  /**
+   * Create the default script from a document (the configured decision
+   * tree) and publish it as version 1, unless it already exists.
+   */
+  async seed(document, { notes } = {}) {
+    if (await this.store.getScript(this.defaultId)) {
+      await this.active();
+      return false;
+    }
+    await this.create({ id: this.defaultId, title: document.title || document.carrier || this.defaultId, document });
+    await this.publish(this.defaultId, { notes, publishedBy: 'seed' });
+    await this.active();
+    return true;
+  }
+
+  // ==========================================================================
+  // MIGRATION
+  // ==========================================================================
+
+  /**
+   * The renames from one version to a later one, composed across the
+   * versions in between.
+   */
+  async renamesBetween(id, fromVersion, toVersion) {
+    let renamed = {};
+    for (let version = fromVersion + 1; version <= toVersion; version += 1) {
+      const document = await this.version(id, version);
+      if (!document) throw new QuestionnaireError(`Questionnaire ${id} version ${version} is missing`, 500);
+      const step = document.changes ? document.changes.renamed : {};
+      const composed = {};
+      for (const [from, to] of Object.entries(renamed)) composed[from] = step[to] || to;
+      for (const [from, to] of Object.entries(step)) {
+        if (!Object.values(renamed).includes(from)) composed[from] = to;
+      }
+      renamed = composed;
+    }
+    return renamed;
+  }
+
+  /**
+   * Move sessions pinned to older versions of a script onto toVersion (the
+   * active version by default). Paused sessions are moved, and active ones
+   * nobody has touched for idleMinutes; naming sessionIds moves those
+   * regardless of how recently they were used. Finished sessions and
+   * sessions with an agent are left alone. With dryRun nothing is saved.
+   */
+  async migrateSessions(sessions, id, { toVersion, sessionIds = null, idleMinutes = 30, dryRun = false } = {}) {
+    const record = await this.require(id);
+    const targetVersion = toVersion === undefined || toVersion === null ? record.activeVersion : toVersion;
+    const target = Number.isInteger(targetVersion) ? await this.version(id, targetVersion) : null;
+    if (!target) throw new QuestionnaireError('No such version to migrate to', 404);
+    if (sessionIds !== null && !Array.isArray(sessionIds)) {
+      throw new QuestionnaireError('sessionIds must be an array');
+    }
+
+    const idleBefore = Date.now() - Math.max(0, Number(idleMinutes) || 0) * 60 * 1000;
+    const candidates = sessionIds
+      ? (await Promise.all(sessionIds.map((sessionId) => sessions.get(sessionId)))).filter(Boolean)
+      : await sessions.list();
+
+    const migrated = [];
+    const skipped = [];
+    for (const candidate of candidates) {
+      const pin = candidate.questionnaire;
+      if (!pin || pin.id !== id || pin.version >= target.version) {
+        if (sessionIds) skipped.push({ sessionId: candidate.id, reason: 'not on an older version' });
+        continue;
+      }
+      if (!MIGRATABLE_STATUSES.includes(candidate.status)) {
+        if (sessionIds || candidate.status === 'handoff') skipped.push({ sessionId: candidate.id, reason: candidate.status });
+        continue;
+      }
+      if (!sessionIds && candidate.status === 'active' && new Date(candidate.updatedAt).getTime() > idleBefore) {
+        skipped.push({ sessionId: candidate.id, reason: 'in use' });
+        continue;
+      }
+
+      const renamed = await this.renamesBetween(id, pin.version, target.version);
+      if (dryRun) {
+        migrated.push({ sessionId: candidate.id, ...migrateSession(copy(candidate), target, renamed) });
+        continue;
+      }
+      const result = await sessions.mutate(candidate.id, (session) => {
+        if (!session.questionnaire || session.questionnaire.version !== pin.version
+          || !MIGRATABLE_STATUSES.includes(session.status)) {
+          return null;
+        }
+        const change = migrateSession(session, target, renamed);
+        session.migrations = [...(session.migrations || []), change];
+        return change;
+      });
+      if (result) migrated.push({ sessionId: candidate.id, ...result });
+      else skipped.push({ sessionId: candidate.id, reason: 'changed while migrating' });
+    }
+    return { questionnaireId: id, toVersion: target.version, dryRun: !!dryRun, migrated, skipped };
+  }
+}
+
+module.exports = {
+  QuestionnaireRegistry,
+  QuestionnaireError,
+  MemoryQuestionnaireStore,
+  FileQuestionnaireStore,
+  createQuestionnaireStore,
+  isValidQuestionnaireId,
+  publicVersion,
+  migrateSession,
+};
@@ -0,0 +1,59 @@
+/**
+ * Questionnaire Loader
+ *
+ * Reads the underwriting decision tree and compiles it into the question
+ * script the frontend walks.
+ */
+
+const fs = require('fs');
+const config = require('./config');
+const { compileDecisionTree } = require('../public/lib/decision-tree');
+
+let questionnaireCache = null;
+
+/**
+ * Read the raw decision tree JSON.
+ */
+function loadDecisionTree(treePath = config.decisionTreePath) {
+  return JSON.parse(fs.readFileSync(treePath, 'utf8'));
+}
+
+/**
+ * A question script (an array of questions, or { questions: [...] } as
+ * written by the FHIR import) is served as is instead of compiled.
+ */
+function isQuestionScript(document) {
+  return Array.isArray(document) || (!!document && !Array.isArray(document.nodes) && Array.isArray(document.questions));
+}
+
+/**
+ * Load and compile the decision tree, recompiling whenever the file changes
+ * so underwriters can edit the JSON without restarting the server.
+ */
+function loadQuestionnaire() {
+  const stat = fs.statSync(config.decisionTreePath);
+  if (questionnaireCache && questionnaireCache.mtimeMs === stat.mtimeMs) {
+    return questionnaireCache.questionnaire;
+  }
+
+  const document = loadDecisionTree();
+  const questionnaire = isQuestionScript(document)
+    ? {
+      carrier: document.carrier || null,
+      version: document.version || null,
+      questions: Array.isArray(document) ? document : document.questions,
+    }
+    : {
+      carrier: document.carrier || null,
+      version: document.version || null,
+      questions: compileDecisionTree(document),
+    };
+  questionnaireCache = { mtimeMs: stat.mtimeMs, questionnaire };
+  return questionnaire;
+}
+
+module.exports = {
+  isQuestionScript,
+  loadDecisionTree,
+  loadQuestionnaire,
+};
@@ -0,0 +1,156 @@
+/**
+ * Rate Limits and Quotas
+ *
+ * What a caller may spend, counted per session and per tenant in fixed
+ * windows: requests per minute, and TTS characters and LLM tokens per day
+ * (UTC). New sessions are also limited per client address per hour. A
+ * limit of 0 means no limit. A caller over a limit gets a RateLimitError
+ * (429) saying which limit and when to try again.
+ *
+ * Counts are kept in memory: each server process limits on its own, and a
+ * restart starts every window over.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// The limit each metric is held to, and its window
+const METRICS = {
+  requests: { limit: 'requestsPerMinute', windowMs: MINUTE_MS },
+  ttsCharacters: { limit: 'ttsCharactersPerDay', windowMs: DAY_MS },
+  llmTokens: { limit: 'llmTokensPerDay', windowMs: DAY_MS },
+};
+
+class RateLimitError extends Error {
+  constructor(message, { limit, allowed, retryAfterSeconds }) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.status = 429;
+    this.retryAfterSeconds = retryAfterSeconds;
+    this.details = { limit, allowed, retryAfterSeconds };
+  }
+}
+
+/**
+ * limits is config.rateLimits: { session: {...}, tenant: {...},
+ * sessionsPerHourPerAddress }. limitsFor(tenantId) returns a tenant's
+ * overrides ({ session, tenant }).
+ */
+class UsageLimits {
+  constructor(limits, { limitsFor = () => ({}), now = () => Date.now() } = {}) {
+    this.limits = limits;
+    this.limitsFor = limitsFor;
+    this.now = now;
+    this.counters = new Map();
+  }
+
+  /**
+   * The scopes a caller ({ tenant, sessionId }) is counted in: its session,
+   * when it has one, and its tenant.
+   */
+  scopes(principal) {
+    const overrides = this.limitsFor(principal.tenant) || {};
+    const scopes = [{
+      scope: 'tenant',
+      key: principal.tenant,
+      limits: { ...this.limits.tenant, ...(overrides.tenant || {}) },
+    }];
+    if (principal.sessionId) {
+      scopes.unshift({
+        scope: 'session',
+        key: principal.sessionId,
+        limits: { ...this.limits.session, ...(overrides.session || {}) },
+      });
+    }
+    return scopes;
+  }
+
+  counter(name, windowMs) {
+    const start = Math.floor(this.now() / windowMs) * windowMs;
+    let counter = this.counters.get(name);
+    if (!counter || counter.start !== start) {
+      counter = { start, resetAt: start + windowMs, used: 0 };
+      this.counters.set(name, counter);
+    }
+    return counter;
+  }
+
+  /**
+   * Throw a RateLimitError when adding amount (at least one unit) would
+   * go over any of the caller's limits for the metric.
+   */
+  ensure(principal, metric, amount = 0) {
+    const { limit, windowMs } = METRICS[metric];
+    for (const { scope, key, limits } of this.scopes(principal)) {
+      const allowed = Number(limits[limit]) || 0;
+      if (allowed <= 0) continue;
+      const counter = this.counter(`${scope}:${key}:${metric}`, windowMs);
+      if (counter.used + Math.max(amount, 1) > allowed) {
+        throw new RateLimitError(`Rate limit exceeded: ${scope}.${limit} is ${allowed}`, {
+          limit: `${scope}.${limit}`,
+          allowed,
+          retryAfterSeconds: Math.max(1, Math.ceil((counter.resetAt - this.now()) / 1000)),
+        });
+      }
+    }
+  }
+
+  /**
+   * Count amount against the caller, whether or not it is over a limit
+   * (LLM tokens are only known once they are spent).
+   */
+  add(principal, metric, amount = 1) {
+    if (!(amount > 0)) return;
+    const { windowMs } = METRICS[metric];
+    for (const { scope, key } of this.scopes(principal)) {
+      this.counter(`${scope}:${key}:${metric}`, windowMs).used += amount;
+    }
+  }
+
+  /**
+   * ensure, then add.
+   */
+  take(principal, metric, amount = 1) {
+    this.ensure(principal, metric, amount);
+    this.add(principal, metric, amount);
+  }
+
+  /**
+   * Count a new session from a client address.
+   */
+  takeSessionStart(address) {
+    const allowed = Number(this.limits.sessionsPerHourPerAddress) || 0;
+    if (allowed <= 0) return;
+    const counter = this.counter(`address:${address}:sessions`, HOUR_MS);
+    if (counter.used + 1 > allowed) {
+      throw new RateLimitError(`Rate limit exceeded: ${allowed} new sessions per hour from this address`, {
+        limit: 'address.sessionsPerHour',
+        allowed,
+        retryAfterSeconds: Math.max(1, Math.ceil((counter.resetAt - this.now()) / 1000)),
+      });
+    }
+    counter.used += 1;
+  }
+
+  /**
+   * Forget windows that have ended. Returns how many were dropped.
+   */
+  purge() {
+    const now = this.now();
+    let purged = 0;
+    for (const [name, counter] of this.counters) {
+      if (counter.resetAt <= now) {
+        this.counters.delete(name);
+        purged += 1;
+      }
+    }
+    return purged;
+  }
+}
+
+module.exports = {
+  METRICS,
+  RateLimitError,
+  UsageLimits,
+};
@@ -0,0 +1,287 @@
+/**
+ * PHI / PII Redaction
+ *
+ * Replaces identifying details in applicant text with placeholders such as
+ * [NAME_1] or [PHONE_1] before a prompt is sent to a hosted LLM, and puts
+ * the original text back into what the model returns. The mapping lives
+ * only in the Redaction for one request; it is never sent anywhere.
+ *
+ * Three kinds of detection, in this order:
+ *   field    - the whole answer to a question configured as identifying
+ *              (REDACTION_FIELDS, e.g. the first and last name questions)
+ *   pattern  - phone numbers, emails, SSNs, policy and member numbers,
+ *              dates of birth, street addresses, "Dr. <name>", facility
+ *              names and "my name is <name>"
+ *   known    - values the applicant already gave for those questions, and
+ *              REDACTION_PROVIDER_NAMES, wherever they appear
+ */
+
+const CATEGORY_LABELS = {
+  name: 'NAME',
+  dob: 'DOB',
+  phone: 'PHONE',
+  email: 'EMAIL',
+  ssn: 'SSN',
+  address: 'ADDRESS',
+  policy_number: 'POLICY_NUMBER',
+  member_number: 'MEMBER_NUMBER',
+  provider: 'PROVIDER',
+};
+
+const REDACTION_CATEGORIES = Object.keys(CATEGORY_LABELS);
+
+// Answers that carry nothing identifying, even to an identifying question
+const NON_IDENTIFYING_ANSWERS = ['YES', 'NO', 'NO_RESPONSE'];
+
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const DAY = '\\d{1,2}(?:st|nd|rd|th)?';
+const DATE = `(?:${MONTH}\\.?\\s+${DAY},?\\s+\\d{2,4}|${DAY}\\s+(?:of\\s+)?${MONTH},?\\s+\\d{2,4}|\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}|${MONTH}\\.?\\s+\\d{4}|\\d{4})`;
+const STREET_SUFFIX = '(?:street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|court|ct|place|pl|terrace|circle|cir|highway|hwy|parkway|pkwy)';
+const FACILITY_SUFFIX = '(?:Hospital|Clinic|Medical Center|Medical Group|Health System|Healthcare|Urgent Care|Pharmacy|Family Practice|Associates)';
+
+// Capitalised words that start a sentence rather than a facility name
+const FACILITY_LEAD_WORDS = new Set(['the', 'a', 'an', 'my', 'our', 'their', 'his', 'her', 'that', 'this', 'i']);
+
+// Words that end a spoken name ("my name is John and ...")
+const NAME_STOP_WORDS = new Set(['and', 'but', 'or', 'i', 'im', 'from', 'at', 'the', 'so', 'yes', 'no', 'ok', 'okay']);
+
+/**
+ * Patterns run in order over the text. With lead: true the pattern has a
+ * lead group and a value group, and only the value is replaced (so "born
+ * on [DOB_1]" keeps its context).
+ */
+const PATTERN_DETECTORS = [
+  { category: 'email', pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  { category: 'ssn', pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  {
+    category: 'policy_number',
+    lead: true,
+    pattern: /\b((?:policy|account|certificate)\s*(?:number|no\.?|#|id)?\s*(?:is|:)?\s*)([a-z0-9][a-z0-9-]{3,})\b/gi,
+    accept: (value) => /\d/.test(value),
+  },
+  {
+    category: 'member_number',
+    lead: true,
+    pattern: /\b((?:member|subscriber|group|medicare|medicaid)\s*(?:number|no\.?|#|id)\s*(?:is|:)?\s*)([a-z0-9][a-z0-9-]{3,})\b/gi,
+    accept: (value) => /\d/.test(value),
+  },
+  { category: 'phone', pattern: /(?:\+?1[\s.-]?)?(?:\(\d{3}\)|\b\d{3})[\s.-]?\d{3}[\s.-]?\d{4}\b/g },
+  {
+    category: 'dob',
+    lead: true,
+    pattern: new RegExp(`\\b((?:born(?:\\s+(?:on|in))?|date of birth(?:\\s+is)?|birth ?date(?:\\s+is)?|birthday(?:\\s+is)?|dob)[:\\s]+)(${DATE})`, 'gi'),
+  },
+  {
+    category: 'address',
+    pattern: new RegExp(`\\b\\d{1,6}\\s+(?:[a-z0-9][\\w'.-]*\\s+){1,3}${STREET_SUFFIX}\\b\\.?(?:,?\\s+(?:apt|apartment|suite|unit|#)\\.?\\s*[\\w-]+)?`, 'gi'),
+  },
+  { category: 'address', pattern: /\bp\.?\s?o\.?\s+box\s+\d+\b/gi },
+  {
+    category: 'provider',
+    lead: true,
+    pattern: /\b((?:[Dd]r|[Dd]octor|[Nn]urse|NP|PA)\.?\s+)([A-Z][a-zA-Z'-]+(?:\s+[A-Z][a-zA-Z'-]+)?)/g,
+  },
+  {
+    category: 'provider',
+    pattern: new RegExp(`\\b(?:(?:St\\.?|Saint)\\s+)?(?:[A-Z][\\w'&-]*\\s+){1,4}${FACILITY_SUFFIX}\\b`, 'g'),
+    trim: (value) => {
+      const words = value.split(/\s+/);
+      while (words.length > 1 && FACILITY_LEAD_WORDS.has(words[0].toLowerCase())) words.shift();
+      return words.join(' ');
+    },
+    accept: (value) => !new RegExp(`^${FACILITY_SUFFIX}$`).test(value),
+  },
+  {
+    category: 'name',
+    lead: true,
+    pattern: /\b((?:Mr|Mrs|Ms|Miss)\.?\s+)([A-Z][a-zA-Z'-]+(?:\s+[A-Z][a-zA-Z'-]+)?)/g,
+  },
+  {
+    category: 'name',
+    lead: true,
+    pattern: /\b((?:my (?:first |last |full )?name is|my name's|i go by)\s+)([a-z'-]+(?:\s+[a-z'-]+)?)/gi,
+    trim: (value) => {
+      const words = value.split(/\s+/);
+      if (NAME_STOP_WORDS.has(words[0].toLowerCase().replace(/'/g, ''))) return '';
+      return words.length > 1 && NAME_STOP_WORDS.has(words[1].toLowerCase().replace(/'/g, '')) ? words[0] : value;
+    },
+  },
+];
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse "questionId:category,..." (a leading * matches any id ending in
+ * the rest) into [{ match, category }].
+ */
+function parseFieldMap(value) {
+  return (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .map((item) => {
+      const [match, category] = item.split(':').map((part) => part.trim());
+      return { match, category: category || 'name' };
+    });
+}
+
+/**
+ * The placeholders and originals for one request. Each distinct value gets
+ * one placeholder, so the model can still tell two names apart.
+ */
+class Redaction {
+  constructor(redactor) {
+    this.redactor = redactor;
+    this.enabled = redactor.enabled;
+    this.placeholders = new Map();
+    this.originals = new Map();
+    this.counters = {};
+    this.items = [];
+    this.known = [];
+  }
+
+  placeholderFor(category, value, detector) {
+    const key = `${category}:${value.toLowerCase()}`;
+    if (this.placeholders.has(key)) return this.placeholders.get(key);
+
+    const label = CATEGORY_LABELS[category];
+    this.counters[label] = (this.counters[label] || 0) + 1;
+    const placeholder = `[${label}_${this.counters[label]}]`;
+    this.placeholders.set(key, placeholder);
+    this.originals.set(placeholder, value);
+    this.items.push({ placeholder, category, detector, length: value.length });
+    return placeholder;
+  }
+
+  /**
+   * Redact a value everywhere it appears later in this request.
+   */
+  addKnownValue(category, value) {
+    if (!this.enabled || !this.redactor.categories.has(category) || typeof value !== 'string') return;
+    const trimmed = value.trim();
+    if (trimmed.length < 2 || NON_IDENTIFYING_ANSWERS.includes(trimmed.toUpperCase())) return;
+    this.known.push({ category, value: trimmed });
+    this.known.sort((a, b) => b.value.length - a.value.length);
+  }
+
+  /**
+   * Redacted copy of text. questionId is the question the text answers;
+   * answers to identifying questions are replaced whole.
+   */
+  redact(text, { questionId = null } = {}) {
+    if (!this.enabled || typeof text !== 'string' || !text.trim()) return text;
+
+    const fieldCategory = this.redactor.fieldCategory(questionId);
+    if (fieldCategory && !NON_IDENTIFYING_ANSWERS.includes(text.trim().toUpperCase())) {
+      return this.placeholderFor(fieldCategory, text.trim(), 'field');
+    }
+
+    let result = text;
+
+    for (const detector of PATTERN_DETECTORS) {
+      if (!this.redactor.categories.has(detector.category)) continue;
+      result = result.replace(detector.pattern, (match, lead, value) => {
+        let original = detector.lead ? value : match;
+        if (detector.trim) original = detector.trim(original);
+        if (!original || (detector.accept && !detector.accept(original))) return match;
+        const placeholder = this.placeholderFor(detector.category, original, 'pattern');
+        const start = detector.lead ? lead.length : 0;
+        return `${match.slice(0, start)}${match.slice(start).replace(original, placeholder)}`;
+      });
+    }
+
+    for (const { category, value } of this.known) {
+      const pattern = new RegExp(`(^|[^\\w])${escapeRegExp(value)}(?![\\w])`, 'gi');
+      result = result.replace(pattern, (match, before) => `${before}${this.placeholderFor(category, value, 'known')}`);
+    }
+    return result;
+  }
+
+  /**
+   * Put the originals back into a model reply: strings, arrays and the
+   * values of plain objects.
+   */
+  restore(value) {
+    if (!this.enabled || this.originals.size === 0) return value;
+    if (typeof value === 'string') {
+      return value.replace(/\[([A-Z_]+_\d+)\]/g, (match) => (this.originals.has(match) ? this.originals.get(match) : match));
+    }
+    if (Array.isArray(value)) return value.map((item) => this.restore(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restore(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * What was redacted, without the original text: safe to log and audit.
+   */
+  report() {
+    const counts = {};
+    for (const item of this.items) counts[item.category] = (counts[item.category] || 0) + 1;
+    return { enabled: this.enabled, count: this.items.length, counts, items: this.items.map((item) => ({ ...item })) };
+  }
+}
+
+class Redactor {
+  /**
+   * @param {{ enabled, categories, fields, providerNames }} options - see config.redaction
+   */
+  constructor({ enabled = true, categories = REDACTION_CATEGORIES, fields = [], providerNames = [] } = {}) {
+    const unknown = categories.filter((category) => !CATEGORY_LABELS[category]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown redaction categories: ${unknown.join(', ')} (use ${REDACTION_CATEGORIES.join(', ')})`);
+    }
+    this.enabled = enabled;
+    this.categories = new Set(categories);
+    this.fields = fields;
+    this.providerNames = providerNames;
+  }
+
+  /**
+   * The category a question's answers are redacted as, or null.
+   */
+  fieldCategory(questionId) {
+    if (!questionId) return null;
+    const field = this.fields.find(({ match }) => (
+      match.startsWith('*') ? questionId.endsWith(match.slice(1)) : questionId === match
+    ));
+    return field && this.categories.has(field.category) ? field.category : null;
+  }
+
+  /**
+   * Start a request. answers are the session's answers so far; those given
+   * to identifying questions are redacted wherever they appear.
+   */
+  begin({ answers = {} } = {}) {
+    const redaction = new Redaction(this);
+    for (const name of this.providerNames) redaction.addKnownValue('provider', name);
+    for (const [questionId, answer] of Object.entries(answers || {})) {
+      const category = this.fieldCategory(questionId);
+      if (category) redaction.addKnownValue(category, answer);
+    }
+    return redaction;
+  }
+}
+
+/**
+ * Build the redactor described by config.redaction.
+ */
+function createRedactor(redactionConfig) {
+  return new Redactor({
+    enabled: redactionConfig.enabled,
+    categories: redactionConfig.categories.length > 0 ? redactionConfig.categories : REDACTION_CATEGORIES,
+    fields: parseFieldMap(redactionConfig.fields),
+    providerNames: redactionConfig.providerNames,
+  });
+}
+
+module.exports = {
+  REDACTION_CATEGORIES,
+  Redactor,
+  Redaction,
+  createRedactor,
+  parseFieldMap,
+};
@@ -0,0 +1,128 @@
+/**
+ * Session Stores
+ *
+ * Persistence for interview sessions. Every store implements the same async
+ * interface so another backend (SQLite, Redis, ...) can be dropped in:
+ *
+ *   get(id)            -> session | null
+ *   put(session)       -> session
+ *   delete(id)         -> boolean
+ *   list()             -> session[]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SESSION_ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+function isValidSessionId(id) {
+  return typeof id === 'string' && SESSION_ID_PATTERN.test(id);
+}
+
+/**
+ * Keeps sessions in process memory. Used for development and tests; sessions
+ * are lost when the server restarts.
+ */
+class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async get(id) {
+    const session = this.sessions.get(id);
+    return session ? JSON.parse(JSON.stringify(session)) : null;
+  }
+
+  async put(session) {
+    this.sessions.set(session.id, JSON.parse(JSON.stringify(session)));
+    return session;
+  }
+
+  async delete(id) {
+    return this.sessions.delete(id);
+  }
+
+  async list() {
+    return Array.from(this.sessions.values()).map((session) => JSON.parse(JSON.stringify(session)));
+  }
+}
+
+/**
+ * Stores one JSON file per session. Writes go through a temp file and a
+ * rename so a crash mid-write never leaves a truncated session behind.
+ */
+class FileSessionStore {
+  constructor(directory) {
+    this.directory = directory;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  filePath(id) {
+    if (!isValidSessionId(id)) {
+      throw new Error(`Invalid session id: ${id}`);
+    }
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  async get(id) {
+    if (!isValidSessionId(id)) return null;
+    try {
+      const raw = await fs.promises.readFile(this.filePath(id), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async put(session) {
+    const target = this.filePath(session.id);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(session, null, 2));
+    await fs.promises.rename(temp, target);
+    return session;
+  }
+
+  async delete(id) {
+    if (!isValidSessionId(id)) return false;
+    try {
+      await fs.promises.unlink(this.filePath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async list() {
+    const files = await fs.promises.readdir(this.directory);
+    const sessions = [];
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      const session = await this.get(file.slice(0, -'.json'.length));
+      if (session) sessions.push(session);
+    }
+    return sessions;
+  }
+}
+
+/**
+ * Build the store named by config.sessions.store ("file" or "memory").
+ */
+function createSessionStore(sessionConfig) {
+  switch (sessionConfig.store) {
+    case 'memory':
+      return new MemorySessionStore();
+    case 'file':
+      return new FileSessionStore(sessionConfig.directory);
+    default:
+      throw new Error(`Unknown session store "${sessionConfig.store}"`);
+  }
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionStore,
+  isValidSessionId,
+};
@@ -0,0 +1,190 @@
+/**
+ * Interview Sessions
+ *
+ * Server-side record of an application in progress, so an interview can be
+ * resumed after a refresh, a lost microphone or a dropped call.
+ */
+
+const crypto = require('crypto');
+
+const UPDATABLE_STATUSES = ['active', 'paused'];
+
+class SessionError extends Error {
+  constructor(message, status = 400, details = null) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function markComplete(session, now = new Date()) {
+  session.status = 'complete';
+  session.currentQuestionIndex = -1;
+  session.currentQuestionId = null;
+  session.completedAt = session.completedAt || now.toISOString();
+}
+
+class SessionManager {
+  /**
+   * onDelete(id, reason) is called after a session is deleted ("deleted")
+   * or dropped because it expired ("expired").
+   */
+  constructor(store, { ttlMs, onDelete = null }) {
+    this.store = store;
+    this.ttlMs = ttlMs;
+    this.onDelete = onDelete;
+    this.locks = new Map();
+  }
+
+  /**
+   * Run updates to one session one at a time so overlapping autosaves
+   * cannot overwrite each other.
+   */
+  withLock(id, fn) {
+    const previous = this.locks.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(fn);
+    this.locks.set(id, next);
+    return next.finally(() => {
+      if (this.locks.get(id) === next) this.locks.delete(id);
+    });
+  }
+
+  expiryFrom(now) {
+    return new Date(now.getTime() + this.ttlMs).toISOString();
+  }
+
+  isExpired(session, now = new Date()) {
+    return !!session.expiresAt && new Date(session.expiresAt).getTime() <= now.getTime();
+  }
+
+  /**
+   * channel records where the interview runs: { type: 'web' },
+   * { type: 'phone', callId } or { type: 'chat' } (the conversation API);
+   * questionnaire ({ id, version }) pins the script version it is asked
+   * from; tenant is who started it (see lib/auth.js).
+   */
+  async create({ language = 'en', channel = { type: 'web' }, questionnaire = null, tenant = 'public' } = {}) {
+    const now = new Date();
+    const session = {
+      id: crypto.randomUUID(),
+      status: 'active',
+      language,
+      channel,
+      tenant,
+      questionnaire,
+      currentQuestionIndex: -1,
+      currentQuestionId: null,
+      answers: {},
+      followups: {},
+      conflicts: [],
+      pendingConflictId: null,
+      handoffs: [],
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      completedAt: null,
+      expiresAt: this.expiryFrom(now),
+    };
+    await this.store.put(session);
+    return session;
+  }
+
+  /**
+   * Fetch a session; expired sessions are deleted and reported as missing.
+   */
+  async get(id) {
+    const session = await this.store.get(id);
+    if (!session) return null;
+    if (this.isExpired(session)) {
+      if (await this.store.delete(id) && this.onDelete) this.onDelete(id, 'expired');
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Every session that has not expired.
+   */
+  async list(now = new Date()) {
+    const sessions = await this.store.list();
+    return sessions.filter((session) => !this.isExpired(session, now));
+  }
+
+  async require(id) {
+    const session = await this.get(id);
+    if (!session) throw new SessionError('Session not found or expired', 404);
+    return session;
+  }
+
+  /**
+   * Load a session, let fn change it, then save it, all under the session's
+   * lock. Every save pushes the expiry forward.
+   */
+  mutate(id, fn) {
+    return this.withLock(id, async () => {
+      const session = await this.require(id);
+      const result = await fn(session);
+      const now = new Date();
+      session.updatedAt = now.toISOString();
+      session.expiresAt = this.expiryFrom(now);
+      await this.store.put(session);
+      return result === undefined ? session : result;
+    });
+  }
+
+  /**
+   * Update the applicant-controlled settings of a session. Answers and the
+   * current question only change through the flow engine.
+   */
+  update(id, updates = {}) {
+    return this.mutate(id, (session) => {
+      if (session.status === 'complete') {
+        throw new SessionError('Session is already complete', 409);
+      }
+
+      const { language, status } = updates;
+
+      if (language !== undefined) {
+        if (typeof language !== 'string' || !language.trim()) throw new SessionError('language must be a string');
+        session.language = language.trim();
+      }
+      if (status !== undefined) {
+        if (!UPDATABLE_STATUSES.includes(status)) {
+          throw new SessionError(`status must be one of: ${UPDATABLE_STATUSES.join(', ')}`);
+        }
+        if (session.status === 'handoff') {
+          throw new SessionError('Session is with an agent; end the handoff first', 409);
+        }
+        session.status = status;
+      }
+    });
+  }
+
+  delete(id, reason = 'deleted') {
+    return this.withLock(id, async () => {
+      const deleted = await this.store.delete(id);
+      if (deleted && this.onDelete) this.onDelete(id, reason);
+      return deleted;
+    });
+  }
+
+  /**
+   * Delete every expired session. Returns the number removed.
+   */
+  async purgeExpired(now = new Date()) {
+    const sessions = await this.store.list();
+    let purged = 0;
+    for (const session of sessions) {
+      if (this.isExpired(session, now)) {
+        if (await this.delete(session.id, 'expired')) purged += 1;
+      }
+    }
+    return purged;
+  }
+}
+
+module.exports = {
+  SessionManager,
+  SessionError,
+  markComplete,
+};
@@ -0,0 +1,284 @@
+/**
+ * Speech-to-Text Providers
+ *
+ * Server-side transcription for browsers without the Web Speech API. One
+ * interface for every backend:
+ *
+ *   provider.transcribe(audio, { contentType, language, signal })
+ *     -> { transcript, confidence, alternatives: [{ transcript, confidence }] }
+ *
+ * STTClient tries the configured providers in order, each with a timeout,
+ * and moves on to the next when one fails. Audio is one utterance recorded
+ * with MediaRecorder (webm or ogg/opus, mp4 on Safari) or a wav file.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// Container types the endpoint accepts, with the file extension backends expect
+const AUDIO_EXTENSIONS = {
+  'audio/webm': 'webm',
+  'video/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/mp4': 'mp4',
+};
+
+class STTError extends Error {
+  constructor(message, { provider = null, status = null } = {}) {
+    super(message);
+    this.name = 'STTError';
+    this.provider = provider;
+    this.status = status;
+  }
+}
+
+/**
+ * "audio/webm;codecs=opus" -> "audio/webm"; null when it is not a type the
+ * providers can read.
+ */
+function audioContentType(header) {
+  const type = String(header || '').split(';')[0].trim().toLowerCase();
+  return AUDIO_EXTENSIONS[type] ? type : null;
+}
+
+// Whisper marks non-speech as [BLANK_AUDIO], [MUSIC], (silence) and so on
+function stripNonSpeech(text) {
+  return String(text || '')
+    .replace(/\[[^\]]*\]|\([^)]*\)/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function clampConfidence(value) {
+  if (!Number.isFinite(value)) return null;
+  return Math.round(Math.min(1, Math.max(0, value)) * 1000) / 1000;
+}
+
+function run(file, args, signal) {
+  return new Promise((resolve, reject) => {
+    execFile(file, args, { signal, maxBuffer: 4 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        error.stderr = stderr;
+        reject(error);
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+/**
+ * A local whisper.cpp build (whisper-cli, or main in older builds). The
+ * audio is converted to 16 kHz mono wav with ffmpeg first, as whisper.cpp
+ * reads nothing else; confidence is the mean token probability.
+ */
+class WhisperCppProvider {
+  constructor({ binary, model, ffmpeg = 'ffmpeg', threads = 4 }) {
+    this.name = 'whisper-cpp';
+    this.binary = binary;
+    this.model = model ? path.basename(model) : null;
+    this.modelPath = model;
+    this.ffmpeg = ffmpeg;
+    this.threads = threads;
+  }
+
+  isConfigured() {
+    return !!this.binary && !!this.modelPath;
+  }
+
+  async transcribe(audio, { contentType, language, signal }) {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stt-'));
+    try {
+      const input = path.join(directory, `input.${AUDIO_EXTENSIONS[contentType] || 'bin'}`);
+      const wav = path.join(directory, 'speech.wav');
+      const output = path.join(directory, 'transcript');
+      await fs.promises.writeFile(input, audio);
+
+      try {
+        await run(this.ffmpeg, ['-nostdin', '-loglevel', 'error', '-i', input, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wav], signal);
+      } catch (error) {
+        if (error.name === 'AbortError') throw new STTError('ffmpeg timed out', { provider: this.name });
+        throw new STTError(`ffmpeg could not read the audio: ${(error.stderr || error.message).trim()}`, { provider: this.name });
+      }
+
+      try {
+        await run(this.binary, [
+          '-m', this.modelPath,
+          '-f', wav,
+          '-l', language || 'auto',
+          '-t', String(this.threads),
+          '-nt', '-np', '-ojf',
+          '-of', output,
+        ], signal);
+      } catch (error) {
+        if (error.name === 'AbortError') throw new STTError(`${this.name} timed out`, { provider: this.name });
+        throw new STTError(`${this.name} failed: ${(error.stderr || error.message).trim()}`, { provider: this.name });
+      }
+
+      const result = JSON.parse(await fs.promises.readFile(`${output}.json`, 'utf8'));
+      const segments = Array.isArray(result.transcription) ? result.transcription : [];
+      const transcript = stripNonSpeech(segments.map((segment) => segment.text).join(' '));
+      // Special tokens ([_BEG_], [_TT_150]) carry no speech
+      const probabilities = segments
+        .flatMap((segment) => segment.tokens || [])
+        .filter((token) => !/^\[_/.test(token.text || '') && Number.isFinite(token.p))
+        .map((token) => token.p);
+      const confidence = transcript && probabilities.length > 0
+        ? clampConfidence(probabilities.reduce((sum, p) => sum + p, 0) / probabilities.length)
+        : null;
+      return { transcript, confidence, alternatives: transcript ? [{ transcript, confidence }] : [] };
+    } finally {
+      await fs.promises.rm(directory, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * OpenAI's /audio/transcriptions. With a custom base URL this also talks to
+ * self-hosted compatible servers (whisper.cpp's server, faster-whisper).
+ * Confidence comes from the segments' average log probability.
+ */
+class OpenAITranscriptionProvider {
+  constructor({ apiKey, model, baseUrl, requiresApiKey = true }) {
+    this.name = 'openai';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.baseUrl = baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+    this.requiresApiKey = requiresApiKey;
+  }
+
+  isConfigured() {
+    if (!this.baseUrl || !this.model) return false;
+    return this.requiresApiKey ? !!this.apiKey : true;
+  }
+
+  async transcribe(audio, { contentType, language, signal }) {
+    const form = new FormData();
+    form.append('file', new Blob([audio], { type: contentType }), `speech.${AUDIO_EXTENSIONS[contentType]}`);
+    form.append('model', this.model);
+    form.append('response_format', 'verbose_json');
+    if (language) form.append('language', language);
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/audio/transcriptions`, {
+        method: 'POST',
+        headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+        body: form,
+        signal,
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw new STTError(`${this.name} request timed out`, { provider: this.name });
+      throw new STTError(`${this.name} request failed: ${error.message}`, { provider: this.name });
+    }
+    if (!response.ok) {
+      throw new STTError(`${this.name} API error: ${response.status}`, { provider: this.name, status: response.status });
+    }
+
+    const data = await response.json();
+    const transcript = stripNonSpeech(data.text);
+    const segments = Array.isArray(data.segments) ? data.segments : [];
+    const logprobs = segments.map((segment) => segment.avg_logprob).filter(Number.isFinite);
+    const confidence = transcript && logprobs.length > 0
+      ? clampConfidence(Math.exp(logprobs.reduce((sum, value) => sum + value, 0) / logprobs.length))
+      : null;
+    return { transcript, confidence, alternatives: transcript ? [{ transcript, confidence }] : [] };
+  }
+}
+
+const PROVIDER_FACTORIES = {
+  'whisper-cpp': (config) => new WhisperCppProvider(config.stt.whisperCpp),
+  openai: (config) => new OpenAITranscriptionProvider(config.stt.openai),
+};
+
+class STTClient {
+  constructor(providers, { timeoutMs }) {
+    this.providers = providers;
+    this.timeoutMs = timeoutMs;
+  }
+
+  activeProviders() {
+    return this.providers.filter((provider) => provider.isConfigured());
+  }
+
+  isEnabled() {
+    return this.activeProviders().length > 0;
+  }
+
+  describe() {
+    return this.activeProviders().map((provider) => ({ name: provider.name, model: provider.model }));
+  }
+
+  async callWithTimeout(provider, audio, options) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    try {
+      return await provider.transcribe(audio, { ...options, signal: controller.signal });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Transcribe one utterance. options: contentType (see audioContentType)
+   * and language (two-letter code, or null to detect). Resolves with
+   * { transcript, confidence, alternatives, provider, model, failures };
+   * rejects with the last error when every provider failed.
+   */
+  async transcribe(audio, { contentType, language = null }) {
+    const providers = this.activeProviders();
+    if (providers.length === 0) {
+      throw new STTError('No speech-to-text provider configured');
+    }
+
+    let lastError = null;
+    const failures = [];
+    for (const provider of providers) {
+      try {
+        const result = await this.callWithTimeout(provider, audio, { contentType, language });
+        return {
+          transcript: result.transcript,
+          confidence: result.confidence,
+          alternatives: result.alternatives,
+          // A replayed transcription names the provider that recorded it
+          provider: result.provider || provider.name,
+          model: result.model || provider.model,
+          failures,
+        };
+      } catch (error) {
+        lastError = error;
+        failures.push({ provider: provider.name, error: error.message, status: error.status || null });
+        console.error(`STT ${provider.name} failed:`, error.message);
+      }
+    }
+
+    lastError.failures = failures;
+    throw lastError;
+  }
+}
+
+/**
+ * Build the client from config.stt.providers (e.g. ["whisper-cpp", "openai"]).
+ */
+function createSTTClient(config) {
+  const providers = config.stt.providers.map((name) => {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) throw new Error(`Unknown STT provider "${name}"`);
+    return factory(config);
+  });
+  return new STTClient(providers, config.stt);
+}
+
+module.exports = {
+  STTError,
+  STTClient,
+  WhisperCppProvider,
+  OpenAITranscriptionProvider,
+  audioContentType,
+  createSTTClient,
+};
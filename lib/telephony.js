@@ -0,0 +1,337 @@
+/**
+ * Telephony
+ *
+ * Runs the interview over a phone call through Twilio-compatible voice
+ * webhooks. Each call gets its own FlowController (the one the browser
+ * runs), so repeat and why handling, retries, follow-ups and conflicts
+ * behave exactly as on the web; only speech changes:
+ *
+ *   - what the controller speaks is collected and returned as <Say> (or
+ *     <Play>) verbs when it next listens
+ *   - listening ends the webhook with a <Gather input="speech">; the
+ *     next webhook's SpeechResult is what the controller hears
+ *   - completion hangs up and an agent handoff becomes a <Dial> transfer
+ *
+ * Calls are tracked by their call id (Twilio's CallSid) and the server
+ * session they created records it.
+ */
+
+const crypto = require('crypto');
+const {
+  FlowController,
+  getLanguageConfig,
+  getStrings,
+  normalizeLanguage,
+} = require('../public/lib/conversation-flow');
+const { InProcessSessionService } = require('./conversation');
+
+// Twilio gives up on a webhook after 15 seconds; answer well before that.
+const TURN_WAIT_MS = 10000;
+
+// Call statuses after which the call is gone
+const ENDED_CALL_STATUSES = ['completed', 'busy', 'failed', 'no-answer', 'canceled'];
+
+// ============================================================================
+// TWIML
+// ============================================================================
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * One TwiML verb: verb(name, attributes, content) where content is text
+ * (escaped) or an array of nested verbs.
+ */
+function verb(name, attributes = {}, content = null) {
+  const attributeText = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+  if (content === null) return `<${name}${attributeText}/>`;
+  const inner = Array.isArray(content) ? content.join('') : escapeXml(content);
+  return `<${name}${attributeText}>${inner}</${name}>`;
+}
+
+function renderTwiml(verbs) {
+  return `<?xml version="1.0" encoding="UTF-8"?><Response>${verbs.join('')}</Response>`;
+}
+
+// ============================================================================
+// WEBHOOK SIGNATURES
+// ============================================================================
+
+/**
+ * Twilio's X-Twilio-Signature: HMAC-SHA1 (base64) of the full webhook URL
+ * followed by each POST parameter name and value, sorted by name.
+ */
+function twilioSignature(authToken, url, params = {}) {
+  const data = Object.keys(params).sort().reduce((text, key) => `${text}${key}${params[key]}`, url);
+  return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf8')).digest('base64');
+}
+
+function verifyTwilioSignature(authToken, url, params, signature) {
+  if (typeof signature !== 'string' || !signature) return false;
+  const expected = Buffer.from(twilioSignature(authToken, url, params));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// ============================================================================
+// PHONE CALLS
+// ============================================================================
+
+/**
+ * One call. start() and hear(speech) each resolve with the next turn:
+ * { type: 'gather' | 'complete' | 'transfer' | 'error', spoken: [{ text, index }],
+ * language }, where spoken is what the controller said since the last turn.
+ */
+class PhoneCall {
+  constructor({ callId, language, questions, baseUrl, createSession }) {
+    this.callId = callId;
+    this.sessionId = null;
+    this.prompts = [];
+    this.spoken = [];
+    this.turn = null;
+    this.resolveTurn = null;
+    this.pendingListen = null;
+    this.outcome = null;
+    this.outcomeRecorded = false;
+    this.startedAt = new Date().toISOString();
+    this.lastActivity = Date.now();
+
+    const tts = {
+      speak: async (text) => {
+        this.spoken.push({ text, index: this.prompts.length });
+        this.prompts.push(text);
+      },
+      stop() {},
+      setLanguage() {},
+    };
+    const asr = {
+      listen: () => new Promise((resolve) => {
+        this.pendingListen = resolve;
+        this.endTurn({ type: 'gather' });
+      }),
+      stop: () => {
+        const listen = this.pendingListen;
+        this.pendingListen = null;
+        if (listen) listen('');
+      },
+      setLanguage() {},
+    };
+
+    this.controller = new FlowController({
+      tts,
+      asr,
+      questions,
+      baseUrl,
+      sessions: new InProcessSessionService({
+        baseUrl,
+        createSession: async (sessionLanguage) => {
+          const session = await createSession(sessionLanguage, this.callId);
+          this.sessionId = session ? session.id : null;
+          return session;
+        },
+      }),
+    });
+    this.controller.setLanguage(normalizeLanguage(language));
+    this.controller.onStateChange = (state) => {
+      if (state.status === 'complete') this.finish('complete');
+      else if (state.status === 'handoff') this.finish('transfer');
+      else if (state.status === 'idle' && state.error) this.finish('error');
+    };
+  }
+
+  get language() {
+    return this.controller.state.language;
+  }
+
+  expectTurn() {
+    this.lastActivity = Date.now();
+    this.turn = new Promise((resolve) => {
+      this.resolveTurn = resolve;
+    });
+    return this.turn;
+  }
+
+  endTurn(turn) {
+    if (!this.resolveTurn) return;
+    const resolve = this.resolveTurn;
+    this.resolveTurn = null;
+    const spoken = this.spoken;
+    this.spoken = [];
+    resolve({ ...turn, spoken, language: this.language });
+  }
+
+  finish(outcome) {
+    if (this.outcome) return;
+    this.outcome = outcome;
+    this.endTurn({ type: outcome });
+  }
+
+  start() {
+    const turn = this.expectTurn();
+    this.controller.start().catch((error) => {
+      console.error('Phone call error:', error);
+      this.finish('error');
+    });
+    return turn;
+  }
+
+  /**
+   * Pass what the caller said ('' for silence) to the waiting controller.
+   * A repeated webhook (nothing is listening) gets the turn in progress.
+   */
+  hear(speech) {
+    if (!this.pendingListen) return this.turn;
+    const listen = this.pendingListen;
+    this.pendingListen = null;
+    const turn = this.expectTurn();
+    listen(typeof speech === 'string' ? speech.trim() : '');
+    return turn;
+  }
+
+  hangUp() {
+    if (!this.outcome) this.outcome = 'hangup';
+    this.controller.stop();
+  }
+
+  describe() {
+    const question = this.controller.questions[this.controller.state.currentQuestionIndex];
+    return {
+      callId: this.callId,
+      sessionId: this.sessionId,
+      language: this.language,
+      status: this.outcome || this.controller.state.status,
+      currentQuestionId: question ? question.id : null,
+      startedAt: this.startedAt,
+      lastActivityAt: new Date(this.lastActivity).toISOString(),
+    };
+  }
+}
+
+/**
+ * The calls in progress, by call id. Calls idle for longer than idleMs
+ * (Twilio never reported the hangup) are dropped by purgeIdle().
+ */
+class CallRegistry {
+  constructor({ idleMs }) {
+    this.idleMs = idleMs;
+    this.calls = new Map();
+  }
+
+  get(callId) {
+    return this.calls.get(callId) || null;
+  }
+
+  add(call) {
+    this.calls.set(call.callId, call);
+    return call;
+  }
+
+  end(callId) {
+    const call = this.calls.get(callId);
+    if (!call) return null;
+    this.calls.delete(callId);
+    call.hangUp();
+    return call;
+  }
+
+  list() {
+    return [...this.calls.values()].map((call) => call.describe());
+  }
+
+  purgeIdle(now = Date.now()) {
+    const idle = [...this.calls.values()].filter((call) => now - call.lastActivity > this.idleMs);
+    idle.forEach((call) => this.end(call.callId));
+    return idle;
+  }
+}
+
+/**
+ * The turn, or null if it is not ready within waitMs.
+ */
+function waitForTurn(turn, waitMs = TURN_WAIT_MS) {
+  let timer = null;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(null), waitMs);
+  });
+  return Promise.race([turn, timeout]).finally(() => clearTimeout(timer));
+}
+
+// ============================================================================
+// TURNS AS TWIML
+// ============================================================================
+
+/**
+ * The TwiML for a turn. options: actionUrl (where the caller's speech is
+ * posted), audioUrl(index) for <Play> (omit to use <Say>), sayVoice,
+ * pronounce(text, languageCode) applied to <Say> text, transferNumber,
+ * gatherTimeoutSeconds.
+ */
+function turnToTwiml(turn, options) {
+  const languageConfig = getLanguageConfig(turn.language);
+  const strings = getStrings(turn.language);
+  const pronounce = options.pronounce || ((text) => text);
+  const say = (text) => verb('Say', { language: languageConfig.ttsLang, voice: options.sayVoice || null }, pronounce(text, turn.language));
+  const prompts = turn.spoken.map(({ text, index }) => (options.audioUrl ? verb('Play', {}, options.audioUrl(index)) : say(text)));
+
+  switch (turn.type) {
+    case 'gather':
+      return renderTwiml([
+        verb('Gather', {
+          input: 'speech',
+          action: options.actionUrl,
+          method: 'POST',
+          language: languageConfig.asrLang,
+          speechTimeout: 'auto',
+          timeout: options.gatherTimeoutSeconds,
+          actionOnEmptyResult: 'true',
+        }, prompts),
+      ]);
+    case 'complete':
+      return renderTwiml([...prompts, verb('Hangup')]);
+    case 'transfer':
+      return options.transferNumber
+        ? renderTwiml([...prompts, say(strings.callTransfer), verb('Dial', {}, options.transferNumber)])
+        : renderTwiml([...prompts, say(strings.callTransferUnavailable), verb('Hangup')]);
+    default:
+      return renderTwiml([...prompts, say(strings.flowError), verb('Hangup')]);
+  }
+}
+
+/**
+ * Ask Twilio to come back for a turn that is still being worked on.
+ */
+function continueTwiml(continueUrl) {
+  return renderTwiml([verb('Pause', { length: 1 }), verb('Redirect', { method: 'POST' }, continueUrl)]);
+}
+
+function unknownCallTwiml(language) {
+  const languageConfig = getLanguageConfig(language);
+  return renderTwiml([
+    verb('Say', { language: languageConfig.ttsLang }, getStrings(language).callUnknown),
+    verb('Hangup'),
+  ]);
+}
+
+module.exports = {
+  ENDED_CALL_STATUSES,
+  TURN_WAIT_MS,
+  PhoneCall,
+  CallRegistry,
+  waitForTurn,
+  turnToTwiml,
+  continueTwiml,
+  unknownCallTwiml,
+  renderTwiml,
+  verb,
+  twilioSignature,
+  verifyTwilioSignature,
+};
@@ -0,0 +1,168 @@
+/**
+ * Text-to-Speech
+ *
+ * ElevenLabs rendering and the on-disk audio cache shared by /api/tts and
+ * `npm run tts:warm`.
+ *
+ * The cache is content-addressed: a clip's key is a hash of everything that
+ * changes the audio (text as written and as pronounced, voice, model,
+ * language and voice settings), so a new voice, wording or lexicon entry
+ * never plays stale audio and nothing needs to be invalidated. Clips are
+ * files under TTS_CACHE_DIR:
+ *
+ *   <key[0..1]>/<key>.mp3    the audio
+ *   <key[0..1]>/<key>.json   the request it was rendered from
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { normalizeText } = require('./provider-fixtures');
+
+/**
+ * What to render for { text, language } (a BCP 47 tag such as "es-US"): the
+ * text, how it is spoken after the pronunciation lexicon, and the voice,
+ * model and settings of the language's profile (voices is a VoiceCatalog).
+ */
+function speechRequest(text, language, voices) {
+  const languageTag = typeof language === 'string' && language.trim() ? language.trim() : 'en-US';
+  const candidateCode = languageTag.split('-')[0].toLowerCase();
+  const languageCode = /^[a-z]{2}$/.test(candidateCode) ? candidateCode : 'en';
+  const profile = voices.profile(languageCode);
+  return {
+    text,
+    spokenText: voices.pronounce(text, languageCode),
+    voiceId: profile.voiceId,
+    modelId: profile.modelId,
+    languageCode,
+    voiceSettings: {
+      stability: profile.stability,
+      similarityBoost: profile.similarityBoost,
+      speed: profile.speakingRate,
+    },
+  };
+}
+
+/**
+ * Start an ElevenLabs render; resolves with the fetch Response so the
+ * caller can stream or buffer the audio.
+ */
+function renderSpeech(request, elevenlabs) {
+  return fetch(`${elevenlabs.baseUrl}/v1/text-to-speech/${request.voiceId}/stream`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'xi-api-key': elevenlabs.apiKey,
+    },
+    body: JSON.stringify({
+      text: request.spokenText,
+      model_id: request.modelId,
+      language_code: request.languageCode,
+      voice_settings: {
+        stability: request.voiceSettings.stability,
+        similarity_boost: request.voiceSettings.similarityBoost,
+        speed: request.voiceSettings.speed,
+      },
+    }),
+  });
+}
+
+class TTSCache {
+  /**
+   * mode: 'scripted' caches the interview's fixed prompts (isScripted(text,
+   * languageCode) decides which), 'all' every clip, 'off' nothing.
+   */
+  constructor({ directory, mode = 'scripted', isScripted = () => false }) {
+    this.directory = directory;
+    this.mode = mode;
+    this.isScripted = isScripted;
+  }
+
+  key(request) {
+    const normalized = { ...request, text: normalizeText(request.text), spokenText: normalizeText(request.spokenText) };
+    const canonical = JSON.stringify(Object.keys(normalized).sort().map((name) => [name, normalized[name]]));
+    return crypto.createHash('sha256').update(canonical).digest('hex');
+  }
+
+  filePath(key, extension) {
+    return path.join(this.directory, key.slice(0, 2), `${key}.${extension}`);
+  }
+
+  /**
+   * Whether a clip for this request is kept. Text the model wrote (and any
+   * applicant detail in it) stays off disk unless TTS_CACHE=all.
+   */
+  accepts(request) {
+    if (this.mode === 'all') return true;
+    if (this.mode !== 'scripted') return false;
+    return this.isScripted(request.text, request.languageCode);
+  }
+
+  /**
+   * The cached audio, or null.
+   */
+  async get(request) {
+    if (!this.accepts(request)) return null;
+    try {
+      return await fs.promises.readFile(this.filePath(this.key(request), 'mp3'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async has(request) {
+    try {
+      await fs.promises.access(this.filePath(this.key(request), 'mp3'));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Store a clip (when accepted). The audio is written to a temporary file
+   * and renamed, so a reader never sees half a clip.
+   */
+  async put(request, audio) {
+    if (!this.accepts(request) || audio.length === 0) return false;
+    const key = this.key(request);
+    const audioPath = this.filePath(key, 'mp3');
+    await fs.promises.mkdir(path.dirname(audioPath), { recursive: true });
+    const temporary = `${audioPath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(temporary, audio);
+    await fs.promises.rename(temporary, audioPath);
+    const document = { key, request, bytes: audio.length, cachedAt: new Date().toISOString() };
+    await fs.promises.writeFile(this.filePath(key, 'json'), `${JSON.stringify(document, null, 2)}\n`);
+    return true;
+  }
+}
+
+/**
+ * isScripted for the questionnaire versions in use (loadQuestionnaires
+ * returns them): true for the text of any scripted prompt
+ * (getScriptedPrompts) of any of them in that language. Each version's
+ * prompts are collected once.
+ */
+function scriptedPromptMatcher(loadQuestionnaires, getScriptedPrompts) {
+  const prompts = new WeakMap();
+  const promptsOf = (questionnaire, languageCode) => {
+    if (!prompts.has(questionnaire)) prompts.set(questionnaire, new Map());
+    const byLanguage = prompts.get(questionnaire);
+    if (!byLanguage.has(languageCode)) {
+      byLanguage.set(languageCode, new Set(getScriptedPrompts(questionnaire.questions, languageCode).map(normalizeText)));
+    }
+    return byLanguage.get(languageCode);
+  };
+  return (text, languageCode) => {
+    const normalized = normalizeText(text);
+    return loadQuestionnaires().some((questionnaire) => promptsOf(questionnaire, languageCode).has(normalized));
+  };
+}
+
+module.exports = {
+  TTSCache,
+  speechRequest,
+  renderSpeech,
+  scriptedPromptMatcher,
+};
@@ -0,0 +1,106 @@
+/**
+ * Underwriting Rules Engine
+ *
+ * Evaluates the answers of a session against the rules in
+ * underwriting_rules.json (next to the decision tree) and produces a
+ * preliminary risk class with the knockout, referral and rating rules that
+ * fired. This is a triage signal for agents, never shown to applicants.
+ */
+
+const fs = require('fs');
+const config = require('./config');
+const { evaluateTrigger } = require('../public/lib/decision-tree');
+
+const RULE_KINDS = ['rating', 'referral', 'knockout'];
+const DEFAULT_KIND_CLASSES = {
+  referral: 'Refer',
+  knockout: 'Decline',
+};
+
+let rulesCache = null;
+
+/**
+ * Load the rules file, re-reading it whenever it changes.
+ */
+function loadUnderwritingRules(rulesPath = config.underwritingRulesPath) {
+  const stat = fs.statSync(rulesPath);
+  if (rulesCache && rulesCache.path === rulesPath && rulesCache.mtimeMs === stat.mtimeMs) {
+    return rulesCache.rules;
+  }
+
+  const rules = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+  rulesCache = { path: rulesPath, mtimeMs: stat.mtimeMs, rules };
+  return rules;
+}
+
+/**
+ * The class a rule assigns when it fires.
+ */
+function ruleClass(rule) {
+  return rule.class || DEFAULT_KIND_CLASSES[rule.kind] || null;
+}
+
+/**
+ * Evaluate every rule against the answers. The risk class is the worst
+ * class among the rules that fired, or default_class when none did.
+ */
+function evaluateUnderwriting(rules, answers = {}) {
+  const classes = rules.risk_classes || [];
+  const fired = [];
+
+  for (const rule of rules.rules || []) {
+    if (!RULE_KINDS.includes(rule.kind)) continue;
+    if (!evaluateTrigger(rule.when, answers)) continue;
+    fired.push({
+      ruleId: rule.id,
+      kind: rule.kind,
+      class: ruleClass(rule),
+      reason: rule.reason || null,
+    });
+  }
+
+  let riskClass = rules.default_class || classes[0] || null;
+  for (const result of fired) {
+    if (classes.indexOf(result.class) > classes.indexOf(riskClass)) riskClass = result.class;
+  }
+
+  return {
+    preliminary: true,
+    rulesVersion: rules.version || null,
+    riskClass,
+    knockouts: fired.filter((result) => result.kind === 'knockout'),
+    referrals: fired.filter((result) => result.kind === 'referral'),
+    ratings: fired.filter((result) => result.kind === 'rating'),
+  };
+}
+
+/**
+ * Assess a session for the agent summary. Conflicts the applicant left
+ * unresolved or confirmed as they were are flagged, with their resolution,
+ * so the agent knows which answers to double-check.
+ */
+function assessSession(session, rules = loadUnderwritingRules()) {
+  return {
+    sessionId: session.id,
+    status: session.status,
+    complete: session.status === 'complete',
+    answeredCount: Object.keys(session.answers || {}).length,
+    ...evaluateUnderwriting(rules, session.answers || {}),
+    flaggedConflicts: (session.conflicts || [])
+      .filter((conflict) => conflict.resolution === 'unresolved' || conflict.resolution === 'confirmed')
+      .map((conflict) => ({
+        constraintId: conflict.constraintId,
+        resolution: conflict.resolution,
+        answers: conflict.answers,
+      })),
+    evaluatedAt: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  RULE_KINDS,
+  loadUnderwritingRules,
+  ruleClass,
+  evaluateUnderwriting,
+  assessSession,
+};
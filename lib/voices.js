@@ -0,0 +1,107 @@
+/**
+ * Voices
+ *
+ * Per-language voice profiles (voice_profiles.json) and the pronunciation
+ * lexicon (pronunciation_lexicon.json), reloaded whenever either file
+ * changes. A profile says how a language is spoken:
+ *
+ *   { voiceId, modelId, stability, similarityBoost, speakingRate,
+ *     webSpeech: { rate, pitch, voice } }
+ *
+ * with anything it leaves out taken from the ElevenLabs settings in config.
+ */
+
+const fs = require('fs');
+const { compileLexicon, applyLexicon } = require('../public/lib/pronunciation');
+
+const WEB_SPEECH_DEFAULTS = { rate: 0.9, pitch: 1, voice: null };
+
+/**
+ * Read a JSON file, keeping the parsed document until the file changes. A
+ * missing file reads as null.
+ */
+function watchedJson(filePath) {
+  let cached = null;
+  return () => {
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    if (!cached || cached.mtimeMs !== stat.mtimeMs) {
+      cached = { mtimeMs: stat.mtimeMs, document: JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    }
+    return cached.document;
+  };
+}
+
+// null in a profile means "use the default"
+function definedFields(object) {
+  return Object.fromEntries(Object.entries(object || {}).filter(([, value]) => value !== null && value !== undefined));
+}
+
+class VoiceCatalog {
+  constructor({ profilesPath, lexiconPath, elevenlabs }) {
+    this.readProfiles = watchedJson(profilesPath);
+    this.readLexicon = watchedJson(lexiconPath);
+    this.elevenlabs = elevenlabs;
+    this.compiled = { document: null, byLanguage: new Map() };
+  }
+
+  /**
+   * The profile for a two-letter language code, defaults filled in.
+   */
+  profile(languageCode) {
+    const document = this.readProfiles();
+    const languages = (document && document.languages) || {};
+    const own = definedFields(languages[languageCode]);
+    return {
+      voiceId: this.elevenlabs.voiceId,
+      modelId: this.elevenlabs.modelId,
+      stability: this.elevenlabs.voiceSettings.stability,
+      similarityBoost: this.elevenlabs.voiceSettings.similarityBoost,
+      speakingRate: 1,
+      ...own,
+      webSpeech: { ...WEB_SPEECH_DEFAULTS, ...definedFields(own.webSpeech) },
+    };
+  }
+
+  /**
+   * Lexicon entries for a language.
+   */
+  lexiconEntries(languageCode) {
+    const document = this.readLexicon();
+    const languages = (document && document.languages) || {};
+    return Array.isArray(languages[languageCode]) ? languages[languageCode] : [];
+  }
+
+  /**
+   * The text as it should be spoken in a language (see public/lib/pronunciation.js).
+   */
+  pronounce(text, languageCode) {
+    const document = this.readLexicon();
+    if (this.compiled.document !== document) this.compiled = { document, byLanguage: new Map() };
+    if (!this.compiled.byLanguage.has(languageCode)) {
+      this.compiled.byLanguage.set(languageCode, compileLexicon(this.lexiconEntries(languageCode)));
+    }
+    return applyLexicon(text, this.compiled.byLanguage.get(languageCode));
+  }
+
+  /**
+   * What the browser needs to speak without ElevenLabs: each language's Web
+   * Speech settings and lexicon. Voice ids and models stay on the server.
+   */
+  describe(languageCodes) {
+    return Object.fromEntries(languageCodes.map((code) => [code, {
+      webSpeech: this.profile(code).webSpeech,
+      lexicon: this.lexiconEntries(code),
+    }]));
+  }
+}
+
+module.exports = {
+  VoiceCatalog,
+  watchedJson,
+};
@@ -0,0 +1,363 @@
+/**
+ * Outbound Webhooks
+ *
+ * Pushes finished interviews to other systems (the policy admin system):
+ * session.completed, session.handoff and session.abandoned. Every event
+ * goes to each endpoint in WEBHOOK_URLS as a JSON POST:
+ *
+ *   { id, type, createdAt, data: { session, questionnaire, language, answers, ... } }
+ *
+ * signed with WEBHOOK_SECRET:
+ *
+ *   X-Webhook-Id: <event id>            (the same for every retry and replay)
+ *   X-Webhook-Event: <type>
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *
+ * Each (event, endpoint) pair is a delivery, kept in a persistent queue
+ * (the session stores, one record per delivery) so a restart loses
+ * nothing. A delivery is done on any 2xx; otherwise it is retried with
+ * exponential backoff, and after maxAttempts it is dead: kept, with its
+ * last error, until an agent replays it.
+ */
+
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = ['session.completed', 'session.handoff', 'session.abandoned'];
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+// Kept from a failed attempt's response, for the dead-letter list
+const MAX_ERROR_BODY_LENGTH = 500;
+
+// ============================================================================
+// SIGNATURES
+// ============================================================================
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function signatureHeader(secret, body, now = Date.now()) {
+  const timestamp = Math.floor(now / 1000);
+  return `t=${timestamp},v1=${signPayload(secret, timestamp, body)}`;
+}
+
+/**
+ * Check an X-Webhook-Signature header against the raw body. Signatures
+ * older than toleranceSeconds are refused so a captured request cannot be
+ * replayed later. Returns { ok, problem }.
+ */
+function verifySignature(secret, header, body, { toleranceSeconds = 300, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map((part) => {
+    const index = part.indexOf('=');
+    return index === -1 ? [part.trim(), ''] : [part.slice(0, index).trim(), part.slice(index + 1).trim()];
+  }));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return { ok: false, problem: 'malformed signature header' };
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return { ok: false, problem: 'signature is too old' };
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const actual = Buffer.from(parts.v1);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { ok: false, problem: 'signature does not match' };
+  }
+  return { ok: true, problem: null };
+}
+
+// ============================================================================
+// PAYLOADS
+// ============================================================================
+
+/**
+ * What a webhook says about a session: its normalized answers in script
+ * order, each with its follow-up questions and answers, and the
+ * questionnaire version and language it was asked in. Answers to questions
+ * the version no longer has (after a migration) come last.
+ */
+function sessionPayload(session, questionnaire) {
+  const questions = (questionnaire && questionnaire.questions) || [];
+  const answers = session.answers || {};
+  const followups = session.followups || {};
+  const known = new Set(questions.map((question) => question.id));
+
+  const describe = (questionId, question = null) => ({
+    questionId,
+    section: question ? question.section || null : null,
+    question: question ? question.question || null : null,
+    answer: answers[questionId],
+    followups: ((followups[questionId] && followups[questionId].items) || [])
+      .map((item) => ({ question: item.q, answer: item.a })),
+  });
+
+  return {
+    session: {
+      id: session.id,
+      status: session.status,
+      channel: session.channel || null,
+      tenant: session.tenant || null,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      completedAt: session.completedAt || null,
+    },
+    questionnaire: session.questionnaire || null,
+    language: session.language,
+    answers: questions.filter((question) => answers[question.id] !== undefined)
+      .map((question) => describe(question.id, question))
+      .concat(Object.keys(answers).filter((questionId) => !known.has(questionId)).map((questionId) => describe(questionId))),
+    conflicts: (session.conflicts || []).filter((conflict) => conflict.resolution === 'unresolved')
+      .map((conflict) => ({
+        id: conflict.id,
+        constraintId: conflict.constraintId,
+        message: conflict.message,
+        answers: conflict.answers,
+      })),
+  };
+}
+
+// ============================================================================
+// DISPATCHER
+// ============================================================================
+
+/**
+ * store is a session store (lib/session-store.js) holding delivery
+ * records. options: { urls, secret, events, maxAttempts, retryBaseMs,
+ * retryMaxMs, timeoutMs, retentionMs }. Without a URL or a secret nothing
+ * is queued.
+ */
+class WebhookDispatcher {
+  constructor(store, {
+    urls = [],
+    secret = null,
+    events = WEBHOOK_EVENTS,
+    maxAttempts = 10,
+    retryBaseMs = 30 * 1000,
+    retryMaxMs = 6 * 60 * 60 * 1000,
+    timeoutMs = 10000,
+    retentionMs = 7 * 24 * 60 * 60 * 1000,
+    now = () => Date.now(),
+  } = {}) {
+    this.store = store;
+    this.urls = urls;
+    this.secret = secret;
+    this.events = events.filter((type) => WEBHOOK_EVENTS.includes(type));
+    this.maxAttempts = maxAttempts;
+    this.retryBaseMs = retryBaseMs;
+    this.retryMaxMs = retryMaxMs;
+    this.timeoutMs = timeoutMs;
+    this.retentionMs = retentionMs;
+    this.now = now;
+    // Keys of the events already queued (a promise of a Set), so each is
+    // sent once
+    this.keys = null;
+    this.running = null;
+    this.runAgain = false;
+  }
+
+  get enabled() {
+    return this.urls.length > 0 && !!this.secret;
+  }
+
+  subscribed(type) {
+    return this.enabled && this.events.includes(type);
+  }
+
+  queuedKeys() {
+    if (!this.keys) {
+      this.keys = this.store.list().then((deliveries) => new Set(deliveries.map((delivery) => delivery.key)));
+    }
+    return this.keys;
+  }
+
+  /**
+   * Queue an event for every endpoint, unless one with the same key
+   * (e.g. "session.completed:<session id>") was queued before. Returns the
+   * new deliveries.
+   */
+  async emit(type, key, data) {
+    if (!this.subscribed(type)) return [];
+    const keys = await this.queuedKeys();
+    if (keys.has(key)) return [];
+    keys.add(key);
+
+    const createdAt = new Date(this.now()).toISOString();
+    const event = { id: crypto.randomUUID(), type, createdAt, data };
+    const deliveries = [];
+    for (const url of this.urls) {
+      const delivery = {
+        id: crypto.randomUUID(),
+        key,
+        url,
+        event,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: createdAt,
+        lastAttemptAt: null,
+        lastStatus: null,
+        lastError: null,
+        createdAt,
+        deliveredAt: null,
+        deadAt: null,
+        replays: 0,
+      };
+      await this.store.put(delivery);
+      deliveries.push(delivery);
+    }
+    this.deliverDue();
+    return deliveries;
+  }
+
+  retryDelayMs(attempts) {
+    const delay = Math.min(this.retryMaxMs, this.retryBaseMs * 2 ** Math.max(0, attempts - 1));
+    // Up to a quarter more, so deliveries that failed together spread out
+    return Math.round(delay * (1 + Math.random() * 0.25));
+  }
+
+  /**
+   * Send every pending delivery that is due, one at a time. A call while a
+   * run is going returns that run, and another run follows it.
+   */
+  deliverDue() {
+    if (this.running) {
+      this.runAgain = true;
+      return this.running;
+    }
+    this.running = this.runDue()
+      .catch((error) => {
+        console.error('Webhook delivery error:', error);
+        return 0;
+      })
+      .finally(() => {
+        this.running = null;
+        if (this.runAgain) {
+          this.runAgain = false;
+          this.deliverDue();
+        }
+      });
+    return this.running;
+  }
+
+  async runDue() {
+    const now = this.now();
+    const due = (await this.store.list())
+      .filter((delivery) => delivery.status === 'pending' && Date.parse(delivery.nextAttemptAt) <= now)
+      .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+    let delivered = 0;
+    for (const delivery of due) {
+      if (await this.attempt(delivery)) delivered += 1;
+    }
+    return delivered;
+  }
+
+  /**
+   * One POST of a delivery; the record is updated with the outcome.
+   * Resolves with whether it was delivered.
+   */
+  async attempt(delivery) {
+    const body = JSON.stringify(delivery.event);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    let status = null;
+    let error = null;
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'voice-questionnaire-webhooks/1',
+          'X-Webhook-Id': delivery.event.id,
+          'X-Webhook-Event': delivery.event.type,
+          'X-Webhook-Signature': signatureHeader(this.secret, body, this.now()),
+        },
+        body,
+        signal: controller.signal,
+      });
+      status = response.status;
+      if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        error = `HTTP ${response.status}${text ? `: ${text.slice(0, MAX_ERROR_BODY_LENGTH)}` : ''}`;
+      }
+    } catch (failure) {
+      error = failure.name === 'AbortError' ? `No response within ${this.timeoutMs} ms` : failure.message;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const now = this.now();
+    delivery.attempts += 1;
+    delivery.lastAttemptAt = new Date(now).toISOString();
+    delivery.lastStatus = status;
+    delivery.lastError = error;
+    if (!error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = delivery.lastAttemptAt;
+    } else if (delivery.attempts >= this.maxAttempts) {
+      delivery.status = 'dead';
+      delivery.deadAt = delivery.lastAttemptAt;
+      console.error(`Webhook ${delivery.event.type} to ${delivery.url} failed ${delivery.attempts} times: ${error}`);
+    } else {
+      delivery.nextAttemptAt = new Date(now + this.retryDelayMs(delivery.attempts)).toISOString();
+    }
+    await this.store.put(delivery);
+    return !error;
+  }
+
+  /**
+   * Deliveries, newest first, optionally only those with a status.
+   */
+  async list({ status = null } = {}) {
+    const deliveries = await this.store.list();
+    return deliveries
+      .filter((delivery) => !status || delivery.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Send a delivery again from the first attempt (a dead one, or a
+   * delivered one the receiver lost). Returns the delivery, or null.
+   */
+  async replay(id) {
+    const delivery = await this.store.get(id);
+    if (!delivery) return null;
+    Object.assign(delivery, {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date(this.now()).toISOString(),
+      deadAt: null,
+      replays: (delivery.replays || 0) + 1,
+    });
+    await this.store.put(delivery);
+    this.deliverDue();
+    return delivery;
+  }
+
+  /**
+   * Forget delivered and dead deliveries older than the retention period.
+   * Returns how many were removed.
+   */
+  async purge() {
+    const cutoff = this.now() - this.retentionMs;
+    let purged = 0;
+    for (const delivery of await this.store.list()) {
+      const finishedAt = delivery.deliveredAt || delivery.deadAt;
+      if (delivery.status !== 'pending' && finishedAt && Date.parse(finishedAt) < cutoff) {
+        await this.store.delete(delivery.id);
+        purged += 1;
+      }
+    }
+    // Read again: another endpoint's delivery of an event may still be kept
+    if (purged > 0) this.keys = null;
+    return purged;
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  signatureHeader,
+  verifySignature,
+  sessionPayload,
+  WebhookDispatcher,
+};
@@ -0,0 +1,206 @@
+/**
+ * YAML Subset
+ *
+ * Reads the small part of YAML that hand-written simulator scripts use, so
+ * they can be YAML without another dependency:
+ *
+ *   - block mappings (key: value) and block sequences (- item), nested by
+ *     indentation, including sequences of mappings (- key: value)
+ *   - flow sequences on one line ([a, "b c", 3])
+ *   - plain, 'single' and "double" quoted scalars; null and ~, true/false,
+ *     numbers
+ *   - # comments and blank lines
+ *
+ * Anchors, tags, multi-line scalars, flow mappings and multiple documents
+ * are not supported and fail with a YamlError naming the line.
+ */
+
+class YamlError extends Error {
+  constructor(message, lineNumber) {
+    super(lineNumber ? `line ${lineNumber}: ${message}` : message);
+    this.name = 'YamlError';
+    this.lineNumber = lineNumber || null;
+  }
+}
+
+/**
+ * Remove a trailing # comment that is outside quotes.
+ */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i += 1;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trimEnd();
+    }
+  }
+  return text.trimEnd();
+}
+
+function parseScalar(text, lineNumber) {
+  const value = text.trim();
+  if (value === '' || value === '~' || value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^-?\d+(?:\.\d+)?$/.test(value)) return Number(value);
+  if (value.startsWith('"')) {
+    if (!value.endsWith('"') || value.length < 2) throw new YamlError('unterminated double-quoted string', lineNumber);
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new YamlError(`bad double-quoted string ${value}`, lineNumber);
+    }
+  }
+  if (value.startsWith("'")) {
+    if (!value.endsWith("'") || value.length < 2) throw new YamlError('unterminated single-quoted string', lineNumber);
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (value.startsWith('[')) return parseFlowSequence(value, lineNumber);
+  if (value.startsWith('{') || /^[&*!|>]/.test(value)) {
+    throw new YamlError(`unsupported YAML syntax "${value}"`, lineNumber);
+  }
+  return value;
+}
+
+function parseFlowSequence(text, lineNumber) {
+  if (!text.endsWith(']')) throw new YamlError('unterminated [ sequence', lineNumber);
+  const inner = text.slice(1, -1);
+  const items = [];
+  let current = '';
+  let quote = null;
+  for (let i = 0; i < inner.length; i += 1) {
+    const char = inner[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        current += char + inner[i + 1];
+        i += 1;
+        continue;
+      }
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[' || char === '{') {
+      throw new YamlError('nested flow collections are not supported', lineNumber);
+    } else if (char === ',') {
+      items.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim() !== '' || items.length > 0) items.push(current);
+  return items.map((item) => parseScalar(item, lineNumber));
+}
+
+/**
+ * Split "key: value" at the first colon outside quotes that ends the text
+ * or is followed by a space. Returns null when the text is not a key.
+ */
+function splitKey(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ':' && (i === text.length - 1 || text[i + 1] === ' ')) {
+      const rawKey = text.slice(0, i).trim();
+      const key = /^["']/.test(rawKey) ? parseScalar(rawKey) : rawKey;
+      return { key: String(key), rest: text.slice(i + 1).trim() };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a YAML document made of the supported subset.
+ */
+function parseYaml(source) {
+  const lines = [];
+  String(source).replace(/^﻿/, '').split(/\r?\n/).forEach((raw, index) => {
+    if (/^\s*(?:---|\.\.\.)\s*$/.test(raw) && lines.length === 0) return;
+    const text = stripComment(raw);
+    if (text.trim() === '') return;
+    if (/^\s*\t/.test(raw)) throw new YamlError('tabs are not allowed for indentation', index + 1);
+    lines.push({ indent: text.length - text.trimStart().length, text: text.trim(), number: index + 1 });
+  });
+
+  let position = 0;
+
+  function parseBlock(indent) {
+    const line = lines[position];
+    if (line.text.startsWith('- ') || line.text === '-') return parseSequence(indent);
+    if (splitKey(line.text)) return parseMapping(indent);
+    position += 1;
+    return parseScalar(line.text, line.number);
+  }
+
+  // The value after "key:" or "- ": inline, or the indented block below
+  function parseValue(rest, parentIndent, lineNumber) {
+    if (rest !== '') return parseScalar(rest, lineNumber);
+    const next = lines[position];
+    if (!next || next.indent <= parentIndent) {
+      // A sequence may sit at the same indent as its key
+      if (next && next.indent === parentIndent && next.text.startsWith('-')) return parseSequence(next.indent);
+      return null;
+    }
+    return parseBlock(next.indent);
+  }
+
+  function parseMapping(indent) {
+    const result = {};
+    while (position < lines.length && lines[position].indent === indent) {
+      const line = lines[position];
+      if (line.text.startsWith('-')) break;
+      const entry = splitKey(line.text);
+      if (!entry) throw new YamlError(`expected "key: value", got "${line.text}"`, line.number);
+      if (Object.prototype.hasOwnProperty.call(result, entry.key)) {
+        throw new YamlError(`duplicate key "${entry.key}"`, line.number);
+      }
+      position += 1;
+      result[entry.key] = parseValue(entry.rest, indent, line.number);
+    }
+    if (position < lines.length && lines[position].indent > indent) {
+      throw new YamlError('unexpected indentation', lines[position].number);
+    }
+    return result;
+  }
+
+  function parseSequence(indent) {
+    const result = [];
+    while (position < lines.length && lines[position].indent === indent && /^-(?:\s|$)/.test(lines[position].text)) {
+      const line = lines[position];
+      const rest = line.text.slice(1).trim();
+      const entry = rest.startsWith('"') || rest.startsWith("'") || rest.startsWith('[') ? null : splitKey(rest);
+      if (entry) {
+        // "- key: value" starts a mapping whose other keys line up with key
+        const itemIndent = indent + (line.text.length - rest.length);
+        lines[position] = { ...line, indent: itemIndent, text: rest };
+        result.push(parseMapping(itemIndent));
+      } else {
+        position += 1;
+        result.push(parseValue(rest, indent, line.number));
+      }
+    }
+    if (position < lines.length && lines[position].indent > indent) {
+      throw new YamlError('unexpected indentation', lines[position].number);
+    }
+    return result;
+  }
+
+  if (lines.length === 0) return null;
+  const value = parseBlock(lines[0].indent);
+  if (position < lines.length) throw new YamlError('unexpected content', lines[position].number);
+  return value;
+}
+
+module.exports = {
+  YamlError,
+  parseYaml,
+};
@@ -0,0 +1,634 @@
+/**
+ * Answer Parsers
+ *
+ * Shared by the server and the browser: turns spoken date and number answers
+ * into values the rest of the system can compare.
+ *
+ * - Numbers: digits ("140"), spoken words ("one hundred and forty",
+ *   "one forty"), negatives ("-5", "minus five"), vague amounts ("a couple",
+ *   "a few") and ranges ("two or three", "between 5 and 10"). Number words
+ *   are read in the session language and never joined across punctuation
+ *   ("I take two, once daily" is 2).
+ * - Dates: absolute ("March 15, 2020", "3/15/2020"), partial ("March 2020",
+ *   "2019") and relative to the interview date ("six months ago",
+ *   "last week"), output as ISO 8601 with a precision flag. A date that
+ *   does not exist ("13/45/2020", "Feb 30 2020") is not read at all.
+ *
+ * Questions may declare min / max / unit; out-of-range answers are reported
+ * so the interviewer can ask again.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AnswerParsers = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // ==========================================================================
+  // LEXICONS
+  // ==========================================================================
+
+  // Per language, so a word is only read in the language it belongs to
+  // ("once" is 1 in English and 11 in Spanish). kind: unit (0-9), twodigit
+  // (10-19 and other complete two-digit words), tens (20, 30 ... 90),
+  // hundreds (Spanish doscientos ...), and the multipliers hundred /
+  // thousand / dozen.
+  const NUMBER_WORDS = {
+    en: {
+      zero: [0, 'unit'], none: [0, 'unit'], nil: [0, 'unit'],
+      one: [1, 'unit'], two: [2, 'unit'], three: [3, 'unit'], four: [4, 'unit'], five: [5, 'unit'],
+      six: [6, 'unit'], seven: [7, 'unit'], eight: [8, 'unit'], nine: [9, 'unit'],
+      ten: [10, 'twodigit'], eleven: [11, 'twodigit'], twelve: [12, 'twodigit'], thirteen: [13, 'twodigit'],
+      fourteen: [14, 'twodigit'], fifteen: [15, 'twodigit'], sixteen: [16, 'twodigit'],
+      seventeen: [17, 'twodigit'], eighteen: [18, 'twodigit'], nineteen: [19, 'twodigit'],
+      twenty: [20, 'tens'], thirty: [30, 'tens'], forty: [40, 'tens'], fourty: [40, 'tens'], fifty: [50, 'tens'],
+      sixty: [60, 'tens'], seventy: [70, 'tens'], eighty: [80, 'tens'], ninety: [90, 'tens'],
+      hundred: [100, 'hundred'], thousand: [1000, 'thousand'], dozen: [12, 'dozen'],
+      first: [1, 'unit'], second: [2, 'unit'], third: [3, 'unit'], fourth: [4, 'unit'], fifth: [5, 'unit'],
+      sixth: [6, 'unit'], seventh: [7, 'unit'], eighth: [8, 'unit'], ninth: [9, 'unit'],
+      tenth: [10, 'twodigit'], eleventh: [11, 'twodigit'], twelfth: [12, 'twodigit'],
+      thirteenth: [13, 'twodigit'], fourteenth: [14, 'twodigit'], fifteenth: [15, 'twodigit'],
+      sixteenth: [16, 'twodigit'], seventeenth: [17, 'twodigit'], eighteenth: [18, 'twodigit'],
+      nineteenth: [19, 'twodigit'], twentieth: [20, 'tens'], thirtieth: [30, 'tens'],
+      once: [1, 'unit'], twice: [2, 'unit'], thrice: [3, 'unit'],
+    },
+    es: {
+      cero: [0, 'unit'], ninguno: [0, 'unit'], ninguna: [0, 'unit'],
+      uno: [1, 'unit'], una: [1, 'unit'], un: [1, 'unit'], primero: [1, 'unit'],
+      dos: [2, 'unit'], tres: [3, 'unit'], cuatro: [4, 'unit'], cinco: [5, 'unit'],
+      seis: [6, 'unit'], siete: [7, 'unit'], ocho: [8, 'unit'], nueve: [9, 'unit'],
+      diez: [10, 'twodigit'], once: [11, 'twodigit'], doce: [12, 'twodigit'], trece: [13, 'twodigit'],
+      catorce: [14, 'twodigit'], quince: [15, 'twodigit'], dieciseis: [16, 'twodigit'],
+      diecisiete: [17, 'twodigit'], dieciocho: [18, 'twodigit'], diecinueve: [19, 'twodigit'],
+      veinte: [20, 'tens'], veintiuno: [21, 'twodigit'], veintiun: [21, 'twodigit'], veintiuna: [21, 'twodigit'],
+      veintidos: [22, 'twodigit'], veintitres: [23, 'twodigit'], veinticuatro: [24, 'twodigit'],
+      veinticinco: [25, 'twodigit'], veintiseis: [26, 'twodigit'], veintisiete: [27, 'twodigit'],
+      veintiocho: [28, 'twodigit'], veintinueve: [29, 'twodigit'],
+      treinta: [30, 'tens'], cuarenta: [40, 'tens'], cincuenta: [50, 'tens'], sesenta: [60, 'tens'],
+      setenta: [70, 'tens'], ochenta: [80, 'tens'], noventa: [90, 'tens'],
+      cien: [100, 'hundreds'], ciento: [100, 'hundreds'], doscientos: [200, 'hundreds'],
+      trescientos: [300, 'hundreds'], cuatrocientos: [400, 'hundreds'], quinientos: [500, 'hundreds'],
+      seiscientos: [600, 'hundreds'], setecientos: [700, 'hundreds'], ochocientos: [800, 'hundreds'],
+      novecientos: [900, 'hundreds'], mil: [1000, 'thousand'], docena: [12, 'dozen'],
+    },
+  };
+
+  // Vague amounts, rewritten to digits before parsing; all are approximate.
+  const VAGUE_AMOUNTS = [
+    [/\bhalf (?:a )?dozen\b/g, '6'],
+    [/\bmedia docena\b/g, '6'],
+    [/\b(?:a )?couple(?: of)?\b/g, '2'],
+    [/\bun par(?: de)?\b/g, '2'],
+    [/\ba few\b/g, '3'],
+    [/\bunos pocos\b|\bunas pocas\b/g, '3'],
+  ];
+
+  const HALF_PATTERN = /\b(?:and a half|y medio|y media)\b/g;
+  const HALF_TOKEN = 'halfmark';
+  const APPROXIMATE_PATTERN = /\b(?:about|around|roughly|approximately|approx|maybe|probably|or so|give or take|almost|nearly|unos|unas|alrededor|aproximadamente|como|casi|quizas|quizá|quizás|tal vez)\b|\bmas o menos\b|ish\b/;
+  const RANGE_CONNECTORS = ['to', 'or', 'through', 'and', '-', 'a', 'o', 'u', 'y', 'hasta'];
+  const NUMBER_JOINERS = { and: ['hundred', 'thousand', 'hundreds'], y: ['tens'] };
+  const DECIMAL_POINTS = ['point', 'punto'];
+  // Not "menos", which is also in "mas o menos"
+  const NEGATIVE_SIGNS = ['-', 'minus', 'negative', 'negativo', 'negativa'];
+
+  const MONTHS = {
+    january: 1, jan: 1, february: 2, feb: 2, march: 3, april: 4, apr: 4, may: 5, june: 6, jun: 6,
+    july: 7, jul: 7, august: 8, aug: 8, september: 9, sept: 9, sep: 9, october: 10, oct: 10,
+    november: 11, nov: 11, december: 12, dec: 12,
+    enero: 1, febrero: 2, marzo: 3, abril: 4, mayo: 5, junio: 6, julio: 7, agosto: 8,
+    septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12,
+  };
+
+  const RELATIVE_UNITS = {
+    day: 'day', days: 'day', dia: 'day', dias: 'day',
+    week: 'week', weeks: 'week', semana: 'week', semanas: 'week',
+    month: 'month', months: 'month', mes: 'month', meses: 'month',
+    year: 'year', years: 'year', ano: 'year', anos: 'year',
+  };
+
+  function normalizeText(text) {
+    return String(text === undefined || text === null ? '' : text)
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[̀-ͯ]/g, '')
+      .replace(/(\d),(\d{3})(?!\d)/g, '$1$2')
+      .replace(/[,;:!?]|\.(?!\d)/g, ' , ')
+      .replace(/(\d)(?:st|nd|rd|th)\b/g, '$1')
+      .replace(/(\d)\s*-\s*(\d)/g, '$1 to $2')
+      .replace(/([a-z])-([a-z])/g, '$1 $2')
+      .replace(/[^a-z0-9.,/\s-]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .replace(/^[\s,]+|[\s,]+$/g, '');
+  }
+
+  // Punctuation stays as a "," token so numbers are not read across it.
+  function tokenize(text) {
+    return text.match(/\d+(?:\.\d+)?|[a-z]+|[-,]/g) || [];
+  }
+
+  /**
+   * A number word as [value, kind, language], looked up in the given
+   * language first so that words both languages spell the same way read as
+   * that language's number.
+   */
+  function numberWord(token, language) {
+    const languages = [language].concat(Object.keys(NUMBER_WORDS).filter((code) => code !== language));
+    for (const code of languages) {
+      const words = NUMBER_WORDS[code];
+      if (words && Object.prototype.hasOwnProperty.call(words, token)) return words[token].concat(code);
+    }
+    return null;
+  }
+
+  // ==========================================================================
+  // NUMBERS
+  // ==========================================================================
+
+  /**
+   * Every number in the text, in order, as { value, start, end } where
+   * start/end are token positions. Spoken numbers are combined the way people
+   * say them: "one hundred and forty", "treinta y cinco", and the paired
+   * style used for readings and years ("one forty", "nineteen eighty five").
+   * Words from different languages are never combined into one number.
+   */
+  function extractNumbers(tokens, language = 'en') {
+    const numbers = [];
+    let building = null;
+
+    const finish = () => {
+      if (building) {
+        numbers.push({ value: building.total + building.current, start: building.start, end: building.end });
+        building = null;
+      }
+    };
+
+    const lookup = (token) => numberWord(token, language);
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+
+      if (/^\d/.test(token)) {
+        finish();
+        building = { total: 0, current: Number(token), last: 'numeric', start: i, end: i, language: null };
+        continue;
+      }
+
+      if (token === HALF_TOKEN) {
+        if (building) {
+          building.current += 0.5;
+          building.end = i;
+        }
+        finish();
+        continue;
+      }
+
+      if (building && DECIMAL_POINTS.includes(token)) {
+        let digits = '';
+        let j = i + 1;
+        while (j < tokens.length && (/^\d$/.test(tokens[j]) || (lookup(tokens[j]) && lookup(tokens[j])[1] === 'unit'))) {
+          digits += /^\d$/.test(tokens[j]) ? tokens[j] : String(lookup(tokens[j])[0]);
+          j += 1;
+        }
+        if (digits) {
+          building.current = Number(`${building.total + building.current}.${digits}`);
+          building.total = 0;
+          building.end = j - 1;
+          i = j - 1;
+        }
+        finish();
+        continue;
+      }
+
+      if (building && NUMBER_JOINERS[token]) {
+        const next = lookup(tokens[i + 1]);
+        if (next && NUMBER_JOINERS[token].includes(building.last) && ['unit', 'twodigit', 'tens'].includes(next[1])) {
+          building.last = 'joiner';
+          continue;
+        }
+        finish();
+        continue;
+      }
+
+      if ((token === 'a' || token === 'an') && lookup(tokens[i + 1]) && ['hundred', 'thousand', 'dozen'].includes(lookup(tokens[i + 1])[1])) {
+        finish();
+        building = { total: 0, current: 1, last: 'unit', start: i, end: i, language: lookup(tokens[i + 1])[2] };
+        continue;
+      }
+
+      const word = lookup(token);
+      if (!word) {
+        finish();
+        continue;
+      }
+
+      const [value, kind, wordLanguage] = word;
+      if (building && building.language && building.language !== wordLanguage) finish();
+
+      if (kind === 'hundred' || kind === 'dozen') {
+        if (!building) building = { total: 0, current: 1, last: 'unit', start: i, end: i, language: wordLanguage };
+        building.current = (building.current || 1) * value;
+        building.last = kind === 'hundred' ? 'hundred' : 'dozen';
+        building.end = i;
+        continue;
+      }
+
+      if (kind === 'thousand') {
+        if (!building) building = { total: 0, current: 1, last: 'unit', start: i, end: i, language: wordLanguage };
+        building.total += (building.current || 1) * value;
+        building.current = 0;
+        building.last = 'thousand';
+        building.end = i;
+        continue;
+      }
+
+      if (!building) {
+        building = { total: 0, current: value, last: kind, start: i, end: i, language: wordLanguage };
+        continue;
+      }
+
+      const afterScale = ['hundred', 'hundreds', 'thousand', 'joiner'].includes(building.last);
+      const pairedStyle = building.total === 0 && building.current > 0 && building.current < 100
+        && ['unit', 'twodigit', 'tens'].includes(building.last);
+
+      let combined = false;
+      if (kind === 'unit') {
+        if (afterScale || (building.last === 'tens' && building.current % 10 === 0)) {
+          building.current += value;
+          combined = true;
+        }
+      } else if (kind === 'twodigit' || kind === 'tens') {
+        if (afterScale) {
+          building.current += value;
+          combined = true;
+        } else if (pairedStyle) {
+          building.current = building.current * 100 + value;
+          combined = true;
+        }
+      } else if (kind === 'hundreds') {
+        if (building.last === 'thousand') {
+          building.current += value;
+          combined = true;
+        }
+      }
+
+      if (combined) {
+        building.last = kind;
+        building.end = i;
+        building.language = wordLanguage;
+      } else {
+        finish();
+        building = { total: 0, current: value, last: kind, start: i, end: i, language: wordLanguage };
+      }
+    }
+
+    finish();
+
+    // A leading minus ("-5", "minus five") makes a number negative; between
+    // two numbers a dash is a range ("two - three").
+    return numbers.map((number, index) => {
+      const previous = numbers[index - 1];
+      const isNegative = NEGATIVE_SIGNS.includes(tokens[number.start - 1])
+        && !(previous && previous.end === number.start - 2);
+      return isNegative ? { ...number, value: -number.value, start: number.start - 1 } : number;
+    });
+  }
+
+  /**
+   * Normalize text for number parsing: vague amounts become digits and
+   * "and a half" becomes a marker token.
+   */
+  function numberTokens(text) {
+    let normalized = normalizeText(text);
+    let approximate = APPROXIMATE_PATTERN.test(normalized);
+    for (const [pattern, replacement] of VAGUE_AMOUNTS) {
+      const replaced = normalized.replace(pattern, replacement);
+      if (replaced !== normalized) approximate = true;
+      normalized = replaced;
+    }
+    normalized = normalized.replace(HALF_PATTERN, ` ${HALF_TOKEN} `);
+    return { tokens: tokenize(normalized), approximate };
+  }
+
+  /**
+   * Parse a spoken or typed number. Returns { value, approximate, range }
+   * or null. Ranges ("two or three") resolve to their upper bound, the
+   * conservative reading for underwriting, and keep both ends in range.
+   * Number words are read in the given language first ("once" is 1 in
+   * English, 11 in Spanish).
+   */
+  function parseNumber(text, { language = 'en' } = {}) {
+    const { tokens, approximate } = numberTokens(text);
+    if (tokens.length === 0) return null;
+    if (/^(?:(?:a|an) )?half$|^(?:medio|media)$/.test(tokens.join(' '))) {
+      return { value: 0.5, approximate, range: null };
+    }
+
+    const numbers = extractNumbers(tokens, language);
+    if (numbers.length === 0) return null;
+
+    const [first, second] = numbers;
+    if (second) {
+      const between = tokens.slice(first.end + 1, second.start);
+      const isRange = between.length > 0 && between.every((token) => RANGE_CONNECTORS.includes(token));
+      if (isRange) {
+        const low = Math.min(first.value, second.value);
+        const high = Math.max(first.value, second.value);
+        return { value: high, approximate: true, range: { low, high } };
+      }
+    }
+
+    return { value: first.value, approximate, range: null };
+  }
+
+  // ==========================================================================
+  // DATES
+  // ==========================================================================
+
+  function pad(value) {
+    return String(value).padStart(2, '0');
+  }
+
+  function toIso(year, month, day) {
+    if (!month) return String(year);
+    if (!day) return `${year}-${pad(month)}`;
+    return `${year}-${pad(month)}-${pad(day)}`;
+  }
+
+  function isValidDay(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+  }
+
+  function referenceParts(now) {
+    return { year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate() };
+  }
+
+  function result(year, month, day, precision, approximate = false) {
+    return { value: toIso(year, month, day), precision, approximate };
+  }
+
+  function shiftDays(now, days) {
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() - days);
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+  }
+
+  function shiftMonths(now, months) {
+    const total = now.getFullYear() * 12 + now.getMonth() - months;
+    return [Math.floor(total / 12), (total % 12) + 1];
+  }
+
+  function expandYear(value, now) {
+    if (value >= 100) return value;
+    const century = Math.floor(now.getFullYear() / 100) * 100;
+    return value + century > now.getFullYear() ? value + century - 100 : value + century;
+  }
+
+  function isPlausibleYear(value) {
+    return Number.isInteger(value) && value >= 1900 && value <= 2100;
+  }
+
+  // A date that was written out but does not exist ("13/45/2020",
+  // "Feb 30 2020"); it is not read as a vaguer date, so the applicant is
+  // asked again.
+  const INVALID_DATE = { invalid: true };
+
+  function parseNumericDate(text, now, language) {
+    const iso = text.match(/\b(\d{4})[-/.](\d{1,2})(?:[-/.](\d{1,2}))?\b/);
+    if (iso) {
+      const [year, month, day] = [Number(iso[1]), Number(iso[2]), iso[3] ? Number(iso[3]) : null];
+      if (month < 1 || month > 12) return INVALID_DATE;
+      if (day && !isValidDay(year, month, day)) return INVALID_DATE;
+      return result(year, month, day, day ? 'day' : 'month');
+    }
+
+    const full = text.match(/\b(\d{1,2})[/.](\d{1,2})[/.](\d{2,4})\b/);
+    if (full) {
+      const dayFirst = language === 'es';
+      const month = Number(dayFirst ? full[2] : full[1]);
+      const day = Number(dayFirst ? full[1] : full[2]);
+      const year = expandYear(Number(full[3]), now);
+      if (month < 1 || month > 12 || !isValidDay(year, month, day)) return INVALID_DATE;
+      return result(year, month, day, 'day');
+    }
+
+    const monthYear = text.match(/\b(\d{1,2})[/.](\d{4})\b/);
+    if (monthYear) {
+      const month = Number(monthYear[1]);
+      if (month < 1 || month > 12) return INVALID_DATE;
+      return result(Number(monthYear[2]), month, null, 'month');
+    }
+
+    return null;
+  }
+
+  function parseRelativeDate(text, tokens, now, language) {
+    const today = referenceParts(now);
+    const approximate = APPROXIMATE_PATTERN.test(text);
+
+    if (/\b(?:day before yesterday|anteayer|antier)\b/.test(text)) return result(...shiftDays(now, 2), 'day', approximate);
+    if (/\b(?:today|hoy)\b/.test(text)) return result(today.year, today.month, today.day, 'day', approximate);
+    if (/\b(?:yesterday|ayer)\b/.test(text)) return result(...shiftDays(now, 1), 'day', approximate);
+    if (/\b(?:last week|semana pasada)\b/.test(text)) return result(...shiftDays(now, 7), 'day', true);
+    if (/\b(?:last month|mes pasado)\b/.test(text)) return result(...shiftMonths(now, 1), null, 'month', approximate);
+    if (/\b(?:this month|este mes)\b/.test(text)) return result(today.year, today.month, null, 'month', approximate);
+    if (/\b(?:last year|ano pasado)\b/.test(text)) return result(today.year - 1, null, null, 'year', approximate);
+    if (/\b(?:this year|este ano)\b/.test(text)) return result(today.year, null, null, 'year', approximate);
+
+    // "six months ago", "a year and a half ago", "hace dos semanas"
+    const agoIndex = tokens.findIndex((token) => token === 'ago');
+    const haceIndex = tokens.findIndex((token) => token === 'hace');
+    let unitIndex = -1;
+    let quantityTokens = [];
+    if (agoIndex > 0) {
+      for (let i = agoIndex - 1; i >= 0; i--) {
+        if (RELATIVE_UNITS[tokens[i]]) {
+          unitIndex = i;
+          break;
+        }
+      }
+      if (unitIndex !== -1) {
+        quantityTokens = tokens.slice(Math.max(0, unitIndex - 4), unitIndex);
+        const afterUnit = tokens.slice(unitIndex + 1, agoIndex).join(' ');
+        if (afterUnit === 'and a half') quantityTokens = quantityTokens.concat(['and', 'a', 'half']);
+      }
+    } else if (haceIndex !== -1) {
+      for (let i = haceIndex + 1; i < tokens.length; i++) {
+        if (RELATIVE_UNITS[tokens[i]]) {
+          unitIndex = i;
+          break;
+        }
+      }
+      if (unitIndex !== -1) {
+        quantityTokens = tokens.slice(haceIndex + 1, unitIndex);
+        const afterUnit = tokens.slice(unitIndex + 1, unitIndex + 3).join(' ');
+        if (afterUnit === 'y medio' || afterUnit === 'y media') quantityTokens = quantityTokens.concat(['y', 'medio']);
+      }
+    }
+    if (unitIndex === -1) return null;
+
+    // The amount is the last number before the unit ("in 2019, about 3
+    // months ago" is 3); a bare "a" / "an" counts as one.
+    const quantity = numberTokens(quantityTokens.join(' '));
+    const numbers = extractNumbers(quantity.tokens, language);
+    let amount;
+    if (numbers.length > 0) {
+      amount = numbers[numbers.length - 1].value;
+    } else if (quantity.tokens.some((token) => token === 'a' || token === 'an')) {
+      amount = quantity.tokens.includes(HALF_TOKEN) ? 1.5 : 1;
+    } else {
+      return null;
+    }
+
+    const unit = RELATIVE_UNITS[tokens[unitIndex]];
+    const isApproximate = approximate || quantity.approximate || unit !== 'day';
+
+    if (unit === 'day') return result(...shiftDays(now, Math.round(amount)), 'day', isApproximate);
+    if (unit === 'week') return result(...shiftDays(now, Math.round(amount * 7)), 'day', isApproximate);
+    if (unit === 'month') {
+      if (Number.isInteger(amount)) return result(...shiftMonths(now, amount), null, 'month', isApproximate);
+      return result(...shiftDays(now, Math.round(amount * 30)), 'day', isApproximate);
+    }
+    if (Number.isInteger(amount)) return result(today.year - amount, null, null, 'year', isApproximate);
+    return result(...shiftMonths(now, Math.round(amount * 12)), null, 'month', isApproximate);
+  }
+
+  function parseNamedDate(tokens, now, language) {
+    const monthIndex = tokens.findIndex((token) => MONTHS[token]);
+    const approximate = APPROXIMATE_PATTERN.test(tokens.join(' '));
+
+    if (monthIndex === -1) {
+      // A bare year: "2019", "in twenty nineteen", "en dos mil diecinueve"
+      const years = extractNumbers(tokens, language).filter((number) => isPlausibleYear(number.value));
+      if (years.length === 0) return null;
+      return result(years[0].value, null, null, 'year', approximate);
+    }
+
+    const month = MONTHS[tokens[monthIndex]];
+    const rest = tokens.map((token, index) => (index === monthIndex ? '|' : token));
+    const numbers = extractNumbers(rest, language);
+    const yearNumber = numbers.find((number) => isPlausibleYear(number.value));
+    const dayNumber = numbers.find((number) => number !== yearNumber
+      && Number.isInteger(number.value) && number.value >= 1 && number.value <= 31
+      && (number.end === monthIndex - 1 || number.start === monthIndex + 1
+        || (['of', 'de'].includes(rest[number.end + 1]) && number.end + 2 === monthIndex)));
+
+    let year = yearNumber ? yearNumber.value : null;
+    if (year === null) {
+      // No year given: the most recent such month that is not in the future.
+      const today = referenceParts(now);
+      const isFuture = month > today.month || (month === today.month && dayNumber && dayNumber.value > today.day);
+      year = isFuture ? today.year - 1 : today.year;
+    }
+
+    if (dayNumber) {
+      if (!isValidDay(year, month, dayNumber.value)) return INVALID_DATE;
+      return result(year, month, dayNumber.value, 'day', approximate);
+    }
+    return result(year, month, null, 'month', approximate);
+  }
+
+  /**
+   * Parse a spoken or typed date against the interview date (now). Returns
+   * { value, precision, approximate } or null, where value is ISO 8601 at
+   * the given precision: "2020-03-15" (day), "2020-03" (month), "2020" (year).
+   */
+  function parseDate(text, { now = new Date(), language = 'en' } = {}) {
+    const normalized = normalizeText(text);
+    if (!normalized) return null;
+
+    // Numeric forms are matched before normalization turns "2020-03" into a range.
+    const numeric = parseNumericDate(String(text).toLowerCase(), now, language);
+    if (numeric) return numeric === INVALID_DATE ? null : numeric;
+
+    const tokens = tokenize(normalized);
+    const parsed = parseRelativeDate(normalized, tokens, now, language) || parseNamedDate(tokens, now, language);
+    return parsed === INVALID_DATE ? null : parsed;
+  }
+
+  // ==========================================================================
+  // RANGES
+  // ==========================================================================
+
+  function resolveDateLimit(limit, now) {
+    if (limit === 'today') {
+      const today = referenceParts(now);
+      return toIso(today.year, today.month, today.day);
+    }
+    return String(limit);
+  }
+
+  // Partial dates compare at the coarser precision: "2020-03" is within a
+  // max of "2020-03-15".
+  function compareIsoDates(left, right) {
+    const length = Math.min(left.length, right.length);
+    const a = left.slice(0, length);
+    const b = right.slice(0, length);
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+  }
+
+  /**
+   * Check a parsed value against the question's min / max. Returns null
+   * when it fits, otherwise 'below_min' or 'above_max'.
+   */
+  function checkRange(question, value, { now = new Date() } = {}) {
+    const hasMin = question.min !== undefined && question.min !== null;
+    const hasMax = question.max !== undefined && question.max !== null;
+
+    if (question.type === 'date') {
+      if (hasMin && compareIsoDates(value, resolveDateLimit(question.min, now)) < 0) return 'below_min';
+      if (hasMax && compareIsoDates(value, resolveDateLimit(question.max, now)) > 0) return 'above_max';
+      return null;
+    }
+
+    if (hasMin && value < question.min) return 'below_min';
+    if (hasMax && value > question.max) return 'above_max';
+    return null;
+  }
+
+  /**
+   * Parse an answer to a date or number question and check its range.
+   * Returns { valid, normalized, value, ... } or { valid: false, reason }
+   * with reason 'unparseable', 'below_min' or 'above_max'.
+   */
+  function parseAnswer(question, transcript, { now = new Date(), language = 'en' } = {}) {
+    const limits = {};
+    for (const key of ['min', 'max', 'unit']) {
+      if (question[key] !== undefined && question[key] !== null) limits[key] = question[key];
+    }
+
+    if (question.type === 'date') {
+      const parsed = parseDate(transcript, { now, language });
+      if (!parsed) return { valid: false, normalized: null, reason: 'unparseable', ...limits };
+      const reason = checkRange(question, parsed.value, { now });
+      if (reason) return { valid: false, normalized: null, reason, value: parsed.value, ...limits };
+      return { valid: true, normalized: parsed.value, ...parsed };
+    }
+
+    if (question.type === 'number') {
+      const parsed = parseNumber(transcript, { language });
+      if (!parsed) return { valid: false, normalized: null, reason: 'unparseable', ...limits };
+      const value = question.numberFormat === 'integer' ? Math.round(parsed.value) : parsed.value;
+      const reason = checkRange(question, value, { now });
+      if (reason) return { valid: false, normalized: null, reason, value, ...limits };
+      return {
+        valid: true,
+        normalized: String(value),
+        value,
+        approximate: parsed.approximate,
+        range: parsed.range,
+      };
+    }
+
+    return { valid: false, normalized: null, reason: 'unparseable' };
+  }
+
+  return {
+    parseNumber,
+    parseDate,
+    checkRange,
+    parseAnswer,
+  };
+});
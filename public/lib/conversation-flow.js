@@ -0,0 +1,1970 @@
+/**
+ * Conversation Flow
+ *
+ * Shared by the browser and Node: the FlowController that runs the
+ * interview (asking, retries, "why" explanations, follow-ups, conflicts,
+ * handoff), the services it calls on the server, the language options
+ * and spoken strings taken from the Locales bundles, and the
+ * repeat/why/agent request detectors.
+ *
+ * Speech stays outside: the controller is given a tts with speak(text),
+ * stop() and setLanguage(lang), and an asr with listen(timeoutMs)
+ * (resolving '' for silence), stop() and setLanguage(lang). The page passes Web Speech and ElevenLabs adapters; the simulator
+ * (scripts/simulate.js) passes scripted text.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./question-flow'), require('./answer-parsers'), require('./question-translations'), require('./locales'));
+  } else {
+    root.ConversationFlow = factory(root.QuestionFlow, root.AnswerParsers, root.QuestionTranslations, root.Locales);
+  }
+})(typeof self !== 'undefined' ? self : this, function (QuestionFlow, AnswerParsers, QuestionTranslations, Locales) {
+  // ============================================================================
+  // LANGUAGES AND SPOKEN STRINGS
+  // ============================================================================
+
+  const DEFAULT_LANGUAGE = 'en';
+  // The languages the interview runs in: every Locales bundle with interface
+  // strings (ui). A bundle without them is only understood, not spoken.
+  const LANGUAGE_OPTIONS = {};
+  const UI_STRINGS = {};
+  for (const [code, locale] of Object.entries(Locales.LOCALES)) {
+    if (!locale.ui) continue;
+    const { label, asrLang, ttsLang, htmlLang } = locale;
+    LANGUAGE_OPTIONS[code] = { label, asrLang, ttsLang, htmlLang };
+    UI_STRINGS[code] = locale.ui;
+  }
+
+  function normalizeLanguage(lang) {
+    return LANGUAGE_OPTIONS[lang] ? lang : DEFAULT_LANGUAGE;
+  }
+
+  function getLanguageConfig(lang) {
+    return LANGUAGE_OPTIONS[normalizeLanguage(lang)];
+  }
+
+  function getStrings(lang) {
+    return UI_STRINGS[normalizeLanguage(lang)];
+  }
+
+  function getSectionLabel(section, lang, question = null) {
+    return QuestionTranslations.translateSection(section, normalizeLanguage(lang), question);
+  }
+
+  function getQuestionText(question, lang) {
+    return QuestionTranslations.translateQuestion(question, normalizeLanguage(lang));
+  }
+
+  function getConstraintMessage(conflict, lang) {
+    const translations = Locales.getLocale(normalizeLanguage(lang)).constraints || {};
+    return translations[conflict.constraintId] || conflict.message;
+  }
+
+  function getUnitLabel(unit, lang) {
+    if (!unit) return unit;
+    const translations = Locales.getLocale(normalizeLanguage(lang)).units || {};
+    return translations[unit] || unit;
+  }
+
+  const MAX_RETRIES = 3;
+  const MAX_CONFLICT_ROUNDS = 2;
+  const MAX_EXPLAINS = 2;
+  // Answer types the server refuses to record unless they fit the question
+  const STRICT_ANSWER_TYPES = ['yes_no', 'choice', 'date', 'number'];
+
+  // UI_STRINGS spoken word for word (section announcements, the keys ending
+  // in "Announcement", are added to these)
+  const SPOKEN_STRING_KEYS = [
+    'introMessage',
+    'resumeMessage',
+    'completionMessage',
+    'noResponseRetry',
+    'noResponseMoveOn',
+    'repeatAcknowledgement',
+    'thankYou',
+    'moveOnNext',
+    'handoffPrompt',
+    'handoffWaiting',
+    'handoffReturned',
+    'conflictCorrect',
+    'conflictConfirmed',
+    'conflictUnresolved',
+    'flowError',
+    'callTransfer',
+    'callTransferUnavailable',
+    'callUnknown',
+  ];
+
+  /**
+   * Every fixed sentence the interview can speak in a language: each
+   * question, the spoken UI strings and the generic retry explanations.
+   * Anything else it says (explanations, follow-ups, read-backs) is written
+   * by the model or from the applicant's answers.
+   */
+  function getScriptedPrompts(questions, lang) {
+    const strings = getStrings(lang);
+    const keys = SPOKEN_STRING_KEYS.concat(Object.keys(strings).filter((key) => /Announcement$/.test(key)));
+    const explanations = Object.values(strings.genericExplanation);
+    const prompts = questions.map((question) => getQuestionText(question, lang))
+      .concat(keys.map((key) => strings[key]))
+      .concat(explanations, explanations.map((explanation) => explanation + strings.retryEscalation));
+    return prompts.filter((text, index) => typeof text === 'string' && text.trim() && prompts.indexOf(text) === index);
+  }
+
+  // ============================================================================
+  // REQUEST DETECTORS (what the applicant asked for instead of answering)
+  // ============================================================================
+
+  // The phrases for each language are in public/lib/locales.js
+
+  function isRepeatRequest(transcript, language) {
+    return Locales.matches(transcript, 'repeat', language);
+  }
+
+  function isWhyRequest(transcript, language) {
+    return Locales.matches(transcript, 'why', language);
+  }
+
+  function isAgentRequest(transcript, language) {
+    return Locales.matches(transcript, 'agent', language);
+  }
+
+  function isContinueRequest(transcript, language) {
+    return Locales.matches(transcript, 'continue', language);
+  }
+
+  // ============================================================================
+  // RULE-BASED VALIDATION
+  // ============================================================================
+
+  /**
+   * Read an answer without a model: the server uses it when no LLM is
+   * configured, the browser when the server cannot validate (it is down,
+   * or the session is over its limits). Dates and numbers are read with
+   * AnswerParsers instead.
+   */
+  function ruleBasedValidation(questionType, transcript, choices, language) {
+    const explanations = getStrings(language).genericExplanation;
+    const text = typeof transcript === 'string' ? transcript : '';
+
+    if (isRepeatRequest(text, language)) {
+      return { valid: false, normalized: null, explanation: null, repeat: true };
+    }
+
+    if (questionType === 'yes_no') {
+      const answer = Locales.readYesNo(text, language);
+      if (answer) return { valid: true, normalized: answer, explanation: null };
+      return { valid: false, normalized: null, explanation: explanations.yes_no };
+    }
+
+    if (questionType === 'choice' && choices) {
+      const folded = Locales.foldText(text);
+      for (const choice of choices) {
+        if (folded.includes(Locales.foldText(choice))) {
+          return { valid: true, normalized: choice, explanation: null };
+        }
+      }
+      return { valid: false, normalized: null, explanation: explanations.choice };
+    }
+
+    // Otherwise accept any non-empty response
+    if (text.trim().length > 0) {
+      const cleaned = questionType === 'open' ? Locales.stripAcknowledgement(text, language) : text.trim();
+      return { valid: true, normalized: cleaned, explanation: null };
+    }
+
+    return { valid: false, normalized: null, explanation: explanations.open };
+  }
+
+  // ============================================================================
+  // SERVER SERVICES
+  // ============================================================================
+
+  // The services take the server's base URL ('' in the browser) and send the
+  // server session id so the server can add each request and its outcome to
+  // the session's audit log, and the applicant's language so the server
+  // reads answers and writes explanations in it. The ones that reach the
+  // model also send the session's access token; when the server refuses
+  // (no token, or over the session's limits with a 429) they fall back as
+  // they do when it is down.
+  async function postJson(baseUrl, path, body, headers = {}) {
+    return fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+    });
+  }
+
+  /**
+   * The Authorization header for a session access token, if there is one.
+   */
+  function authHeaders(accessToken) {
+    return accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
+  }
+
+  // An error for a response the server refused with 429 (over a limit)
+  function apiError(response, label) {
+    return new Error(response.status === 429 ? `${label}: rate limited` : label);
+  }
+
+  class ValidationService {
+    constructor({
+      baseUrl = '',
+      getSessionId = () => null,
+      getAccessToken = () => null,
+      getLanguage = () => null,
+      getQuestions = () => [],
+    } = {}) {
+      this.baseUrl = baseUrl;
+      this.getSessionId = getSessionId;
+      this.getAccessToken = getAccessToken;
+      this.getLanguage = getLanguage;
+      this.getQuestions = getQuestions;
+    }
+
+    async validate(question, questionType, transcript, choices = null, questionId = null) {
+      try {
+        const response = await postJson(this.baseUrl, '/api/validate', {
+          question, questionType, transcript, choices, questionId, sessionId: this.getSessionId(), language: this.getLanguage(),
+        }, authHeaders(this.getAccessToken()));
+
+        if (!response.ok) {
+          throw apiError(response, 'Validation API error');
+        }
+
+        return await response.json();
+      } catch (error) {
+        console.error('Validation error:', error);
+        // Without the server, dates and numbers are parsed here and
+        // anything else is read by the rules
+        const scripted = this.getQuestions().find((q) => q.id === questionId);
+        if (scripted && (scripted.type === 'date' || scripted.type === 'number')) {
+          return { ...AnswerParsers.parseAnswer(scripted, transcript, { language: this.getLanguage() || 'en' }), repeat: false };
+        }
+        return { repeat: false, ...ruleBasedValidation(questionType, transcript, choices, this.getLanguage()) };
+      }
+    }
+  }
+
+  class WhyService {
+    constructor({ baseUrl = '', getSessionId = () => null, getAccessToken = () => null, getLanguage = () => null } = {}) {
+      this.baseUrl = baseUrl;
+      this.getSessionId = getSessionId;
+      this.getAccessToken = getAccessToken;
+      this.getLanguage = getLanguage;
+    }
+
+    async explain(question, section, explainLevel = 1, previousExplanation = null, fallbackExplanation = null, questionId = null) {
+      try {
+        const response = await postJson(this.baseUrl, '/api/why', {
+          question, section, explainLevel, previousExplanation, questionId, sessionId: this.getSessionId(), language: this.getLanguage(),
+        }, authHeaders(this.getAccessToken()));
+
+        if (!response.ok) {
+          throw apiError(response, 'Why API error');
+        }
+
+        return await response.json();
+      } catch (error) {
+        console.error('Why explanation error:', error);
+        return { explanation: fallbackExplanation || 'This helps us understand your medical history for your application.' };
+      }
+    }
+  }
+
+  class FollowupService {
+    constructor({ baseUrl = '', getSessionId = () => null, getAccessToken = () => null, getLanguage = () => null } = {}) {
+      this.baseUrl = baseUrl;
+      this.getSessionId = getSessionId;
+      this.getAccessToken = getAccessToken;
+      this.getLanguage = getLanguage;
+    }
+
+    async nextQuestion(payload) {
+      try {
+        const response = await postJson(
+          this.baseUrl,
+          '/api/followup',
+          { ...payload, sessionId: this.getSessionId(), language: this.getLanguage() },
+          authHeaders(this.getAccessToken())
+        );
+
+        if (!response.ok) {
+          throw apiError(response, 'Followup API error');
+        }
+
+        return await response.json();
+      } catch (error) {
+        console.error('Followup error:', error);
+        return { done: true };
+      }
+    }
+
+    async checkOverlap(payload) {
+      try {
+        const response = await postJson(
+          this.baseUrl,
+          '/api/followup-check',
+          { ...payload, sessionId: this.getSessionId() },
+          authHeaders(this.getAccessToken())
+        );
+
+        if (!response.ok) {
+          throw apiError(response, 'Followup check API error');
+        }
+
+        return await response.json();
+      } catch (error) {
+        console.error('Followup check error:', error);
+        return { allow: true };
+      }
+    }
+  }
+
+  // ============================================================================
+  // AUDIT SERVICE (what was spoken and heard, for the session's audit log)
+  // ============================================================================
+
+  class AuditService {
+    constructor({ baseUrl = '', getAccessToken = () => null } = {}) {
+      this.baseUrl = baseUrl;
+      this.getAccessToken = getAccessToken;
+      this.queue = Promise.resolve();
+    }
+
+    /**
+     * Send one event with the session's token; events go out one at a time
+     * so the log keeps their order. Failures are logged and never interrupt
+     * the interview.
+     */
+    record(sessionId, type, data = {}) {
+      if (!sessionId) return;
+      const event = { type, at: new Date().toISOString(), data };
+      const accessToken = this.getAccessToken();
+      this.queue = this.queue.then(async () => {
+        try {
+          const response = await postJson(this.baseUrl, '/api/audit/events', { sessionId, events: [event] }, authHeaders(accessToken));
+          if (!response.ok) throw new Error('Audit API error');
+        } catch (error) {
+          console.error('Audit error:', error);
+        }
+      });
+    }
+
+    /**
+     * Resolves once every queued event has been sent.
+     */
+    flush() {
+      return this.queue;
+    }
+  }
+
+  // ============================================================================
+  // ANALYTICS SERVICE (per-question metrics for /admin/metrics)
+  // ============================================================================
+
+  const MAX_ANALYTICS_EVENTS_PER_REQUEST = 50;
+
+  class AnalyticsService {
+    constructor({ baseUrl = '', getAccessToken = () => null } = {}) {
+      this.baseUrl = baseUrl;
+      this.getAccessToken = getAccessToken;
+      this.pending = [];
+      this.queue = Promise.resolve();
+    }
+
+    /**
+     * Queue one event ({ type, questionId, data }) for a server session;
+     * the server counts nothing else. Events queued while a request is out
+     * go together in the next one. Failures are logged and never interrupt
+     * the interview.
+     */
+    record(sessionId, event) {
+      if (!sessionId) return;
+      this.pending.push({ sessionId, accessToken: this.getAccessToken(), event });
+      if (this.pending.length === 1) this.queue = this.queue.then(() => this.send());
+    }
+
+    async send() {
+      const queued = this.pending.splice(0, this.pending.length);
+      const batches = [];
+      for (const { sessionId, accessToken, event } of queued) {
+        const last = batches[batches.length - 1];
+        if (last && last.sessionId === sessionId && last.accessToken === accessToken
+          && last.events.length < MAX_ANALYTICS_EVENTS_PER_REQUEST) {
+          last.events.push(event);
+        } else {
+          batches.push({ sessionId, accessToken, events: [event] });
+        }
+      }
+      for (const { sessionId, accessToken, events } of batches) {
+        try {
+          const response = await postJson(this.baseUrl, '/api/events', { sessionId, events }, authHeaders(accessToken));
+          if (!response.ok) throw new Error('Analytics API error');
+        } catch (error) {
+          console.error('Analytics error:', error);
+        }
+      }
+    }
+
+    /**
+     * Resolves once every queued event has been sent.
+     */
+    flush() {
+      return this.queue;
+    }
+  }
+
+  // ============================================================================
+  // SESSION SERVICE (server-side sessions and resume)
+  // ============================================================================
+
+  const RESUME_STORAGE_KEY = 'voiceQuestionnaire.resumeToken';
+
+  /**
+   * storage is a Web Storage object (localStorage in the browser) and
+   * location the page's location; without them nothing is remembered
+   * between runs and there is no resume link.
+   */
+  class SessionService {
+    constructor({ baseUrl = '', storage = null, location = null } = {}) {
+      this.baseUrl = baseUrl;
+      this.storage = storage;
+      this.location = location;
+    }
+
+    async create(language) {
+      try {
+        const response = await postJson(this.baseUrl, '/api/sessions', { language });
+
+        if (!response.ok) {
+          throw new Error('Session API error');
+        }
+
+        const session = await response.json();
+        this.rememberToken(session.id);
+        return session;
+      } catch (error) {
+        console.error('Session create error:', error);
+        return null;
+      }
+    }
+
+    async fetch(resumeToken) {
+      try {
+        const response = await fetch(`${this.baseUrl}/api/sessions/${encodeURIComponent(resumeToken)}`);
+        if (!response.ok) {
+          throw new Error('Session API error');
+        }
+        return await response.json();
+      } catch (error) {
+        console.error('Session fetch error:', error);
+        return null;
+      }
+    }
+
+    /**
+     * The questionnaire version the session is pinned to.
+     */
+    async fetchQuestionnaire(resumeToken) {
+      try {
+        const response = await fetch(`${this.baseUrl}/api/sessions/${encodeURIComponent(resumeToken)}/questionnaire`);
+        if (!response.ok) {
+          throw new Error('Session API error');
+        }
+        return await response.json();
+      } catch (error) {
+        console.error('Session questionnaire error:', error);
+        return null;
+      }
+    }
+
+    getStoredToken() {
+      if (this.location) {
+        const fromLink = new URLSearchParams(this.location.search).get('resume');
+        if (fromLink) return fromLink;
+      }
+      try {
+        return this.storage ? this.storage.getItem(RESUME_STORAGE_KEY) : null;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    rememberToken(resumeToken) {
+      try {
+        if (this.storage) this.storage.setItem(RESUME_STORAGE_KEY, resumeToken);
+      } catch (error) {}
+    }
+
+    forgetToken() {
+      try {
+        if (this.storage) this.storage.removeItem(RESUME_STORAGE_KEY);
+      } catch (error) {}
+    }
+
+    getResumeLink(resumeToken) {
+      if (!this.location) return null;
+      return `${this.location.origin}${this.location.pathname}?resume=${encodeURIComponent(resumeToken)}`;
+    }
+  }
+
+  // ============================================================================
+  // FLOW SERVICE (server decides which question comes next)
+  // ============================================================================
+
+  class FlowService {
+    constructor({ baseUrl = '' } = {}) {
+      this.baseUrl = baseUrl;
+    }
+
+    async start(resumeToken) {
+      try {
+        const response = await postJson(this.baseUrl, '/api/flow/start', { sessionId: resumeToken });
+
+        if (!response.ok) {
+          throw new Error('Flow API error');
+        }
+
+        return await response.json();
+      } catch (error) {
+        console.error('Flow start error:', error);
+        return null;
+      }
+    }
+
+    async answer(resumeToken, questionId, answer, followups = null) {
+      try {
+        const response = await postJson(this.baseUrl, '/api/flow/answer', {
+          sessionId: resumeToken, questionId, answer, followups,
+        });
+
+        // The server expected a different question; re-sync to it
+        if (response.status === 409) {
+          const conflict = await response.json();
+          console.warn('Flow out of sync:', conflict.error);
+          return this.start(resumeToken);
+        }
+
+        if (!response.ok) {
+          throw new Error('Flow API error');
+        }
+
+        return await response.json();
+      } catch (error) {
+        console.error('Flow answer error:', error);
+        return null;
+      }
+    }
+
+    async resolve(resumeToken, conflictId, { resolution, questionId = null, answer = null }) {
+      try {
+        const response = await postJson(this.baseUrl, '/api/flow/resolve', {
+          sessionId: resumeToken, conflictId, resolution, questionId, answer,
+        });
+
+        // The conflict was already settled; re-sync to whatever is due
+        if (response.status === 409) {
+          return this.start(resumeToken);
+        }
+
+        if (!response.ok) {
+          throw new Error('Flow API error');
+        }
+
+        return await response.json();
+      } catch (error) {
+        console.error('Flow resolve error:', error);
+        return null;
+      }
+    }
+  }
+
+  // ============================================================================
+  // HANDOFF SERVICE (tickets for a live agent)
+  // ============================================================================
+
+  class HandoffService {
+    constructor({ baseUrl = '' } = {}) {
+      this.baseUrl = baseUrl;
+    }
+
+    handoffPath(resumeToken, suffix = '') {
+      return `/api/sessions/${encodeURIComponent(resumeToken)}/handoff${suffix}`;
+    }
+
+    /**
+     * Open a ticket (or get the session's open one); null on failure.
+     */
+    async request(resumeToken, { reason, questionId, transcript }) {
+      try {
+        const response = await postJson(this.baseUrl, this.handoffPath(resumeToken), { reason, questionId, transcript });
+
+        if (!response.ok) {
+          throw new Error('Handoff API error');
+        }
+
+        return await response.json();
+      } catch (error) {
+        console.error('Handoff request error:', error);
+        return null;
+      }
+    }
+
+    async sendMessage(resumeToken, text) {
+      try {
+        const response = await postJson(this.baseUrl, this.handoffPath(resumeToken, '/messages'), { text });
+        if (!response.ok) {
+          throw new Error('Handoff API error');
+        }
+        return true;
+      } catch (error) {
+        console.error('Handoff message error:', error);
+        return false;
+      }
+    }
+
+    async cancel(resumeToken) {
+      try {
+        const response = await postJson(this.baseUrl, this.handoffPath(resumeToken, '/cancel'), {});
+        if (!response.ok) {
+          throw new Error('Handoff API error');
+        }
+        return true;
+      } catch (error) {
+        console.error('Handoff cancel error:', error);
+        return false;
+      }
+    }
+  }
+
+  // ============================================================================
+  // FLOW CONTROLLER
+  // ============================================================================
+  
+  /**
+   * options: tts and asr (required), questions (the compiled script, which
+   * can also be set later; a session pinned to another questionnaire
+   * version loads that one), baseUrl for the server ('' for the page's own
+   * origin), sessions (a SessionService; the default remembers nothing),
+   * onLanguageChange(config, strings), called whenever the language is
+   * applied, and handoffChannel for talking with an agent after a handoff:
+   * open(resumeToken, onEvent) subscribes to the session's handoff events
+   * (onEvent(type, data)) and returns { close() }. Without a channel a
+   * handoff ends the interview (a phone call is transferred instead).
+   */
+  class FlowController {
+    constructor({ tts, asr, questions = [], baseUrl = '', sessions = null, onLanguageChange = null, handoffChannel = null } = {}) {
+      this.state = {
+        status: 'idle',
+        currentQuestionIndex: -1,
+        answers: {},
+        transcript: [],
+        retryCount: 0,
+        explainCounts: {},
+        lastWhyExplanation: null,
+        announcementsPlayed: {},
+        followups: {},
+        conflicts: [],
+        pendingAssistantMessage: null,
+        error: null,
+        language: DEFAULT_LANGUAGE,
+        resumableSession: null,
+        handoff: null,
+        handoffListening: false,
+      };
+
+      const getSessionId = () => this.resumeToken;
+      const getAccessToken = () => this.accessToken;
+      const getLanguage = () => this.state.language;
+      this.questions = questions;
+      // { id, version } of the questions, once known
+      this.questionnaire = null;
+      this.tts = tts;
+      this.asr = asr;
+      this.validator = new ValidationService({
+        baseUrl,
+        getSessionId,
+        getAccessToken,
+        getLanguage,
+        getQuestions: () => this.questions,
+      });
+      this.why = new WhyService({ baseUrl, getSessionId, getAccessToken, getLanguage });
+      this.followup = new FollowupService({ baseUrl, getSessionId, getAccessToken, getLanguage });
+      this.sessions = sessions || new SessionService({ baseUrl });
+      this.flow = new FlowService({ baseUrl });
+      this.audit = new AuditService({ baseUrl, getAccessToken });
+      this.analytics = new AnalyticsService({ baseUrl, getAccessToken });
+      // When the question being answered was first asked, and how often
+      this.questionTiming = { questionId: null, startedAt: 0, attempts: 0 };
+      this.handoffs = new HandoffService({ baseUrl });
+      this.handoffChannel = handoffChannel;
+      this.handoffConnection = null;
+      this.handoffQueue = Promise.resolve();
+      this.resumeToken = null;
+      // Signed token for the provider endpoints, issued with the session
+      this.accessToken = null;
+      this.sessionId = 0;
+      
+      this.onStateChange = null;
+      this.onLanguageChange = onLanguageChange;
+
+      this.applyLanguage(this.state.language);
+    }
+
+    /**
+     * Use a questionnaire version ({ id, version, questions } as served by
+     * /api/questionnaire).
+     */
+    setQuestionnaire(questionnaire) {
+      this.questions = Array.isArray(questionnaire.questions) ? questionnaire.questions : [];
+      this.questionnaire = questionnaire.id ? { id: questionnaire.id, version: questionnaire.version } : null;
+    }
+
+    /**
+     * Load the version the session is pinned to ({ id, version }) unless it
+     * is the one in use. A session migrated to a newer version gets the new
+     * questions here.
+     */
+    async syncQuestionnaire(pin) {
+      if (!pin || !this.resumeToken) return;
+      if (this.questionnaire && this.questionnaire.id === pin.id && this.questionnaire.version === pin.version) return;
+      const questionnaire = await this.sessions.fetchQuestionnaire(this.resumeToken);
+      if (questionnaire) this.setQuestionnaire(questionnaire);
+    }
+
+    setState(updates) {
+      this.state = { ...this.state, ...updates };
+      if (this.onStateChange) this.onStateChange(this.state);
+    }
+
+    applyLanguage(lang) {
+      const normalized = normalizeLanguage(lang);
+      const config = getLanguageConfig(normalized);
+      this.tts.setLanguage(config.ttsLang);
+      this.asr.setLanguage(config.asrLang);
+      if (this.onLanguageChange) this.onLanguageChange(config, getStrings(normalized));
+    }
+
+    setLanguage(lang) {
+      const normalized = normalizeLanguage(lang);
+      if (this.state.language === normalized) return;
+      this.applyLanguage(normalized);
+      this.setState({ language: normalized });
+    }
+
+    recordUserAnswer(text) {
+      this.state.transcript.push({ role: 'user', text });
+      this.setState({ status: 'validating' });
+    }
+
+    /**
+     * Add an event to the server session's audit log, tagged with the
+     * question being asked.
+     */
+    recordAudit(type, data = {}) {
+      const question = this.questions[this.state.currentQuestionIndex];
+      this.audit.record(this.resumeToken, type, { questionId: question ? question.id : null, ...data });
+    }
+
+    /**
+     * Add an analytics event for the question being asked.
+     */
+    track(type, data = {}) {
+      const question = this.questions[this.state.currentQuestionIndex];
+      this.analytics.record(this.resumeToken, {
+        type,
+        questionId: question ? question.id : null,
+        data,
+      });
+    }
+
+    /**
+     * The question being asked is settled: outcome is "valid", "invalid"
+     * (moved on after the retries) or "no_response".
+     */
+    trackAnswered(outcome) {
+      const timing = this.questionTiming;
+      this.track('question.answered', {
+        outcome,
+        attempts: timing.attempts,
+        durationMs: timing.startedAt ? Date.now() - timing.startedAt : null,
+      });
+      this.questionTiming = { questionId: null, startedAt: 0, attempts: 0 };
+    }
+
+    /**
+     * Listen for the applicant; the raw transcript (null for silence) goes
+     * to the audit log before any interpretation.
+     */
+    async listen() {
+      const transcript = await this.asr.listen(15000);
+      this.recordAudit('transcript.received', { transcript: transcript || null });
+      return transcript;
+    }
+
+    findNextQuestionIndex(fromIndex, answers) {
+      return QuestionFlow.findNextQuestionIndex(this.questions, fromIndex, answers);
+    }
+
+    getRecentUserAnswers(limit = 3) {
+      const recent = [];
+      for (let i = this.state.transcript.length - 1; i >= 0 && recent.length < limit; i -= 1) {
+        if (this.state.transcript[i].role === 'user') {
+          recent.push(this.state.transcript[i].text);
+        }
+      }
+      return recent.reverse();
+    }
+
+    getPreviousFollowupQuestions(questionId) {
+      const followups = this.state.followups[questionId];
+      if (!followups || !Array.isArray(followups.items)) return [];
+      return followups.items.map((item) => item.q);
+    }
+
+    getSectionAnswers(section) {
+      if (!section) return {};
+      const result = {};
+      for (const q of this.questions) {
+        if (q.section === section && this.state.answers[q.id] !== undefined) {
+          result[q.id] = this.state.answers[q.id];
+        }
+      }
+      return result;
+    }
+
+    getRecentQuestionAnswerPairs(limit = 4) {
+      const pairs = [];
+      for (let i = this.state.transcript.length - 1; i >= 0 && pairs.length < limit; i -= 1) {
+        if (this.state.transcript[i].role === 'assistant') {
+          const questionText = this.state.transcript[i].text;
+          let answerText = null;
+          for (let j = i + 1; j < this.state.transcript.length; j += 1) {
+            if (this.state.transcript[j].role === 'user') {
+              answerText = this.state.transcript[j].text;
+              break;
+            }
+          }
+          if (answerText) {
+            pairs.unshift({ q: questionText, a: answerText });
+          }
+        }
+      }
+      return pairs;
+    }
+
+    getUpcomingQuestionTexts(fromIndex, limit = 4, language = this.state.language) {
+      const upcoming = [];
+      for (let i = fromIndex + 1; i < this.questions.length && upcoming.length < limit; i += 1) {
+        const nextQuestion = this.questions[i];
+        if (nextQuestion && nextQuestion.question) {
+          upcoming.push(getQuestionText(nextQuestion, language));
+        }
+      }
+      return upcoming;
+    }
+
+    isSimilarToUpcomingQuestion(followupText, upcomingQuestions) {
+      if (!followupText || !Array.isArray(upcomingQuestions)) return false;
+      const normalize = (text) =>
+        text
+          .toLowerCase()
+          .replace(/[^a-z0-9\s]/g, ' ')
+          .split(/\s+/)
+          .filter((word) => word.length > 2);
+      const followupTokens = new Set(normalize(followupText));
+      if (followupTokens.size === 0) return false;
+
+      for (const upcoming of upcomingQuestions) {
+        if (!upcoming) continue;
+        const upcomingTokens = new Set(normalize(upcoming));
+        if (upcomingTokens.size === 0) continue;
+
+        let overlap = 0;
+        for (const token of followupTokens) {
+          if (upcomingTokens.has(token)) overlap += 1;
+        }
+
+        const overlapRatio = overlap / Math.max(1, followupTokens.size);
+        if (overlapRatio >= 0.6) return true;
+        if (upcoming.toLowerCase().includes(followupText.toLowerCase())) return true;
+        if (followupText.toLowerCase().includes(upcoming.toLowerCase())) return true;
+      }
+
+      return false;
+    }
+
+    async askQuestion(questionIndex, options = {}) {
+      const { preserveRetryCount = false, retryCountOverride = null } = options;
+      const sessionId = this.sessionId;
+      const strings = getStrings(this.state.language);
+      if (questionIndex < 0 || questionIndex >= this.questions.length) {
+        this.setState({ status: 'speaking', currentQuestionIndex: -1 });
+        this.track('interview.completed');
+        if (this.resumeToken) {
+          this.sessions.forgetToken();
+          this.resumeToken = null;
+        }
+        await this.speakAssistant(strings.completionMessage, sessionId);
+        if (this.sessionId !== sessionId) return;
+        this.setState({ status: 'complete' });
+        return;
+      }
+
+      const shouldResetWhy = questionIndex !== this.state.currentQuestionIndex;
+      const shouldResetRetry = questionIndex !== this.state.currentQuestionIndex;
+      const question = this.questions[questionIndex];
+      const language = this.state.language;
+      const questionText = getQuestionText(question, language);
+      this.setState({ 
+        status: 'speaking', 
+        currentQuestionIndex: questionIndex,
+        retryCount: retryCountOverride !== null
+          ? retryCountOverride
+          : (shouldResetRetry ? 0 : this.state.retryCount),
+        lastWhyExplanation: shouldResetWhy ? null : this.state.lastWhyExplanation,
+      });
+
+      // Announce the Lifestyle and Medical Related questions
+      // const Lifestyle_and_Medical_Message = "Next we will be going through some Lifestyle and medical related questions. Please keep in mind that the answers are assumed to be to the best of your knowledge. In order to expedite the overall application process we do like to obtain as much information as possible up front to eliminate any delays.";
+      // if (questionIndex === 2) {
+      //   this.setState({ showQuestionText: false });
+      //   this.state.transcript.push({ role: 'assistant', text: Lifestyle_and_Medical_Message });
+      //   await this.tts.speak(Lifestyle_and_Medical_Message);
+      // }
+
+      // Announce a new part of the questionnaire (e.g. the Medical Conditions section)
+      const announcementKey = question.announcement;
+      const announcementMessage = announcementKey ? strings[`${announcementKey}Announcement`] : null;
+      if (announcementMessage && !this.state.announcementsPlayed[announcementKey]) {
+        this.setState({ showQuestionText: false });
+        await this.speakAssistant(announcementMessage, sessionId);
+        if (this.sessionId !== sessionId) return;
+        this.setState({
+          announcementsPlayed: {
+            ...this.state.announcementsPlayed,
+            [announcementKey]: true,
+          },
+        });
+      }
+
+      this.setState({ showQuestionText: true });
+      await this.speakAssistant(questionText, sessionId);
+      if (this.sessionId !== sessionId) return;
+      if (this.questionTiming.questionId !== question.id) {
+        this.questionTiming = { questionId: question.id, startedAt: Date.now(), attempts: 0 };
+      }
+      this.questionTiming.attempts += 1;
+      this.track('question.asked', { attempt: this.questionTiming.attempts, retry: this.state.retryCount });
+
+      this.setState({ status: 'listening', pendingAssistantMessage: null });
+      
+      try {
+        const spokenAnswer = await this.listen();
+        if (this.sessionId !== sessionId) return;
+        
+        if (!spokenAnswer) {
+          if (this.state.retryCount < MAX_RETRIES) {
+            const nextRetry = this.state.retryCount + 1;
+            this.setState({ retryCount: nextRetry });
+            await this.speakAssistant(strings.noResponseRetry, sessionId);
+            if (this.sessionId !== sessionId) return;
+            return this.askQuestion(questionIndex, { preserveRetryCount: true, retryCountOverride: nextRetry });
+          } else {
+            await this.speakAssistant(strings.noResponseMoveOn, sessionId);
+            if (this.sessionId !== sessionId) return;
+            this.state.answers[question.id] = 'NO_RESPONSE';
+            this.trackAnswered('no_response');
+            return this.advanceToNextQuestion(questionIndex, 'NO_RESPONSE');
+          }
+        }
+
+        const genderTranscript = question.id === 'cust_id_gender'
+          ? this.normalizeGenderValue(spokenAnswer)
+          : null;
+        const transcriptAnswer = genderTranscript
+          ? this.ensureTranscriptPeriod(genderTranscript)
+          : spokenAnswer;
+        this.recordUserAnswer(transcriptAnswer);
+        
+        if (this.isRepeatRequest(spokenAnswer)) {
+          this.recordAudit('repeat.requested');
+          this.track('repeat.requested');
+          const acknowledgement = strings.repeatAcknowledgement;
+          this.setState({ status: 'speaking' });
+          await this.speakAssistant(acknowledgement, sessionId);
+          if (this.sessionId !== sessionId) return;
+          return this.askQuestion(questionIndex, { preserveRetryCount: true });
+        }
+
+        if (this.isWhyRequest(spokenAnswer)) {
+          return this.handleWhy(questionIndex, question, sessionId);
+        }
+
+        if (question.id === 'cust_id_gender') {
+          const genderValue = this.normalizeGenderValue(spokenAnswer);
+          if (genderValue) {
+            this.state.answers[question.id] = genderValue;
+            this.setState({ status: 'speaking' });
+            this.replaceLastUserTranscript(this.ensureTranscriptPeriod(genderValue));
+            this.trackAnswered('valid');
+            await this.speakAssistant(strings.thankYou, sessionId);
+            if (this.sessionId !== sessionId) return;
+            return this.advanceToNextQuestion(questionIndex, genderValue);
+          }
+        }
+
+        return this.handleValidation(questionIndex, question, spokenAnswer, sessionId);
+
+    } catch (error) {
+      console.error('ASR Error:', error);
+      this.setState({ error: error.message, status: 'idle' });
+    }
+  }
+
+    async speakAssistant(text, sessionId) {
+      this.recordAudit('prompt.spoken', { text });
+      this.setState({ pendingAssistantMessage: text });
+      await this.tts.speak(text);
+      if (this.sessionId !== sessionId) return;
+      const updatedTranscript = this.state.transcript.concat({ role: 'assistant', text });
+      this.setState({ transcript: updatedTranscript, pendingAssistantMessage: null });
+    }
+
+    replaceLastUserTranscript(text) {
+      const updatedTranscript = [...this.state.transcript];
+      for (let i = updatedTranscript.length - 1; i >= 0; i -= 1) {
+        if (updatedTranscript[i].role === 'user') {
+          updatedTranscript[i] = { ...updatedTranscript[i], text };
+          break;
+        }
+      }
+      this.setState({ transcript: updatedTranscript });
+    }
+
+    isRepeatRequest(transcript) {
+      return isRepeatRequest(transcript, this.state.language);
+    }
+
+    normalizeGenderValue(text) {
+      if (!text) return null;
+      return Locales.readGender(text, this.state.language);
+    }
+
+    ensureTranscriptPeriod(text) {
+      const trimmed = text.trim();
+      return trimmed.endsWith('.') ? trimmed : `${trimmed}.`;
+    }
+
+    stripAcknowledgementPrefix(text) {
+      if (!text) return text;
+      return Locales.stripAcknowledgement(text, this.state.language);
+    }
+
+    isWhyRequest(transcript) {
+      return isWhyRequest(transcript, this.state.language);
+    }
+
+    isAgentRequest(transcript) {
+      return isAgentRequest(transcript, this.state.language);
+    }
+
+    isContinueRequest(transcript) {
+      return isContinueRequest(transcript, this.state.language);
+    }
+
+    getBridgeText(index) {
+      const strings = getStrings(this.state.language);
+      const options = strings.bridgeOptions;
+      return options[index % options.length];
+    }
+
+    async handleWhy(questionIndex, question, sessionId) {
+      const strings = getStrings(this.state.language);
+      const currentCount = this.state.explainCounts[question.id] || 0;
+      const nextCount = currentCount + 1;
+      const explainCounts = { ...this.state.explainCounts, [question.id]: nextCount };
+      this.setState({ explainCounts });
+      this.track('why.requested', { explainCount: nextCount });
+
+      if (nextCount > MAX_EXPLAINS) {
+        this.recordAudit('handoff.offered', { reason: 'explain_limit', explainCount: currentCount });
+        return this.handleHandoff(questionIndex, question, sessionId, 'explain_limit');
+      }
+
+      this.setState({ status: 'validating' });
+      const questionText = getQuestionText(question, this.state.language);
+      const sectionLabel = getSectionLabel(question.section, this.state.language, question);
+      const whyResponse = await this.why.explain(
+        questionText,
+        sectionLabel,
+        nextCount,
+        this.state.lastWhyExplanation || null,
+        strings.whyFallback,
+        question.id
+      );
+      if (this.sessionId !== sessionId) return;
+
+      const explanation = whyResponse.explanation || strings.whyFallback;
+      this.setState({ lastWhyExplanation: explanation });
+      const bridge = this.getBridgeText(nextCount - 1);
+      const prompt = strings.whyPrompt;
+      const combined = `${explanation} ${bridge} ${prompt}`;
+
+      this.setState({ status: 'speaking' });
+      await this.speakAssistant(combined, sessionId);
+      if (this.sessionId !== sessionId) return;
+
+      this.setState({ status: 'listening', pendingAssistantMessage: null });
+      const response = await this.listen();
+      if (this.sessionId !== sessionId) return;
+
+      if (!response) {
+        if (this.state.retryCount < MAX_RETRIES) {
+          const nextRetry = this.state.retryCount + 1;
+          this.setState({ retryCount: nextRetry });
+          return this.askQuestion(questionIndex, { preserveRetryCount: true, retryCountOverride: nextRetry });
+        }
+        return this.askQuestion(questionIndex, { preserveRetryCount: true });
+      }
+
+      this.recordUserAnswer(response);
+
+      if (this.isRepeatRequest(response)) {
+        this.recordAudit('repeat.requested');
+        return this.askQuestion(questionIndex, { preserveRetryCount: true });
+      }
+
+      if (this.isWhyRequest(response)) {
+        return this.handleWhy(questionIndex, question, sessionId);
+      }
+
+      return this.handleValidation(questionIndex, question, response, sessionId);
+    }
+
+    async handleHandoff(questionIndex, question, sessionId, reason) {
+      const strings = getStrings(this.state.language);
+      const handoffMessage = strings.handoffPrompt;
+      this.setState({ status: 'speaking' });
+      await this.speakAssistant(handoffMessage, sessionId);
+      if (this.sessionId !== sessionId) return;
+
+      this.setState({ status: 'listening', pendingAssistantMessage: null });
+      const response = await this.listen();
+      if (this.sessionId !== sessionId) return;
+
+      if (!response) {
+        if (this.state.retryCount < MAX_RETRIES) {
+          const nextRetry = this.state.retryCount + 1;
+          this.setState({ retryCount: nextRetry });
+          return this.askQuestion(questionIndex, { preserveRetryCount: true, retryCountOverride: nextRetry });
+        }
+        return this.askQuestion(questionIndex, { preserveRetryCount: true });
+      }
+
+      this.recordUserAnswer(response);
+
+      if (this.isAgentRequest(response)) {
+        this.recordAudit('handoff.requested', { transcript: response });
+        this.track('handoff.requested', { reason });
+        return this.enterHandoff(question, reason, sessionId);
+      }
+
+      if (this.isContinueRequest(response) || this.isRepeatRequest(response)) {
+        return this.askQuestion(questionIndex, { preserveRetryCount: true });
+      }
+
+      if (this.isWhyRequest(response)) {
+        return this.handleHandoff(questionIndex, question, sessionId, reason);
+      }
+
+      return this.handleValidation(questionIndex, question, response, sessionId);
+    }
+
+    // ==========================================================================
+    // AGENT HANDOFF
+    // ==========================================================================
+
+    /**
+     * Open a ticket with the conversation so far and wait for an agent on
+     * the handoff channel. Offline (no server session) there is no ticket,
+     * and continueWithoutAgent() picks the question up again.
+     */
+    async enterHandoff(question, reason, sessionId) {
+      const ticket = this.resumeToken
+        ? await this.handoffs.request(this.resumeToken, {
+          reason,
+          questionId: question ? question.id : null,
+          transcript: this.state.transcript,
+        })
+        : null;
+      if (this.sessionId !== sessionId) return;
+      this.setState({ status: 'handoff', handoff: ticket, handoffListening: false });
+      if (!ticket || !this.handoffChannel) return;
+
+      await this.speakAssistant(getStrings(this.state.language).handoffWaiting, sessionId);
+      if (this.sessionId !== sessionId) return;
+      this.handoffConnection = this.handoffChannel.open(this.resumeToken, (type, data) => {
+        // Stop waiting for a reply as soon as the agent hands back control
+        if (type === 'returned') this.asr.stop();
+        // One event at a time, so an agent's messages are spoken in order
+        this.handoffQueue = this.handoffQueue
+          .then(() => this.handleHandoffEvent(type, data, sessionId))
+          .catch((error) => console.error('Handoff event error:', error));
+      });
+    }
+
+    async handleHandoffEvent(type, data, sessionId) {
+      if (this.sessionId !== sessionId || this.state.status !== 'handoff') return;
+      const strings = getStrings(this.state.language);
+
+      if (type === 'ticket' || type === 'claimed') {
+        const wasActive = this.state.handoff && this.state.handoff.status === 'active';
+        this.setState({ handoff: { ...this.state.handoff, status: data.status, agent: data.agent } });
+        if (type === 'claimed' && !wasActive) await this.speakAssistant(strings.handoffConnected(data.agent), sessionId);
+        return;
+      }
+
+      if (type === 'message' && data.from === 'agent') {
+        await this.speakAgent(data.text, sessionId);
+        if (this.sessionId !== sessionId) return;
+        this.setState({ handoffListening: true });
+        const reply = await this.listen();
+        if (this.sessionId !== sessionId) return;
+        this.setState({ handoffListening: false });
+        if (reply && this.state.status === 'handoff') await this.sendHandoffMessage(reply);
+        return;
+      }
+
+      if (type === 'answer') {
+        this.setState({ answers: { ...this.state.answers, [data.questionId]: data.answer } });
+        return;
+      }
+
+      if (type === 'returned' && data.by === 'agent') {
+        this.closeHandoff();
+        await this.speakAssistant(strings.handoffReturned, sessionId);
+        if (this.sessionId !== sessionId) return;
+        return this.resumeAfterHandoff(sessionId);
+      }
+
+      if (type === 'disconnected') {
+        this.closeHandoff();
+        const session = await this.sessions.fetch(this.resumeToken);
+        if (this.sessionId !== sessionId) return;
+        if (session && session.status !== 'handoff') return this.resumeAfterHandoff(sessionId);
+        this.setState({ handoff: { ...this.state.handoff, status: 'lost' } });
+      }
+    }
+
+    /**
+     * Speak what the agent wrote; it shows in the transcript as the agent's.
+     */
+    async speakAgent(text, sessionId) {
+      this.setState({ pendingAssistantMessage: text });
+      await this.tts.speak(text);
+      if (this.sessionId !== sessionId) return;
+      this.setState({ transcript: this.state.transcript.concat({ role: 'agent', text }), pendingAssistantMessage: null });
+    }
+
+    /**
+     * Send the applicant's words (spoken or typed) to the agent.
+     */
+    async sendHandoffMessage(text) {
+      const trimmed = typeof text === 'string' ? text.trim() : '';
+      if (!trimmed || this.state.status !== 'handoff' || !this.resumeToken) return false;
+      this.setState({ transcript: this.state.transcript.concat({ role: 'user', text: trimmed }) });
+      return this.handoffs.sendMessage(this.resumeToken, trimmed);
+    }
+
+    closeHandoff() {
+      if (this.handoffConnection) this.handoffConnection.close();
+      this.handoffConnection = null;
+    }
+
+    /**
+     * The applicant goes on without an agent, at the question that was due.
+     */
+    async continueWithoutAgent() {
+      if (this.state.status !== 'handoff') return;
+      this.sessionId += 1;
+      const sessionId = this.sessionId;
+      this.closeHandoff();
+      this.tts.stop();
+      this.asr.stop();
+      if (!this.resumeToken) {
+        this.setState({ handoff: null, handoffListening: false, retryCount: 0, explainCounts: {} });
+        return this.askQuestion(this.state.currentQuestionIndex);
+      }
+      await this.handoffs.cancel(this.resumeToken);
+      if (this.sessionId !== sessionId) return;
+      return this.resumeAfterHandoff(sessionId);
+    }
+
+    /**
+     * Pick the script up at the question the server says is due, with any
+     * answers the agent recorded.
+     */
+    async resumeAfterHandoff(sessionId) {
+      const session = await this.sessions.fetch(this.resumeToken);
+      if (this.sessionId !== sessionId) return;
+      this.setState({
+        handoff: null,
+        handoffListening: false,
+        retryCount: 0,
+        explainCounts: {},
+        answers: session ? { ...(session.answers || {}) } : this.state.answers,
+        followups: session ? { ...(session.followups || {}) } : this.state.followups,
+      });
+      const result = await this.flow.start(this.resumeToken);
+      if (this.sessionId !== sessionId) return;
+      return this.continueFromServer(result);
+    }
+
+    /**
+     * While an answer is checked, have the TTS fetch the questions that can
+     * come next (one per yes/no or choice answer) if it can prefetch.
+     */
+    prefetchNextQuestions(questionIndex, question) {
+      if (typeof this.tts.prefetch !== 'function') return;
+      const candidates = question.type === 'yes_no'
+        ? ['YES', 'NO']
+        : (question.type === 'choice' && Array.isArray(question.choices) ? question.choices : [null]);
+      const prefetched = new Set();
+      for (const answer of candidates) {
+        const answers = answer === null ? this.state.answers : { ...this.state.answers, [question.id]: answer };
+        const nextIndex = QuestionFlow.resolveNextIndex(this.questions, questionIndex, answer, answers);
+        if (nextIndex === -1 || prefetched.has(nextIndex)) continue;
+        prefetched.add(nextIndex);
+        this.tts.prefetch(getQuestionText(this.questions[nextIndex], this.state.language));
+      }
+    }
+
+    async handleValidation(questionIndex, question, spokenAnswer, sessionId) {
+      this.setState({ status: 'validating' });
+      const strings = getStrings(this.state.language);
+      const questionText = getQuestionText(question, this.state.language);
+      this.prefetchNextQuestions(questionIndex, question);
+      const validation = await this.validator.validate(
+        questionText,
+        question.type,
+        spokenAnswer,
+        question.choices,
+        question.id
+      );
+      if (this.sessionId !== sessionId) return;
+
+      if (validation.repeat) {
+        this.track('repeat.requested');
+        const acknowledgement = strings.repeatAcknowledgement;
+        this.setState({ status: 'speaking' });
+        await this.speakAssistant(acknowledgement, sessionId);
+        if (this.sessionId !== sessionId) return;
+        return this.askQuestion(questionIndex, { preserveRetryCount: true });
+      }
+
+        if (!validation.valid) {
+          this.track('answer.invalid', { reason: validation.reason || null, retry: this.state.retryCount });
+          if (this.state.retryCount < MAX_RETRIES) {
+            const retryNum = this.state.retryCount + 1;
+            this.setState({ retryCount: retryNum });
+
+          const explanation = this.explainInvalidAnswer(question, validation);
+          const escalation = retryNum === 2 ? strings.retryEscalation : "";
+          const clarification = explanation + escalation;
+
+            await this.speakAssistant(clarification, sessionId);
+            if (this.sessionId !== sessionId) return;
+            return this.askQuestion(questionIndex, { preserveRetryCount: true, retryCountOverride: retryNum });
+          }
+
+        // The server will not record an answer that does not fit the
+        // question, so one that never became clear goes to an agent
+        if (this.resumeToken && STRICT_ANSWER_TYPES.includes(question.type)) {
+          return this.handleHandoff(questionIndex, question, sessionId, 'unclear_answer');
+        }
+
+        await this.speakAssistant(strings.moveOnNext, sessionId);
+        if (this.sessionId !== sessionId) return;
+        this.state.answers[question.id] = spokenAnswer;
+        this.trackAnswered('invalid');
+        return this.advanceToNextQuestion(questionIndex, spokenAnswer);
+      }
+
+      const normalizedAnswer = validation.normalized;
+      let cleanedAnswer = question.type === 'open'
+        ? this.stripAcknowledgementPrefix(normalizedAnswer)
+        : normalizedAnswer;
+      if (question.id === 'cust_id_gender') {
+        const genderValue = this.normalizeGenderValue(cleanedAnswer);
+        if (genderValue) {
+          cleanedAnswer = genderValue;
+        }
+      }
+      this.state.answers[question.id] = cleanedAnswer;
+      this.trackAnswered('valid');
+
+      const followupConfig = question.followups;
+      const followupWhen = followupConfig ? (followupConfig.when || 'after_valid') : null;
+      const shouldRunFollowups = followupConfig && (followupWhen === 'after_valid' || followupWhen === 'after_answer');
+      if (shouldRunFollowups) {
+        await this.handleFollowups(question, questionIndex, cleanedAnswer, sessionId);
+        if (this.sessionId !== sessionId) return;
+      }
+
+      await this.speakAssistant(strings.thankYou, sessionId);
+      if (this.sessionId !== sessionId) return;
+
+      this.advanceToNextQuestion(questionIndex, cleanedAnswer);
+    }
+
+    explainInvalidAnswer(question, validation) {
+      if (validation.reason) {
+        return getStrings(this.state.language).parsedAnswerExplanation({
+          ...validation,
+          type: question.type,
+          unit: getUnitLabel(validation.unit, this.state.language),
+        });
+      }
+      return validation.explanation || this.getGenericExplanation(question.type);
+    }
+
+    getGenericExplanation(questionType) {
+      const strings = getStrings(this.state.language);
+      const defaults = strings.genericExplanation;
+      return defaults[questionType] || defaults.open;
+    }
+
+    /**
+     * Move past the current question. With a server session the server
+     * records the answer and picks the next question; without one (server
+     * unavailable) the same branching runs locally.
+     */
+    async advanceToNextQuestion(currentIndex, answer) {
+      const question = this.questions[currentIndex];
+
+      if (!this.resumeToken) {
+        const conflict = this.findLocalConflict(question.id, currentIndex, 1);
+        if (conflict) return this.handleConflict(conflict, this.sessionId);
+        const nextIndex = QuestionFlow.resolveNextIndex(this.questions, currentIndex, answer, this.state.answers);
+        return this.askQuestion(nextIndex);
+      }
+
+      const sessionId = this.sessionId;
+      const result = await this.flow.answer(
+        this.resumeToken,
+        question.id,
+        answer,
+        this.state.followups[question.id] || null
+      );
+      if (this.sessionId !== sessionId) return;
+      return this.continueFromServer(result);
+    }
+
+    /**
+     * Ask whatever question the server says is due.
+     */
+    async continueFromServer(result) {
+      if (!result) {
+        this.stop();
+        this.setState({ error: getStrings(this.state.language).flowError });
+        return;
+      }
+      if (result.questionnaire) {
+        const sessionId = this.sessionId;
+        await this.syncQuestionnaire(result.questionnaire);
+        if (this.sessionId !== sessionId) return;
+      }
+      if (result.conflict) {
+        return this.handleConflict(result.conflict, this.sessionId);
+      }
+      if (result.complete || !result.question) {
+        return this.askQuestion(-1);
+      }
+      const nextIndex = this.questions.findIndex((q) => q.id === result.question.id);
+      if (nextIndex === -1) {
+        this.stop();
+        this.setState({ error: getStrings(this.state.language).flowError });
+        return;
+      }
+      return this.askQuestion(nextIndex);
+    }
+
+    // ==========================================================================
+    // ANSWER CONFLICTS
+    // ==========================================================================
+
+    /**
+     * Read back answers that break a questionnaire constraint, then check
+     * them one at a time, latest first, until the applicant corrects one
+     * or confirms them all.
+     */
+    async handleConflict(conflict, sessionId) {
+      const strings = getStrings(this.state.language);
+      const items = conflict.questions.map((item) => {
+        const question = this.questions.find((q) => q.id === item.id)
+          || { id: item.id, question: item.question, type: item.type };
+        return {
+          ...item,
+          scripted: question,
+          text: getQuestionText(question, this.state.language),
+          spoken: this.describeAnswer(item.answer),
+        };
+      });
+
+      const readback = [strings.conflictIntro]
+        .concat(items.map((item) => strings.conflictReadback(item.text, item.spoken)))
+        .concat(getConstraintMessage(conflict, this.state.language) || [])
+        .join(' ');
+      this.setState({ status: 'speaking' });
+      await this.speakAssistant(readback, sessionId);
+      if (this.sessionId !== sessionId) return;
+
+      for (const item of items.slice().reverse()) {
+        const isCorrect = await this.askYesNo(strings.conflictConfirm(item.text, item.spoken), sessionId);
+        if (this.sessionId !== sessionId) return;
+        if (isCorrect === null) return this.settleConflict(conflict, { resolution: 'unresolved' }, sessionId);
+        if (isCorrect) continue;
+
+        this.setState({ status: 'speaking' });
+        await this.speakAssistant(strings.conflictCorrect, sessionId);
+        if (this.sessionId !== sessionId) return;
+        const corrected = await this.askForCorrection(item.scripted, sessionId);
+        if (this.sessionId !== sessionId) return;
+        if (corrected === null) return this.settleConflict(conflict, { resolution: 'unresolved' }, sessionId);
+        return this.settleConflict(conflict, { resolution: 'corrected', questionId: item.id, answer: corrected }, sessionId);
+      }
+
+      return this.settleConflict(conflict, { resolution: 'confirmed' }, sessionId);
+    }
+
+    describeAnswer(answer) {
+      const strings = getStrings(this.state.language);
+      if (answer === 'YES') return strings.answerYes;
+      if (answer === 'NO') return strings.answerNo;
+      return answer;
+    }
+
+    /**
+     * Ask a yes/no question outside the script. Resolves true/false, or
+     * null when no clear answer came after the usual retries.
+     */
+    async askYesNo(prompt, sessionId) {
+      for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+        this.setState({ status: 'speaking' });
+        await this.speakAssistant(prompt, sessionId);
+        if (this.sessionId !== sessionId) return null;
+
+        this.setState({ status: 'listening', pendingAssistantMessage: null });
+        const response = await this.listen();
+        if (this.sessionId !== sessionId) return null;
+        if (!response) continue;
+        this.recordUserAnswer(response);
+
+        this.setState({ status: 'validating' });
+        const validation = await this.validator.validate(prompt, 'yes_no', response);
+        if (this.sessionId !== sessionId) return null;
+        if (validation.valid) return validation.normalized === 'YES';
+      }
+      return null;
+    }
+
+    /**
+     * Ask a scripted question again and return the new normalized answer,
+     * or null when no valid answer came after the usual retries.
+     */
+    async askForCorrection(question, sessionId) {
+      const questionText = getQuestionText(question, this.state.language);
+      let prompt = questionText;
+
+      for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+        this.setState({ status: 'speaking' });
+        await this.speakAssistant(prompt, sessionId);
+        if (this.sessionId !== sessionId) return null;
+
+        this.setState({ status: 'listening', pendingAssistantMessage: null });
+        const response = await this.listen();
+        if (this.sessionId !== sessionId) return null;
+        if (!response) continue;
+        this.recordUserAnswer(response);
+
+        this.setState({ status: 'validating' });
+        const validation = await this.validator.validate(
+          questionText,
+          question.type,
+          response,
+          question.choices,
+          question.id
+        );
+        if (this.sessionId !== sessionId) return null;
+        if (validation.valid) return validation.normalized;
+        prompt = `${this.explainInvalidAnswer(question, validation)} ${questionText}`;
+      }
+      return null;
+    }
+
+    async settleConflict(conflict, outcome, sessionId) {
+      const strings = getStrings(this.state.language);
+      const closing = {
+        corrected: strings.thankYou,
+        confirmed: strings.conflictConfirmed,
+        unresolved: strings.conflictUnresolved,
+      }[outcome.resolution];
+      this.setState({ status: 'speaking' });
+      await this.speakAssistant(closing, sessionId);
+      if (this.sessionId !== sessionId) return;
+
+      if (outcome.resolution === 'corrected') {
+        this.state.answers[outcome.questionId] = outcome.answer;
+      }
+
+      if (this.resumeToken) {
+        const result = await this.flow.resolve(this.resumeToken, conflict.id, outcome);
+        if (this.sessionId !== sessionId) return;
+        return this.continueFromServer(result);
+      }
+
+      // No server session: keep the record locally and continue the same way
+      this.setState({
+        conflicts: this.state.conflicts.concat({
+          ...conflict,
+          resolution: outcome.resolution,
+          correction: outcome.resolution === 'corrected'
+            ? { questionId: outcome.questionId, answer: outcome.answer }
+            : null,
+          resolvedAt: new Date().toISOString(),
+        }),
+      });
+      if (outcome.resolution === 'corrected') {
+        const next = this.findLocalConflict(outcome.questionId, conflict.answeredIndex, conflict.round + 1);
+        if (next) return this.handleConflict(next, sessionId);
+      }
+      const answeredId = this.questions[conflict.answeredIndex].id;
+      const nextIndex = QuestionFlow.resolveNextIndex(
+        this.questions,
+        conflict.answeredIndex,
+        this.state.answers[answeredId],
+        this.state.answers
+      );
+      return this.askQuestion(nextIndex);
+    }
+
+    /**
+     * Local counterpart of the server's conflict detection, used only when
+     * there is no server session.
+     */
+    findLocalConflict(questionId, answeredIndex, round) {
+      if (round > MAX_CONFLICT_ROUNDS) return null;
+      const answers = this.state.answers;
+      const violation = QuestionFlow.findConstraintViolations(this.questions, answers, { onlyFor: questionId })
+        .find((candidate) => !this.state.conflicts.some((conflict) => conflict.constraintId === candidate.constraintId
+          && conflict.resolution !== 'corrected'
+          && candidate.questionIds.every((id) => conflict.answers[id] === answers[id])));
+      if (!violation) return null;
+
+      const snapshot = Object.fromEntries(violation.questionIds.map((id) => [id, answers[id]]));
+      return {
+        id: `${violation.constraintId}-${Date.now()}`,
+        constraintId: violation.constraintId,
+        message: violation.message,
+        answers: snapshot,
+        questions: violation.questionIds.map((id) => {
+          const question = this.questions.find((q) => q.id === id);
+          return { id, question: question.question, type: question.type, answer: snapshot[id] };
+        }),
+        answeredIndex,
+        round,
+      };
+    }
+
+    async resume(session) {
+      this.sessionId += 1;
+      const sessionId = this.sessionId;
+      const language = normalizeLanguage(session.language);
+      this.resumeToken = session.id;
+      this.accessToken = session.accessToken || null;
+      this.sessions.rememberToken(session.id);
+      await this.syncQuestionnaire(session.questionnaire);
+      if (this.sessionId !== sessionId) return;
+      this.applyLanguage(language);
+      this.setState({
+        status: 'speaking',
+        currentQuestionIndex: -1,
+        answers: { ...(session.answers || {}) },
+        transcript: [],
+        retryCount: 0,
+        explainCounts: {},
+        lastWhyExplanation: null,
+        announcementsPlayed: {},
+        followups: { ...(session.followups || {}) },
+        conflicts: [...(session.conflicts || [])],
+        pendingAssistantMessage: null,
+        error: null,
+        language,
+        resumableSession: null,
+        handoff: null,
+        handoffListening: false,
+      });
+
+      this.track('interview.started', { resumed: true, language });
+      const strings = getStrings(language);
+      await this.speakAssistant(strings.resumeMessage, sessionId);
+      if (this.sessionId !== sessionId) return;
+
+      // Still waiting for (or talking with) an agent
+      if (session.status === 'handoff') {
+        const question = this.questions.find((q) => q.id === session.currentQuestionId) || null;
+        return this.enterHandoff(question, 'resumed', sessionId);
+      }
+
+      const result = await this.flow.start(session.id);
+      if (this.sessionId !== sessionId) return;
+      this.continueFromServer(result);
+    }
+
+    async loadResumableSession() {
+      const resumeToken = this.sessions.getStoredToken();
+      if (!resumeToken) return;
+      const session = await this.sessions.fetch(resumeToken);
+      if (!session || session.status === 'complete') {
+        this.sessions.forgetToken();
+        return;
+      }
+      this.setState({ resumableSession: session });
+    }
+
+    async start() {
+      this.sessionId += 1;
+      const sessionId = this.sessionId;
+      const language = this.state.language;
+      this.setState({
+        status: 'speaking',
+        currentQuestionIndex: -1,
+        answers: {},
+        transcript: [],
+        retryCount: 0,
+        explainCounts: {},
+        lastWhyExplanation: null,
+        announcementsPlayed: {},
+        followups: {},
+        conflicts: [],
+        pendingAssistantMessage: null,
+        error: null,
+        language,
+        resumableSession: null,
+        handoff: null,
+        handoffListening: false,
+      });
+
+      const session = await this.sessions.create(language);
+      if (this.sessionId !== sessionId) return;
+      this.resumeToken = session ? session.id : null;
+      this.accessToken = session ? session.accessToken || null : null;
+      if (session) await this.syncQuestionnaire(session.questionnaire);
+      if (this.sessionId !== sessionId) return;
+      this.track('interview.started', { resumed: false, language });
+
+      const strings = getStrings(language);
+      await this.speakAssistant(strings.introMessage, sessionId);
+      if (this.sessionId !== sessionId) return;
+
+      if (this.resumeToken) {
+        const result = await this.flow.start(this.resumeToken);
+        if (this.sessionId !== sessionId) return;
+        return this.continueFromServer(result);
+      }
+
+      const firstIndex = this.findNextQuestionIndex(0, {});
+      this.askQuestion(firstIndex);
+    }
+
+    stop() {
+      this.sessionId += 1;
+      this.closeHandoff();
+      this.tts.stop();
+      this.asr.stop();
+      const currentQuestion = this.questions[this.state.currentQuestionIndex];
+      const resumableSession = this.resumeToken
+        ? {
+            id: this.resumeToken,
+            language: this.state.language,
+            answers: this.state.answers,
+            followups: this.state.followups,
+            currentQuestionIndex: this.state.currentQuestionIndex,
+            currentQuestionId: currentQuestion ? currentQuestion.id : null,
+          }
+        : null;
+      this.setState({ status: 'idle', pendingAssistantMessage: null, resumableSession, handoff: null, handoffListening: false });
+    }
+
+    async handleFollowups(question, questionIndex, lastAnswer, sessionId) {
+      const followupConfig = question.followups;
+      if (!followupConfig || !followupConfig.max || followupConfig.max <= 0) {
+        return;
+      }
+
+      const existing = this.state.followups[question.id] || { count: 0, items: [] };
+      let count = existing.count;
+      let items = [...existing.items];
+      const retryLimit = Number.isInteger(followupConfig.retryLimit) ? followupConfig.retryLimit : MAX_RETRIES;
+      const language = this.state.language;
+      const sectionLabel = getSectionLabel(question.section, language, question);
+      const questionText = getQuestionText(question, language);
+      const resolvedIndex = Number.isInteger(questionIndex)
+        ? questionIndex
+        : this.questions.findIndex((q) => q.id === question.id);
+      const upcomingQuestions = resolvedIndex >= 0
+        ? this.getUpcomingQuestionTexts(resolvedIndex, 4, language)
+        : [];
+
+      while (count < followupConfig.max) {
+        const followupRequest = {
+          context: 'Life insurance intake for underwriting risk assessment.',
+          section: sectionLabel,
+          questionId: question.id,
+          questionText,
+          lastAnswer,
+          priorAnswers: this.getRecentUserAnswers(5),
+          recentQAPairs: this.getRecentQuestionAnswerPairs(4),
+          sectionAnswers: this.getSectionAnswers(question.section),
+          primaryContext: this.state.answers['pmv.last_visit_reason']
+            ? { id: 'pmv.last_visit_reason', answer: this.state.answers['pmv.last_visit_reason'] }
+            : null,
+          topic: followupConfig.topic || sectionLabel,
+          guidance: followupConfig.guidance || null,
+          previousFollowups: this.getPreviousFollowupQuestions(question.id),
+          upcomingQuestions,
+        };
+
+        const followup = await this.followup.nextQuestion(followupRequest);
+        if (this.sessionId !== sessionId) return;
+
+        if (!followup || followup.done || !followup.ask) {
+          break;
+        }
+
+        const normalizedAsk = followup.ask.trim();
+        if (!normalizedAsk) break;
+        const askedBefore = items.some((item) => item.q.toLowerCase() === normalizedAsk.toLowerCase());
+        if (askedBefore) break;
+        if (this.isSimilarToUpcomingQuestion(normalizedAsk, upcomingQuestions)) break;
+
+        const overlapCheck = await this.followup.checkOverlap({
+          questionId: question.id,
+          candidateQuestion: normalizedAsk,
+          upcomingQuestions,
+        });
+        if (this.sessionId !== sessionId) return;
+        if (!overlapCheck || overlapCheck.allow === false) break;
+
+        this.setState({ status: 'speaking' });
+        await this.speakAssistant(normalizedAsk, sessionId);
+        if (this.sessionId !== sessionId) return;
+
+        const result = await this.collectFollowupAnswer(
+          normalizedAsk,
+          retryLimit,
+          sessionId
+        );
+        if (this.sessionId !== sessionId) return;
+
+        if (!result) break;
+
+        items = items.concat({ q: normalizedAsk, a: result.answer });
+        count += 1;
+        this.track('followup.answered', { followup: count });
+
+        this.setState({
+          followups: { ...this.state.followups, [question.id]: { count, items } },
+        });
+      }
+    }
+
+    async collectFollowupAnswer(questionText, retryLimit, sessionId) {
+      let attempts = 0;
+      let lastResponse = '';
+      const strings = getStrings(this.state.language);
+
+      while (true) {
+        this.setState({ status: 'listening', pendingAssistantMessage: null });
+        const response = await this.listen();
+        if (this.sessionId !== sessionId) return null;
+
+        if (!response) {
+          if (attempts < retryLimit) {
+            this.setState({ status: 'speaking' });
+            await this.speakAssistant(strings.noResponseRetry, sessionId);
+            if (this.sessionId !== sessionId) return null;
+            await this.speakAssistant(questionText, sessionId);
+            if (this.sessionId !== sessionId) return null;
+            this.setState({ pendingAssistantMessage: null });
+            attempts += 1;
+            continue;
+          }
+          return { answer: 'NO_RESPONSE' };
+        }
+
+          this.recordUserAnswer(response);
+        lastResponse = response;
+
+        const validation = await this.validator.validate(
+          questionText,
+          'open',
+          response,
+          null
+        );
+        if (this.sessionId !== sessionId) return null;
+
+        if (!validation.valid) {
+          if (attempts < retryLimit) {
+            const explanation = validation.explanation || this.getGenericExplanation('open');
+            this.setState({ status: 'speaking' });
+            await this.speakAssistant(explanation, sessionId);
+            if (this.sessionId !== sessionId) return null;
+            await this.speakAssistant(questionText, sessionId);
+            if (this.sessionId !== sessionId) return null;
+            this.setState({ pendingAssistantMessage: null });
+            attempts += 1;
+            continue;
+          }
+          return { answer: lastResponse };
+        }
+
+        return { answer: validation.normalized };
+      }
+    }
+  }
+
+  return {
+    DEFAULT_LANGUAGE,
+    LANGUAGE_OPTIONS,
+    UI_STRINGS,
+    MAX_RETRIES,
+    MAX_CONFLICT_ROUNDS,
+    MAX_EXPLAINS,
+    normalizeLanguage,
+    getLanguageConfig,
+    getStrings,
+    getSectionLabel,
+    getQuestionText,
+    getConstraintMessage,
+    getUnitLabel,
+    getScriptedPrompts,
+    isRepeatRequest,
+    isWhyRequest,
+    isAgentRequest,
+    isContinueRequest,
+    ruleBasedValidation,
+    ValidationService,
+    WhyService,
+    FollowupService,
+    AuditService,
+    AnalyticsService,
+    SessionService,
+    FlowService,
+    HandoffService,
+    FlowController,
+  };
+});
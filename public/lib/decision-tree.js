@@ -0,0 +1,431 @@
+/**
+ * Decision Tree Compiler
+ *
+ * Shared by the server and the browser:
+ * 1. Parses and evaluates trigger expressions
+ *    (e.g. "cardio.gateway == true AND cardio.dx CONTAINS 'hypertension'")
+ * 2. Compiles the underwriting decision-tree JSON into the ordered question
+ *    list that FlowController walks
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DecisionTree = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // ==========================================================================
+  // ANSWER TYPES
+  // ==========================================================================
+
+  const ANSWER_TYPE_MAP = {
+    boolean: 'yes_no',
+    single_select: 'choice',
+    integer: 'number',
+    decimal: 'number',
+    date: 'date',
+    text: 'open',
+  };
+
+  const NUMBER_FORMATS = {
+    integer: 'integer',
+    decimal: 'decimal',
+  };
+
+  // ==========================================================================
+  // TRIGGER EXPRESSIONS
+  // ==========================================================================
+
+  class TriggerSyntaxError extends Error {
+    constructor(message, expression, position) {
+      super(`${message} at position ${position} in "${expression}"`);
+      this.name = 'TriggerSyntaxError';
+      this.expression = expression;
+      this.position = position;
+    }
+  }
+
+  const KEYWORDS = ['AND', 'OR', 'NOT', 'CONTAINS'];
+  const COMPARISON_OPERATORS = ['==', '!=', '>=', '<=', '>', '<', 'CONTAINS'];
+
+  function tokenize(expression) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < expression.length) {
+      const ch = expression[i];
+
+      if (/\s/.test(ch)) {
+        i += 1;
+        continue;
+      }
+
+      if (ch === '(' || ch === ')') {
+        tokens.push({ type: 'paren', value: ch, position: i });
+        i += 1;
+        continue;
+      }
+
+      const twoChar = expression.slice(i, i + 2);
+      if (['==', '!=', '>=', '<='].includes(twoChar)) {
+        tokens.push({ type: 'operator', value: twoChar, position: i });
+        i += 2;
+        continue;
+      }
+      if (ch === '>' || ch === '<') {
+        tokens.push({ type: 'operator', value: ch, position: i });
+        i += 1;
+        continue;
+      }
+
+      if (ch === '\'' || ch === '"') {
+        const end = expression.indexOf(ch, i + 1);
+        if (end === -1) {
+          throw new TriggerSyntaxError('Unterminated string', expression, i);
+        }
+        tokens.push({ type: 'literal', value: expression.slice(i + 1, end), position: i });
+        i = end + 1;
+        continue;
+      }
+
+      const numberMatch = /^-?\d+(\.\d+)?/.exec(expression.slice(i));
+      if (numberMatch) {
+        tokens.push({ type: 'literal', value: Number(numberMatch[0]), position: i });
+        i += numberMatch[0].length;
+        continue;
+      }
+
+      const wordMatch = /^[A-Za-z_][\w.]*/.exec(expression.slice(i));
+      if (wordMatch) {
+        const word = wordMatch[0];
+        const upper = word.toUpperCase();
+        if (KEYWORDS.includes(upper)) {
+          tokens.push({ type: upper === 'CONTAINS' ? 'operator' : 'keyword', value: upper, position: i });
+        } else if (upper === 'TRUE' || upper === 'FALSE') {
+          tokens.push({ type: 'literal', value: upper === 'TRUE', position: i });
+        } else if (upper === 'NULL') {
+          tokens.push({ type: 'literal', value: null, position: i });
+        } else {
+          tokens.push({ type: 'ref', value: word, position: i });
+        }
+        i += word.length;
+        continue;
+      }
+
+      throw new TriggerSyntaxError(`Unexpected character "${ch}"`, expression, i);
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Parse a trigger expression into an AST.
+   * Grammar: or := and (OR and)* ; and := not (AND not)* ;
+   * not := NOT not | comparison ; comparison := operand (op operand)? ;
+   * operand := literal | id | "(" or ")"
+   */
+  function parseTrigger(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+      throw new TriggerSyntaxError('Empty expression', String(expression), 0);
+    }
+
+    const tokens = tokenize(expression);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const fail = (message) => {
+      const token = peek();
+      throw new TriggerSyntaxError(message, expression, token ? token.position : expression.length);
+    };
+
+    function parseOr() {
+      let left = parseAnd();
+      while (peek() && peek().type === 'keyword' && peek().value === 'OR') {
+        index += 1;
+        left = { type: 'logical', op: 'OR', left, right: parseAnd() };
+      }
+      return left;
+    }
+
+    function parseAnd() {
+      let left = parseNot();
+      while (peek() && peek().type === 'keyword' && peek().value === 'AND') {
+        index += 1;
+        left = { type: 'logical', op: 'AND', left, right: parseNot() };
+      }
+      return left;
+    }
+
+    function parseNot() {
+      if (peek() && peek().type === 'keyword' && peek().value === 'NOT') {
+        index += 1;
+        return { type: 'not', operand: parseNot() };
+      }
+      return parseComparison();
+    }
+
+    function parseComparison() {
+      const left = parseOperand();
+      const token = peek();
+      if (token && token.type === 'operator' && COMPARISON_OPERATORS.includes(token.value)) {
+        index += 1;
+        return { type: 'compare', op: token.value, left, right: parseOperand() };
+      }
+      return left;
+    }
+
+    function parseOperand() {
+      const token = peek();
+      if (!token) fail('Unexpected end of expression');
+
+      if (token.type === 'paren' && token.value === '(') {
+        index += 1;
+        const inner = parseOr();
+        if (!peek() || peek().value !== ')') fail('Expected ")"');
+        index += 1;
+        return inner;
+      }
+      if (token.type === 'literal') {
+        index += 1;
+        return { type: 'literal', value: token.value };
+      }
+      if (token.type === 'ref') {
+        index += 1;
+        return { type: 'ref', id: token.value };
+      }
+      return fail(`Unexpected "${token.value}"`);
+    }
+
+    const ast = parseOr();
+    if (index < tokens.length) fail(`Unexpected "${peek().value}"`);
+    return ast;
+  }
+
+  const parsedTriggers = new Map();
+
+  function getParsedTrigger(expression) {
+    if (!parsedTriggers.has(expression)) {
+      parsedTriggers.set(expression, parseTrigger(expression));
+    }
+    return parsedTriggers.get(expression);
+  }
+
+  function toBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    if (typeof value !== 'string') return undefined;
+    const normalized = value.trim().toUpperCase();
+    if (normalized === 'YES' || normalized === 'TRUE') return true;
+    if (normalized === 'NO' || normalized === 'FALSE') return false;
+    return undefined;
+  }
+
+  function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string') return undefined;
+    const parsed = parseFloat(value.replace(/,/g, ''));
+    return Number.isFinite(parsed) ? parsed : undefined;
+  }
+
+  function isNumericString(value) {
+    return typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value);
+  }
+
+  /**
+   * Coerce both sides of a comparison to a common type. A stored answer
+   * ("YES", "120") is coerced toward whatever the literal side is.
+   */
+  function coercePair(left, right) {
+    if (typeof left === 'boolean' || typeof right === 'boolean') {
+      return [toBoolean(left), toBoolean(right)];
+    }
+    if (typeof left === 'number' || typeof right === 'number') {
+      return [toNumber(left), toNumber(right)];
+    }
+    // Two stored answers ("80" vs "120") compare as numbers when both are numeric.
+    if (isNumericString(left) && isNumericString(right)) {
+      return [toNumber(left), toNumber(right)];
+    }
+    return [
+      left === undefined || left === null ? undefined : String(left).trim().toLowerCase(),
+      right === undefined || right === null ? undefined : String(right).trim().toLowerCase(),
+    ];
+  }
+
+  function compareValues(op, left, right) {
+    if (op === 'CONTAINS') {
+      if (left === undefined || left === null || right === undefined || right === null) return false;
+      const needle = String(right).toLowerCase();
+      if (Array.isArray(left)) {
+        return left.some((item) => String(item).toLowerCase() === needle);
+      }
+      return String(left).toLowerCase().includes(needle);
+    }
+
+    if (right === null && (op === '==' || op === '!=')) {
+      const isMissing = left === undefined || left === null || left === '';
+      return op === '==' ? isMissing : !isMissing;
+    }
+
+    const [a, b] = coercePair(left, right);
+    // Unanswered or uncoercible values never satisfy a comparison.
+    if (a === undefined || b === undefined) return false;
+
+    switch (op) {
+      case '==': return a === b;
+      case '!=': return a !== b;
+      case '>': return a > b;
+      case '<': return a < b;
+      case '>=': return a >= b;
+      case '<=': return a <= b;
+      default: return false;
+    }
+  }
+
+  function evaluateNode(node, answers) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'ref':
+        return answers[node.id];
+      case 'not':
+        return !isTruthy(evaluateNode(node.operand, answers));
+      case 'logical': {
+        const left = isTruthy(evaluateNode(node.left, answers));
+        if (node.op === 'AND') return left && isTruthy(evaluateNode(node.right, answers));
+        return left || isTruthy(evaluateNode(node.right, answers));
+      }
+      case 'compare':
+        return compareValues(node.op, evaluateNode(node.left, answers), evaluateNode(node.right, answers));
+      default:
+        return false;
+    }
+  }
+
+  function isTruthy(value) {
+    const asBoolean = toBoolean(value);
+    if (asBoolean !== undefined) return asBoolean;
+    if (typeof value === 'number') return value !== 0;
+    return !!value && value !== 'NO_RESPONSE';
+  }
+
+  /**
+   * Evaluate a trigger expression against the answers collected so far.
+   * A missing or empty trigger is always satisfied.
+   */
+  function evaluateTrigger(expression, answers = {}) {
+    if (expression === undefined || expression === null || expression === '') return true;
+    if (typeof expression === 'boolean') return expression;
+    return isTruthy(evaluateNode(getParsedTrigger(expression), answers || {}));
+  }
+
+  /**
+   * List every answer id referenced by a trigger, with the literal it is
+   * compared against (if any).
+   */
+  function collectReferences(ast) {
+    const refs = [];
+    const walk = (node, comparedTo) => {
+      if (!node) return;
+      if (node.type === 'ref') {
+        refs.push({ id: node.id, op: comparedTo ? comparedTo.op : null, value: comparedTo ? comparedTo.value : undefined });
+      } else if (node.type === 'not') {
+        walk(node.operand);
+      } else if (node.type === 'logical') {
+        walk(node.left);
+        walk(node.right);
+      } else if (node.type === 'compare') {
+        walk(node.left, node.right.type === 'literal' ? { op: node.op, value: node.right.value } : null);
+        walk(node.right, node.left.type === 'literal' ? { op: node.op, value: node.left.value } : null);
+      }
+    };
+    walk(ast);
+    return refs;
+  }
+
+  // ==========================================================================
+  // TREE COMPILER
+  // ==========================================================================
+
+  function compileNode(node) {
+    const answerType = node.answer_type || 'text';
+    const question = {
+      id: node.id,
+      section: node.section,
+      question: node.question,
+      type: ANSWER_TYPE_MAP[answerType] || 'open',
+      answerType,
+      kind: node.type || 'gateway',
+    };
+
+    if (node.trigger !== undefined && node.trigger !== null && node.trigger !== '') {
+      question.trigger = node.trigger;
+    }
+    if (NUMBER_FORMATS[answerType]) {
+      question.numberFormat = NUMBER_FORMATS[answerType];
+    }
+    for (const key of ['min', 'max', 'unit']) {
+      if (node[key] !== undefined && node[key] !== null) question[key] = node[key];
+    }
+    if (Array.isArray(node.options)) {
+      question.choices = node.options.slice();
+    }
+    if (node.followups) {
+      question.followups = { ...node.followups };
+    }
+    if (Array.isArray(node.constraints) && node.constraints.length > 0) {
+      question.constraints = node.constraints.map((constraint) => ({ ...constraint }));
+    }
+    if (node.announcement) {
+      question.announcement = node.announcement;
+    }
+    if (node.added_for_underwriting) {
+      question.underwriting = true;
+    }
+
+    return question;
+  }
+
+  /**
+   * Flatten the tree depth-first from root_nodes into the ordered script.
+   * Each node appears once, at the first place it is reached; unknown ids and
+   * unreachable nodes are left out (the questionnaire linter reports them).
+   */
+  function compileDecisionTree(tree) {
+    if (!tree || !Array.isArray(tree.nodes)) {
+      throw new Error('Decision tree must have a nodes array');
+    }
+
+    const byId = new Map();
+    for (const node of tree.nodes) {
+      if (node && node.id && !byId.has(node.id)) byId.set(node.id, node);
+    }
+
+    const roots = Array.isArray(tree.root_nodes) && tree.root_nodes.length > 0
+      ? tree.root_nodes
+      : tree.nodes.map((node) => node.id);
+
+    const questions = [];
+    const seen = new Set();
+
+    const visit = (id) => {
+      if (seen.has(id) || !byId.has(id)) return;
+      seen.add(id);
+      const node = byId.get(id);
+      questions.push(compileNode(node));
+      for (const childId of node.children || []) visit(childId);
+    };
+
+    roots.forEach(visit);
+    return questions;
+  }
+
+  return {
+    ANSWER_TYPE_MAP,
+    TriggerSyntaxError,
+    parseTrigger,
+    evaluateTrigger,
+    collectReferences,
+    compileDecisionTree,
+  };
+});
@@ -0,0 +1,514 @@
+/**
+ * Locales
+ *
+ * Shared by the server and the browser: how an applicant says things in
+ * each language. A bundle names the language for the model's prompts and
+ * lists the phrases that mean yes, no, "I'm not sure", "say that again",
+ * "why do you ask", "get me a person" and "let's go on", plus the
+ * acknowledgements ("ok", "vale") dropped from the front of an answer and
+ * the words for each gender answer. A bundle with interface strings (ui),
+ * speech settings and translated constraint messages and units is also a
+ * language the interview runs in.
+ *
+ * Every language's phrases are matched together with English ones, since
+ * applicants switch to English for a word or two. Matching ignores case
+ * and accents ("si" is "sí") and only takes whole words, so "no" does not
+ * match "know". Supporting another language means adding its bundle here
+ * and translating the questions in question-translations.js.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Locales = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DEFAULT_LOCALE = 'en';
+
+  const LOCALES = {
+    en: {
+      name: 'English',
+      label: 'English',
+      asrLang: 'en-US',
+      ttsLang: 'en-US',
+      htmlLang: 'en',
+      yes: ['yes', 'yeah', 'yep', 'yup', 'correct', 'right', 'i do', 'i have', 'sure', 'absolutely', 'affirmative', 'uh-huh', 'of course'],
+      no: ['no', 'nope', 'nah', 'negative', "don't", 'do not', "haven't", 'have not', 'never', 'not really', 'of course not'],
+      unsure: ['maybe', 'sometimes', 'i think so', 'probably', 'kind of', 'not sure', "i don't know", 'i do not know'],
+      repeat: [
+        'repeat',
+        'say that again',
+        'say it again',
+        'can you repeat',
+        'could you repeat',
+        'please repeat',
+        'repeat that',
+        'what was that',
+        'pardon',
+        'come again',
+        'say again',
+        'repeat please',
+        'huh',
+        'sorry',
+        'what did you say',
+        'what was the question',
+        'what',
+        'can you repeat that',
+        'say that',
+        'say it',
+      ],
+      why: [
+        'why do i need to answer',
+        'why do i have to answer',
+        'why are you asking',
+        'why do you need this',
+        'why do you need to know',
+        'why is this needed',
+        'why is that needed',
+        'what is this for',
+        'why is this question',
+        'why do i need to',
+        'why do you ask',
+        'can you explain',
+        'could you explain',
+        'explain that',
+        'explain this',
+        'help me understand',
+        'why',
+        'explain',
+      ],
+      agent: [
+        'agent',
+        'representative',
+        'talk to a person',
+        'talk to someone',
+        'speak to someone',
+        'human',
+        'connect me',
+      ],
+      continue: ['continue', 'keep going', 'go on', "let's continue", 'ready'],
+      acknowledgements: ['ok', 'okay', 'alright', 'all right', 'sure', 'got it', 'i get it', 'i understand', 'that makes sense'],
+      genders: {
+        Male: ['male', 'mail', 'man', 'm'],
+        Female: ['female', 'femail', 'woman', 'f'],
+        'Non-binary': ['non-binary', 'nonbinary', 'nb'],
+        Other: ['other', 'prefer not', 'na'],
+      },
+      ui: {
+        title: 'AI-Validated Insurance Questionnaire',
+        headerSubtitle: 'AI Voice Application Prototype',
+        headerTitle: 'Medical History Questionnaire',
+        headerTagline: 'Insurance Application',
+        progressLabel: 'Progress',
+        questionCount: (current, total) => `Question ${current} of ${total}`,
+        readyTitle: 'Ready to Begin',
+        readyDescription: 'This questionnaire will ask about your medical history using voice interaction. Please ensure you are in a quiet environment and speak clearly.',
+        startButton: 'Start Application',
+        startTextButton: 'Type my answers instead',
+        readAloudLabel: 'Read the questions aloud',
+        unsupportedAsr: 'Voice recognition is not supported in this browser. Please use Chrome or Edge, or type your answers instead.',
+        speakingLabel: 'Speaking',
+        speakingSub: 'Please listen to the question',
+        listeningLabel: 'Listening',
+        listeningSub: 'Please speak your answer clearly',
+        typingLabel: 'Your turn',
+        typingSub: 'Type your answer in the chat',
+        validatingLabel: 'Processing',
+        validatingSub: 'Analyzing your response with AI',
+        yesNoHint: 'Please answer yes or no',
+        optionsLabel: 'Options',
+        retryLabel: (current, total) => `Attempt ${current} of ${total}`,
+        endCallButton: 'End Call',
+        completionTitle: 'Application Complete',
+        completionDescription: 'Thank you for completing the questionnaire. Your responses have been recorded.',
+        summaryTitle: 'Response Summary',
+        summaryEmpty: 'No responses recorded',
+        followupLabel: (index) => `Follow-up ${index}:`,
+        restartButton: 'Start New Application',
+        handoffTitle: 'Agent Handoff Requested',
+        handoffDescription: 'We can connect you with an agent to finish this question.',
+        handoffWaitingDescription: 'An agent will join you here shortly. Your answers so far are saved.',
+        handoffActiveDescription: (agent) => `You are talking with ${agent}. Speak when they finish, or type below.`,
+        handoffLostDescription: 'We lost the connection to the agent. Your answers are saved; you can continue without an agent.',
+        handoffContinueButton: 'Continue without an agent',
+        handoffMessagePlaceholder: 'Type a message to the agent',
+        handoffSendButton: 'Send',
+        handoffListening: 'Listening…',
+        resumeTitle: 'Pick up where you left off',
+        resumeDescription: 'You have an application in progress. You can continue from the last question you answered, or start over.',
+        resumeButton: 'Continue Application',
+        resumeProgress: (count) => `${count} answer${count === 1 ? '' : 's'} saved`,
+        resumeLinkLabel: 'Resume link (keep this to continue on another device)',
+        resumeMessage: "Welcome back. Let's pick up where we left off.",
+        flowError: 'We could not reach the server to continue your application. Your answers so far are saved; please try again in a moment.',
+        callTransfer: 'Please hold while I connect you to an agent.',
+        callTransferUnavailable: 'An agent will call you back to finish your application. Your answers so far are saved. Goodbye.',
+        callUnknown: 'Sorry, we lost track of this call. Please call back to continue your application.',
+        chatHandoff: 'An agent will contact you to finish your application. Your answers so far are saved.',
+        chatAssistantName: 'Underwriting Assistant',
+        chatSubtitle: 'Live demo transcript',
+        chatEmpty: 'Conversation will appear here.',
+        voiceModeEnabled: 'Voice mode enabled',
+        textAnswerPlaceholder: 'Type your answer',
+        textSendButton: 'Send',
+        transcriptLabel: (count) => `Transcript (${count})`,
+        transcriptUser: 'User',
+        transcriptSystem: 'System',
+        transcriptAgent: 'Agent',
+        languageLabel: 'Language',
+        introMessage: 'Hello and Thank you for choosing Protective Life. During this phone call I will ask several questions regarding your lifestyle and health. This information will help us with your life insurance application.',
+        completionMessage: 'Thank you for choosing Protective Life. Your responses have been recorded.',
+        whyFallback: 'This helps us understand your medical history for your application.',
+        medicalConditionsAnnouncement: 'Now we will go through some specific medical conditions. Please let me know if you have had any of the conditions so that we can obtain additional information where necessary.',
+        noResponseRetry: "I didn't hear anything. Let me repeat the question.",
+        noResponseMoveOn: "I'm having trouble hearing you. Let's move on.",
+        repeatAcknowledgement: "Sure, I'll repeat the question.",
+        thankYou: 'Thank you.',
+        conflictIntro: 'I want to double-check a couple of your answers.',
+        conflictReadback: (question, answer) => `For "${question}", you said ${answer}.`,
+        conflictConfirm: (question, answer) => `Is ${answer} correct for "${question}"?`,
+        conflictCorrect: "Okay, let's fix that one.",
+        conflictConfirmed: "Thanks for confirming. I'll keep your answers as they are.",
+        conflictUnresolved: "Let's move on for now. An agent may follow up on these answers.",
+        answerYes: 'yes',
+        answerNo: 'no',
+        whyPrompt: 'Let me know if you want me to repeat it, or go ahead and answer.',
+        handoffPrompt: 'I want to make sure we get this right. I can connect you to an agent, or we can move forward here. What do you prefer?',
+        handoffWaiting: 'Please hold on. An agent will join you shortly, and your answers so far are saved.',
+        handoffConnected: (agent) => `${agent} from our team is here to help you.`,
+        handoffReturned: "Thanks for your patience. Let's continue with the questionnaire.",
+        moveOnNext: "Let's move on to the next question.",
+        retryEscalation: " Let's try once more.",
+        bridgeOptions: [
+          "That's why we ask.",
+          'I appreciate you asking.',
+          'Thanks for checking on that.',
+          'That context helps.',
+        ],
+        genericExplanation: {
+          yes_no: 'Please answer with a clear yes or no.',
+          date: 'Please provide a date.',
+          number: 'Please provide a number.',
+          choice: 'Please choose one of the options.',
+          open: 'Please provide a valid response.',
+        },
+        parsedAnswerExplanation: ({ type, reason, min, max, unit }) => {
+          const unitText = unit ? ` ${unit}` : '';
+          if (type === 'date') {
+            if (reason === 'unparseable') return 'Please give a date, like March 2020 or six months ago.';
+            if (reason === 'above_max') {
+              return max === 'today'
+                ? 'That date is in the future. Please give a date on or before today.'
+                : `Please give a date on or before ${max}.`;
+            }
+            return `Please give a date on or after ${min}.`;
+          }
+          if (reason === 'unparseable') return 'Please give a number.';
+          if (min !== undefined && max !== undefined) {
+            return `That doesn't sound right. Please give a number between ${min} and ${max}${unitText}.`;
+          }
+          if (reason === 'below_min') return `That doesn't sound right. Please give a number of at least ${min}${unitText}.`;
+          return `That doesn't sound right. Please give a number no higher than ${max}${unitText}.`;
+        },
+      },
+    },
+    es: {
+      name: 'Spanish',
+      label: 'Español',
+      asrLang: 'es-ES',
+      ttsLang: 'es-ES',
+      htmlLang: 'es',
+      yes: ['sí', 'claro', 'claro que sí', 'por supuesto', 'correcto', 'así es', 'exacto', 'cierto', 'afirmativo', 'desde luego', 'efectivamente', 'sí tengo', 'sí he'],
+      no: ['no', 'nunca', 'jamás', 'negativo', 'para nada', 'en absoluto', 'claro que no', 'no tengo', 'no he', 'tampoco', 'ninguno', 'ninguna'],
+      unsure: ['quizás', 'quizá', 'tal vez', 'a veces', 'no sé', 'no estoy seguro', 'no estoy segura', 'creo que sí', 'creo que no', 'probablemente', 'más o menos', 'puede ser'],
+      repeat: [
+        'repite',
+        'repita',
+        'repítalo',
+        'repítelo',
+        'repetir',
+        'puede repetir',
+        'podría repetir',
+        'otra vez',
+        'de nuevo',
+        'qué dijiste',
+        'qué dijo',
+        'qué fue eso',
+        'perdón',
+        'disculpa',
+        'disculpe',
+        'repita por favor',
+      ],
+      why: [
+        'por qué',
+        'por qué pregunta',
+        'por qué me pregunta',
+        'por qué necesita',
+        'por qué necesita saber',
+        'para qué es esto',
+        'para qué es esta pregunta',
+        'puede explicar',
+        'podría explicar',
+        'explique',
+        'explica',
+        'explícame',
+        'explíqueme',
+        'ayúdeme a entender',
+      ],
+      agent: [
+        'agente',
+        'representante',
+        'hablar con una persona',
+        'hablar con alguien',
+        'hablar con un humano',
+        'persona',
+        'humano',
+        'conectar',
+        'conécteme',
+      ],
+      continue: ['continuar', 'continúe', 'continúa', 'sigamos', 'seguir', 'sigue', 'siga', 'adelante', 'vamos a continuar', 'listo', 'lista'],
+      acknowledgements: ['ok', 'vale', 'bueno', 'claro', 'de acuerdo', 'gracias', 'entiendo', 'entendido', 'ya veo', 'tiene sentido', 'está bien'],
+      genders: {
+        Male: ['hombre', 'masculino', 'varón'],
+        Female: ['mujer', 'femenino'],
+        'Non-binary': ['no binario'],
+        Other: ['otro'],
+      },
+      constraints: {
+        bp_meds_named_earlier: 'Antes mencionó un medicamento para la presión arterial.',
+        bp_diastolic_below_systolic: 'El número inferior normalmente es más bajo que el superior.',
+      },
+      units: {
+        'millimeters of mercury': 'milímetros de mercurio',
+        medications: 'medicamentos',
+      },
+      ui: {
+        title: 'Cuestionario de seguro validado por IA',
+        headerSubtitle: 'Prototipo de aplicación de voz con inteligencia artificial',
+        headerTitle: 'Cuestionario de historial médico',
+        headerTagline: 'Solicitud de seguro',
+        progressLabel: 'Progreso',
+        questionCount: (current, total) => `Pregunta ${current} de ${total}`,
+        readyTitle: 'Listo para comenzar',
+        readyDescription: 'Este cuestionario le hará preguntas sobre su historial médico mediante interacción por voz. Por favor, asegúrese de estar en un entorno tranquilo y hable con claridad.',
+        startButton: 'Iniciar aplicación',
+        startTextButton: 'Prefiero escribir mis respuestas',
+        readAloudLabel: 'Leer las preguntas en voz alta',
+        unsupportedAsr: 'El reconocimiento de voz no es compatible con este navegador. Use Chrome o Edge, o escriba sus respuestas.',
+        speakingLabel: 'Hablando',
+        speakingSub: 'Por favor, escuche la pregunta.',
+        listeningLabel: 'Escuchando',
+        listeningSub: 'Por favor, diga su respuesta con claridad.',
+        typingLabel: 'Su turno',
+        typingSub: 'Escriba su respuesta en el chat.',
+        validatingLabel: 'Procesando',
+        validatingSub: 'Analizando su respuesta con IA.',
+        yesNoHint: 'Por favor, responda sí o no.',
+        optionsLabel: 'Opciones',
+        retryLabel: (current, total) => `Intento ${current} de ${total}`,
+        endCallButton: 'Finalizar llamada',
+        completionTitle: 'Solicitud completada',
+        completionDescription: 'Gracias por completar el cuestionario. Sus respuestas han sido registradas.',
+        summaryTitle: 'Resumen de respuestas',
+        summaryEmpty: 'No hay respuestas registradas',
+        followupLabel: (index) => `Seguimiento ${index}:`,
+        restartButton: 'Iniciar nueva solicitud',
+        handoffTitle: 'Transferencia a agente solicitada',
+        handoffDescription: 'Podemos conectarlo con un agente para terminar esta pregunta.',
+        handoffWaitingDescription: 'Un agente se unirá aquí en breve. Sus respuestas hasta ahora están guardadas.',
+        handoffActiveDescription: (agent) => `Está hablando con ${agent}. Hable cuando termine o escriba abajo.`,
+        handoffLostDescription: 'Perdimos la conexión con el agente. Sus respuestas están guardadas; puede continuar sin un agente.',
+        handoffContinueButton: 'Continuar sin un agente',
+        handoffMessagePlaceholder: 'Escriba un mensaje al agente',
+        handoffSendButton: 'Enviar',
+        handoffListening: 'Escuchando…',
+        resumeTitle: 'Continúe donde lo dejó',
+        resumeDescription: 'Tiene una solicitud en curso. Puede continuar desde la última pregunta que respondió o comenzar de nuevo.',
+        resumeButton: 'Continuar solicitud',
+        resumeProgress: (count) => `${count} respuesta${count === 1 ? '' : 's'} guardada${count === 1 ? '' : 's'}`,
+        resumeLinkLabel: 'Enlace para continuar (guárdelo para continuar en otro dispositivo)',
+        resumeMessage: 'Bienvenido de nuevo. Continuemos donde lo dejamos.',
+        flowError: 'No pudimos conectar con el servidor para continuar su solicitud. Sus respuestas hasta ahora están guardadas; inténtelo de nuevo en un momento.',
+        callTransfer: 'Por favor, espere mientras lo conecto con un agente.',
+        callTransferUnavailable: 'Un agente le devolverá la llamada para terminar su solicitud. Sus respuestas hasta ahora están guardadas. Adiós.',
+        callUnknown: 'Lo sentimos, perdimos el registro de esta llamada. Por favor, vuelva a llamar para continuar su solicitud.',
+        chatHandoff: 'Un agente se pondrá en contacto con usted para terminar su solicitud. Sus respuestas hasta ahora están guardadas.',
+        chatAssistantName: 'Asistente de suscripción',
+        chatSubtitle: 'Transcripción de la demostración en vivo',
+        chatEmpty: 'La conversación aparecerá aquí.',
+        voiceModeEnabled: 'Modo de voz habilitado',
+        textAnswerPlaceholder: 'Escriba su respuesta',
+        textSendButton: 'Enviar',
+        transcriptLabel: (count) => `Transcripción (${count})`,
+        transcriptUser: 'Usuario',
+        transcriptSystem: 'Sistema',
+        transcriptAgent: 'Agente',
+        languageLabel: 'Idioma',
+        introMessage: 'Hola y gracias por elegir Protective Life. Durante esta llamada telefónica le haré varias preguntas sobre su estilo de vida y salud. Esta información nos ayudará con su solicitud de seguro de vida.',
+        completionMessage: 'Gracias por elegir Protective Life. Sus respuestas han sido registradas.',
+        whyFallback: 'Esto nos ayuda a entender su historial médico para su solicitud.',
+        medicalConditionsAnnouncement: 'Ahora repasaremos algunas condiciones médicas específicas. Por favor, hágame saber si ha tenido alguna de las condiciones para que podamos obtener información adicional cuando sea necesario.',
+        noResponseRetry: 'No escuché nada. Permítame repetir la pregunta.',
+        noResponseMoveOn: 'Estoy teniendo problemas para escucharle. Sigamos adelante.',
+        repeatAcknowledgement: 'Claro, repetiré la pregunta.',
+        thankYou: 'Gracias.',
+        conflictIntro: 'Quiero confirmar un par de sus respuestas.',
+        conflictReadback: (question, answer) => `Para "${question}", usted dijo ${answer}.`,
+        conflictConfirm: (question, answer) => `¿Es correcto ${answer} para "${question}"?`,
+        conflictCorrect: 'De acuerdo, corrijamos esa.',
+        conflictConfirmed: 'Gracias por confirmar. Mantendré sus respuestas como están.',
+        conflictUnresolved: 'Sigamos por ahora. Un agente podría comunicarse sobre estas respuestas.',
+        answerYes: 'sí',
+        answerNo: 'no',
+        whyPrompt: 'Dígame si quiere que la repita o puede responder.',
+        handoffPrompt: 'Quiero asegurarme de que lo hagamos bien. Puedo conectarlo con un agente, o podemos continuar aquí. ¿Qué prefiere?',
+        handoffWaiting: 'Por favor, espere. Un agente se unirá en breve y sus respuestas hasta ahora están guardadas.',
+        handoffConnected: (agent) => `${agent}, de nuestro equipo, está aquí para ayudarle.`,
+        handoffReturned: 'Gracias por su paciencia. Continuemos con el cuestionario.',
+        moveOnNext: 'Pasemos a la siguiente pregunta.',
+        retryEscalation: ' Intentemos una vez más.',
+        bridgeOptions: [
+          'Por eso lo preguntamos.',
+          'Gracias por preguntar.',
+          'Gracias por comprobarlo.',
+          'Ese contexto ayuda.',
+        ],
+        genericExplanation: {
+          yes_no: 'Por favor, responda con un sí o un no.',
+          date: 'Por favor, proporcione una fecha.',
+          number: 'Por favor, proporcione un número.',
+          choice: 'Por favor, elija una de las opciones.',
+          open: 'Por favor, proporcione una respuesta válida.',
+        },
+        parsedAnswerExplanation: ({ type, reason, min, max, unit }) => {
+          const unitText = unit ? ` ${unit}` : '';
+          if (type === 'date') {
+            if (reason === 'unparseable') return 'Por favor, indique una fecha, por ejemplo marzo de 2020 o hace seis meses.';
+            if (reason === 'above_max') {
+              return max === 'today'
+                ? 'Esa fecha está en el futuro. Por favor, indique una fecha de hoy o anterior.'
+                : `Por favor, indique una fecha igual o anterior a ${max}.`;
+            }
+            return `Por favor, indique una fecha igual o posterior a ${min}.`;
+          }
+          if (reason === 'unparseable') return 'Por favor, indique un número.';
+          if (min !== undefined && max !== undefined) {
+            return `Eso no parece correcto. Por favor, indique un número entre ${min} y ${max}${unitText}.`;
+          }
+          if (reason === 'below_min') return `Eso no parece correcto. Por favor, indique un número de al menos ${min}${unitText}.`;
+          return `Eso no parece correcto. Por favor, indique un número no mayor de ${max}${unitText}.`;
+        },
+      },
+    },
+  };
+
+  function getLocale(lang) {
+    return LOCALES[lang] || LOCALES[DEFAULT_LOCALE];
+  }
+
+  /**
+   * Lower case without accents or punctuation, words separated by single
+   * spaces ("¿Sí, claro!" is "si claro").
+   */
+  function foldText(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[\u2018\u2019]/g, "'")
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^\p{L}\p{N}'-]+/gu, ' ')
+      .trim();
+  }
+
+  /**
+   * The phrases of a kind (yes, no, repeat, ...) for a language, followed by
+   * the English ones.
+   */
+  function phrases(kind, lang) {
+    const own = getLocale(lang)[kind] || [];
+    const fallback = lang === DEFAULT_LOCALE ? [] : getLocale(DEFAULT_LOCALE)[kind] || [];
+    return own.concat(fallback.filter((phrase) => !own.includes(phrase)));
+  }
+
+  /**
+   * The longest phrase of a kind found as whole words in the text, or null.
+   */
+  function findPhrase(text, kind, lang) {
+    const folded = ` ${foldText(text)} `;
+    let found = null;
+    for (const phrase of phrases(kind, lang)) {
+      const target = foldText(phrase);
+      if (target && folded.includes(` ${target} `) && (!found || target.length > found.length)) {
+        found = target;
+      }
+    }
+    return found;
+  }
+
+  function matches(text, kind, lang) {
+    return findPhrase(text, kind, lang) !== null;
+  }
+
+  /**
+   * "YES", "NO" or null for a spoken yes/no answer. Hedges are neither, and
+   * when both are heard the longer phrase wins ("claro que no" is NO); a
+   * tie is left unanswered.
+   */
+  function readYesNo(text, lang) {
+    const unsure = findPhrase(text, 'unsure', lang);
+    const yes = findPhrase(text, 'yes', lang);
+    const no = findPhrase(text, 'no', lang);
+    const longest = Math.max(yes ? yes.length : 0, no ? no.length : 0);
+    if (!longest || (unsure && unsure.length >= longest)) return null;
+    if (yes && no && yes.length === no.length) return null;
+    return yes && yes.length === longest ? 'YES' : 'NO';
+  }
+
+  /**
+   * The text without a leading acknowledgement ("ok, I take metformin");
+   * an answer that is nothing but an acknowledgement is kept as it is.
+   */
+  function stripAcknowledgement(text, lang) {
+    const trimmed = String(text || '').trim();
+    const sorted = phrases('acknowledgements', lang).slice().sort((a, b) => b.length - a.length);
+    for (const phrase of sorted) {
+      const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(`^${escaped}(?![\\p{L}\\p{N}])[\\s,.!-]*`, 'iu');
+      if (pattern.test(trimmed)) {
+        const updated = trimmed.replace(pattern, '').trim();
+        return updated.length > 0 ? updated : trimmed;
+      }
+    }
+    return trimmed;
+  }
+
+  /**
+   * The stored gender value ("Male", "Female", "Non-binary", "Other") for an
+   * answer that is nothing but one of the bundle's gender words, or null.
+   */
+  function readGender(text, lang) {
+    const compact = (value) => foldText(value).replace(/[\s'-]+/g, '');
+    const answer = compact(text);
+    if (!answer) return null;
+    const bundles = lang === DEFAULT_LOCALE ? [getLocale(lang)] : [getLocale(lang), getLocale(DEFAULT_LOCALE)];
+    for (const bundle of bundles) {
+      for (const [value, words] of Object.entries(bundle.genders || {})) {
+        if (words.some((word) => compact(word) === answer)) return value;
+      }
+    }
+    return null;
+  }
+
+  return {
+    DEFAULT_LOCALE,
+    LOCALES,
+    getLocale,
+    foldText,
+    phrases,
+    matches,
+    readYesNo,
+    stripAcknowledgement,
+    readGender,
+  };
+});
@@ -0,0 +1,71 @@
+/**
+ * Pronunciation
+ *
+ * Shared by the server and the browser: rewrites the terms speech engines
+ * read badly (medical abbreviations, drug names) into what should be heard,
+ * from the entries of pronunciation_lexicon.json:
+ *
+ *   { "term": "EKG", "say": "E.K.G." }
+ *
+ * A term matches as a whole word. Terms in capitals (abbreviations) match
+ * only in capitals, so "ADD" never changes "add"; other terms ignore case
+ * unless the entry sets caseSensitive. The text is rewritten in one pass,
+ * longest term first, so a replacement is never rewritten again.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Pronunciation = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  function isAbbreviation(term) {
+    return /\p{Lu}/u.test(term) && term === term.toUpperCase();
+  }
+
+  /**
+   * Compile lexicon entries for applyLexicon. Entries without a term or a
+   * say are skipped.
+   */
+  function compileLexicon(entries) {
+    const valid = (Array.isArray(entries) ? entries : [])
+      .filter((entry) => entry && typeof entry.term === 'string' && entry.term.trim() && typeof entry.say === 'string')
+      .map((entry) => ({
+        term: entry.term.trim(),
+        say: entry.say,
+        caseSensitive: entry.caseSensitive !== undefined ? !!entry.caseSensitive : isAbbreviation(entry.term.trim()),
+      }))
+      .sort((a, b) => b.term.length - a.term.length);
+    if (valid.length === 0) return { entries: [], pattern: null };
+
+    const alternatives = valid.map((entry) => escapeRegExp(entry.term)).join('|');
+    return {
+      entries: valid,
+      pattern: new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, 'giu'),
+    };
+  }
+
+  /**
+   * The text with every lexicon term replaced by what should be said.
+   */
+  function applyLexicon(text, lexicon) {
+    if (typeof text !== 'string' || !lexicon || !lexicon.pattern) return text;
+    return text.replace(lexicon.pattern, (match) => {
+      const lower = match.toLowerCase();
+      const entry = lexicon.entries.find((candidate) => (candidate.caseSensitive
+        ? candidate.term === match
+        : candidate.term.toLowerCase() === lower));
+      return entry ? entry.say : match;
+    });
+  }
+
+  return {
+    compileLexicon,
+    applyLexicon,
+  };
+});
@@ -0,0 +1,159 @@
+/**
+ * Question Flow
+ *
+ * Shared by the server and the browser: decides which question in a compiled
+ * script is due next, from the answers collected so far, and which
+ * cross-answer constraints those answers break. The server runs it
+ * authoritatively; the browser uses it only when no server session exists.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./decision-tree'));
+  } else {
+    root.QuestionFlow = factory(root.DecisionTree);
+  }
+})(typeof self !== 'undefined' ? self : this, function (DecisionTree) {
+  function normalizeRequirements(requires) {
+    if (requires.all || requires.any) {
+      return {
+        all: Array.isArray(requires.all) ? requires.all : [],
+        any: Array.isArray(requires.any) ? requires.any : [],
+      };
+    }
+    return {
+      all: Array.isArray(requires) ? requires : [requires],
+      any: [],
+    };
+  }
+
+  function matchesRequirement(req, answers) {
+    const dependentAnswer = answers[req.id];
+    if (req.answer && dependentAnswer !== req.answer) return false;
+    if (req.contains) {
+      const normalized = (dependentAnswer || '').toString().toLowerCase();
+      if (!normalized.includes(req.contains.toLowerCase())) return false;
+    }
+    return true;
+  }
+
+  /**
+   * True when a question's trigger and requires both hold for the answers.
+   */
+  function isQuestionDue(question, answers = {}) {
+    if (question.trigger && !DecisionTree.evaluateTrigger(question.trigger, answers)) return false;
+
+    if (question.requires) {
+      const groups = normalizeRequirements(question.requires);
+      const meetsAll = groups.all.every((req) => matchesRequirement(req, answers));
+      const meetsAny = groups.any.length === 0 || groups.any.some((req) => matchesRequirement(req, answers));
+      if (!meetsAll || !meetsAny) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Index of the first due question at or after fromIndex, or -1 when done.
+   */
+  function findNextQuestionIndex(questions, fromIndex, answers = {}) {
+    for (let i = Math.max(0, fromIndex); i < questions.length; i++) {
+      if (isQuestionDue(questions[i], answers)) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Index to jump to for an onNo target ("END" finishes the interview).
+   */
+  function resolveSkipTo(questions, skipToId, currentIndex, answers = {}) {
+    if (skipToId === 'END') return -1;
+
+    const targetIndex = questions.findIndex((q) => q.id === skipToId);
+    if (targetIndex !== -1) {
+      return findNextQuestionIndex(questions, targetIndex, answers);
+    }
+    return findNextQuestionIndex(questions, currentIndex + 1, answers);
+  }
+
+  /**
+   * Index of the question that follows currentIndex once it was answered.
+   */
+  function resolveNextIndex(questions, currentIndex, answer, answers = {}) {
+    const question = questions[currentIndex];
+    if (question && question.onNo && answer === 'NO') {
+      return resolveSkipTo(questions, question.onNo, currentIndex, answers);
+    }
+    return findNextQuestionIndex(questions, currentIndex + 1, answers);
+  }
+
+  // ==========================================================================
+  // CONSTRAINTS
+  // ==========================================================================
+
+  // Reserved name usable in constraint rules: today's date as YYYY-MM-DD.
+  const TODAY_REF = 'today';
+
+  const constraintReferences = new Map();
+
+  /**
+   * Answer ids a constraint rule reads, in rule order, without "today".
+   */
+  function getConstraintReferences(rule) {
+    if (!constraintReferences.has(rule)) {
+      const ids = DecisionTree.collectReferences(DecisionTree.parseTrigger(rule))
+        .map((ref) => ref.id)
+        .filter((id, index, all) => id !== TODAY_REF && all.indexOf(id) === index);
+      constraintReferences.set(rule, ids);
+    }
+    return constraintReferences.get(rule);
+  }
+
+  function isAnswered(value) {
+    return value !== undefined && value !== null && value !== '' && value !== 'NO_RESPONSE';
+  }
+
+  function isoDay(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Constraints that fail for the answers so far. A constraint is only
+   * checked once every answer it references is in; with onlyFor, only
+   * constraints that reference that question (or are declared on it) count.
+   * Returns [{ constraintId, questionId, questionIds, message }] where
+   * questionIds follow the script order.
+   */
+  function findConstraintViolations(questions, answers = {}, { onlyFor = null, now = new Date() } = {}) {
+    const order = new Map(questions.map((q, index) => [q.id, index]));
+    const values = { ...answers, [TODAY_REF]: isoDay(now) };
+    const violations = [];
+
+    for (const question of questions) {
+      for (const constraint of question.constraints || []) {
+        const ids = getConstraintReferences(constraint.rule);
+        if (onlyFor && question.id !== onlyFor && !ids.includes(onlyFor)) continue;
+        if (ids.length === 0 || !ids.every((id) => isAnswered(answers[id]))) continue;
+        if (DecisionTree.evaluateTrigger(constraint.rule, values)) continue;
+
+        violations.push({
+          constraintId: constraint.id,
+          questionId: question.id,
+          questionIds: ids.slice().sort((a, b) => (order.get(a) ?? Infinity) - (order.get(b) ?? Infinity)),
+          message: constraint.message || null,
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  return {
+    isQuestionDue,
+    findNextQuestionIndex,
+    resolveSkipTo,
+    resolveNextIndex,
+    findConstraintViolations,
+  };
+});
@@ -0,0 +1,163 @@
+/**
+ * Question Translations
+ *
+ * Shared by the server and the browser: section and question text per
+ * language, keyed by section name and question id. A script may also carry
+ * its own text per question (translations: { es: { question, section } }),
+ * as imported FHIR Questionnaires do; the bundles below win over it.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.QuestionTranslations = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const SECTION_TRANSLATIONS = {
+    es: {
+      'Welcome': 'Bienvenida',
+      'Primary Medical Provider': 'Proveedor médico primario',
+      'Neurological': 'Neurológico',
+      'Psychiatric': 'Psiquiátrico',
+      'EENT': 'Ojos, oídos, nariz y garganta',
+      'Cardiovascular': 'Cardiovascular',
+      'Respiratory': 'Respiratorio',
+      'Digestive': 'Digestivo',
+      'Urinary': 'Urinario',
+      'Reproductive/STD': 'Reproductivo/ETS',
+      'Breast/Gynecological': 'Mamas/Ginecológico',
+      'Endocrine/Metabolic': 'Endocrino/Metabólico',
+      'Musculoskeletal': 'Musculoesquelético',
+      'Blood/Immune': 'Sangre/Inmunológico',
+      'Skin': 'Piel',
+      'Cancer': 'Cáncer',
+    },
+  };
+
+  const QUESTION_TRANSLATIONS = {
+    es: {
+      'cust_id_first_name': '¿Puedo tener su primer nombre?',
+      'cust_id_last_name': '¿Puedo tener su apellido?',
+      'cust_id_gender': '¿Cuál es su género?',
+      'pmv.has_primary_provider': '¿Tiene un proveedor médico primario?',
+      'pmv.last_visit_reason': '¿Cuál fue el motivo de su última visita o consulta con su proveedor médico primario?',
+      'pmv.last_visit_date': '¿Cuándo fue esta visita?',
+      'pmv.last_visit_results': '¿Cuáles fueron los resultados?',
+      'pmv.last_visit_treatment': '¿Qué tratamiento o medicamentos le recetaron?',
+      'pmv.last_visit_provider_name': '¿Sabe el nombre del proveedor médico que vio para este chequeo?',
+      'pmv.other_provider_reason': 'Aparte de su proveedor médico primario, ¿cuál fue el motivo de su última visita o consulta con cualquier proveedor médico?',
+      'neuro.gateway': '¿Tiene algún trastorno o enfermedad del cerebro, la médula espinal o el sistema nervioso?',
+      'neuro.dx_list': '¿Qué condiciones neurológicas específicas le diagnosticaron?',
+      'neuro.dx_dates': '¿Cuál fue la fecha del primer diagnóstico y la de los síntomas más recientes?',
+      'neuro.hosp_impairment': '¿Ha tenido hospitalizaciones, visitas a urgencias, convulsiones o episodios, o limitaciones funcionales en los últimos 5 años?',
+      'psych.gateway': '¿Tiene algún trastorno o enfermedad psiquiátrica, nerviosa, emocional o mental?',
+      'psych.dx_list': '¿Qué diagnósticos aplican? (por ejemplo, TDAH, ansiedad, depresión, trastorno bipolar, TEPT, etc.)',
+      'psych.dx_dates': '¿Cuándo se diagnosticó esta condición?',
+      'psych.current_tx': '¿Está actualmente en tratamiento o tomando medicamentos para la condición?',
+      'psych.meds_count': '¿Cuántos medicamentos toma, si toma alguno?',
+      'psych.meds_names': '¿Cuál es el nombre de los medicamentos?',
+      'psych.disability_hosp': 'En los últimos 3 años, ¿ha recibido pagos por discapacidad, faltado más de una semana al trabajo, ido a urgencias o al hospital, o tenido pensamientos de autolesión o suicidio?',
+      'psych.provider_name': '¿Sabe el nombre del proveedor médico que vio para esta condición?',
+      'psych.med_changes_12m': '¿Ha tenido cambios de medicamento, aumentos de dosis o nuevas recetas en los últimos 12 meses?',
+      'psych.comorbid': '¿Tiene otros diagnósticos de salud mental o síntomas activos (ataques de pánico, episodios de depresión mayor, manía, etc.)?',
+      'psych.substance_misuse': '¿Tiene antecedentes de abuso, dependencia o mal uso de sustancias o de medicamentos recetados?',
+      'eent.gateway': '¿Tiene algún trastorno o enfermedad de los ojos, oídos, nariz o garganta?',
+      'eent.dx': '¿Qué condición? (por ejemplo, pérdida auditiva, glaucoma, sinusitis crónica)',
+      'eent.treatment': '¿La condición está corregida o tratada (cirugía, audífonos, lentes, medicamentos)?',
+      'eent.impairment': '¿Afecta sus actividades diarias, su capacidad de conducir o sus funciones laborales?',
+      'cardio.gateway': '¿Tiene algún trastorno o enfermedad del corazón, vasos sanguíneos o sistema circulatorio (incluyendo presión arterial alta/colesterol alto)?',
+      'cardio.dx': '¿Qué diagnósticos aplican? (hipertensión, hiperlipidemia, enfermedad arterial coronaria, arritmia)',
+      'cardio.dx_date': '¿Cuándo se diagnosticó la condición?',
+      'cardio.bp_known': '¿Sabe su lectura de presión arterial más reciente?',
+      'cardio.bp_sys': '¿Presión arterial sistólica más reciente (número superior)?',
+      'cardio.bp_dia': '¿Presión arterial diastólica más reciente (número inferior)?',
+      'cardio.control_duration': '¿Cuánto tiempo han estado controladas las lecturas aproximadamente al nivel actual?',
+      'cardio.on_meds': '¿Está tomando medicamento para esta condición?',
+      'cardio.provider_name': '¿Sabe el nombre del proveedor médico que vio para esta condición?',
+      'cardio.comorbid': '¿Tiene alguna condición relacionada (diabetes, enfermedad renal, derrame cerebral o AIT, enfermedad cardíaca)?',
+      'cardio.testing_hosp': '¿Ha tenido dolor de pecho, falta de aire al hacer esfuerzo, un electrocardiograma, ecocardiograma o prueba de esfuerzo anormal, visitas a urgencias u hospitalizaciones?',
+      'resp.gateway': '¿Tiene algún trastorno o enfermedad del sistema respiratorio (asma, EPOC, apnea del sueño, etc.)?',
+      'resp.dx': '¿Qué condición? (asma, apnea del sueño, EPOC, bronquitis crónica, etc.)',
+      'resp.severity': '¿Cómo calificaría la gravedad (leve, moderada o grave) y el control actual?',
+      'resp.exacerbations': '¿Ha tenido hospitalizaciones o visitas a urgencias, tratamientos cortos con esteroides, o uso de CPAP u oxígeno en los últimos 5 años?',
+      'gi.gateway': '¿Tiene algún trastorno o enfermedad del estómago, hígado, vesícula biliar, páncreas o intestinos?',
+      'gi.dx': '¿Qué diagnóstico? (reflujo, úlcera, enfermedad de Crohn o colitis, hepatitis, pancreatitis, etc.)',
+      'gi.recent_symptoms': '¿Ha tenido síntomas activos, sangrado, pérdida de peso u hospitalizaciones en los últimos 5 años?',
+      'gi.labs_imaging': '¿Ha tenido pruebas hepáticas anormales, hallazgos en endoscopia o colonoscopia, o resultados de imágenes anormales?',
+      'urinary.gateway': '¿Tiene algún trastorno o enfermedad de los órganos urinarios (riñones, vejiga, vías urinarias)?',
+      'urinary.dx': '¿Qué condición? (cálculos renales, enfermedad renal crónica, infecciones urinarias recurrentes, proteína o sangre en la orina, etc.)',
+      'urinary.labs': '¿Ha tenido análisis anormales (creatinina, filtración glomerular, proteinuria) o estudios de imagen anormales?',
+      'urinary.tx_hosp': '¿Tiene algún tratamiento en curso, procedimientos u hospitalizaciones?',
+      'repro.gateway': '¿Tiene alguna enfermedad del sistema reproductivo o alguna infección o enfermedad de transmisión sexual?',
+      'repro.dx': '¿Qué condición y cuándo se diagnosticó?',
+      'repro.status': '¿Está resuelta o sigue activa? ¿Recibe algún tratamiento actualmente?',
+      'repro.complications': '¿Tiene efectos crónicos o complicaciones?',
+      'breast_gyn.gateway': '¿Tiene algún trastorno de las mamas, el cuello uterino, los ovarios o el útero (papanicolaou o mamografía anormal, fibromas, quistes, síndrome de ovario poliquístico, etc.)?',
+      'breast_gyn.dx': '¿Qué condición y cuándo se diagnosticó?',
+      'breast_gyn.workup': '¿Le han hecho biopsias, estudios de imagen anormales o una evaluación por un especialista?',
+      'breast_gyn.status': '¿Está resuelta o controlada? ¿Recibe algún tratamiento actualmente?',
+      'endo.gateway': '¿Tiene algún trastorno del sistema endocrino (tiroides, glándulas suprarrenales, diabetes, etc.)?',
+      'endo.dx': '¿Qué condición y cuándo se diagnosticó?',
+      'endo.control': '¿Cuál es su tratamiento actual y qué tan controlada está (análisis recientes de A1c o TSH, si aplica)?',
+      'endo.complications': '¿Ha tenido complicaciones (neuropatía, enfermedad renal u ocular, hospitalizaciones)?',
+      'msk.gateway': '¿Tiene algún trastorno de los huesos, articulaciones, columna o músculos (artritis, dolor de espalda crónico, gota, etc.)?',
+      'msk.dx': '¿Qué condición y qué parte del cuerpo está afectada?',
+      'msk.surgery_limits': '¿Ha tenido cirugías, inyecciones o limitaciones funcionales?',
+      'msk.work_restrictions': '¿Tiene restricciones laborales, ha faltado al trabajo o ha presentado reclamos por discapacidad?',
+      'blood_immune.gateway': '¿Tiene algún trastorno de la sangre o del sistema inmunológico (anemia, trastorno de coagulación, enfermedad autoinmune, VIH, leucemia o linfoma, etc.)?',
+      'blood_immune.dx': '¿Qué condición y cuándo se diagnosticó?',
+      'blood_immune.tx': '¿Cuál es su tratamiento actual y qué tan estable está?',
+      'blood_immune.hosp': '¿Ha tenido transfusiones, episodios de sangrado u hospitalizaciones?',
+      'skin.gateway': '¿Tiene algún trastorno o enfermedad de la piel (quistes, bultos, crecimientos, psoriasis, etc.)?',
+      'skin.dx': '¿Qué condición y en qué lugar?',
+      'skin.biopsy': '¿Le han hecho biopsias, hubo hallazgos atípicos o sospecha de malignidad?',
+      'skin.recurrence': '¿Tiene tratamiento en curso o ha reaparecido?',
+      'cancer.gateway': '¿Ha tenido algún cáncer, tumor, nódulo, melanoma, cáncer de piel u otro trastorno maligno?',
+      'cancer.type_stage': '¿Qué tipo de cáncer o tumor, etapa o grado (si lo sabe), y cuándo se diagnosticó?',
+      'cancer.tx_dates': '¿Qué tratamientos recibió y cuándo terminó el último tratamiento?',
+      'cancer.recurrence': '¿Ha habido recurrencia, metástasis o hallazgos en los controles de seguimiento?',
+    },
+  };
+
+  function scriptTranslation(question, lang, field) {
+    const entry = question && question.translations && question.translations[lang];
+    return entry && entry[field] ? entry[field] : null;
+  }
+
+  /**
+   * Section label in the given language, or the section name itself.
+   */
+  function translateSection(section, lang, question = null) {
+    const translations = SECTION_TRANSLATIONS[lang] || {};
+    return translations[section] || scriptTranslation(question, lang, 'section') || section;
+  }
+
+  /**
+   * Question text in the given language, or the script's own text.
+   */
+  function translateQuestion(question, lang) {
+    const translations = QUESTION_TRANSLATIONS[lang] || {};
+    return translations[question.id] || scriptTranslation(question, lang, 'question') || question.question;
+  }
+
+  /**
+   * Languages with a translation of the question or its section.
+   */
+  function availableLanguages(question) {
+    const languages = new Set([
+      ...Object.keys(QUESTION_TRANSLATIONS).filter((lang) => QUESTION_TRANSLATIONS[lang][question.id]),
+      ...Object.keys(SECTION_TRANSLATIONS).filter((lang) => SECTION_TRANSLATIONS[lang][question.section]),
+      ...Object.keys(question.translations || {}),
+    ]);
+    return [...languages];
+  }
+
+  return {
+    SECTION_TRANSLATIONS,
+    QUESTION_TRANSLATIONS,
+    translateSection,
+    translateQuestion,
+    availableLanguages,
+  };
+});
@@ -0,0 +1,101 @@
+/**
+ * Voice Activity Detection
+ *
+ * Decides when an utterance starts and ends from the microphone's loudness,
+ * for recording answers where the browser has no speech recognition of its
+ * own. Feed it the RMS level of each audio frame; it learns the room's
+ * noise floor from the quiet frames and reports:
+ *
+ *   'speech-start'  the level stayed above the threshold for minSpeechMs
+ *   'speech-end'    silence for silenceMs after speech, or maxSpeechMs of it
+ *
+ * Pure logic, so it runs the same in the browser and in Node.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.VoiceActivity = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DEFAULTS = {
+    // Speech is this many times louder than the noise floor...
+    noiseRatio: 3,
+    // ...and never quieter than this (RMS of samples in -1..1)
+    minThreshold: 0.015,
+    minSpeechMs: 150,
+    silenceMs: 900,
+    maxSpeechMs: 20000,
+  };
+
+  /**
+   * Root mean square of a frame of samples (a Float32Array from
+   * AnalyserNode.getFloatTimeDomainData).
+   */
+  function rms(samples) {
+    if (!samples || samples.length === 0) return 0;
+    let sum = 0;
+    for (let i = 0; i < samples.length; i += 1) sum += samples[i] * samples[i];
+    return Math.sqrt(sum / samples.length);
+  }
+
+  class VoiceActivityDetector {
+    constructor(options = {}) {
+      this.options = { ...DEFAULTS, ...options };
+      this.noiseFloor = null;
+      this.speaking = false;
+      this.loudSince = null;
+      this.speechStartedAt = null;
+      this.lastLoudAt = null;
+    }
+
+    threshold() {
+      const floor = this.noiseFloor === null ? 0 : this.noiseFloor * this.options.noiseRatio;
+      return Math.max(this.options.minThreshold, floor);
+    }
+
+    /**
+     * Take one frame's level at timeMs; returns 'speech-start',
+     * 'speech-end' or null.
+     */
+    update(level, timeMs) {
+      const loud = level >= this.threshold();
+
+      if (!loud && !this.speaking) {
+        // Quiet frames track the noise floor, quickly down and slowly up
+        this.noiseFloor = this.noiseFloor === null
+          ? level
+          : this.noiseFloor + (level - this.noiseFloor) * (level < this.noiseFloor ? 0.5 : 0.05);
+      }
+
+      if (!this.speaking) {
+        if (!loud) {
+          this.loudSince = null;
+          return null;
+        }
+        if (this.loudSince === null) this.loudSince = timeMs;
+        if (timeMs - this.loudSince < this.options.minSpeechMs) return null;
+        this.speaking = true;
+        this.speechStartedAt = this.loudSince;
+        this.lastLoudAt = timeMs;
+        return 'speech-start';
+      }
+
+      if (loud) this.lastLoudAt = timeMs;
+      if (timeMs - this.lastLoudAt >= this.options.silenceMs
+          || timeMs - this.speechStartedAt >= this.options.maxSpeechMs) {
+        this.speaking = false;
+        this.loudSince = null;
+        return 'speech-end';
+      }
+      return null;
+    }
+  }
+
+  return {
+    DEFAULTS,
+    rms,
+    VoiceActivityDetector,
+  };
+});
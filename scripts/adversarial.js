@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Adversarial Transcript Runner
+ *
+ * Usage:
+ *   npm run test:adversarial -- [--url http://localhost:3000] [--corpus file] [--only prefix] [--format text|json]
+ *                                  [--api-key key]
+ *
+ * Posts every case in adversarial_transcripts.json to a running server and
+ * checks the reply against the case's expectations:
+ *
+ *   valid                   valid must equal this
+ *   normalized              normalized must be one of these
+ *   normalizedIn            normalized (null when invalid) must be one of these
+ *   notNormalized           normalized must not be any of these
+ *   explanationNotMatching  explanation must not match any of these patterns
+ *   askNotMatching          a follow-up question must not match any of these patterns
+ *   askMaxLength            a follow-up question must be at most this long
+ *   allow                   allow must equal this
+ *
+ * Requests go out with a tenant API key when one is given, and otherwise
+ * under a session started for the run.
+ *
+ * Results depend on the configured LLM providers; run it against each
+ * provider you deploy. Exits with status 1 when any case fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../lib/config');
+
+function parseArgs(argv) {
+  const options = {
+    url: `http://localhost:${config.port}`,
+    corpus: path.join(__dirname, '..', 'adversarial_transcripts.json'),
+    only: null,
+    format: 'text',
+    'api-key': null,
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    const name = argv[i].replace(/^--/, '');
+    if (name in options) {
+      options[name] = argv[i + 1];
+      i += 1;
+    }
+  }
+  options.url = options.url.replace(/\/+$/, '');
+  return options;
+}
+
+/**
+ * The expectations a reply breaks, as readable strings.
+ */
+function checkExpectations(reply, expect) {
+  const failures = [];
+  const normalized = reply.normalized === undefined ? null : reply.normalized;
+  const matches = (patterns, text) => patterns.find((pattern) => new RegExp(pattern, 'i').test(text));
+
+  if (expect.valid !== undefined && reply.valid !== expect.valid) {
+    failures.push(`valid is ${reply.valid}, expected ${expect.valid}`);
+  }
+  if (expect.normalized && !expect.normalized.includes(normalized)) {
+    failures.push(`normalized is ${JSON.stringify(normalized)}, expected one of ${JSON.stringify(expect.normalized)}`);
+  }
+  if (expect.normalizedIn && !expect.normalizedIn.includes(normalized)) {
+    failures.push(`normalized is ${JSON.stringify(normalized)}, outside ${JSON.stringify(expect.normalizedIn)}`);
+  }
+  if (expect.notNormalized && expect.notNormalized.includes(normalized)) {
+    failures.push(`normalized is ${JSON.stringify(normalized)}, which the transcript tried to force`);
+  }
+  if (expect.explanationNotMatching && reply.explanation) {
+    const match = matches(expect.explanationNotMatching, reply.explanation);
+    if (match) failures.push(`explanation matches /${match}/: ${JSON.stringify(reply.explanation)}`);
+  }
+  if (expect.askNotMatching && reply.ask) {
+    const match = matches(expect.askNotMatching, reply.ask);
+    if (match) failures.push(`follow-up matches /${match}/: ${JSON.stringify(reply.ask)}`);
+  }
+  if (expect.askMaxLength && reply.ask && reply.ask.length > expect.askMaxLength) {
+    failures.push(`follow-up is ${reply.ask.length} characters, over ${expect.askMaxLength}`);
+  }
+  if (expect.allow !== undefined && reply.allow !== expect.allow) {
+    failures.push(`allow is ${reply.allow}, expected ${expect.allow}`);
+  }
+  return failures;
+}
+
+/**
+ * The credentials for the run: the tenant API key, or the access token of
+ * a new session.
+ */
+async function authHeaders(options) {
+  if (options['api-key']) return { 'X-API-Key': options['api-key'] };
+  const response = await fetch(`${options.url}/api/sessions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ language: 'en' }),
+  });
+  const session = await response.json();
+  if (!response.ok) throw new Error(`Could not start a session: ${session.error || response.status}`);
+  return { Authorization: `Bearer ${session.accessToken}` };
+}
+
+async function runCase(options, headers, testCase) {
+  try {
+    const response = await fetch(`${options.url}${testCase.endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(testCase.body),
+    });
+    const reply = await response.json();
+    if (!response.ok) {
+      return { id: testCase.id, ok: false, reply, failures: [`HTTP ${response.status}: ${reply.error || ''}`] };
+    }
+    const failures = checkExpectations(reply, testCase.expect || {});
+    return { id: testCase.id, ok: failures.length === 0, reply, failures };
+  } catch (error) {
+    return { id: testCase.id, ok: false, reply: null, failures: [`request failed: ${error.message}`] };
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const corpus = JSON.parse(fs.readFileSync(path.resolve(options.corpus), 'utf8'));
+  const cases = corpus.cases.filter((testCase) => !options.only || testCase.id.startsWith(options.only));
+
+  const headers = await authHeaders(options);
+  const results = [];
+  for (const testCase of cases) {
+    results.push(await runCase(options, headers, testCase));
+  }
+
+  if (options.format === 'json') {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    for (const result of results) {
+      console.log(`${result.ok ? 'pass' : 'FAIL'} ${result.id}`);
+      for (const failure of result.failures) console.log(`       ${failure}`);
+    }
+    const failed = results.filter((result) => !result.ok).length;
+    console.log(`\n${results.length} case(s), ${failed} failed (${options.url})`);
+  }
+  process.exit(results.every((result) => result.ok) ? 0 : 1);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * FHIR Import / Export CLI
+ *
+ * Usage:
+ *   npm run fhir -- export [--source file] [--out file]
+ *   npm run fhir -- response <session id | session.json> [--source file] [--out file]
+ *   npm run fhir -- import <questionnaire.json> [--out script.json]
+ *
+ * export   writes the configured decision tree (or --source tree/script) as a
+ *          FHIR R4 Questionnaire.
+ * response writes a session as a QuestionnaireResponse. A session id is read
+ *          from the configured session store (SESSION_STORE / SESSION_DIR).
+ * import   turns a FHIR R4 Questionnaire into a question script that
+ *          DECISION_TREE_PATH can point to. Lint it before use.
+ *
+ * Output goes to stdout unless --out is given; mapping warnings go to stderr.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../lib/config');
+const { isQuestionScript } = require('../lib/questionnaire');
+const { compileDecisionTree } = require('../public/lib/decision-tree');
+const { createSessionStore } = require('../lib/session-store');
+const { SessionManager } = require('../lib/sessions');
+const {
+  questionnaireToFhir,
+  sessionToQuestionnaireResponse,
+  questionnaireFromFhir,
+} = require('../lib/fhir');
+
+function parseArgs(argv) {
+  const options = { command: argv[0], args: [], source: config.decisionTreePath, out: null };
+  for (let i = 1; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--source' || arg === '--out') {
+      options[arg.slice(2)] = argv[i + 1];
+      i += 1;
+    } else {
+      options.args.push(arg);
+    }
+  }
+  return options;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+/**
+ * The question script for a tree or script file, as loadQuestionnaire
+ * would serve it.
+ */
+function loadScript(file) {
+  const document = readJson(file);
+  if (isQuestionScript(document)) {
+    return Array.isArray(document) ? { questions: document } : document;
+  }
+  return {
+    carrier: document.carrier || null,
+    version: document.version || null,
+    questions: compileDecisionTree(document),
+  };
+}
+
+async function loadSession(reference) {
+  if (reference.endsWith('.json')) return readJson(reference);
+  const sessions = new SessionManager(createSessionStore(config.sessions), {
+    ttlMs: config.sessions.ttlHours * 60 * 60 * 1000,
+  });
+  return sessions.require(reference);
+}
+
+function write(options, document, warnings = []) {
+  for (const warning of warnings) console.error(`warning: ${warning}`);
+  const json = `${JSON.stringify(document, null, 2)}\n`;
+  if (options.out) {
+    fs.writeFileSync(path.resolve(options.out), json);
+    console.error(`Wrote ${options.out}`);
+  } else {
+    process.stdout.write(json);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.command === 'export') {
+    const { resource, warnings } = questionnaireToFhir(loadScript(options.source));
+    write(options, resource, warnings);
+  } else if (options.command === 'response' && options.args[0]) {
+    const session = await loadSession(options.args[0]);
+    write(options, sessionToQuestionnaireResponse(session, loadScript(options.source)));
+  } else if (options.command === 'import' && options.args[0]) {
+    const { script, warnings } = questionnaireFromFhir(readJson(options.args[0]));
+    write(options, script, warnings);
+  } else {
+    console.error('Usage: fhir.js export|response <session>|import <questionnaire.json> [--source file] [--out file]');
+    process.exit(2);
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Questionnaire Linter CLI
+ *
+ * Usage:
+ *   npm run lint:questionnaire
+ *   node scripts/lint-questionnaire.js [--format json|text] [file ...]
+ *
+ * Each file may be a decision tree, a question script or an underwriting
+ * rules file. With no files, the configured decision tree
+ * (DECISION_TREE_PATH) and underwriting rules (UNDERWRITING_RULES_PATH) are
+ * linted. Rules are checked against the configured tree. Exits 1 when any
+ * error is found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../lib/config');
+const { lintQuestionnaire } = require('../lib/questionnaire-lint');
+
+function parseArgs(argv) {
+  const options = { format: 'json', files: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--format') {
+      options.format = argv[i + 1];
+      i += 1;
+    } else if (arg.startsWith('--format=')) {
+      options.format = arg.slice('--format='.length);
+    } else {
+      options.files.push(arg);
+    }
+  }
+  if (options.files.length === 0) {
+    options.files.push(config.decisionTreePath);
+    if (fs.existsSync(config.underwritingRulesPath)) options.files.push(config.underwritingRulesPath);
+  }
+  return options;
+}
+
+function loadConfiguredTree() {
+  try {
+    return JSON.parse(fs.readFileSync(config.decisionTreePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function lintFile(file) {
+  let document;
+  try {
+    document = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return {
+      file,
+      format: null,
+      issues: [{ severity: 'error', rule: 'unreadable', id: null, message: error.message }],
+    };
+  }
+  return { file, ...lintQuestionnaire(document, { tree: loadConfiguredTree() }) };
+}
+
+function printText(results) {
+  for (const result of results) {
+    for (const item of result.issues) {
+      const location = item.id ? `${path.relative(process.cwd(), result.file)} [${item.id}]` : path.relative(process.cwd(), result.file);
+      console.log(`${location}: ${item.severity} ${item.rule}: ${item.message}`);
+    }
+  }
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!['json', 'text'].includes(options.format)) {
+    console.error(`Unknown format "${options.format}". Use json or text.`);
+    process.exit(2);
+  }
+
+  const results = options.files.map((file) => lintFile(path.resolve(file)));
+  const all = results.flatMap((result) => result.issues);
+  const errorCount = all.filter((item) => item.severity === 'error').length;
+  const warningCount = all.length - errorCount;
+
+  if (options.format === 'text') {
+    printText(results);
+    console.log(`${errorCount} error(s), ${warningCount} warning(s)`);
+  } else {
+    console.log(JSON.stringify({ ok: errorCount === 0, errorCount, warningCount, results }, null, 2));
+  }
+
+  process.exit(errorCount > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+/**
+ * Phone Call Simulator
+ *
+ * Usage:
+ *   npm run simulate:call -- [script] [--url http://localhost:3000] [--language es] [--call-id CA123]
+ *
+ * Plays Twilio against a running server: posts the incoming-call webhook,
+ * prints what the call would say, answers each <Gather> and follows
+ * <Redirect>s until the call hangs up or is transferred, then posts the
+ * "completed" status callback. The caller's side comes from an applicant
+ * script (the utterances of a simulations/ script, YAML or JSON, in the
+ * script's language unless --language is given) or, with no script, from
+ * the terminal: type what the caller says, or an empty line for silence.
+ *
+ * Requests are signed with TWILIO_AUTH_TOKEN when it is set, as Twilio
+ * would sign them, against TELEPHONY_PUBLIC_URL (or --url).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const config = require('../lib/config');
+const { parseYaml } = require('../lib/yaml-subset');
+const { twilioSignature } = require('../lib/telephony');
+
+// A runaway call (a server that keeps redirecting) stops after this many webhooks
+const MAX_WEBHOOKS = 500;
+
+function parseArgs(argv) {
+  const options = {
+    url: `http://localhost:${config.port}`,
+    language: null,
+    'call-id': `CA${Date.now()}${Math.floor(Math.random() * 1000)}`,
+    script: null,
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    const name = argv[i].replace(/^--/, '');
+    if (argv[i].startsWith('--') && name in options) {
+      options[name] = argv[i + 1];
+      i += 1;
+    } else {
+      options.script = argv[i];
+    }
+  }
+  options.url = options.url.replace(/\/+$/, '');
+  return options;
+}
+
+function readScript(file) {
+  const source = fs.readFileSync(path.resolve(file), 'utf8');
+  const script = path.extname(file) === '.json' ? JSON.parse(source) : parseYaml(source);
+  if (!script || !Array.isArray(script.utterances)) throw new Error(`${file}: a script needs an utterances list`);
+  return {
+    language: script.language || null,
+    utterances: script.utterances.map((utterance) => {
+      if (utterance === null || utterance === undefined) return '';
+      if (typeof utterance !== 'object') return String(utterance);
+      return utterance.silence || utterance.say === null || utterance.say === undefined ? '' : String(utterance.say);
+    }),
+  };
+}
+
+/**
+ * The caller: next() resolves with what they say, or null when they are
+ * done (the script ran out or the terminal closed). language is the
+ * script's, if it has one.
+ */
+function createCaller(script) {
+  if (script) {
+    const { language, utterances } = readScript(script);
+    return { language, next: async () => (utterances.length > 0 ? utterances.shift() : null), close() {} };
+  }
+  const terminal = readline.createInterface({ input: process.stdin, output: process.stdout });
+  let closed = false;
+  terminal.on('close', () => {
+    closed = true;
+  });
+  return {
+    language: null,
+    next: () => (closed ? Promise.resolve(null) : new Promise((resolve) => {
+      terminal.question('caller> ', resolve);
+      terminal.once('close', () => resolve(null));
+    })),
+    close: () => terminal.close(),
+  };
+}
+
+// ============================================================================
+// TWIML
+// ============================================================================
+
+function unescapeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function parseAttributes(text) {
+  const attributes = {};
+  for (const match of text.matchAll(/([\w:]+)="([^"]*)"/g)) attributes[match[1]] = unescapeXml(match[2]);
+  return attributes;
+}
+
+/**
+ * The verbs of a TwiML response, flattened in order; verbs nested in a
+ * <Gather> come before it. Enough for the TwiML this server sends.
+ */
+function parseTwiml(xml) {
+  const verbs = [];
+  const pattern = /<(\w+)([^>]*?)(\/>|>([\s\S]*?)<\/\1>)/g;
+  const body = (xml.match(/<Response>([\s\S]*)<\/Response>/) || [null, ''])[1];
+  for (const match of body.matchAll(pattern)) {
+    const [, name, attributeText, , content = ''] = match;
+    if (name === 'Gather') verbs.push(...parseTwiml(`<Response>${content}</Response>`));
+    verbs.push({ name, attributes: parseAttributes(attributeText), text: name === 'Gather' ? '' : unescapeXml(content) });
+  }
+  return verbs;
+}
+
+// ============================================================================
+// WEBHOOKS
+// ============================================================================
+
+async function postWebhook(options, route, params) {
+  const url = new URL(route, `${options.url}/`);
+  if (options.language && !url.searchParams.has('language')) url.searchParams.set('language', options.language);
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (config.telephony.authToken) {
+    const signedBase = config.telephony.publicUrl || options.url;
+    headers['X-Twilio-Signature'] = twilioSignature(
+      config.telephony.authToken,
+      `${signedBase}${url.pathname}${url.search}`,
+      params
+    );
+  }
+  const response = await fetch(url, { method: 'POST', headers, body: new URLSearchParams(params) });
+  const text = await response.text();
+  if (!response.ok) throw new Error(`POST ${url.pathname} failed with HTTP ${response.status}: ${text}`);
+  return text;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const caller = createCaller(options.script);
+  if (!options.language) options.language = caller.language;
+  const callId = options['call-id'];
+  const baseParams = { CallSid: callId, From: '+15555550100', To: '+15555550199', AccountSid: 'ACsimulator' };
+  let outcome = 'hangup';
+  let twiml = await postWebhook(options, '/api/telephony/voice', { ...baseParams, CallStatus: 'ringing' });
+
+  for (let webhooks = 1; twiml && webhooks < MAX_WEBHOOKS; webhooks += 1) {
+    let next = null;
+    for (const { name, attributes, text } of parseTwiml(twiml)) {
+      if (name === 'Say') console.log(`call      ${text}`);
+      else if (name === 'Play') console.log(`call      (audio ${text})`);
+      else if (name === 'Pause') console.log(`call      (pause ${attributes.length || 1}s)`);
+      else if (name === 'Redirect') next = { route: text, params: baseParams };
+      else if (name === 'Dial') {
+        console.log(`call      (transferred to ${text})`);
+        outcome = 'transfer';
+      } else if (name === 'Gather') {
+        const speech = await caller.next();
+        if (speech === null) {
+          outcome = 'caller hung up';
+          break;
+        }
+        console.log(`caller    ${speech || '(silence)'}`);
+        next = { route: attributes.action, params: { ...baseParams, SpeechResult: speech, Confidence: speech ? '0.9' : '0' } };
+      }
+      if (next) break;
+    }
+    twiml = next ? await postWebhook(options, next.route, next.params) : null;
+  }
+
+  await postWebhook(options, '/api/telephony/status', { ...baseParams, CallStatus: 'completed', CallDuration: '0' });
+  caller.close();
+  console.log(`\nCall ${callId} ended: ${outcome}`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
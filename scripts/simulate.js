@@ -0,0 +1,318 @@
+#!/usr/bin/env node
+/**
+ * Conversation Simulator
+ *
+ * Usage:
+ *   npm run simulate -- [script|directory ...] [--url http://localhost:3000] [--format text|json]
+ *
+ * Drives the browser's FlowController (public/lib/conversation-flow.js)
+ * against a running server, with text in place of speech. Each applicant
+ * script (YAML or JSON; default: every script in simulations/) is:
+ *
+ *   name: Short description
+ *   language: en                 # optional
+ *   utterances:                  # heard in order, one per listen
+ *     - Jane                     # what the applicant says
+ *     - ~                        # silence (null or "")
+ *     - question: pmv.has_primary_provider   # optional: fail unless this
+ *       say: "yes"                           # question is being asked
+ *   expect:                      # optional assertions
+ *     status: complete           # complete | handoff | exhausted | error | off_script
+ *     answers: { id: value }     # final answers (null: never answered)
+ *     asked: [id, ...]           # asked, in this order
+ *     notAsked: [id, ...]        # never asked
+ *     retries: { id: n }         # highest retry count on the question ("max": MAX_RETRIES)
+ *     explanations: { id: n }    # "why" requests on the question ("max": MAX_EXPLAINS)
+ *     followups: { id: n }       # follow-ups answered ("max": the question's followups.max)
+ *     said: [pattern, ...]       # something the assistant said matches each
+ *     notSaid: [pattern, ...]    # nothing the assistant said matches any
+ *
+ * When the utterances run out the interview stops with status "exhausted",
+ * so a script can cover just the start of the questionnaire. Prints the
+ * full transcript and final answers; exits 1 when any expectation fails.
+ * Use PROVIDER_MODE=replay (or no LLM keys) on the server for repeatable
+ * runs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../lib/config');
+const { parseYaml } = require('../lib/yaml-subset');
+const {
+  MAX_RETRIES,
+  MAX_EXPLAINS,
+  FlowController,
+} = require('../public/lib/conversation-flow');
+
+const SCRIPT_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+function parseArgs(argv) {
+  const options = {
+    url: `http://localhost:${config.port}`,
+    format: 'text',
+    scripts: [],
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    const name = argv[i].replace(/^--/, '');
+    if (argv[i].startsWith('--') && name in options) {
+      options[name] = argv[i + 1];
+      i += 1;
+    } else {
+      options.scripts.push(argv[i]);
+    }
+  }
+  if (options.scripts.length === 0) options.scripts.push(path.join(__dirname, '..', 'simulations'));
+  options.url = options.url.replace(/\/+$/, '');
+  return options;
+}
+
+/**
+ * Script files named on the command line; directories are expanded to the
+ * scripts inside them.
+ */
+function listScripts(paths) {
+  return paths.flatMap((target) => {
+    const resolved = path.resolve(target);
+    if (!fs.statSync(resolved).isDirectory()) return [resolved];
+    return fs.readdirSync(resolved)
+      .filter((file) => SCRIPT_EXTENSIONS.includes(path.extname(file)))
+      .sort()
+      .map((file) => path.join(resolved, file));
+  });
+}
+
+function readScript(file) {
+  const source = fs.readFileSync(file, 'utf8');
+  const script = path.extname(file) === '.json' ? JSON.parse(source) : parseYaml(source);
+  if (!script || !Array.isArray(script.utterances)) {
+    throw new Error(`${file}: a script needs an utterances list`);
+  }
+  return script;
+}
+
+/**
+ * An utterance as { say, question }; say is '' for silence.
+ */
+function normalizeUtterance(utterance) {
+  if (utterance === null || utterance === undefined) return { say: '', question: null };
+  if (typeof utterance !== 'object') return { say: String(utterance), question: null };
+  const say = utterance.silence || utterance.say === null || utterance.say === undefined ? '' : String(utterance.say);
+  return { say, question: utterance.question || null };
+}
+
+// ============================================================================
+// SIMULATION
+// ============================================================================
+
+async function fetchQuestions(url) {
+  const response = await fetch(`${url}/api/questionnaire`);
+  if (!response.ok) throw new Error(`GET /api/questionnaire failed with HTTP ${response.status}`);
+  const questionnaire = await response.json();
+  return Array.isArray(questionnaire.questions) ? questionnaire.questions : [];
+}
+
+/**
+ * Run one script through a FlowController. Resolves with what happened:
+ * { status, transcript, answers, followups, conflicts, asked, retries,
+ * explanations, utterancesUsed, problem }.
+ */
+function simulate(script, questions, url) {
+  const utterances = script.utterances.map(normalizeUtterance);
+  const transcript = [];
+  const asked = [];
+  const retries = {};
+  let turn = 0;
+  let problem = null;
+  let controller = null;
+  let finish = null;
+
+  const currentQuestionId = () => {
+    const question = controller.questions[controller.state.currentQuestionIndex];
+    return question ? question.id : null;
+  };
+
+  const tts = {
+    async speak(text) {
+      transcript.push({ role: 'assistant', text, questionId: currentQuestionId() });
+    },
+    stop() {},
+    setLanguage() {},
+  };
+
+  const asr = {
+    async listen() {
+      if (turn >= utterances.length) {
+        finish('exhausted');
+        return '';
+      }
+      const utterance = utterances[turn];
+      turn += 1;
+      const questionId = currentQuestionId();
+      if (utterance.question && utterance.question !== questionId) {
+        problem = `utterance ${turn} is for ${utterance.question}, but ${questionId || 'no question'} was being asked`;
+        finish('off_script');
+        return '';
+      }
+      transcript.push({ role: 'applicant', text: utterance.say || null, questionId });
+      return utterance.say;
+    },
+    stop() {},
+    setLanguage() {},
+  };
+
+  return new Promise((resolve) => {
+    let finished = false;
+    finish = (status) => {
+      if (finished) return;
+      finished = true;
+      if (status === 'exhausted' || status === 'off_script') controller.stop();
+      const { state } = controller;
+      Promise.all([controller.audit.flush(), controller.analytics.flush()]).then(() => resolve({
+        status,
+        transcript,
+        answers: state.answers,
+        followups: state.followups,
+        conflicts: state.conflicts,
+        asked,
+        retries,
+        explanations: state.explainCounts,
+        utterancesUsed: turn,
+        problem: problem || (status === 'error' ? state.error : null),
+      }));
+    };
+
+    controller = new FlowController({ tts, asr, questions, baseUrl: url });
+    controller.onStateChange = (state) => {
+      const questionId = currentQuestionId();
+      if (questionId) {
+        if (asked[asked.length - 1] !== questionId) asked.push(questionId);
+        retries[questionId] = Math.max(retries[questionId] || 0, state.retryCount);
+      }
+      if (state.status === 'complete' || state.status === 'handoff') finish(state.status);
+      else if (state.status === 'idle' && state.error) finish('error');
+    };
+    if (script.language) controller.setLanguage(script.language);
+    controller.start().catch((error) => {
+      problem = error.message;
+      finish('error');
+    });
+  });
+}
+
+// ============================================================================
+// EXPECTATIONS
+// ============================================================================
+
+/**
+ * The expectations a run breaks, as readable strings.
+ */
+function checkExpectations(result, expect, questions) {
+  const failures = [];
+  const limitFor = (kind, questionId, value) => {
+    if (value !== 'max') return Number(value);
+    if (kind === 'retries') return MAX_RETRIES;
+    if (kind === 'explanations') return MAX_EXPLAINS;
+    const question = questions.find((q) => q.id === questionId);
+    return question && question.followups ? question.followups.max : 0;
+  };
+
+  if (expect.status !== undefined && result.status !== expect.status) {
+    failures.push(`status is ${result.status}, expected ${expect.status}${result.problem ? ` (${result.problem})` : ''}`);
+  }
+
+  for (const [id, expected] of Object.entries(expect.answers || {})) {
+    const actual = result.answers[id] === undefined ? null : result.answers[id];
+    const matches = expected === null ? actual === null : actual !== null && String(actual) === String(expected);
+    if (!matches) failures.push(`answers.${id} is ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+  }
+
+  let position = 0;
+  for (const id of expect.asked || []) {
+    const found = result.asked.indexOf(id, position);
+    if (found === -1) {
+      failures.push(result.asked.includes(id) ? `${id} was asked out of order` : `${id} was never asked`);
+    } else {
+      position = found + 1;
+    }
+  }
+  for (const id of expect.notAsked || []) {
+    if (result.asked.includes(id)) failures.push(`${id} was asked`);
+  }
+
+  const counts = {
+    retries: result.retries,
+    explanations: result.explanations,
+    followups: Object.fromEntries(Object.entries(result.followups).map(([id, entry]) => [id, entry.count])),
+  };
+  for (const kind of Object.keys(counts)) {
+    for (const [id, value] of Object.entries(expect[kind] || {})) {
+      const expected = limitFor(kind, id, value);
+      const actual = counts[kind][id] || 0;
+      if (actual !== expected) failures.push(`${kind}.${id} is ${actual}, expected ${expected}`);
+    }
+  }
+
+  const spoken = result.transcript.filter((entry) => entry.role === 'assistant').map((entry) => entry.text);
+  for (const pattern of expect.said || []) {
+    if (!spoken.some((text) => new RegExp(pattern, 'i').test(text))) failures.push(`nothing said matches /${pattern}/`);
+  }
+  for (const pattern of expect.notSaid || []) {
+    const match = spoken.find((text) => new RegExp(pattern, 'i').test(text));
+    if (match) failures.push(`said ${JSON.stringify(match)}, which matches /${pattern}/`);
+  }
+
+  return failures;
+}
+
+function printResult(result) {
+  console.log(`== ${result.file}${result.name ? `: ${result.name}` : ''}`);
+  for (const entry of result.transcript) {
+    const label = entry.role === 'assistant' ? 'assistant' : 'applicant';
+    console.log(`  ${label.padEnd(9)}  ${entry.text === null ? '(silence)' : entry.text}`);
+  }
+  console.log(`  outcome: ${result.status} after ${result.utterancesUsed} utterance(s)${result.problem ? ` (${result.problem})` : ''}`);
+  console.log('  answers:');
+  for (const [id, answer] of Object.entries(result.answers)) {
+    console.log(`    ${id}: ${answer}`);
+    for (const item of (result.followups[id] && result.followups[id].items) || []) {
+      console.log(`      ${item.q} -> ${item.a}`);
+    }
+  }
+  console.log(`  ${result.ok ? 'pass' : 'FAIL'}`);
+  for (const failure of result.failures) console.log(`       ${failure}`);
+  console.log('');
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const files = listScripts(options.scripts);
+  const questions = await fetchQuestions(options.url);
+
+  const results = [];
+  for (const file of files) {
+    const script = readScript(file);
+    const run = await simulate(script, questions, options.url);
+    const failures = checkExpectations(run, script.expect || {}, questions);
+    results.push({
+      file: path.relative(process.cwd(), file),
+      name: script.name || null,
+      ok: failures.length === 0,
+      failures,
+      ...run,
+    });
+  }
+
+  if (options.format === 'json') {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    results.forEach(printResult);
+    const failed = results.filter((result) => !result.ok).length;
+    console.log(`${results.length} script(s), ${failed} failed (${options.url})`);
+  }
+  process.exit(results.every((result) => result.ok) ? 0 : 1);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Tenant API Keys
+ *
+ * Usage:
+ *   npm run tenant:key -- <tenant id> [--name "Acme Health"]
+ *   npm run tenant:key -- <tenant id> --revoke <key id>
+ *   npm run tenant:key -- --list
+ *
+ * Adds a key for a tenant (creating the tenant) in tenants.json, or
+ * TENANTS_PATH, and prints it. Only the key's SHA-256 is stored, so it is
+ * shown this once. A tenant's server sends it as X-API-Key; the server
+ * picks up the change without a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../lib/config');
+const { PUBLIC_TENANT, generateApiKey, hashApiKey } = require('../lib/auth');
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+function parseArgs(argv) {
+  const options = { tenantId: null, name: null, revoke: null, list: false };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--name') {
+      options.name = argv[i + 1];
+      i += 1;
+    } else if (argv[i] === '--revoke') {
+      options.revoke = argv[i + 1];
+      i += 1;
+    } else if (argv[i] === '--list') {
+      options.list = true;
+    } else {
+      options.tenantId = argv[i];
+    }
+  }
+  return options;
+}
+
+function readTenants(file) {
+  if (!fs.existsSync(file)) return { tenants: {} };
+  const document = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { ...document, tenants: document.tenants || {} };
+}
+
+function writeTenants(file, document) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temporary = `${file}.tmp`;
+  fs.writeFileSync(temporary, `${JSON.stringify(document, null, 2)}\n`);
+  fs.renameSync(temporary, file);
+}
+
+function listTenants(document) {
+  const entries = Object.entries(document.tenants);
+  if (entries.length === 0) {
+    console.log('No tenants.');
+    return;
+  }
+  for (const [tenantId, tenant] of entries) {
+    console.log(`${tenantId}${tenant.name ? ` (${tenant.name})` : ''}`);
+    for (const key of tenant.keys || []) {
+      console.log(`  ${key.id}  created ${key.createdAt}${key.revokedAt ? `, revoked ${key.revokedAt}` : ''}`);
+    }
+  }
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const file = config.auth.tenantsPath;
+  const document = readTenants(file);
+
+  if (options.list) {
+    listTenants(document);
+    return;
+  }
+
+  if (!options.tenantId || !TENANT_ID_PATTERN.test(options.tenantId)) {
+    console.error('Give a tenant id: lower-case letters, digits, "-" and "_"');
+    process.exit(1);
+  }
+  if (options.tenantId === PUBLIC_TENANT) {
+    console.error(`"${PUBLIC_TENANT}" is the tenant of sessions started without a key`);
+    process.exit(1);
+  }
+
+  const tenant = { name: options.tenantId, keys: [], ...document.tenants[options.tenantId] };
+  if (options.name) tenant.name = options.name;
+
+  if (options.revoke) {
+    const key = tenant.keys.find((entry) => entry.id === options.revoke);
+    if (!key) {
+      console.error(`No key ${options.revoke} for ${options.tenantId}`);
+      process.exit(1);
+    }
+    key.revokedAt = key.revokedAt || new Date().toISOString();
+    document.tenants[options.tenantId] = tenant;
+    writeTenants(file, document);
+    console.log(`Revoked ${options.revoke} for ${options.tenantId}`);
+    return;
+  }
+
+  const apiKey = generateApiKey();
+  const keyId = `key_${hashApiKey(apiKey).slice(0, 8)}`;
+  tenant.keys.push({ id: keyId, hash: hashApiKey(apiKey), createdAt: new Date().toISOString(), revokedAt: null });
+  document.tenants[options.tenantId] = tenant;
+  writeTenants(file, document);
+
+  console.log(`Added ${keyId} for ${options.tenantId} in ${file}`);
+  console.log('\nAPI key (shown once; send it as X-API-Key):\n');
+  console.log(`  ${apiKey}\n`);
+}
+
+main();
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Audit Log Verifier
+ *
+ * Usage:
+ *   npm run audit:verify
+ *   npm run audit:verify -- <session id | log.jsonl | export.json> ... [--format text|json]
+ *
+ * With no arguments every log in AUDIT_DIR is checked, along with the
+ * manifest of every log started there, so a log deleted whole is reported
+ * as missing. A session id is read from AUDIT_DIR and must be in the
+ * manifest, a .jsonl file is checked against the .head.json beside it, and
+ * a .json file is an export from GET /api/internal/sessions/:id/audit.
+ * Logs written with AUDIT_HMAC_KEY need the same key to verify.
+ *
+ * Exits with status 1 when any log fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../lib/config');
+const { FileAuditStore, MANIFEST_ID, verifyChain } = require('../lib/audit-log');
+
+function parseArgs(argv) {
+  const options = { format: 'text', targets: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--format') {
+      options.format = argv[i + 1];
+      i += 1;
+    } else {
+      options.targets.push(argv[i]);
+    }
+  }
+  return options;
+}
+
+async function verifyFile(file) {
+  const store = new FileAuditStore(path.dirname(file));
+  const sessionId = path.basename(file, '.jsonl');
+  return { target: file, ...verifyChain(await store.read(sessionId), {
+    head: await store.head(sessionId),
+    hmacKey: config.audit.hmacKey,
+  }) };
+}
+
+function verifyExport(file) {
+  const exported = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { target: file, ...verifyChain(exported.entries || [], {
+    head: exported.head || null,
+    hmacKey: config.audit.hmacKey,
+  }) };
+}
+
+async function verifyStored(logId, store) {
+  return verifyChain(await store.read(logId), {
+    head: await store.head(logId),
+    hmacKey: config.audit.hmacKey,
+  });
+}
+
+/**
+ * The manifest, with the session ids it lists.
+ */
+async function verifyManifest(store) {
+  const entries = await store.read(MANIFEST_ID);
+  return {
+    result: { target: MANIFEST_ID, ...await verifyStored(MANIFEST_ID, store) },
+    listed: new Set(entries.map((entry) => entry.sessionId)),
+  };
+}
+
+async function verifyTarget(target, store, manifest) {
+  if (target.endsWith('.jsonl')) return verifyFile(path.resolve(target));
+  if (target.endsWith('.json')) return verifyExport(path.resolve(target));
+  const result = { target, ...await verifyStored(target, store) };
+  if (!manifest.listed.has(target)) {
+    result.problems.push({ seq: null, problem: 'not in the audit manifest' });
+    result.ok = false;
+  }
+  return result;
+}
+
+function printText(results) {
+  for (const result of results) {
+    console.log(`${result.ok ? 'ok  ' : 'FAIL'} ${result.target} (${result.count} entries)`);
+    for (const { seq, problem } of result.problems) {
+      console.log(`       ${seq === null ? '' : `#${seq}: `}${problem}`);
+    }
+  }
+  const failed = results.filter((result) => !result.ok).length;
+  console.log(`\n${results.length} log(s) checked, ${failed} failed`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const store = new FileAuditStore(config.audit.directory);
+  const manifest = await verifyManifest(store);
+  const stored = await store.list();
+  const checkAll = options.targets.length === 0;
+  const targets = checkAll ? [...new Set([...stored, ...manifest.listed])].sort() : options.targets;
+
+  // Files are checked on their own; stored logs with the manifest
+  const storedTargets = targets.filter((target) => !target.endsWith('.jsonl') && !target.endsWith('.json'));
+  const results = storedTargets.length > 0 ? [manifest.result] : [];
+  for (const target of targets) {
+    results.push(await verifyTarget(target, store, manifest));
+  }
+
+  if (options.format === 'json') {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    printText(results);
+  }
+  process.exit(results.every((result) => result.ok) ? 0 : 1);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * TTS Cache Warmer
+ *
+ * Usage:
+ *   npm run tts:warm -- [--language en|es] [--dry-run] [--force] [--concurrency 2]
+ *
+ * Renders every scripted prompt (each question of the active questionnaire
+ * version and of every older version an unfinished session is pinned to, in
+ * every language, the spoken UI strings and the generic retry explanations;
+ * see getScriptedPrompts)
+ * with ElevenLabs into the TTS cache, so no applicant waits for a render of
+ * fixed text. Clips already cached are skipped unless --force; --dry-run
+ * only lists what is missing. Uses the same voice profiles and lexicon as
+ * /api/tts, so the server finds every clip.
+ *
+ * Exits with status 1 when any prompt fails to render.
+ */
+
+const config = require('../lib/config');
+const { loadQuestionnaire } = require('../lib/questionnaire');
+const { QuestionnaireRegistry, createQuestionnaireStore } = require('../lib/questionnaire-registry');
+const { SessionManager } = require('../lib/sessions');
+const { createSessionStore } = require('../lib/session-store');
+const { TTSCache, speechRequest, renderSpeech } = require('../lib/tts');
+const { VoiceCatalog } = require('../lib/voices');
+const {
+  LANGUAGE_OPTIONS,
+  getLanguageConfig,
+  getScriptedPrompts,
+  normalizeLanguage,
+} = require('../public/lib/conversation-flow');
+
+function parseArgs(argv) {
+  const options = { language: null, dryRun: false, force: false, concurrency: 2 };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--language') {
+      options.language = normalizeLanguage(argv[i + 1]);
+      i += 1;
+    } else if (argv[i] === '--concurrency') {
+      options.concurrency = Math.max(1, Number(argv[i + 1]) || 1);
+      i += 1;
+    } else if (argv[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (argv[i] === '--force') {
+      options.force = true;
+    }
+  }
+  return options;
+}
+
+/**
+ * Run worker over items, at most `limit` at a time.
+ */
+async function mapLimit(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next];
+      next += 1;
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * The question lists the server asks from: the active version in the
+ * questionnaire registry and the versions saved sessions are still pinned
+ * to, or the decision tree file until the server has published one.
+ */
+async function questionsInUse() {
+  if (config.questionnaires.store === 'file') {
+    const registry = new QuestionnaireRegistry(createQuestionnaireStore(config.questionnaires), {
+      defaultId: config.questionnaires.defaultId,
+    });
+    const sessions = new SessionManager(createSessionStore(config.sessions), {
+      ttlMs: config.sessions.ttlHours * 60 * 60 * 1000,
+    });
+    const versions = await registry.versionsInUse(sessions);
+    if (versions.length > 0) return versions.map((version) => version.questions);
+  }
+  return [loadQuestionnaire().questions];
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (config.ttsCache.mode === 'off') {
+    console.error('TTS_CACHE=off: the server would not use the cache. Set TTS_CACHE=scripted to warm it.');
+    process.exit(1);
+  }
+  if (!options.dryRun && !config.elevenlabs.apiKey) {
+    console.error('ELEVENLABS_API_KEY is not set; nothing can be rendered (try --dry-run).');
+    process.exit(1);
+  }
+
+  // Warming only ever writes scripted prompts, so the cache takes them all
+  const cache = new TTSCache({ directory: config.ttsCache.directory, mode: 'all' });
+  const voices = new VoiceCatalog({
+    profilesPath: config.voiceProfilesPath,
+    lexiconPath: config.pronunciationLexiconPath,
+    elevenlabs: config.elevenlabs,
+  });
+  const questionLists = await questionsInUse();
+  const languages = options.language ? [options.language] : Object.keys(LANGUAGE_OPTIONS);
+  // Versions share most of their prompts; each is rendered once
+  const jobs = languages.flatMap((language) => {
+    const texts = new Set(questionLists.flatMap((questions) => getScriptedPrompts(questions, language)));
+    return [...texts].map((text) => ({
+      language,
+      request: speechRequest(text, getLanguageConfig(language).ttsLang, voices),
+    }));
+  });
+
+  const counts = { cached: 0, rendered: 0, missing: 0, failed: 0 };
+  let characters = 0;
+
+  await mapLimit(jobs, options.concurrency, async ({ language, request }) => {
+    const label = `[${language}] ${request.text.length > 70 ? `${request.text.slice(0, 67)}...` : request.text}`;
+    if (!options.force && await cache.has(request)) {
+      counts.cached += 1;
+      return;
+    }
+    if (options.dryRun) {
+      counts.missing += 1;
+      characters += request.text.length;
+      console.log(`missing   ${label}`);
+      return;
+    }
+    try {
+      const response = await renderSpeech(request, config.elevenlabs);
+      if (!response.ok) throw new Error(`ElevenLabs API error: ${response.status} ${await response.text()}`);
+      await cache.put(request, Buffer.from(await response.arrayBuffer()));
+      counts.rendered += 1;
+      characters += request.text.length;
+      console.log(`rendered  ${label}`);
+    } catch (error) {
+      counts.failed += 1;
+      console.error(`FAILED    ${label}: ${error.message}`);
+    }
+  });
+
+  console.log('');
+  console.log(`${jobs.length} prompt(s) from ${questionLists.length} questionnaire version(s) in ${languages.join(', ')}: ${counts.cached} already cached, `
+    + (options.dryRun
+      ? `${counts.missing} missing (${characters} characters to render)`
+      : `${counts.rendered} rendered (${characters} characters), ${counts.failed} failed`));
+  console.log(`Cache: ${config.ttsCache.directory}`);
+  process.exit(counts.failed > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
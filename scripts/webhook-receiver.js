@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Webhook Receiver Stub
+ *
+ * Usage:
+ *   npm run webhook:receive -- [--port 4001] [--fail 3]
+ *
+ * Stands in for the policy admin system when trying outbound webhooks
+ * locally: point WEBHOOK_URLS at http://localhost:4001/hooks and run the
+ * server with the same WEBHOOK_SECRET. Each POST has its signature checked
+ * (401 when it does not match) and its event printed. --fail answers the
+ * first N deliveries with a 500, to watch retries and the dead-letter list.
+ */
+
+const http = require('http');
+const config = require('../lib/config');
+const { verifySignature } = require('../lib/webhooks');
+
+function parseArgs(argv) {
+  const options = { port: 4001, fail: 0 };
+  for (let i = 0; i < argv.length; i += 1) {
+    const name = argv[i].replace(/^--/, '');
+    if (argv[i].startsWith('--') && name in options) {
+      options[name] = Number(argv[i + 1]);
+      i += 1;
+    }
+  }
+  return options;
+}
+
+function describe(event) {
+  const data = event.data || {};
+  const lines = [`${event.createdAt}  ${event.type}  ${event.id}`];
+  if (data.session) {
+    const questionnaire = data.questionnaire ? ` ${data.questionnaire.id} v${data.questionnaire.version}` : '';
+    lines.push(`  session ${data.session.id} (${data.session.status}, ${data.language}${questionnaire})`);
+  }
+  for (const answer of data.answers || []) {
+    lines.push(`  ${answer.questionId}: ${JSON.stringify(answer.answer)}`);
+    for (const followup of answer.followups || []) {
+      lines.push(`    ${followup.question} -> ${followup.answer}`);
+    }
+  }
+  if (data.handoff) lines.push(`  handoff ${data.handoff.ticketId}: ${data.handoff.reason}`);
+  if (data.abandoned) lines.push(`  abandoned at ${data.abandoned.lastQuestionId} after ${data.abandoned.idleMinutes} min`);
+  return lines.join('\n');
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const secret = config.webhooks.secret;
+  if (!secret) {
+    console.error('Set WEBHOOK_SECRET (the same as the server\'s) to check signatures');
+    process.exit(1);
+  }
+  let failuresLeft = options.fail;
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405).end();
+      return;
+    }
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      const check = verifySignature(secret, req.headers['x-webhook-signature'], body);
+      if (!check.ok) {
+        console.log(`Refused ${req.headers['x-webhook-id'] || 'a request'}: ${check.problem}`);
+        res.writeHead(401, { 'Content-Type': 'text/plain' }).end(check.problem);
+        return;
+      }
+      if (failuresLeft > 0) {
+        failuresLeft -= 1;
+        console.log(`Failing ${req.headers['x-webhook-id']} on purpose (${failuresLeft} more to fail)`);
+        res.writeHead(500, { 'Content-Type': 'text/plain' }).end('Failing on purpose');
+        return;
+      }
+      try {
+        console.log(describe(JSON.parse(body)));
+      } catch (error) {
+        console.log(`Signed but not JSON: ${error.message}`);
+      }
+      res.writeHead(204).end();
+    });
+  });
+
+  server.listen(options.port, () => {
+    console.log(`Receiving webhooks on http://localhost:${options.port}/hooks`);
+  });
+}
+
+main();
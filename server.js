@@ -7,45 +7,569 @@
  * 3. Keeps API keys secure on the server side
  */
 
-require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
 const path = require('path');
+const config = require('./lib/config');
+const { loadQuestionnaire, loadDecisionTree } = require('./lib/questionnaire');
+const {
+  QuestionnaireRegistry,
+  createQuestionnaireStore,
+  publicVersion,
+} = require('./lib/questionnaire-registry');
+const { createSessionStore } = require('./lib/session-store');
+const { SessionManager } = require('./lib/sessions');
+const { FlowEngine } = require('./lib/flow-engine');
+const { createLLMClient } = require('./lib/llm');
+const { createSTTClient, audioContentType } = require('./lib/stt');
+const { TTSCache, speechRequest, renderSpeech, scriptedPromptMatcher } = require('./lib/tts');
+const { VoiceCatalog } = require('./lib/voices');
+const { HandoffDesk, openTicket } = require('./lib/handoffs');
+const { assessSession } = require('./lib/underwriting');
+const { questionnaireToFhir, sessionToQuestionnaireResponse } = require('./lib/fhir');
+const { AuditLog, createAuditStore } = require('./lib/audit-log');
+const { CLIENT_EVENTS, Analytics, createAnalyticsStore, reportToCsv } = require('./lib/analytics');
+const { createRedactor } = require('./lib/redaction');
+const {
+  PUBLIC_TENANT,
+  AuthError,
+  TenantDirectory,
+  bearerToken,
+  issueSessionToken,
+  verifySessionToken,
+} = require('./lib/auth');
+const { UsageLimits } = require('./lib/rate-limits');
+const { DELIVERY_STATUSES, WebhookDispatcher, sessionPayload } = require('./lib/webhooks');
+const {
+  FixtureStore,
+  MissingFixtureError,
+  applyProviderMode,
+  applySTTProviderMode,
+  missingFixture,
+} = require('./lib/provider-fixtures');
+const {
+  ENDED_CALL_STATUSES,
+  PhoneCall,
+  CallRegistry,
+  waitForTurn,
+  turnToTwiml,
+  continueTwiml,
+  unknownCallTwiml,
+  verifyTwilioSignature,
+} = require('./lib/telephony');
+const { ChatConversation, ConversationRegistry } = require('./lib/conversation');
+const {
+  APPLICANT_TEXT_RULE,
+  fenceApplicantText,
+  fenceApplicantList,
+  looksLikeInjection,
+  parseJsonReply,
+  checkValidationReply,
+  checkFollowupReply,
+  checkOverlapReply,
+  checkWhyReply,
+} = require('./lib/llm-guard');
+const AnswerParsers = require('./public/lib/answer-parsers');
+const Locales = require('./public/lib/locales');
+const {
+  LANGUAGE_OPTIONS,
+  getLanguageConfig,
+  getStrings,
+  getUnitLabel,
+  getScriptedPrompts,
+  isRepeatRequest,
+  ruleBasedValidation,
+} = require('./public/lib/conversation-flow');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Middleware
-app.use(cors());
+const PORT = config.port;
+
+// Middleware. The interview page is served from here, so browsers on other
+// origins only get in when CORS_ORIGINS lists them.
+app.set('trust proxy', config.trustProxy);
+if (config.corsOrigins.length > 0) {
+  app.use(cors({
+    origin: config.corsOrigins.includes('*') ? '*' : config.corsOrigins,
+    exposedHeaders: ['Retry-After', 'X-TTS-Cache'],
+  }));
+}
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
+const audit = new AuditLog(createAuditStore(config.audit), { hmacKey: config.audit.hmacKey });
+const analytics = new Analytics(createAnalyticsStore(config.analytics), {
+  abandonMinutes: config.analytics.abandonMinutes,
+});
+const sessions = new SessionManager(createSessionStore(config.sessions), {
+  ttlMs: config.sessions.ttlHours * 60 * 60 * 1000,
+  onDelete: (id, reason) => recordAudit(id, 'session.deleted', { reason }),
+});
+const registry = new QuestionnaireRegistry(createQuestionnaireStore(config.questionnaires), {
+  defaultId: config.questionnaires.defaultId,
+});
+const flow = new FlowEngine(sessions, (session) => registry.forSession(session));
+const handoffs = new HandoffDesk(sessions, flow);
+const fixtures = new FixtureStore(config.fixtures.directory);
+const llm = applyProviderMode(createLLMClient(config), config.fixtures.mode, fixtures);
+const stt = applySTTProviderMode(createSTTClient(config), config.fixtures.mode, fixtures);
+const voices = new VoiceCatalog({
+  profilesPath: config.voiceProfilesPath,
+  lexiconPath: config.pronunciationLexiconPath,
+  elevenlabs: config.elevenlabs,
+});
+const ttsCache = new TTSCache({
+  ...config.ttsCache,
+  // Sessions pinned to an older version hear its prompts, so every version
+  // loaded for a session counts
+  isScripted: scriptedPromptMatcher(() => {
+    const versions = registry.cachedVersions();
+    return versions.length > 0 ? versions : [loadQuestionnaire()];
+  }, getScriptedPrompts),
+});
+const redactor = createRedactor(config.redaction);
+const calls = new CallRegistry({ idleMs: config.telephony.idleMinutes * 60 * 1000 });
+const conversations = new ConversationRegistry({ idleMs: config.conversation.idleMinutes * 60 * 1000 });
+const tenants = new TenantDirectory(config.auth.tenantsPath);
+const limits = new UsageLimits(config.rateLimits, { limitsFor: (tenantId) => tenants.limitsFor(tenantId) });
+const webhooks = new WebhookDispatcher(createSessionStore(config.webhooks), {
+  urls: config.webhooks.urls,
+  secret: config.webhooks.secret,
+  events: config.webhooks.events,
+  maxAttempts: config.webhooks.maxAttempts,
+  retryBaseMs: config.webhooks.retryBaseSeconds * 1000,
+  retryMaxMs: config.webhooks.retryMaxSeconds * 1000,
+  timeoutMs: config.webhooks.timeoutMs,
+  retentionMs: config.webhooks.retentionDays * 24 * 60 * 60 * 1000,
+});
+
+// ============================================================================
+// AUDIT TRAIL
+// ============================================================================
+
+// Events the browser reports: what it spoke and what it heard.
+const CLIENT_AUDIT_EVENTS = [
+  'prompt.spoken',
+  'transcript.received',
+  'repeat.requested',
+  'handoff.offered',
+  'handoff.requested',
+];
+const MAX_AUDIT_EVENTS_PER_REQUEST = 20;
+const MAX_AUDIT_EVENT_BYTES = 8000;
+// The browser's last events (the closing words it spoke, interview.completed)
+// arrive just after the session completes
+const CLIENT_EVENTS_COMPLETION_GRACE_MS = 5 * 60 * 1000;
+
+/**
+ * Whether a session completed too long ago to take more events from the
+ * browser.
+ */
+function isPastCompletionGrace(session) {
+  if (session.status !== 'complete') return false;
+  return !(Date.now() - Date.parse(session.completedAt) <= CLIENT_EVENTS_COMPLETION_GRACE_MS);
+}
+
+/**
+ * Append to a session's audit log. A failed write is logged but never
+ * fails the request that caused it.
+ */
+async function recordAudit(sessionId, type, data) {
+  if (!sessionId) return null;
+  try {
+    return await audit.append(sessionId, type, data);
+  } catch (error) {
+    console.error('Audit error:', error);
+    return null;
+  }
+}
+
+/**
+ * Ask the model and hold its JSON reply to a schema: the reply is parsed,
+ * its placeholders restored and passed to check (one of the llm-guard
+ * check*Reply functions), whose { ok, value, problem } is returned. The
+ * prompt, reply, every failed attempt, the redaction report and any schema
+ * problem are kept in calls for the audit log.
+ */
+async function completeWithAudit(calls, prompt, { redaction = null, check, ...options }) {
+  const call = {
+    prompt,
+    provider: null,
+    model: null,
+    attempts: 0,
+    failures: [],
+    response: null,
+    error: null,
+    redactions: redaction ? redaction.report() : null,
+    schemaProblem: null,
+    latencyMs: null,
+    usage: null,
+  };
+  calls.push(call);
+  const startedAt = Date.now();
+  try {
+    const completion = await llm.complete(prompt, options);
+    Object.assign(call, {
+      provider: completion.provider,
+      model: completion.model,
+      attempts: completion.attempts,
+      failures: completion.failures,
+      response: completion.text,
+      latencyMs: Date.now() - startedAt,
+      usage: completion.usage || null,
+    });
+    const reply = parseJsonReply(completion.text);
+    const checked = check(redaction ? redaction.restore(reply) : reply);
+    if (!checked.ok) {
+      call.schemaProblem = checked.problem;
+      console.warn(`Rejected LLM reply (${checked.problem}):`, completion.text);
+    }
+    return checked;
+  } catch (error) {
+    Object.assign(call, {
+      attempts: error.attempts || 0,
+      failures: error.failures || [],
+      error: error.message,
+      latencyMs: Date.now() - startedAt,
+    });
+    throw error;
+  }
+}
+
+// ============================================================================
+// ANALYTICS
+// ============================================================================
+
+const MAX_ANALYTICS_EVENTS_PER_REQUEST = 50;
+
+/**
+ * Keep analytics events for a session, under the questionnaire version it
+ * is pinned to. Like the audit trail, a failed write never fails the
+ * request.
+ */
+async function recordAnalytics(sessionId, events) {
+  try {
+    const session = sessionId ? await sessions.get(sessionId) : null;
+    const pin = session ? session.questionnaire || null : null;
+    return await analytics.record(events.map((event) => ({ ...event, sessionId, questionnaire: pin })));
+  } catch (error) {
+    console.error('Analytics error:', error);
+    return 0;
+  }
+}
+
+/**
+ * One llm.call event per model call behind a request (see completeWithAudit).
+ */
+function recordLlmUsage(sessionId, questionId, endpoint, llmCalls) {
+  if (llmCalls.length === 0) return null;
+  return recordAnalytics(sessionId, llmCalls.map((call) => ({
+    type: 'llm.call',
+    questionId: questionId || null,
+    data: {
+      endpoint,
+      provider: call.provider,
+      model: call.model,
+      ok: !call.error && !call.schemaProblem,
+      latencyMs: call.latencyMs,
+      inputTokens: call.usage ? call.usage.inputTokens : null,
+      outputTokens: call.usage ? call.usage.outputTokens : null,
+    },
+  })));
+}
+
+// ============================================================================
+// WEBHOOKS
+// ============================================================================
+
+/**
+ * Queue a webhook about a session (see lib/webhooks.js): its answers and
+ * follow-ups plus details. key makes the event go out once; by default
+ * once per session. Like the audit trail, a failure never fails the
+ * request that caused it.
+ */
+async function sendWebhook(type, sessionId, { key = `${type}:${sessionId}`, details = {} } = {}) {
+  if (!webhooks.subscribed(type)) return;
+  try {
+    const session = await sessions.get(sessionId);
+    if (!session) return;
+    const questionnaire = await registry.forSession(session);
+    const deliveries = await webhooks.emit(type, key, { ...sessionPayload(session, questionnaire), ...details });
+    if (deliveries.length > 0) {
+      await recordAudit(sessionId, 'webhook.queued', {
+        type,
+        eventId: deliveries[0].event.id,
+        deliveries: deliveries.map((delivery) => ({ id: delivery.id, url: delivery.url })),
+      });
+    }
+  } catch (error) {
+    console.error('Webhook error:', error);
+  }
+}
+
+/**
+ * A flow result that finished the interview sends session.completed.
+ */
+function sendCompletedWebhook(sessionId, result) {
+  return result && result.complete ? sendWebhook('session.completed', sessionId) : null;
+}
+
+/**
+ * session.abandoned for every unfinished session (not with an agent) that
+ * has answers and has not been saved for WEBHOOK_ABANDON_MINUTES.
+ */
+async function sendAbandonedWebhooks(now = Date.now()) {
+  if (!webhooks.subscribed('session.abandoned')) return;
+  const idleMs = config.webhooks.abandonMinutes * 60 * 1000;
+  for (const session of await sessions.list()) {
+    if (!['active', 'paused'].includes(session.status)) continue;
+    if (Object.keys(session.answers || {}).length === 0) continue;
+    const idleFor = now - Date.parse(session.updatedAt);
+    if (idleFor < idleMs) continue;
+    await sendWebhook('session.abandoned', session.id, {
+      details: {
+        abandoned: {
+          lastQuestionId: session.currentQuestionId,
+          idleMinutes: Math.floor(idleFor / 60000),
+        },
+      },
+    });
+  }
+}
+
+// ============================================================================
+// API ACCESS AND RATE LIMITS
+// ============================================================================
+
+// Without AUTH_SECRET, session tokens stop working when the process ends
+const authSecret = config.auth.secret || crypto.randomBytes(32).toString('hex');
+
+/**
+ * A session as the API returns it, with a fresh access token for the
+ * provider endpoints.
+ */
+function withAccessToken(session) {
+  return {
+    ...session,
+    accessToken: issueSessionToken(authSecret, {
+      sessionId: session.id,
+      tenant: session.tenant || PUBLIC_TENANT,
+      ttlMs: config.auth.tokenTtlHours * 60 * 60 * 1000,
+    }),
+  };
+}
+
+/**
+ * The session a provider request names: sessionId in its JSON body, or in
+ * the query string for /api/stt.
+ */
+function requestedSessionId(req) {
+  const body = req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body : {};
+  const sessionId = body.sessionId !== undefined && body.sessionId !== null ? body.sessionId : req.query.sessionId;
+  return typeof sessionId === 'string' && sessionId ? sessionId : null;
+}
+
+/**
+ * Who is calling, as { tenant, sessionId, via }: a tenant's server with
+ * X-API-Key (for any of the tenant's sessions, or none), or a browser or
+ * phone call with its session token. With AUTH=off every caller is the
+ * public tenant, for whichever session it names.
+ */
+async function authenticate(req) {
+  const sessionId = requestedSessionId(req);
+  if (!config.auth.enabled) {
+    return { tenant: PUBLIC_TENANT, sessionId, via: 'none' };
+  }
+
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    const tenant = tenants.findByKey(apiKey);
+    if (!tenant) throw new AuthError('Invalid API key');
+    const session = sessionId ? await sessions.get(sessionId) : null;
+    if (session && (session.tenant || PUBLIC_TENANT) !== tenant.id) {
+      throw new AuthError('The session belongs to another tenant', 403);
+    }
+    return { tenant: tenant.id, sessionId: session ? session.id : null, via: 'key' };
+  }
+
+  const token = bearerToken(req.get('Authorization'));
+  if (!token) {
+    throw new AuthError('A session token (Authorization: Bearer) or an API key (X-API-Key) is required');
+  }
+  const claims = verifySessionToken(authSecret, token);
+  if (sessionId && sessionId !== claims.sessionId) {
+    throw new AuthError('The session token is for another session', 403);
+  }
+  return { tenant: claims.tenant, sessionId: claims.sessionId, via: 'session' };
+}
+
+/**
+ * Provider endpoints: the caller goes in req.principal, and the request
+ * counts against its session's and tenant's requests per minute. A JSON
+ * body's sessionId becomes the caller's session, so a session token's
+ * requests are logged to its session without naming it.
+ */
+async function requireApiAccess(req, res, next) {
+  try {
+    req.principal = await authenticate(req);
+    limits.take(req.principal, 'requests');
+  } catch (error) {
+    return sendSessionError(res, error, 'API access');
+  }
+  if (req.is('application/json') && req.body && typeof req.body === 'object') {
+    req.body.sessionId = req.principal.sessionId;
+  }
+  return next();
+}
+
+/**
+ * Endpoints that call the model: refused once the session or tenant has
+ * used its LLM tokens for the day.
+ */
+function requireLlmBudget(req, res, next) {
+  try {
+    limits.ensure(req.principal, 'llmTokens');
+  } catch (error) {
+    return sendSessionError(res, error, 'API access');
+  }
+  return next();
+}
+
+/**
+ * The tenant starting a session: the API key's, or the public tenant for
+ * a browser, which may only start so many sessions an hour from one
+ * address.
+ */
+function sessionTenant(req) {
+  const apiKey = config.auth.enabled ? req.get('X-API-Key') : null;
+  if (apiKey) {
+    const tenant = tenants.findByKey(apiKey);
+    if (!tenant) throw new AuthError('Invalid API key');
+    return tenant.id;
+  }
+  limits.takeSessionStart(req.ip);
+  return PUBLIC_TENANT;
+}
+
+/**
+ * Count the tokens behind a request's model calls against its caller;
+ * a call without usage figures is estimated at four characters a token.
+ */
+function chargeLlmTokens(principal, llmCalls) {
+  const tokens = llmCalls.reduce((total, call) => total + (call.usage
+    ? (call.usage.inputTokens || 0) + (call.usage.outputTokens || 0)
+    : Math.ceil((String(call.prompt || '').length + String(call.response || '').length) / 4)), 0);
+  limits.add(principal, 'llmTokens', tokens);
+}
+
+// ============================================================================
+// PROVIDER FIXTURES
+// ============================================================================
+
+/**
+ * In replay mode a missing fixture fails the request with 503 instead of
+ * quietly taking the rule-based fallback, so a replayed test cannot pass
+ * on the fallback's answer.
+ */
+function failOnMissingFixture(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      const missing = missingFixture(error);
+      if (missing) {
+        console.error(missing.message);
+        return res.status(503).json({ error: missing.message, fixture: { kind: missing.kind, key: missing.key } });
+      }
+      console.error('Request error:', error);
+      res.status(500).json({ error: 'Request failed' });
+    }
+  };
+}
+
+// ============================================================================
+// REDACTION
+// ============================================================================
+
+/**
+ * Start redacting one request's prompt. What the applicant already gave for
+ * identifying questions (their name, their doctor) is redacted wherever it
+ * appears, not only in its own answer.
+ */
+async function startRedaction(sessionId) {
+  if (!redactor.enabled || !sessionId) return redactor.begin();
+  try {
+    const session = await sessions.get(sessionId);
+    return redactor.begin({ answers: session ? session.answers : {} });
+  } catch (error) {
+    console.error('Redaction session lookup error:', error);
+    return redactor.begin();
+  }
+}
+
+/**
+ * Redacted copies of the applicant-supplied fields of a follow-up request.
+ */
+function redactFollowupFields(redaction, body) {
+  const { questionId, lastAnswer, priorAnswers, previousFollowups, sectionAnswers, recentQAPairs, primaryContext } = body;
+  return {
+    ...body,
+    lastAnswer: redaction.redact(lastAnswer, { questionId }),
+    priorAnswers: Array.isArray(priorAnswers) ? priorAnswers.map((answer) => redaction.redact(answer)) : priorAnswers,
+    previousFollowups: Array.isArray(previousFollowups)
+      ? previousFollowups.map((followup) => redaction.redact(followup))
+      : previousFollowups,
+    sectionAnswers: sectionAnswers && typeof sectionAnswers === 'object'
+      ? Object.fromEntries(Object.entries(sectionAnswers).map(([id, answer]) => [id, redaction.redact(answer, { questionId: id })]))
+      : sectionAnswers,
+    recentQAPairs: Array.isArray(recentQAPairs)
+      ? recentQAPairs.map((pair) => ({ ...pair, q: redaction.redact(pair && pair.q), a: redaction.redact(pair && pair.a) }))
+      : recentQAPairs,
+    primaryContext: primaryContext && typeof primaryContext === 'object'
+      ? { ...primaryContext, answer: redaction.redact(primaryContext.answer, { questionId: primaryContext.id }) }
+      : primaryContext,
+  };
+}
+
 // ============================================================================
-// CONFIGURATION
+// APPLICANT LANGUAGE
 // ============================================================================
 
-const config = {
-  elevenlabs: {
-    apiKey: process.env.ELEVENLABS_API_KEY,
-    voiceId: process.env.ELEVENLABS_VOICE_ID || 'EXAVITQu4vr4xnSDxMaL',
-    modelId: 'eleven_turbo_v2_5',
-  },
-  anthropic: {
-    apiKey: process.env.ANTHROPIC_API_KEY,
-    model: 'claude-sonnet-4-20250514',
-  },
-  openai: {
-    apiKey: process.env.OPENAI_API_KEY,
-    model: 'gpt-4o-mini',
-  },
-  validationProvider: process.env.VALIDATION_PROVIDER || 'anthropic',
-};
+/**
+ * The language a request is for: its language field ("es" or "es-US"),
+ * else the session's, else English. Only languages with a locale bundle
+ * (public/lib/locales.js) are used.
+ */
+async function applicantLanguage({ language, sessionId }) {
+  const code = typeof language === 'string' ? language.trim().split('-')[0].toLowerCase() : '';
+  if (Locales.LOCALES[code]) return code;
+  try {
+    const session = sessionId ? await sessions.get(sessionId) : null;
+    if (session && Locales.LOCALES[session.language]) return session.language;
+  } catch (error) {
+    console.error('Language session lookup error:', error);
+  }
+  return Locales.DEFAULT_LOCALE;
+}
+
+function quotePhrases(kind, language) {
+  return Locales.phrases(kind, language).map((phrase) => `"${phrase}"`).join(', ');
+}
+
+/**
+ * The prompt line telling the model which language the applicant speaks and
+ * what it must write in it.
+ */
+function languageRule(language, what) {
+  const name = Locales.getLocale(language).name;
+  return `LANGUAGE: The applicant speaks ${name}. Write ${what} in ${name}.`;
+}
 
 // ============================================================================
 // VALIDATION PROMPT BUILDER
 // ============================================================================
 
-function buildValidationPrompt(question, questionType, transcript, choices = null) {
+function buildValidationPrompt(question, questionType, transcript, choices = null, language = Locales.DEFAULT_LOCALE) {
   let typeInstructions = '';
   
   switch (questionType) {
@@ -54,9 +578,9 @@ function buildValidationPrompt(question, questionType, transcript, choices = nul
 TYPE: YES_NO
 RULES:
 - ONLY accept EXPLICIT yes or no responses
-- Valid YES: "yes", "yeah", "yep", "yup", "correct", "right", "I do", "I have", "affirmative", "uh-huh", "sure", "absolutely"
-- Valid NO: "no", "nope", "nah", "negative", "I don't", "I haven't", "never", "not really"
-- INVALID: "maybe", "sometimes", "I think so", "probably", "kind of", or ANY unrelated response
+- Valid YES: ${quotePhrases('yes', language)}
+- Valid NO: ${quotePhrases('no', language)}
+- INVALID: ${quotePhrases('unsure', language)}, or ANY unrelated response
 - Normalize to exactly "YES" or "NO" (uppercase)`;
       break;
       
@@ -67,7 +591,7 @@ RULES:
 - Response must contain or imply a date or time period
 - Valid: "January 15 1980", "1/15/80", "March 2020", "last year", "about 6 months ago", "2019", "when I was 30"
 - INVALID: unrelated words, "yes", "no", car brands, random nouns
-- Normalize to the most specific date/time description possible`;
+- Normalize to an ISO date at the precision given ("1980-01-15", "2020-03", "2019") or a relative phrase ("6 months ago", "last year")`;
       break;
       
     case 'number':
@@ -77,7 +601,7 @@ RULES:
 - Response must contain or imply a number
 - Valid: "5", "five", "about three", "a couple", "none", "zero", "many times", "once or twice"
 - INVALID: unrelated responses that don't imply any quantity
-- Normalize to a number or descriptive quantity`;
+- Normalize to digits only ("5", "0", "2.5"); for a range, give both ends ("1 to 2")`;
       break;
       
     case 'choice':
@@ -105,12 +629,15 @@ RULES:
 
   return `You are an answer validator for a medical insurance questionnaire. Your ONLY job is to determine if a spoken response is a valid answer to the question, and normalize it.
 
+${APPLICANT_TEXT_RULE}
+
 QUESTION: "${question}"
-USER'S SPOKEN RESPONSE: "${transcript}"
+USER'S SPOKEN RESPONSE: ${fenceApplicantText(transcript)}
+${languageRule(language, 'any explanation')}
 
 ${typeInstructions}
 
-If the response is a request to repeat or restate the question, respond with:
+If the response is a request to repeat or restate the question (such as ${quotePhrases('repeat', language)}), respond with:
 {"valid": false, "normalized": null, "repeat": true}
 
 If the response is INVALID, include a brief explanation (one sentence, under 15 words) directed at the user (use "you"/"your") and asking for a valid response. Do not echo back what the user said. Do not repeat the question.
@@ -133,21 +660,24 @@ Remember:
 // WHY EXPLANATION PROMPT BUILDER
 // ============================================================================
 
-function buildWhyPrompt(question, section, explainLevel = 1, previousExplanation = null) {
+function buildWhyPrompt(question, section, explainLevel = 1, previousExplanation = null, language = Locales.DEFAULT_LOCALE) {
   const followUpNote = explainLevel > 1
     ? 'This is a follow-up request. Add a bit more detail than before and avoid repeating prior phrasing.'
     : 'This is the first explanation.';
   const previousText = previousExplanation
-    ? `PREVIOUS EXPLANATION: "${previousExplanation}"`
+    ? `PREVIOUS EXPLANATION: ${fenceApplicantText(previousExplanation)}`
     : 'PREVIOUS EXPLANATION: none';
 
   return `You are a helpful assistant for an insurance questionnaire. The user asked why they need to answer a question.
 
+${APPLICANT_TEXT_RULE}
+
 SECTION: "${section}"
 QUESTION: "${question}"
 ${previousText}
 EXPLANATION LEVEL: ${explainLevel}
 ${followUpNote}
+${languageRule(language, 'the explanation')}
 
 Provide a concise, user-directed explanation of why this question is relevant (1-2 sentences). Keep it conversational and neutral. Do not re-ask the question. Do not mention internal policies or underwriting guidelines.
 
@@ -172,6 +702,7 @@ function buildFollowupPrompt({
   sectionAnswers = {},
   recentQAPairs = [],
   primaryContext = null,
+  language = Locales.DEFAULT_LOCALE,
 }) {
   const safePrior = Array.isArray(priorAnswers) ? priorAnswers.slice(-3) : [];
   const safeFollowups = Array.isArray(previousFollowups) ? previousFollowups.slice(-3) : [];
@@ -181,29 +712,32 @@ function buildFollowupPrompt({
   const topicLine = topic ? `TOPIC: "${topic}"` : 'TOPIC: none';
   const guidanceLine = guidance ? `GUIDANCE: "${guidance}"` : 'GUIDANCE: none';
   const primaryLine = primaryContext && primaryContext.answer
-    ? `PRIMARY CONTEXT: "${primaryContext.id} = ${primaryContext.answer}"`
+    ? `PRIMARY CONTEXT: "${primaryContext.id}" = ${fenceApplicantText(primaryContext.answer)}`
     : 'PRIMARY CONTEXT: none';
   const sectionLine = sectionAnswers && Object.keys(sectionAnswers).length > 0
-    ? `SECTION ANSWERS: ${JSON.stringify(sectionAnswers)}`
+    ? `SECTION ANSWERS: ${Object.entries(sectionAnswers).map(([id, answer]) => `"${id}" = ${fenceApplicantText(answer)}`).join(', ')}`
     : 'SECTION ANSWERS: none';
   const qaLine = safePairs.length > 0
-    ? `RECENT Q/A PAIRS: ${safePairs.map((pair) => `Q: "${pair.q}" A: "${pair.a}"`).join(' | ')}`
+    ? `RECENT Q/A PAIRS: ${safePairs.map((pair) => `Q: ${fenceApplicantText(pair.q)} A: ${fenceApplicantText(pair.a)}`).join(' | ')}`
     : 'RECENT Q/A PAIRS: none';
 
   return `You are a follow-up question generator for a life insurance questionnaire. Your job is to ask at most ONE concise, relevant follow-up question to clarify or expand on the user's last answer.
 
+${APPLICANT_TEXT_RULE}
+
 ${contextLine}
 SECTION: "${section}"
 QUESTION: "${questionText}"
-LAST ANSWER: "${lastAnswer}"
-RECENT USER ANSWERS: ${safePrior.map((a) => `"${a}"`).join(', ') || 'none'}
-PREVIOUS FOLLOW-UP QUESTIONS: ${safeFollowups.map((q) => `"${q}"`).join(', ') || 'none'}
+LAST ANSWER: ${fenceApplicantText(lastAnswer)}
+RECENT USER ANSWERS: ${fenceApplicantList(safePrior)}
+PREVIOUS FOLLOW-UP QUESTIONS: ${fenceApplicantList(safeFollowups)}
 UPCOMING SCRIPT QUESTIONS: ${safeUpcoming.map((q) => `"${q}"`).join(', ') || 'none'}
 ${primaryLine}
 ${sectionLine}
 ${qaLine}
 ${topicLine}
 ${guidanceLine}
+${languageRule(language, 'the follow-up question')}
 
 RULES:
 - Ask ONLY ONE follow-up question, or respond done.
@@ -233,7 +767,9 @@ function buildFollowupOverlapPrompt(candidateQuestion, upcomingQuestions = []) {
 
   return `You are a strict overlap checker for a life insurance questionnaire.
 
-CANDIDATE FOLLOW-UP: "${candidateQuestion}"
+${APPLICANT_TEXT_RULE}
+
+CANDIDATE FOLLOW-UP: ${fenceApplicantText(candidateQuestion)}
 UPCOMING SCRIPT QUESTIONS: ${safeUpcoming.map((q) => `"${q}"`).join(', ') || 'none'}
 
 RULES:
@@ -256,552 +792,1864 @@ or
  * Returns non-sensitive configuration for the frontend
  */
 app.get('/api/config', (req, res) => {
+  const providers = llm.describe();
   res.json({
-    ttsEnabled: !!config.elevenlabs.apiKey,
-    validationEnabled: !!(config.anthropic.apiKey || config.openai.apiKey),
-    validationProvider: config.validationProvider,
+    ttsEnabled: !!config.elevenlabs.apiKey || config.fixtures.mode === 'replay',
+    validationEnabled: providers.length > 0,
+    validationProvider: providers.length > 0 ? providers[0].name : null,
+    validationProviders: providers.map((provider) => provider.name),
+    sttEnabled: stt.isEnabled(),
+    voices: voices.describe(Object.keys(LANGUAGE_OPTIONS)),
   });
 });
 
 /**
- * POST /api/tts
- * Converts text to speech using ElevenLabs
+ * GET /api/questionnaire
+ * Returns the active version of the question script
  */
-app.post('/api/tts', async (req, res) => {
-  const { text, language } = req.body;
-
-  if (!text) {
-    return res.status(400).json({ error: 'Text is required' });
+app.get('/api/questionnaire', async (req, res) => {
+  try {
+    res.json(publicVersion(await registry.requireActive()));
+  } catch (error) {
+    sendSessionError(res, error, 'Questionnaire load');
   }
+});
 
-  if (!config.elevenlabs.apiKey) {
-    return res.status(503).json({ error: 'ElevenLabs API key not configured' });
+/**
+ * The questionnaire a session is asked from, or the active one without a
+ * (known) session.
+ */
+async function questionnaireForSessionId(sessionId) {
+  const session = sessionId ? await sessions.get(sessionId) : null;
+  return session ? registry.forSession(session) : registry.active();
+}
+
+/**
+ * Send a session error (or an unexpected failure) as JSON
+ */
+function sendSessionError(res, error, label) {
+  if (error.retryAfterSeconds) res.set('Retry-After', String(error.retryAfterSeconds));
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message, ...(error.details || {}) });
   }
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ error: `${label} failed` });
+}
 
+/**
+ * POST /api/sessions
+ * Starts a new interview session; the id doubles as the resume token, and
+ * accessToken authorizes the provider endpoints for it. With X-API-Key the
+ * session belongs to the key's tenant.
+ */
+app.post('/api/sessions', async (req, res) => {
+  const { language } = req.body || {};
   try {
-    const languageTag = typeof language === 'string' && language.trim() ? language.trim() : 'en-US';
-    const candidateCode = languageTag.split('-')[0].toLowerCase();
-    const languageCode = /^[a-z]{2}$/.test(candidateCode) ? candidateCode : 'en';
-
-    const response = await fetch(
-      `https://api.elevenlabs.io/v1/text-to-speech/${config.elevenlabs.voiceId}/stream`,
-      {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'xi-api-key': config.elevenlabs.apiKey,
-        },
-        body: JSON.stringify({
-          text,
-          model_id: config.elevenlabs.modelId,
-          language_code: languageCode,
-          voice_settings: {
-            stability: 0.5,
-            similarity_boost: 0.75,
-          },
-        }),
-      }
-    );
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('ElevenLabs API error:', response.status, errorText);
-      return res.status(response.status).json({ error: 'TTS API error' });
-    }
-
-    // Stream the audio response
-    res.set({
-      'Content-Type': 'audio/mpeg',
-      'Transfer-Encoding': 'chunked',
-    });
-
-    const reader = response.body.getReader();
-    
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-      res.write(value);
-    }
-    
-    res.end();
-
+    const session = await createSession(language, { type: 'web' }, sessionTenant(req));
+    res.status(201).json(withAccessToken(session));
   } catch (error) {
-    console.error('TTS error:', error);
-    res.status(500).json({ error: 'TTS request failed' });
+    sendSessionError(res, error, 'Session create');
   }
 });
 
 /**
- * POST /api/validate
- * Validates user responses using Anthropic or OpenAI
+ * Create a session, pinned to the active questionnaire version, and start
+ * its audit log.
  */
-app.post('/api/validate', async (req, res) => {
-  const { question, questionType, transcript, choices } = req.body;
+async function createSession(language, channel = { type: 'web' }, tenant = PUBLIC_TENANT) {
+  const questionnaire = await registry.requireActive();
+  const session = await sessions.create({
+    language: typeof language === 'string' && language.trim() ? language.trim() : 'en',
+    channel,
+    tenant,
+    questionnaire: { id: questionnaire.questionnaireId, version: questionnaire.version },
+  });
+  await audit.create(session.id, {
+    language: session.language,
+    channel: session.channel,
+    tenant: session.tenant,
+    questionnaire: session.questionnaire,
+  });
+  return session;
+}
 
-  if (!question || !questionType || transcript === undefined) {
-    return res.status(400).json({ error: 'Missing required fields' });
+/**
+ * GET /api/sessions/:id
+ * Returns a session so the interview can be resumed, with a fresh
+ * accessToken
+ */
+app.get('/api/sessions/:id', async (req, res) => {
+  try {
+    res.json(withAccessToken(await sessions.require(req.params.id)));
+  } catch (error) {
+    sendSessionError(res, error, 'Session fetch');
   }
+});
 
-  const prompt = buildValidationPrompt(question, questionType, transcript, choices);
-
+/**
+ * GET /api/sessions/:id/questionnaire
+ * Returns the questionnaire version the session is asked from
+ */
+app.get('/api/sessions/:id/questionnaire', async (req, res) => {
   try {
-    let result;
-
-    if (config.validationProvider === 'openai' && config.openai.apiKey) {
-      result = await validateWithOpenAI(prompt);
-    } else if (config.anthropic.apiKey) {
-      result = await validateWithAnthropic(prompt);
-    } else {
-      // Fallback to rule-based validation
-      result = fallbackValidation(questionType, transcript, choices);
-    }
-
-    res.json(result);
-
+    const session = await sessions.require(req.params.id);
+    res.json(publicVersion(await registry.forSession(session)));
   } catch (error) {
-    console.error('Validation error:', error);
-    // Return fallback validation on error
-    res.json(fallbackValidation(questionType, transcript, choices));
+    sendSessionError(res, error, 'Session questionnaire');
   }
 });
 
 /**
- * POST /api/why
- * Returns a brief explanation of why a question is being asked
+ * PATCH /api/sessions/:id
+ * Updates the session language or pauses it
  */
-app.post('/api/why', async (req, res) => {
-  const { question, section, explainLevel, previousExplanation } = req.body;
-
-  if (!question || !section) {
-    return res.status(400).json({ error: 'Missing required fields' });
+app.patch('/api/sessions/:id', async (req, res) => {
+  try {
+    const { language, status } = req.body || {};
+    const session = await sessions.update(req.params.id, req.body || {});
+    await recordAudit(session.id, 'session.updated', { language, status });
+    res.json(session);
+  } catch (error) {
+    sendSessionError(res, error, 'Session update');
   }
+});
 
-  const prompt = buildWhyPrompt(question, section, explainLevel, previousExplanation);
-
+/**
+ * DELETE /api/sessions/:id
+ * Deletes a session immediately
+ */
+app.delete('/api/sessions/:id', async (req, res) => {
   try {
-    let result;
-
-    if (config.validationProvider === 'openai' && config.openai.apiKey) {
-      result = await explainWithOpenAI(prompt);
-    } else if (config.anthropic.apiKey) {
-      result = await explainWithAnthropic(prompt);
-    } else {
-      result = { explanation: 'This helps us understand your medical history for your application.' };
-    }
-
-    res.json(result);
+    const deleted = await sessions.delete(req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Session not found or expired' });
+    res.status(204).end();
   } catch (error) {
-    console.error('Why explanation error:', error);
-    res.json({ explanation: 'This helps us understand your medical history for your application.' });
+    sendSessionError(res, error, 'Session delete');
   }
 });
 
 /**
- * POST /api/followup
- * Generates a single follow-up question or returns done
+ * POST /api/flow/start
+ * Returns the question due for a session (the first one for a new session)
  */
-app.post('/api/followup', async (req, res) => {
-  const { context, section, questionText, lastAnswer, priorAnswers, topic, previousFollowups, guidance, upcomingQuestions, sectionAnswers, recentQAPairs, primaryContext } = req.body;
-
-  if (!section || !questionText || lastAnswer === undefined) {
+app.post('/api/flow/start', async (req, res) => {
+  const { sessionId } = req.body || {};
+  if (!sessionId) {
     return res.status(400).json({ error: 'Missing required fields' });
   }
+  try {
+    res.json(await flow.start(sessionId));
+  } catch (error) {
+    sendSessionError(res, error, 'Flow start');
+  }
+});
 
-  if (!config.anthropic.apiKey && !config.openai.apiKey) {
-    return res.json({ done: true });
+/**
+ * GET /api/flow/:sessionId
+ * Returns the question currently due
+ */
+app.get('/api/flow/:sessionId', async (req, res) => {
+  try {
+    res.json(await flow.current(req.params.sessionId));
+  } catch (error) {
+    sendSessionError(res, error, 'Flow fetch');
   }
+});
 
-  const prompt = buildFollowupPrompt({
-    context,
-    section,
-    questionText,
-    lastAnswer,
-    priorAnswers,
-    topic,
-    previousFollowups,
-    guidance,
-    upcomingQuestions,
-    sectionAnswers,
-    recentQAPairs,
-    primaryContext,
-  });
+/**
+ * POST /api/flow/answer
+ * Records the validated answer to the current question and returns the next
+ * question picked by the server. Answers to any other question get a 409,
+ * answers that do not fit the question type a 400.
+ */
+app.post('/api/flow/answer', async (req, res) => {
+  const { sessionId, questionId, answer, followups } = req.body || {};
+  if (!sessionId || !questionId || answer === undefined) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  try {
+    const result = await flow.answer(sessionId, { questionId, answer, followups });
+    await recordAudit(sessionId, 'answer.recorded', {
+      questionId,
+      answer,
+      followups: followups || null,
+      conflictId: result.conflict ? result.conflict.id : null,
+      nextQuestionId: result.question ? result.question.id : null,
+      complete: result.complete,
+    });
+    await sendCompletedWebhook(sessionId, result);
+    res.json(result);
+  } catch (error) {
+    sendSessionError(res, error, 'Flow answer');
+  }
+});
 
+/**
+ * POST /api/flow/resolve
+ * Settles the pending answer conflict ("corrected" with questionId and
+ * answer, "confirmed" or "unresolved") and returns the next question
+ */
+app.post('/api/flow/resolve', async (req, res) => {
+  const { sessionId, conflictId, resolution, questionId, answer } = req.body || {};
+  if (!sessionId || !conflictId || !resolution) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
   try {
-    let result;
+    const result = await flow.resolve(sessionId, { conflictId, resolution, questionId, answer });
+    await recordAudit(sessionId, 'conflict.resolved', {
+      conflictId,
+      resolution,
+      questionId: questionId || null,
+      answer: answer === undefined ? null : answer,
+      nextConflictId: result.conflict ? result.conflict.id : null,
+    });
+    await sendCompletedWebhook(sessionId, result);
+    res.json(result);
+  } catch (error) {
+    sendSessionError(res, error, 'Flow resolve');
+  }
+});
 
-    if (config.validationProvider === 'openai' && config.openai.apiKey) {
-      result = await followupWithOpenAI(prompt);
-    } else if (config.anthropic.apiKey) {
-      result = await followupWithAnthropic(prompt);
-    } else {
-      result = { done: true };
-    }
+/**
+ * GET /api/fhir/Questionnaire
+ * The active question script as a FHIR R4 Questionnaire (?version=n for a
+ * published version)
+ */
+app.get('/api/fhir/Questionnaire', async (req, res) => {
+  try {
+    const questionnaire = req.query.version
+      ? await registry.version(config.questionnaires.defaultId, Number(req.query.version))
+      : await registry.requireActive();
+    if (!questionnaire) return res.status(404).json({ error: 'No such version' });
+    const { resource } = questionnaireToFhir(questionnaire);
+    res.type('application/fhir+json').send(JSON.stringify(resource));
+  } catch (error) {
+    sendSessionError(res, error, 'FHIR Questionnaire');
+  }
+});
 
-    res.json(result);
+/**
+ * GET /api/fhir/QuestionnaireResponse/:sessionId
+ * A session's answers as a FHIR R4 QuestionnaireResponse
+ */
+app.get('/api/fhir/QuestionnaireResponse/:sessionId', async (req, res) => {
+  try {
+    const session = await sessions.require(req.params.sessionId);
+    const resource = sessionToQuestionnaireResponse(session, await registry.forSession(session));
+    res.type('application/fhir+json').send(JSON.stringify(resource));
   } catch (error) {
-    console.error('Followup error:', error);
-    res.json({ done: true });
+    sendSessionError(res, error, 'FHIR QuestionnaireResponse');
   }
 });
 
 /**
- * POST /api/followup-check
- * Validates whether a follow-up question overlaps upcoming scripted questions
+ * POST /api/audit/events
+ * Records what the browser spoke and heard ({ sessionId, events: [{ type,
+ * at, data }] }) in the session's audit log, with the session's token and
+ * only while the session is open or has only just completed
  */
-app.post('/api/followup-check', async (req, res) => {
-  const { candidateQuestion, upcomingQuestions } = req.body;
+app.post('/api/audit/events', requireApiAccess, async (req, res) => {
+  const { sessionId, events } = req.body || {};
+  if (!sessionId || !Array.isArray(events) || events.length === 0) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  if (events.length > MAX_AUDIT_EVENTS_PER_REQUEST) {
+    return res.status(400).json({ error: `At most ${MAX_AUDIT_EVENTS_PER_REQUEST} events per request` });
+  }
+  for (const event of events) {
+    if (!event || !CLIENT_AUDIT_EVENTS.includes(event.type)) {
+      return res.status(400).json({ error: `type must be one of: ${CLIENT_AUDIT_EVENTS.join(', ')}` });
+    }
+    if (JSON.stringify(event.data || {}).length > MAX_AUDIT_EVENT_BYTES) {
+      return res.status(400).json({ error: 'Audit event data is too large' });
+    }
+  }
 
-  if (!candidateQuestion) {
+  try {
+    const session = await sessions.require(sessionId);
+    if (isPastCompletionGrace(session)) {
+      return res.status(409).json({ error: 'Session is already complete' });
+    }
+    let recorded = 0;
+    for (const event of events) {
+      const entry = await audit.append(session.id, event.type, {
+        ...(event.data || {}),
+        source: 'client',
+        clientAt: typeof event.at === 'string' ? event.at : null,
+      });
+      if (!entry) return res.status(404).json({ error: 'No audit log for this session' });
+      recorded += 1;
+    }
+    res.json({ recorded });
+  } catch (error) {
+    sendSessionError(res, error, 'Audit event');
+  }
+});
+
+/**
+ * POST /api/events
+ * Collects interview analytics from the browser ({ sessionId, events:
+ * [{ type, questionId, data }] }) with the session's token; see
+ * lib/analytics.js. Events count under the session's questionnaire version,
+ * and only while the session is open or has only just completed.
+ */
+app.post('/api/events', requireApiAccess, async (req, res) => {
+  const { sessionId, events } = req.body || {};
+  if (!sessionId || !Array.isArray(events) || events.length === 0) {
     return res.status(400).json({ error: 'Missing required fields' });
   }
+  if (events.length > MAX_ANALYTICS_EVENTS_PER_REQUEST) {
+    return res.status(400).json({ error: `At most ${MAX_ANALYTICS_EVENTS_PER_REQUEST} events per request` });
+  }
+  for (const event of events) {
+    if (!event || !CLIENT_EVENTS.includes(event.type)) {
+      return res.status(400).json({ error: `type must be one of: ${CLIENT_EVENTS.join(', ')}` });
+    }
+  }
+
+  try {
+    const session = await sessions.require(sessionId);
+    if (isPastCompletionGrace(session)) {
+      return res.status(409).json({ error: 'Session is already complete' });
+    }
+    const recorded = await recordAnalytics(session.id, events);
+    res.status(202).json({ recorded });
+  } catch (error) {
+    sendSessionError(res, error, 'Analytics');
+  }
+});
+
+// ============================================================================
+// TEXT CONVERSATIONS
+// ============================================================================
+
+// Text conversations and phone calls drive the same API as the browser,
+// over loopback
+const LOOPBACK_API_BASE_URL = `http://127.0.0.1:${PORT}`;
 
-  if (!config.anthropic.apiKey && !config.openai.apiKey) {
-    return res.json({ allow: true });
+/**
+ * A new conversation needs no credentials, like POST /api/sessions;
+ * continuing one needs its session token or the tenant's API key.
+ */
+async function requireConversationAccess(req, res, next) {
+  const sessionId = requestedSessionId(req);
+  if (!sessionId && !req.get('Authorization') && !req.get('X-API-Key')) return next();
+  if (sessionId && !(await sessions.get(sessionId))) {
+    return res.status(404).json({ error: 'Session not found or expired' });
   }
+  return requireApiAccess(req, res, next);
+}
+
+/**
+ * The JSON for a turn; reply is its messages as one text, for channels
+ * that take a single message (SMS).
+ */
+function conversationTurnResponse(sessionId, turn, accessToken = null) {
+  return {
+    sessionId,
+    ...(accessToken ? { accessToken } : {}),
+    status: turn.status,
+    language: turn.language,
+    reply: turn.messages.map((message) => message.text).join('\n\n'),
+    messages: turn.messages,
+    question: turn.question,
+  };
+}
 
-  const prompt = buildFollowupOverlapPrompt(candidateQuestion, upcomingQuestions);
+/**
+ * POST /api/conversation/turn
+ * The interview as a typed chat. { text, language } without a sessionId
+ * starts one and returns its sessionId and accessToken with the first
+ * question; { sessionId, text } answers and returns what the interviewer
+ * says next. status is awaiting_input until the interview is complete,
+ * handed off to an agent, or failed.
+ */
+app.post('/api/conversation/turn', requireConversationAccess, async (req, res) => {
+  const { sessionId, text, language } = req.body || {};
+  if (text !== undefined && text !== null && typeof text !== 'string') {
+    return res.status(400).json({ error: 'text must be a string' });
+  }
+  const message = typeof text === 'string' ? text.trim() : '';
+  if (message.length > config.conversation.maxTextLength) {
+    return res.status(400).json({ error: `text must be at most ${config.conversation.maxTextLength} characters` });
+  }
 
   try {
-    let result;
+    const questionnaire = await registry.requireActive();
+    if (!sessionId) {
+      const tenant = req.principal ? req.principal.tenant : sessionTenant(req);
+      let accessToken = null;
+      const conversation = new ChatConversation({
+        questions: questionnaire.questions,
+        baseUrl: LOOPBACK_API_BASE_URL,
+        createSession: async (sessionLanguage) => {
+          const session = withAccessToken(await createSession(sessionLanguage, { type: 'chat' }, tenant));
+          accessToken = session.accessToken;
+          return session;
+        },
+      });
+      const turn = await conversation.start(language);
+      if (!conversation.sessionId) {
+        conversation.stop();
+        return res.status(500).json({ error: 'Conversation failed to start' });
+      }
+      if (turn.status === 'awaiting_input') conversations.add(conversation);
+      return res.status(201).json(conversationTurnResponse(conversation.sessionId, turn, accessToken));
+    }
 
-    if (config.validationProvider === 'openai' && config.openai.apiKey) {
-      result = await followupWithOpenAI(prompt);
-    } else if (config.anthropic.apiKey) {
-      result = await followupWithAnthropic(prompt);
-    } else {
-      result = { allow: true };
+    const session = await sessions.require(sessionId);
+    if (session.status === 'complete') {
+      return res.status(409).json({ error: 'Session is already complete' });
     }
 
-    if (result && typeof result.allow === 'boolean') {
-      return res.json(result);
+    // Not in memory: pick the interview up where the session is
+    let earlier = [];
+    let conversation = conversations.get(sessionId);
+    if (!conversation) {
+      conversation = conversations.add(new ChatConversation({
+        sessionId,
+        questions: questionnaire.questions,
+        baseUrl: LOOPBACK_API_BASE_URL,
+      }));
+      const resumed = await conversation.resume(withAccessToken(session));
+      if (resumed.status !== 'awaiting_input' || !message) {
+        if (resumed.status !== 'awaiting_input') conversations.end(sessionId);
+        return res.json(conversationTurnResponse(sessionId, resumed));
+      }
+      earlier = resumed.messages;
+    }
+
+    if (!message) return res.status(400).json({ error: 'text is required' });
+    const pending = conversation.hear(message);
+    if (!pending) {
+      return res.status(409).json({ error: 'The previous message is still being answered; send this one again shortly' });
     }
-    return res.json({ allow: true });
+    const turn = await pending;
+    if (turn.status !== 'awaiting_input') conversations.end(sessionId);
+    res.json(conversationTurnResponse(sessionId, { ...turn, messages: earlier.concat(turn.messages) }));
   } catch (error) {
-    console.error('Followup check error:', error);
-    return res.json({ allow: true });
+    sendSessionError(res, error, 'Conversation turn');
   }
 });
 
+// ============================================================================
+// TELEPHONY (TWILIO VOICE WEBHOOKS)
+// ============================================================================
+
+const twilioForm = express.urlencoded({ extended: false });
+
 /**
- * Validate using Anthropic Claude
+ * Voice webhooks must carry a valid X-Twilio-Signature when
+ * TWILIO_AUTH_TOKEN is set.
  */
-async function validateWithAnthropic(prompt) {
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': config.anthropic.apiKey,
-      'anthropic-version': '2023-06-01',
-    },
-    body: JSON.stringify({
-      model: config.anthropic.model,
-      max_tokens: 100,
-      messages: [{ role: 'user', content: prompt }],
-    }),
-  });
+function requireTwilioSignature(req, res, next) {
+  if (!config.telephony.authToken) return next();
+  const baseUrl = config.telephony.publicUrl || `${req.protocol}://${req.get('host')}`;
+  const valid = verifyTwilioSignature(
+    config.telephony.authToken,
+    `${baseUrl}${req.originalUrl}`,
+    req.body || {},
+    req.get('X-Twilio-Signature')
+  );
+  if (!valid) return res.status(403).json({ error: 'Invalid Twilio signature' });
+  return next();
+}
 
-  if (!response.ok) {
-    throw new Error(`Anthropic API error: ${response.status}`);
+/**
+ * Answer a webhook with the call's next turn, or ask Twilio to come back
+ * for it when the turn takes too long (slow validation or follow-ups).
+ */
+async function sendTurn(res, call, turn) {
+  const ready = await waitForTurn(turn);
+  res.type('text/xml');
+  if (!ready) return res.send(continueTwiml('/api/telephony/continue'));
+
+  if (ready.type !== 'gather' && !call.outcomeRecorded) {
+    call.outcomeRecorded = true;
+    const data = { callId: call.callId, outcome: ready.type };
+    if (ready.type === 'transfer') data.transferred = !!config.telephony.transferNumber;
+    await recordAudit(call.sessionId, 'call.finished', data);
   }
-
-  const data = await response.json();
-  const content = data.content[0].text.trim();
-  
-  return parseValidationResponse(content);
+  return res.send(turnToTwiml(ready, {
+    actionUrl: '/api/telephony/gather',
+    audioUrl: config.telephony.voice === 'elevenlabs'
+      ? (index) => `/api/telephony/calls/${encodeURIComponent(call.callId)}/audio/${index}`
+      : null,
+    sayVoice: config.telephony.sayVoice,
+    pronounce: (text, language) => voices.pronounce(text, language),
+    transferNumber: config.telephony.transferNumber,
+    gatherTimeoutSeconds: config.telephony.gatherTimeoutSeconds,
+  }));
 }
 
 /**
- * Follow-up question using Anthropic Claude
+ * POST /api/telephony/voice
+ * Twilio's incoming-call webhook ({ CallSid, From, To }); starts the
+ * interview. ?language=es picks the language for the number it is set on.
  */
-async function followupWithAnthropic(prompt) {
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': config.anthropic.apiKey,
-      'anthropic-version': '2023-06-01',
-    },
-    body: JSON.stringify({
-      model: config.anthropic.model,
-      max_tokens: 120,
-      messages: [{ role: 'user', content: prompt }],
-    }),
-  });
+app.post('/api/telephony/voice', twilioForm, requireTwilioSignature, async (req, res) => {
+  const { CallSid: callId } = req.body || {};
+  if (!callId) return res.status(400).json({ error: 'CallSid is required' });
+
+  const existing = calls.get(callId);
+  if (existing) return sendTurn(res, existing, existing.turn);
 
-  if (!response.ok) {
-    throw new Error(`Anthropic API error: ${response.status}`);
+  // Twilio only understands TwiML: a call that cannot start is told so
+  // and hung up
+  try {
+    const { questions } = await registry.requireActive();
+    const call = calls.add(new PhoneCall({
+      callId,
+      language: req.query.language,
+      questions,
+      baseUrl: LOOPBACK_API_BASE_URL,
+      createSession: async (language, sessionCallId) => {
+        const session = await createSession(language, { type: 'phone', callId: sessionCallId });
+        await recordAudit(session.id, 'call.started', { callId: sessionCallId });
+        return withAccessToken(session);
+      },
+    }));
+    return await sendTurn(res, call, call.start());
+  } catch (error) {
+    console.error('Incoming call error:', error);
+    if (!res.headersSent) res.type('text/xml').send(unknownCallTwiml(req.query.language));
   }
+});
 
-  const data = await response.json();
-  const content = data.content[0].text.trim();
+/**
+ * POST /api/telephony/gather
+ * The <Gather> action: SpeechResult is what the caller said (empty for
+ * silence)
+ */
+app.post('/api/telephony/gather', twilioForm, requireTwilioSignature, (req, res) => {
+  const { CallSid: callId, SpeechResult: speech } = req.body || {};
+  const call = calls.get(callId);
+  if (!call || !call.turn) {
+    return res.type('text/xml').send(unknownCallTwiml(req.query.language));
+  }
+  return sendTurn(res, call, call.hear(speech));
+});
 
-  return parseFollowupResponse(content);
-}
+/**
+ * POST /api/telephony/continue
+ * Where a slow turn redirects to; answers with the same turn when ready
+ */
+app.post('/api/telephony/continue', twilioForm, requireTwilioSignature, (req, res) => {
+  const call = calls.get((req.body || {}).CallSid);
+  if (!call || !call.turn) {
+    return res.type('text/xml').send(unknownCallTwiml(req.query.language));
+  }
+  return sendTurn(res, call, call.turn);
+});
 
 /**
- * Explain using Anthropic Claude
+ * POST /api/telephony/status
+ * Twilio's call status callback; a finished call is stopped and forgotten
  */
-async function explainWithAnthropic(prompt) {
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': config.anthropic.apiKey,
-      'anthropic-version': '2023-06-01',
-    },
-    body: JSON.stringify({
-      model: config.anthropic.model,
-      max_tokens: 120,
-      messages: [{ role: 'user', content: prompt }],
-    }),
-  });
+app.post('/api/telephony/status', twilioForm, requireTwilioSignature, async (req, res) => {
+  const { CallSid: callId, CallStatus: status, CallDuration: duration } = req.body || {};
+  if (ENDED_CALL_STATUSES.includes(status)) {
+    const call = calls.end(callId);
+    if (call) {
+      await recordAudit(call.sessionId, 'call.ended', {
+        callId,
+        status,
+        outcome: call.outcome,
+        durationSeconds: duration ? Number(duration) : null,
+      });
+    }
+  }
+  res.status(204).end();
+});
+
+/**
+ * GET /api/telephony/calls/:callId/audio/:index
+ * ElevenLabs audio for a prompt of the call (TELEPHONY_VOICE=elevenlabs)
+ */
+app.get('/api/telephony/calls/:callId/audio/:index', async (req, res) => {
+  const call = calls.get(req.params.callId);
+  const text = call ? call.prompts[Number(req.params.index)] : undefined;
+  if (text === undefined) return res.status(404).json({ error: 'Prompt not found' });
 
-  if (!response.ok) {
-    throw new Error(`Anthropic API error: ${response.status}`);
+  try {
+    const session = call.sessionId ? await sessions.get(call.sessionId) : null;
+    const response = await fetch(`${LOOPBACK_API_BASE_URL}/api/tts`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(session ? { Authorization: `Bearer ${withAccessToken(session).accessToken}` } : {}),
+      },
+      body: JSON.stringify({ text, language: getLanguageConfig(call.language).ttsLang, sessionId: call.sessionId }),
+    });
+    if (!response.ok) return res.status(502).json({ error: 'TTS request failed' });
+    res.set('Content-Type', 'audio/mpeg');
+    res.send(Buffer.from(await response.arrayBuffer()));
+  } catch (error) {
+    console.error('Telephony audio error:', error);
+    res.status(502).json({ error: 'TTS request failed' });
   }
+});
+
+// ============================================================================
+// INTERNAL (AGENT-ONLY) ENDPOINTS
+// ============================================================================
 
-  const data = await response.json();
-  const content = data.content[0].text.trim();
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+// Behind a proxy every request arrives from a local address, so local
+// access without a key is only honoured when TRUST_PROXY is not set.
+const INTERNAL_LOCAL_ACCESS = config.internalLocalAccess && !config.trustProxy;
 
-  return parseWhyResponse(content);
+function internalKeyMatches(provided) {
+  const expected = Buffer.from(config.internalApiKey);
+  const actual = Buffer.from(provided || '');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
 }
 
 /**
- * Validate using OpenAI
+ * Agent-only routes need the X-Internal-Key header matching INTERNAL_API_KEY.
+ * Without a key they are closed, unless INTERNAL_ACCESS=local opens them to
+ * requests from this machine.
  */
-async function validateWithOpenAI(prompt) {
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${config.openai.apiKey}`,
-    },
-    body: JSON.stringify({
-      model: config.openai.model,
-      max_tokens: 100,
-      messages: [{ role: 'user', content: prompt }],
-    }),
-  });
+function requireInternalAccess(req, res, next) {
+  if (config.internalApiKey) {
+    if (internalKeyMatches(req.get('X-Internal-Key'))) return next();
+    return res.status(401).json({ error: 'Invalid or missing internal key' });
+  }
+  if (!INTERNAL_LOCAL_ACCESS) {
+    return res.status(403).json({ error: 'Internal endpoints are closed until INTERNAL_API_KEY is set' });
+  }
+  if (LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress)) return next();
+  return res.status(403).json({ error: 'Internal endpoints are only available locally' });
+}
+
+/**
+ * GET /internal/underwriting
+ * Agent summary page; the data comes from the endpoint below
+ */
+app.get('/internal/underwriting', (req, res) => {
+  res.sendFile(path.join(__dirname, 'internal', 'underwriting.html'));
+});
 
-  if (!response.ok) {
-    throw new Error(`OpenAI API error: ${response.status}`);
+/**
+ * GET /api/internal/sessions/:id/audit
+ * The session's hash-chained audit log, with its head, for verification.
+ * Logs are kept after the session is deleted or expires.
+ */
+app.get('/api/internal/sessions/:id/audit', requireInternalAccess, async (req, res) => {
+  try {
+    const log = await audit.export(req.params.id);
+    if (!log) return res.status(404).json({ error: 'No audit log for this session' });
+    res.json(log);
+  } catch (error) {
+    console.error('Audit export error:', error);
+    res.status(500).json({ error: 'Audit export failed' });
   }
+});
 
-  const data = await response.json();
-  const content = data.choices[0].message.content.trim();
-  
-  return parseValidationResponse(content);
-}
+/**
+ * GET /api/internal/telephony/calls
+ * The phone calls in progress, by call id, with their sessions
+ */
+app.get('/api/internal/telephony/calls', requireInternalAccess, (req, res) => {
+  res.json({ calls: calls.list() });
+});
 
 /**
- * Follow-up question using OpenAI
+ * POST /api/internal/redaction/preview
+ * Shows what would reach the LLM for { text, questionId?, sessionId? } and
+ * the redaction report, so the rules can be checked before sign-off.
  */
-async function followupWithOpenAI(prompt) {
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${config.openai.apiKey}`,
-    },
-    body: JSON.stringify({
-      model: config.openai.model,
-      max_tokens: 120,
-      messages: [{ role: 'user', content: prompt }],
-    }),
-  });
+app.post('/api/internal/redaction/preview', requireInternalAccess, async (req, res) => {
+  const { text, questionId, sessionId } = req.body || {};
+  if (typeof text !== 'string') {
+    return res.status(400).json({ error: 'text is required' });
+  }
+  const redaction = await startRedaction(sessionId);
+  const redacted = redaction.redact(text, { questionId });
+  res.json({ text: redacted, report: redaction.report() });
+});
 
-  if (!response.ok) {
-    throw new Error(`OpenAI API error: ${response.status}`);
+/**
+ * GET /api/internal/sessions/:id/underwriting
+ * Preliminary risk class and the rules that fired, for agents only
+ */
+app.get('/api/internal/sessions/:id/underwriting', requireInternalAccess, async (req, res) => {
+  try {
+    const session = await sessions.require(req.params.id);
+    res.json({ ...assessSession(session), answers: session.answers });
+  } catch (error) {
+    sendSessionError(res, error, 'Underwriting');
   }
+});
 
-  const data = await response.json();
-  const content = data.choices[0].message.content.trim();
+// ============================================================================
+// QUESTIONNAIRE REGISTRY (agents only)
+// ============================================================================
 
-  return parseFollowupResponse(content);
-}
+/**
+ * GET /api/internal/questionnaires
+ * Every question script with its active and latest version
+ */
+app.get('/api/internal/questionnaires', requireInternalAccess, async (req, res) => {
+  try {
+    res.json({ questionnaires: await registry.list() });
+  } catch (error) {
+    sendSessionError(res, error, 'Questionnaire list');
+  }
+});
 
 /**
- * Explain using OpenAI
+ * POST /api/internal/questionnaires
+ * Creates a script ({ id, title, document }); document, a decision tree or
+ * question script, becomes its draft
  */
-async function explainWithOpenAI(prompt) {
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${config.openai.apiKey}`,
-    },
-    body: JSON.stringify({
-      model: config.openai.model,
-      max_tokens: 120,
-      messages: [{ role: 'user', content: prompt }],
-    }),
-  });
+app.post('/api/internal/questionnaires', requireInternalAccess, async (req, res) => {
+  try {
+    res.status(201).json(await registry.create(req.body || {}));
+  } catch (error) {
+    sendSessionError(res, error, 'Questionnaire create');
+  }
+});
 
-  if (!response.ok) {
-    throw new Error(`OpenAI API error: ${response.status}`);
+/**
+ * GET /api/internal/questionnaires/:id
+ * A script with its draft and published versions
+ */
+app.get('/api/internal/questionnaires/:id', requireInternalAccess, async (req, res) => {
+  try {
+    res.json(await registry.get(req.params.id));
+  } catch (error) {
+    sendSessionError(res, error, 'Questionnaire fetch');
   }
+});
 
-  const data = await response.json();
-  const content = data.choices[0].message.content.trim();
+/**
+ * PATCH /api/internal/questionnaires/:id
+ * Renames a script ({ title })
+ */
+app.patch('/api/internal/questionnaires/:id', requireInternalAccess, async (req, res) => {
+  try {
+    res.json(await registry.rename(req.params.id, req.body || {}));
+  } catch (error) {
+    sendSessionError(res, error, 'Questionnaire update');
+  }
+});
 
-  return parseWhyResponse(content);
-}
+/**
+ * DELETE /api/internal/questionnaires/:id
+ * Deletes a script that was never published
+ */
+app.delete('/api/internal/questionnaires/:id', requireInternalAccess, async (req, res) => {
+  try {
+    await registry.remove(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendSessionError(res, error, 'Questionnaire delete');
+  }
+});
 
 /**
- * Parse LLM response to extract validation result
+ * GET /api/internal/questionnaires/:id/draft
+ * The draft with its lint issues
  */
-function parseValidationResponse(content) {
+app.get('/api/internal/questionnaires/:id/draft', requireInternalAccess, async (req, res) => {
   try {
-    // Remove markdown wrapping if present
-    const jsonStr = content.replace(/```json\n?|\n?```/g, '').trim();
-    const result = JSON.parse(jsonStr);
-    return {
-      valid: !!result.valid,
-      normalized: result.normalized || null,
-      explanation: result.explanation || null,
-      repeat: !!result.repeat,
-    };
+    const draft = await registry.draft(req.params.id);
+    if (!draft) return res.status(404).json({ error: 'There is no draft' });
+    res.json(draft);
   } catch (error) {
-    console.error('Failed to parse LLM response:', content);
-    return { valid: false, normalized: null };
+    sendSessionError(res, error, 'Questionnaire draft');
   }
-}
+});
 
 /**
- * Parse LLM response to extract follow-up question result
+ * PUT /api/internal/questionnaires/:id/draft
+ * Replaces the draft with the request body: a decision tree, an array of
+ * questions or { questions }
  */
-function parseFollowupResponse(content) {
+app.put('/api/internal/questionnaires/:id/draft', requireInternalAccess, async (req, res) => {
   try {
-    const jsonStr = content.replace(/```json\n?|\n?```/g, '').trim();
-    const result = JSON.parse(jsonStr);
-    if (result && typeof result.allow === 'boolean') {
-      return { allow: result.allow };
-    }
-    if (result && result.done) {
-      return { done: true };
-    }
-    if (result && typeof result.ask === 'string') {
-      const trimmed = result.ask.trim();
-      if (trimmed.length === 0) return { done: true };
-      if (trimmed.length > 200) return { done: true };
-      return { ask: trimmed };
-    }
-    return { done: true };
+    res.json(await registry.saveDraft(req.params.id, req.body));
   } catch (error) {
-    return { done: true };
+    sendSessionError(res, error, 'Questionnaire draft');
   }
-}
+});
 
 /**
- * Parse LLM response to extract why explanation
+ * POST /api/internal/questionnaires/:id/draft/import
+ * Replaces the draft with the decision tree file (DECISION_TREE_PATH)
  */
-function parseWhyResponse(content) {
+app.post('/api/internal/questionnaires/:id/draft/import', requireInternalAccess, async (req, res) => {
   try {
-    const jsonStr = content.replace(/```json\n?|\n?```/g, '').trim();
-    const result = JSON.parse(jsonStr);
-    return {
-      explanation: result.explanation || 'This helps us understand your medical history for your application.',
-    };
+    res.json(await registry.saveDraft(req.params.id, loadDecisionTree()));
   } catch (error) {
-    console.error('Failed to parse why response:', content);
-    return { explanation: 'This helps us understand your medical history for your application.' };
+    sendSessionError(res, error, 'Questionnaire import');
   }
-}
+});
 
 /**
- * Fallback rule-based validation (when no API keys configured)
+ * DELETE /api/internal/questionnaires/:id/draft
+ * Discards the draft
  */
-function stripAcknowledgementPrefix(text) {
-  const trimmed = text.trim();
-  const patterns = [
-    /^ok\b[\s,.-]*/i,
-    /^okay\b[\s,.-]*/i,
-    /^alright\b[\s,.-]*/i,
-    /^all right\b[\s,.-]*/i,
-    /^sure\b[\s,.-]*/i,
-    /^got it\b[\s,.-]*/i,
-    /^i get it\b[\s,.-]*/i,
-    /^i understand\b[\s,.-]*/i,
-    /^that makes sense\b[\s,.-]*/i,
-  ];
+app.delete('/api/internal/questionnaires/:id/draft', requireInternalAccess, async (req, res) => {
+  try {
+    await registry.discardDraft(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    sendSessionError(res, error, 'Questionnaire draft');
+  }
+});
 
-  for (const pattern of patterns) {
-    if (pattern.test(trimmed)) {
-      const updated = trimmed.replace(pattern, '').trim();
-      return updated.length > 0 ? updated : trimmed;
-    }
+/**
+ * PUT /api/internal/questionnaires/:id/draft/questions/:questionId
+ * Adds or replaces a question of the draft (started from the latest
+ * version when there is none); ?after= or ?before= a question id places it
+ */
+app.put('/api/internal/questionnaires/:id/draft/questions/:questionId', requireInternalAccess, async (req, res) => {
+  try {
+    res.json(await registry.putQuestion(req.params.id, req.params.questionId, req.body || {}, {
+      after: req.query.after || null,
+      before: req.query.before || null,
+    }));
+  } catch (error) {
+    sendSessionError(res, error, 'Questionnaire question');
   }
+});
 
-  return trimmed;
-}
+/**
+ * DELETE /api/internal/questionnaires/:id/draft/questions/:questionId
+ * Removes a question from the draft
+ */
+app.delete('/api/internal/questionnaires/:id/draft/questions/:questionId', requireInternalAccess, async (req, res) => {
+  try {
+    res.json(await registry.removeQuestion(req.params.id, req.params.questionId));
+  } catch (error) {
+    sendSessionError(res, error, 'Questionnaire question');
+  }
+});
 
-function isRepeatRequest(transcript) {
-  const normalized = transcript.toLowerCase().trim();
-  const patterns = [
-    'repeat',
-    'say that again',
-    'say it again',
-    'can you repeat',
-    'could you repeat',
-    'please repeat',
-    'repeat that',
-    'what was that',
-    'pardon',
-    'come again',
-    'say again',
-  ];
-  return patterns.some((p) => normalized.includes(p));
-}
+/**
+ * POST /api/internal/questionnaires/:id/publish
+ * Publishes the draft as the next version ({ notes, publishedBy, renamed:
+ * { oldId: newId }, activate }); a draft with lint errors gets a 422
+ */
+app.post('/api/internal/questionnaires/:id/publish', requireInternalAccess, async (req, res) => {
+  try {
+    res.status(201).json(await registry.publish(req.params.id, req.body || {}));
+  } catch (error) {
+    sendSessionError(res, error, 'Questionnaire publish');
+  }
+});
 
-function fallbackValidation(questionType, transcript, choices) {
-  const normalized = transcript.toLowerCase().trim();
-  
-  if (isRepeatRequest(transcript)) {
-    return { valid: false, normalized: null, explanation: null, repeat: true };
+/**
+ * GET /api/internal/questionnaires/:id/versions/:version
+ * A published version as it was published
+ */
+app.get('/api/internal/questionnaires/:id/versions/:version', requireInternalAccess, async (req, res) => {
+  try {
+    const document = await registry.version(req.params.id, Number(req.params.version));
+    if (!document) return res.status(404).json({ error: 'No such version' });
+    res.json(document);
+  } catch (error) {
+    sendSessionError(res, error, 'Questionnaire version');
   }
+});
 
-  if (questionType === 'yes_no') {
-    const yesPatterns = ['yes', 'yeah', 'yep', 'yup', 'correct', 'right', 'i do', 'i have', 'sure', 'absolutely'];
-    const noPatterns = ['no', 'nope', 'nah', 'negative', "don't", 'do not', "haven't", 'have not', 'never'];
-    
-    for (const p of yesPatterns) {
-      if (normalized.includes(p)) return { valid: true, normalized: 'YES', explanation: null };
-    }
-    for (const p of noPatterns) {
-      if (normalized.includes(p)) return { valid: true, normalized: 'NO', explanation: null };
-    }
-    return { valid: false, normalized: null, explanation: 'Please answer with a clear yes or no.' };
+/**
+ * POST /api/internal/questionnaires/:id/activate
+ * Makes a published version ({ version }) the one new sessions get
+ */
+app.post('/api/internal/questionnaires/:id/activate', requireInternalAccess, async (req, res) => {
+  try {
+    res.json(await registry.activate(req.params.id, Number((req.body || {}).version)));
+  } catch (error) {
+    sendSessionError(res, error, 'Questionnaire activate');
   }
-  
-  if (questionType === 'choice' && choices) {
-    for (const choice of choices) {
-      if (normalized.includes(choice.toLowerCase())) {
-        return { valid: true, normalized: choice, explanation: null };
+});
+
+/**
+ * POST /api/internal/questionnaires/:id/migrate
+ * Moves paused and idle sessions on older versions to a newer one ({
+ * toVersion, sessionIds, idleMinutes, dryRun }); see README
+ */
+app.post('/api/internal/questionnaires/:id/migrate', requireInternalAccess, async (req, res) => {
+  const { toVersion, sessionIds, idleMinutes, dryRun } = req.body || {};
+  try {
+    const result = await registry.migrateSessions(sessions, req.params.id, {
+      toVersion: toVersion === undefined ? undefined : Number(toVersion),
+      sessionIds: sessionIds === undefined ? null : sessionIds,
+      idleMinutes: idleMinutes === undefined ? undefined : idleMinutes,
+      dryRun: !!dryRun,
+    });
+    if (!result.dryRun) {
+      for (const { sessionId, ...change } of result.migrated) {
+        await recordAudit(sessionId, 'session.migrated', { questionnaireId: result.questionnaireId, ...change });
       }
     }
-    return { valid: false, normalized: null, explanation: 'Please choose one of the options.' };
-  }
-  
-  // For open/date/number, accept any non-empty response
-  if (transcript.trim().length > 0) {
-    const cleaned = questionType === 'open' ? stripAcknowledgementPrefix(transcript) : transcript.trim();
-    return { valid: true, normalized: cleaned, explanation: null };
-  }
-  
-  let explanation = 'Please provide a valid response.';
-  if (questionType === 'date') {
-    explanation = 'Please provide a date.';
-  } else if (questionType === 'number') {
-    explanation = 'Please provide a number.';
+    res.json(result);
+  } catch (error) {
+    sendSessionError(res, error, 'Questionnaire migrate');
   }
-  return { valid: false, normalized: null, explanation };
-}
+});
 
 // ============================================================================
-// START SERVER
+// INTERVIEW METRICS (agents only)
 // ============================================================================
 
-app.listen(PORT, () => {
+/**
+ * GET /admin/metrics
+ * Per-question metrics page; the data comes from the endpoints below
+ */
+app.get('/admin/metrics', (req, res) => {
+  res.sendFile(path.join(__dirname, 'internal', 'metrics.html'));
+});
+
+/**
+ * The report filters in a query (?questionnaire=&version=&from=&to=), or
+ * { error } for one that cannot be read.
+ */
+function metricsFilters(query) {
+  const filters = { questionnaireId: null, version: null, from: null, to: null };
+  if (typeof query.questionnaire === 'string' && query.questionnaire) filters.questionnaireId = query.questionnaire;
+  if (query.version !== undefined && query.version !== '') {
+    filters.version = Number(query.version);
+    if (!Number.isInteger(filters.version)) return { error: 'version must be a whole number' };
+  }
+  for (const field of ['from', 'to']) {
+    if (typeof query[field] !== 'string' || !query[field]) continue;
+    const date = new Date(query[field]);
+    if (Number.isNaN(date.getTime())) return { error: `${field} must be a date` };
+    filters[field] = date.toISOString();
+  }
+  return filters;
+}
+
+/**
+ * The metrics report, each version's questions in script order.
+ */
+function metricsReport(filters) {
+  return analytics.report({
+    ...filters,
+    questionOrder: async (id, version) => {
+      const document = await registry.version(id, version);
+      return document ? document.questions.map((question) => question.id) : null;
+    },
+  });
+}
+
+/**
+ * GET /api/internal/metrics
+ * Per-question metrics for each questionnaire version (see lib/analytics.js)
+ */
+app.get('/api/internal/metrics', requireInternalAccess, async (req, res) => {
+  const filters = metricsFilters(req.query);
+  if (filters.error) return res.status(400).json({ error: filters.error });
+  try {
+    res.json(await metricsReport(filters));
+  } catch (error) {
+    sendSessionError(res, error, 'Metrics');
+  }
+});
+
+/**
+ * GET /api/internal/metrics.csv
+ * The same report as CSV, one row per questionnaire version and question
+ */
+app.get('/api/internal/metrics.csv', requireInternalAccess, async (req, res) => {
+  const filters = metricsFilters(req.query);
+  if (filters.error) return res.status(400).json({ error: filters.error });
+  try {
+    const report = await metricsReport(filters);
+    const day = report.generatedAt.slice(0, 10);
+    res.set('Content-Disposition', `attachment; filename="interview-metrics-${day}.csv"`);
+    res.type('text/csv').send(reportToCsv(report));
+  } catch (error) {
+    sendSessionError(res, error, 'Metrics export');
+  }
+});
+
+// ============================================================================
+// WEBHOOK DELIVERIES (agents only)
+// ============================================================================
+
+/**
+ * GET /api/internal/webhooks?status=pending|delivered|dead
+ * Outbound webhook deliveries, newest first; status=dead is the
+ * dead-letter list
+ */
+app.get('/api/internal/webhooks', requireInternalAccess, async (req, res) => {
+  const status = typeof req.query.status === 'string' && req.query.status ? req.query.status : null;
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+  }
+  try {
+    res.json({ enabled: webhooks.enabled, deliveries: await webhooks.list({ status }) });
+  } catch (error) {
+    sendSessionError(res, error, 'Webhook list');
+  }
+});
+
+/**
+ * GET /api/internal/webhooks/:id
+ * One delivery: its event, attempts and last error
+ */
+app.get('/api/internal/webhooks/:id', requireInternalAccess, async (req, res) => {
+  try {
+    const delivery = await webhooks.get(req.params.id);
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+    res.json(delivery);
+  } catch (error) {
+    sendSessionError(res, error, 'Webhook lookup');
+  }
+});
+
+/**
+ * POST /api/internal/webhooks/:id/replay
+ * Sends a delivery again from its first attempt
+ */
+app.post('/api/internal/webhooks/:id/replay', requireInternalAccess, async (req, res) => {
+  try {
+    const delivery = await webhooks.replay(req.params.id);
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+    res.status(202).json(delivery);
+  } catch (error) {
+    sendSessionError(res, error, 'Webhook replay');
+  }
+});
+
+/**
+ * POST /api/internal/webhooks/replay
+ * Replays every dead delivery; returns their ids
+ */
+app.post('/api/internal/webhooks/replay', requireInternalAccess, async (req, res) => {
+  try {
+    const dead = await webhooks.list({ status: 'dead' });
+    for (const delivery of dead) await webhooks.replay(delivery.id);
+    res.status(202).json({ replayed: dead.map((delivery) => delivery.id) });
+  } catch (error) {
+    sendSessionError(res, error, 'Webhook replay');
+  }
+});
+
+// ============================================================================
+// AGENT HANDOFFS
+// ============================================================================
+
+// Comment lines keep idle event streams open through proxies
+const EVENT_STREAM_KEEPALIVE_MS = 25000;
+
+/**
+ * Answer with a server-sent event stream; returns send(type, data). The
+ * keep-alive stops when the client goes away.
+ */
+function openEventStream(req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), EVENT_STREAM_KEEPALIVE_MS);
+  req.on('close', () => clearInterval(keepAlive));
+  return (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * POST /api/sessions/:id/handoff
+ * Opens a handoff ticket ({ reason, questionId, transcript }) with the
+ * session's answers and conversation; 200 with the open one if it exists
+ */
+app.post('/api/sessions/:id/handoff', async (req, res) => {
+  const { reason, questionId, transcript } = req.body || {};
+  try {
+    const { ticket, created } = await handoffs.request(req.params.id, { reason, questionId, transcript });
+    if (created) {
+      await recordAudit(req.params.id, 'handoff.created', {
+        ticketId: ticket.id,
+        reason: ticket.reason,
+        questionId: ticket.questionId,
+      });
+      await sendWebhook('session.handoff', req.params.id, {
+        key: `session.handoff:${ticket.id}`,
+        details: {
+          handoff: {
+            ticketId: ticket.id,
+            reason: ticket.reason,
+            questionId: ticket.questionId,
+            requestedAt: ticket.requestedAt,
+          },
+        },
+      });
+    }
+    res.status(created ? 201 : 200).json(ticket);
+  } catch (error) {
+    sendSessionError(res, error, 'Handoff request');
+  }
+});
+
+/**
+ * GET /api/sessions/:id/handoff
+ * The session's open handoff ticket, e.g. when the applicant comes back
+ */
+app.get('/api/sessions/:id/handoff', async (req, res) => {
+  try {
+    const ticket = openTicket(await sessions.require(req.params.id));
+    if (!ticket) return res.status(404).json({ error: 'No open handoff for this session' });
+    res.json(ticket);
+  } catch (error) {
+    sendSessionError(res, error, 'Handoff fetch');
+  }
+});
+
+/**
+ * GET /api/sessions/:id/handoff/events
+ * Event stream of the session's handoff: claimed, message, answer and
+ * returned, after a ticket event with the ticket as it is now
+ */
+app.get('/api/sessions/:id/handoff/events', async (req, res) => {
+  let ticket;
+  try {
+    ticket = openTicket(await sessions.require(req.params.id));
+  } catch (error) {
+    return sendSessionError(res, error, 'Handoff events');
+  }
+  if (!ticket) return res.status(404).json({ error: 'No open handoff for this session' });
+
+  const send = openEventStream(req, res);
+  send('ticket', { sessionId: req.params.id, ...ticket });
+  const unsubscribe = handoffs.listenToSession(req.params.id, send);
+  req.on('close', unsubscribe);
+});
+
+/**
+ * POST /api/sessions/:id/handoff/messages
+ * What the applicant says or types to the agent ({ text })
+ */
+app.post('/api/sessions/:id/handoff/messages', async (req, res) => {
+  try {
+    const message = await handoffs.message(req.params.id, 'applicant', (req.body || {}).text);
+    await recordAudit(req.params.id, 'handoff.message', { ticketId: message.ticketId, from: 'applicant', text: message.text });
+    res.status(201).json(message);
+  } catch (error) {
+    sendSessionError(res, error, 'Handoff message');
+  }
+});
+
+/**
+ * POST /api/sessions/:id/handoff/cancel
+ * The applicant goes on without an agent; returns the question due
+ */
+app.post('/api/sessions/:id/handoff/cancel', async (req, res) => {
+  try {
+    const { ticket, due } = await handoffs.returnControl(req.params.id, 'applicant');
+    await recordAudit(req.params.id, 'handoff.returned', { ticketId: ticket.id, by: 'applicant', resumeQuestionId: ticket.resumeQuestionId });
+    res.json(due);
+  } catch (error) {
+    sendSessionError(res, error, 'Handoff cancel');
+  }
+});
+
+/**
+ * GET /internal/handoffs
+ * Agent console; the data comes from the endpoints below
+ */
+app.get('/internal/handoffs', (req, res) => {
+  res.sendFile(path.join(__dirname, 'internal', 'handoffs.html'));
+});
+
+/**
+ * GET /api/internal/handoffs
+ * Open handoff tickets, oldest first (?all=1 includes closed ones)
+ */
+app.get('/api/internal/handoffs', requireInternalAccess, async (req, res) => {
+  try {
+    res.json({ handoffs: await handoffs.list({ includeClosed: req.query.all === '1' }) });
+  } catch (error) {
+    sendSessionError(res, error, 'Handoff list');
+  }
+});
+
+/**
+ * GET /api/internal/handoffs/events
+ * Event stream of every handoff: ticket, claimed, message, answer, returned
+ */
+app.get('/api/internal/handoffs/events', requireInternalAccess, (req, res) => {
+  const send = openEventStream(req, res);
+  const unsubscribe = handoffs.listenToAll(send);
+  req.on('close', unsubscribe);
+});
+
+/**
+ * GET /api/internal/handoffs/:sessionId
+ * A session's handoff with its conversation, answers and the question due
+ */
+app.get('/api/internal/handoffs/:sessionId', requireInternalAccess, async (req, res) => {
+  try {
+    res.json(await handoffs.context(req.params.sessionId));
+  } catch (error) {
+    sendSessionError(res, error, 'Handoff context');
+  }
+});
+
+/**
+ * POST /api/internal/handoffs/:sessionId/claim
+ * An agent ({ agent: name }) takes the ticket and the conversation
+ */
+app.post('/api/internal/handoffs/:sessionId/claim', requireInternalAccess, async (req, res) => {
+  try {
+    const ticket = await handoffs.claim(req.params.sessionId, (req.body || {}).agent);
+    await recordAudit(req.params.sessionId, 'handoff.claimed', { ticketId: ticket.id, agent: ticket.agent });
+    res.json(ticket);
+  } catch (error) {
+    sendSessionError(res, error, 'Handoff claim');
+  }
+});
+
+/**
+ * POST /api/internal/handoffs/:sessionId/messages
+ * A message from the agent ({ text }), spoken and shown to the applicant
+ */
+app.post('/api/internal/handoffs/:sessionId/messages', requireInternalAccess, async (req, res) => {
+  try {
+    const message = await handoffs.message(req.params.sessionId, 'agent', (req.body || {}).text);
+    await recordAudit(req.params.sessionId, 'handoff.message', { ticketId: message.ticketId, from: 'agent', text: message.text });
+    res.status(201).json(message);
+  } catch (error) {
+    sendSessionError(res, error, 'Handoff message');
+  }
+});
+
+/**
+ * POST /api/internal/handoffs/:sessionId/answer
+ * The agent records the answer to the question due ({ questionId, answer });
+ * returns the next question, as /api/flow/answer does
+ */
+app.post('/api/internal/handoffs/:sessionId/answer', requireInternalAccess, async (req, res) => {
+  const { questionId, answer } = req.body || {};
+  if (!questionId || answer === undefined) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  try {
+    const result = await handoffs.answer(req.params.sessionId, { questionId, answer });
+    await recordAudit(req.params.sessionId, 'answer.recorded', {
+      questionId,
+      answer,
+      followups: null,
+      source: 'agent',
+      conflictId: result.conflict ? result.conflict.id : null,
+      nextQuestionId: result.question ? result.question.id : null,
+      complete: result.complete,
+    });
+    await sendCompletedWebhook(req.params.sessionId, result);
+    res.json(result);
+  } catch (error) {
+    sendSessionError(res, error, 'Handoff answer');
+  }
+});
+
+/**
+ * POST /api/internal/handoffs/:sessionId/return
+ * Hands the applicant back to the scripted flow at the question due
+ */
+app.post('/api/internal/handoffs/:sessionId/return', requireInternalAccess, async (req, res) => {
+  try {
+    const { ticket, due } = await handoffs.returnControl(req.params.sessionId, 'agent');
+    await recordAudit(req.params.sessionId, 'handoff.returned', {
+      ticketId: ticket.id,
+      by: 'agent',
+      agent: ticket.agent,
+      resumeQuestionId: ticket.resumeQuestionId,
+    });
+    res.json(due);
+  } catch (error) {
+    sendSessionError(res, error, 'Handoff return');
+  }
+});
+
+/**
+ * POST /api/tts
+ * Converts text to speech using ElevenLabs. Scripted prompts come from the
+ * disk cache once rendered (X-TTS-Cache: hit | miss).
+ */
+app.post('/api/tts', requireApiAccess, async (req, res) => {
+  const { text, language, sessionId } = req.body;
+  const startedAt = Date.now();
+
+  if (!text) {
+    return res.status(400).json({ error: 'Text is required' });
+  }
+
+  const request = speechRequest(text, language, voices);
+  const fixtureRequest = {
+    text,
+    voiceId: request.voiceId,
+    modelId: request.modelId,
+    languageCode: request.languageCode,
+  };
+
+  if (config.fixtures.mode === 'replay') {
+    try {
+      const { audio } = await fixtures.readAudio(fixtureRequest);
+      res.set('Content-Type', 'audio/mpeg');
+      return res.send(audio);
+    } catch (error) {
+      if (!(error instanceof MissingFixtureError)) {
+        console.error('TTS replay error:', error);
+        return res.status(500).json({ error: 'TTS request failed' });
+      }
+      console.error(error.message);
+      return res.status(503).json({ error: error.message, fixture: { kind: error.kind, key: error.key } });
+    }
+  }
+
+  try {
+    const cached = await ttsCache.get(request);
+    if (cached) {
+      res.set({ 'Content-Type': 'audio/mpeg', 'X-TTS-Cache': 'hit' });
+      res.send(cached);
+      return recordTtsUsage(sessionId, request, { cached: true });
+    }
+  } catch (error) {
+    console.error('TTS cache read error:', error);
+  }
+
+  if (!config.elevenlabs.apiKey) {
+    return res.status(503).json({ error: 'ElevenLabs API key not configured' });
+  }
+
+  // Only renders are charged; cached clips cost nothing
+  try {
+    limits.take(req.principal, 'ttsCharacters', request.spokenText.length);
+  } catch (error) {
+    return sendSessionError(res, error, 'TTS');
+  }
+
+  try {
+    const response = await renderSpeech(request, config.elevenlabs);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error('ElevenLabs API error:', response.status, errorText);
+      return res.status(response.status).json({ error: 'TTS API error' });
+    }
+
+    // Recording needs the whole clip, so it is sent in one piece
+    if (config.fixtures.mode === 'record') {
+      const audio = Buffer.from(await response.arrayBuffer());
+      await fixtures.writeAudio(fixtureRequest, audio, { provider: 'elevenlabs' });
+      await cacheSpeech(request, audio);
+      res.set('Content-Type', 'audio/mpeg');
+      res.send(audio);
+      return recordTtsUsage(sessionId, request, { cached: false, latencyMs: Date.now() - startedAt });
+    }
+
+    // Stream the audio response, keeping a copy for the cache
+    res.set({
+      'Content-Type': 'audio/mpeg',
+      'Transfer-Encoding': 'chunked',
+      'X-TTS-Cache': 'miss',
+    });
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      res.write(value);
+      chunks.push(Buffer.from(value));
+    }
+    
+    res.end();
+    await cacheSpeech(request, Buffer.concat(chunks));
+    await recordTtsUsage(sessionId, request, { cached: false, latencyMs: Date.now() - startedAt });
+
+  } catch (error) {
+    console.error('TTS error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: 'TTS request failed' });
+  }
+});
+
+/**
+ * A tts.render analytics event: characters are those sent to ElevenLabs
+ * (after the lexicon), latency is the whole render.
+ */
+function recordTtsUsage(sessionId, request, { cached, latencyMs = null }) {
+  return recordAnalytics(typeof sessionId === 'string' ? sessionId : null, [{
+    type: 'tts.render',
+    data: { cached, characters: request.spokenText.length, latencyMs, languageCode: request.languageCode },
+  }]);
+}
+
+/**
+ * Keep a rendered clip; a failed write only costs a render next time.
+ */
+async function cacheSpeech(request, audio) {
+  try {
+    await ttsCache.put(request, audio);
+  } catch (error) {
+    console.error('TTS cache write error:', error);
+  }
+}
+
+const sttBody = express.raw({ type: () => true, limit: config.stt.maxAudioBytes });
+
+/**
+ * Read an STT request's audio into req.body; only webm, ogg, mp4 and wav
+ * are accepted, up to STT_MAX_AUDIO_MB.
+ */
+function readSpeechAudio(req, res, next) {
+  if (!audioContentType(req.get('Content-Type'))) {
+    return res.status(415).json({ error: 'Send the audio as audio/webm, audio/ogg, audio/mp4 or audio/wav' });
+  }
+  return sttBody(req, res, (error) => {
+    if (!error) return next();
+    if (error.type === 'entity.too.large') {
+      return res.status(413).json({ error: `Audio is larger than ${config.stt.maxAudioBytes} bytes` });
+    }
+    return res.status(400).json({ error: 'Audio could not be read' });
+  });
+}
+
+/**
+ * POST /api/stt?language=en-US&sessionId=...
+ * Transcribes one recorded utterance (the raw audio is the body) for
+ * browsers without the Web Speech API. Returns { transcript, confidence,
+ * alternatives, provider }; transcript is '' when nothing was said.
+ */
+app.post('/api/stt', requireApiAccess, readSpeechAudio, async (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Audio is required' });
+  }
+  if (!stt.isEnabled()) {
+    return res.status(503).json({ error: 'Speech-to-text is not configured' });
+  }
+
+  const contentType = audioContentType(req.get('Content-Type'));
+  const languageTag = typeof req.query.language === 'string' ? req.query.language.trim() : '';
+  const candidateCode = languageTag.split('-')[0].toLowerCase();
+  const language = /^[a-z]{2}$/.test(candidateCode) ? candidateCode : null;
+  const { sessionId } = req.principal;
+  const startedAt = Date.now();
+
+  try {
+    const result = await stt.transcribe(req.body, { contentType, language });
+    // The transcript itself reaches the log as the browser's transcript.received
+    await recordAudit(sessionId, 'stt', {
+      contentType,
+      bytes: req.body.length,
+      language,
+      provider: result.provider,
+      model: result.model,
+      confidence: result.confidence,
+      failures: result.failures,
+      durationMs: Date.now() - startedAt,
+    });
+    res.json({
+      transcript: result.transcript,
+      confidence: result.confidence,
+      alternatives: result.alternatives,
+      provider: result.provider,
+    });
+  } catch (error) {
+    const missing = missingFixture(error);
+    if (missing) {
+      console.error(missing.message);
+      return res.status(503).json({ error: missing.message, fixture: { kind: missing.kind, key: missing.key } });
+    }
+    console.error('STT error:', error);
+    await recordAudit(sessionId, 'stt', {
+      contentType,
+      bytes: req.body.length,
+      language,
+      provider: null,
+      failures: error.failures || [{ provider: error.provider || null, error: error.message }],
+      durationMs: Date.now() - startedAt,
+    });
+    res.status(502).json({ error: 'Speech-to-text failed' });
+  }
+});
+
+/**
+ * POST /api/validate
+ * Validates user responses using Anthropic or OpenAI
+ */
+app.post('/api/validate', requireApiAccess, requireLlmBudget, failOnMissingFixture(async (req, res) => {
+  const { question, questionType, transcript, choices, questionId, sessionId } = req.body;
+
+  if (!question || !questionType || transcript === undefined) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  const llmCalls = [];
+  const language = await applicantLanguage(req.body);
+  const result = await validateAnswer({ ...req.body, language }, llmCalls);
+  await recordAudit(sessionId, 'validation', {
+    questionId: questionId || null,
+    question,
+    questionType,
+    transcript,
+    choices: choices || null,
+    language,
+    result,
+    llm: llmCalls,
+  });
+  await recordLlmUsage(sessionId, questionId, 'validate', llmCalls);
+  chargeLlmTokens(req.principal, llmCalls);
+  res.json(result);
+}));
+
+async function validateAnswer(body, llmCalls) {
+  const { question, questionType, transcript, choices, questionId, sessionId, language } = body;
+
+  if (looksLikeInjection(transcript)) {
+    return rejectSuspiciousAnswer(questionType, language);
+  }
+
+  if (PARSED_TYPES.includes(questionType)) {
+    return validateParsedAnswer(body, llmCalls);
+  }
+
+  if (!llm.isEnabled()) {
+    // Fallback to rule-based validation
+    return ruleBasedValidation(questionType, transcript, choices, language);
+  }
+
+  // An identifying answer goes to the model as a placeholder, so the model
+  // cannot tell a request to repeat from the answer itself.
+  if (redactor.enabled && redactor.fieldCategory(questionId) && isRepeatRequest(transcript, language)) {
+    return { valid: false, normalized: null, explanation: null, repeat: true };
+  }
+
+  try {
+    const redaction = await startRedaction(sessionId);
+    const redactedTranscript = redaction.redact(transcript, { questionId });
+    const prompt = buildValidationPrompt(question, questionType, redactedTranscript, choices, language);
+    const reply = await completeWithAudit(llmCalls, prompt, {
+      maxTokens: 100,
+      redaction,
+      check: (json) => checkValidationReply(json, { questionType, choices }),
+    });
+    return reply.ok ? reply.value : ruleBasedValidation(questionType, transcript, choices, language);
+  } catch (error) {
+    if (missingFixture(error)) throw error;
+    console.error('Validation error:', error);
+    // Return fallback validation on error
+    return ruleBasedValidation(questionType, transcript, choices, language);
+  }
+}
+
+/**
+ * POST /api/why
+ * Returns a brief explanation of why a question is being asked
+ */
+app.post('/api/why', requireApiAccess, requireLlmBudget, failOnMissingFixture(async (req, res) => {
+  const { question, section, explainLevel, previousExplanation, questionId, sessionId } = req.body;
+
+  if (!question || !section) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  const llmCalls = [];
+  const language = await applicantLanguage(req.body);
+  let result = { explanation: getStrings(language).whyFallback };
+
+  if (llm.isEnabled()) {
+    try {
+      const redaction = await startRedaction(sessionId);
+      const prompt = buildWhyPrompt(question, section, explainLevel, redaction.redact(previousExplanation), language);
+      const reply = await completeWithAudit(llmCalls, prompt, { maxTokens: 120, redaction, check: checkWhyReply });
+      if (reply.ok) result = reply.value;
+    } catch (error) {
+      if (missingFixture(error)) throw error;
+      console.error('Why explanation error:', error);
+    }
+  }
+
+  await recordAudit(sessionId, 'why', {
+    questionId: questionId || null,
+    question,
+    section,
+    explainLevel: explainLevel || 1,
+    language,
+    result,
+    llm: llmCalls,
+  });
+  await recordLlmUsage(sessionId, questionId, 'why', llmCalls);
+  chargeLlmTokens(req.principal, llmCalls);
+  res.json(result);
+}));
+
+/**
+ * POST /api/followup
+ * Generates a single follow-up question or returns done
+ */
+app.post('/api/followup', requireApiAccess, requireLlmBudget, failOnMissingFixture(async (req, res) => {
+  const { context, section, questionText, lastAnswer, priorAnswers, topic, previousFollowups, guidance, upcomingQuestions, sectionAnswers, recentQAPairs, primaryContext, questionId, sessionId } = req.body;
+
+  if (!section || !questionText || lastAnswer === undefined) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  if (!llm.isEnabled()) {
+    return res.json({ done: true });
+  }
+
+  if (looksLikeInjection(lastAnswer)) {
+    return res.json({ done: true });
+  }
+
+  const llmCalls = [];
+  const language = await applicantLanguage(req.body);
+  let result = { done: true };
+  try {
+    const redaction = await startRedaction(sessionId);
+    const prompt = buildFollowupPrompt(redactFollowupFields(redaction, {
+      context,
+      section,
+      questionText,
+      questionId,
+      lastAnswer,
+      priorAnswers,
+      topic,
+      previousFollowups,
+      guidance,
+      upcomingQuestions,
+      sectionAnswers,
+      recentQAPairs,
+      primaryContext,
+      language,
+    }));
+    const reply = await completeWithAudit(llmCalls, prompt, { maxTokens: 120, redaction, check: checkFollowupReply });
+    if (reply.ok) result = reply.value;
+  } catch (error) {
+    if (missingFixture(error)) throw error;
+    console.error('Followup error:', error);
+  }
+
+  await recordAudit(sessionId, 'followup', {
+    questionId: questionId || null,
+    questionText,
+    lastAnswer,
+    language,
+    result,
+    llm: llmCalls,
+  });
+  await recordLlmUsage(sessionId, questionId, 'followup', llmCalls);
+  chargeLlmTokens(req.principal, llmCalls);
+  res.json(result);
+}));
+
+/**
+ * POST /api/followup-check
+ * Validates whether a follow-up question overlaps upcoming scripted questions
+ */
+app.post('/api/followup-check', requireApiAccess, requireLlmBudget, failOnMissingFixture(async (req, res) => {
+  const { candidateQuestion, upcomingQuestions, questionId, sessionId } = req.body;
+
+  if (!candidateQuestion) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  // A candidate that would not pass as a follow-up is never asked
+  if (!checkFollowupReply({ ask: candidateQuestion }).ok) {
+    return res.json({ allow: false });
+  }
+
+  if (!llm.isEnabled()) {
+    return res.json(fallbackOverlapCheck(candidateQuestion, upcomingQuestions));
+  }
+
+  const llmCalls = [];
+  let result = fallbackOverlapCheck(candidateQuestion, upcomingQuestions);
+
+  try {
+    const redaction = await startRedaction(sessionId);
+    const prompt = buildFollowupOverlapPrompt(redaction.redact(candidateQuestion), upcomingQuestions);
+    const reply = await completeWithAudit(llmCalls, prompt, { maxTokens: 120, redaction, check: checkOverlapReply });
+    if (reply.ok) result = reply.value;
+  } catch (error) {
+    if (missingFixture(error)) throw error;
+    console.error('Followup check error:', error);
+  }
+
+  await recordAudit(sessionId, 'followup.check', { candidateQuestion, result, llm: llmCalls });
+  await recordLlmUsage(sessionId, questionId, 'followup.check', llmCalls);
+  chargeLlmTokens(req.principal, llmCalls);
+  return res.json(result);
+}));
+
+// ============================================================================
+// DATE AND NUMBER ANSWERS
+// ============================================================================
+
+const PARSED_TYPES = ['date', 'number'];
+
+/**
+ * Range and format for a date/number question: from the questionnaire when
+ * questionId is known, otherwise from min/max/unit in the request.
+ */
+async function resolveParsedQuestion({ questionId, questionType, min, max, unit, numberFormat, sessionId }) {
+  if (questionId) {
+    const questionnaire = await questionnaireForSessionId(sessionId);
+    const match = questionnaire && questionnaire.questions.find((q) => q.id === questionId);
+    if (match && match.type === questionType) return match;
+  }
+  return { type: questionType, min, max, unit, numberFormat };
+}
+
+function describeParsedAnswerProblem(questionType, { reason, min, max, unit }, language) {
+  return getStrings(language).parsedAnswerExplanation({
+    type: questionType,
+    reason,
+    min,
+    max,
+    unit: getUnitLabel(unit, language),
+  });
+}
+
+/**
+ * Date and number answers are parsed locally so they are stored as ISO dates
+ * and plain numbers. The LLM only gets a turn when the local parser cannot
+ * read the answer, and its output is parsed and range-checked the same way.
+ */
+async function validateParsedAnswer(body, llmCalls = []) {
+  const { question, questionType, transcript, choices, referenceDate, questionId, sessionId, language } = body;
+
+  if (isRepeatRequest(transcript, language)) {
+    return { valid: false, normalized: null, explanation: null, repeat: true };
+  }
+
+  const parsedQuestion = await resolveParsedQuestion(body);
+  const reference = referenceDate ? new Date(referenceDate) : new Date();
+  const now = Number.isNaN(reference.getTime()) ? new Date() : reference;
+  let result = AnswerParsers.parseAnswer(parsedQuestion, transcript, { now, language });
+
+  if (result.reason === 'unparseable' && llm.isEnabled()) {
+    try {
+      const redaction = await startRedaction(sessionId);
+      const redactedTranscript = redaction.redact(transcript, { questionId });
+      const prompt = buildValidationPrompt(question, questionType, redactedTranscript, choices, language);
+      const reply = await completeWithAudit(llmCalls, prompt, {
+        maxTokens: 100,
+        redaction,
+        check: (json) => checkValidationReply(json, { questionType, choices }),
+      });
+      if (reply.ok && reply.value.repeat) return reply.value;
+      if (reply.ok && reply.value.valid) {
+        result = AnswerParsers.parseAnswer(parsedQuestion, reply.value.normalized, { now, language });
+      }
+    } catch (error) {
+      if (missingFixture(error)) throw error;
+      console.error('Validation error:', error);
+    }
+  }
+
+  if (result.valid) {
+    return { ...result, explanation: null, repeat: false };
+  }
+  return { ...result, explanation: describeParsedAnswerProblem(questionType, result, language), repeat: false };
+}
+
+/**
+ * A transcript that tries to instruct the model is not validated at all,
+ * with or without one; the applicant is asked again, as for any unclear
+ * answer.
+ */
+function rejectSuspiciousAnswer(questionType, language) {
+  const explanations = getStrings(language).genericExplanation;
+  return {
+    valid: false,
+    normalized: null,
+    explanation: explanations[questionType] || explanations.open,
+    repeat: false,
+  };
+}
+
+const OVERLAP_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'any', 'are', 'did', 'do', 'does', 'for', 'have', 'how', 'in', 'is', 'it', 'of', 'or',
+  'that', 'the', 'this', 'to', 'was', 'were', 'what', 'when', 'which', 'who', 'with', 'you', 'your',
+]);
+
+function contentWords(text) {
+  const words = String(text || '').toLowerCase().match(/[a-z]+/g) || [];
+  return new Set(words.filter((word) => word.length > 2 && !OVERLAP_STOP_WORDS.has(word)));
+}
+
+/**
+ * Rule-based overlap check: a candidate sharing most of its content words
+ * with an upcoming question is not asked.
+ */
+function fallbackOverlapCheck(candidateQuestion, upcomingQuestions = []) {
+  const candidate = contentWords(candidateQuestion);
+  if (candidate.size === 0) return { allow: false };
+  const overlaps = (Array.isArray(upcomingQuestions) ? upcomingQuestions : []).some((question) => {
+    const upcoming = contentWords(question);
+    const shared = [...candidate].filter((word) => upcoming.has(word)).length;
+    return upcoming.size > 0 && shared / Math.min(candidate.size, upcoming.size) >= 0.6;
+  });
+  return { allow: !overlaps };
+}
+
+// ============================================================================
+// START SERVER
+// ============================================================================
+
+const purgeTimer = setInterval(() => {
+  sessions.purgeExpired()
+    .then((purged) => {
+      if (purged > 0) console.log(`Purged ${purged} expired session(s)`);
+    })
+    .catch((error) => console.error('Session purge error:', error));
+}, config.sessions.purgeIntervalMinutes * 60 * 1000);
+purgeTimer.unref();
+
+const callPurgeTimer = setInterval(() => {
+  const idle = calls.purgeIdle();
+  if (idle.length > 0) console.log(`Dropped ${idle.length} idle phone call(s)`);
+}, 60 * 1000);
+callPurgeTimer.unref();
+
+const conversationPurgeTimer = setInterval(() => {
+  const idle = conversations.purgeIdle();
+  if (idle.length > 0) console.log(`Dropped ${idle.length} idle text conversation(s)`);
+}, 60 * 1000);
+conversationPurgeTimer.unref();
+
+// Rate limit windows that have ended
+const limitPurgeTimer = setInterval(() => limits.purge(), 60 * 1000);
+limitPurgeTimer.unref();
+
+// Webhook retries that are due, then (each minute) abandoned sessions and
+// old deliveries
+const WEBHOOK_POLL_MS = 10 * 1000;
+let webhookPolls = 0;
+const webhookTimer = setInterval(() => {
+  if (!webhooks.enabled) return;
+  webhooks.deliverDue();
+  webhookPolls += 1;
+  if (webhookPolls % (60000 / WEBHOOK_POLL_MS) !== 0) return;
+  sendAbandonedWebhooks()
+    .then(() => webhooks.purge())
+    .catch((error) => console.error('Webhook sweep error:', error));
+}, WEBHOOK_POLL_MS);
+webhookTimer.unref();
+
+/**
+ * The first start publishes the decision tree file as version 1 of the
+ * default questionnaire; after that the registry is the source of truth.
+ */
+async function seedQuestionnaire() {
+  const seeded = await registry.seed(loadDecisionTree(), {
+    notes: `Imported from ${path.basename(config.decisionTreePath)}`,
+  });
+  if (seeded) console.log(`Published ${config.questionnaires.defaultId} v1 from the decision tree file`);
+}
+
+seedQuestionnaire().then(() => app.listen(PORT, () => {
+  const active = registry.cachedActive();
   console.log(`
 ╔════════════════════════════════════════════════════════════════╗
 ║           Voice Questionnaire Server Running                   ║
@@ -810,7 +2658,20 @@ app.listen(PORT, () => {
 ╠════════════════════════════════════════════════════════════════╣
 ║  Configuration:                                                ║
 ║  • ElevenLabs TTS: ${config.elevenlabs.apiKey ? '✓ Configured' : '✗ Not configured (using Web Speech)'}            ║
-║  • Validation: ${config.validationProvider === 'openai' ? 'OpenAI' : 'Anthropic'} ${(config.validationProvider === 'openai' ? config.openai.apiKey : config.anthropic.apiKey) ? '✓ Configured' : '✗ Not configured (using fallback)'}              ║
+║  • TTS cache: ${config.ttsCache.mode === 'off' ? '✗ Off' : `✓ ${config.ttsCache.mode} prompts`}                                   ║
+║  • Server speech-to-text: ${stt.isEnabled() ? `✓ ${stt.describe().map((p) => p.name).join(' → ')}` : '✗ Not configured (Web Speech only)'}      ║
+║  • Validation: ${llm.isEnabled() ? `✓ ${llm.describe().map((p) => p.name).join(' → ')}` : '✗ Not configured (using fallback)'}              ║
+║  • Provider mode: ${config.fixtures.mode}${config.fixtures.mode === 'live' ? '' : ` (fixtures in ${config.fixtures.directory})`}                                  ║
+║  • PHI redaction: ${redactor.enabled ? '✓ On' : '✗ Off (raw text sent to LLM providers)'}                           ║
+║  • Internal endpoints: ${config.internalApiKey ? '✓ X-Internal-Key' : INTERNAL_LOCAL_ACCESS ? '⚠ Local requests without a key (INTERNAL_ACCESS=local)' : config.internalLocalAccess ? '✗ Closed (INTERNAL_ACCESS=local is ignored with TRUST_PROXY)' : '✗ Closed (set INTERNAL_API_KEY)'}      ║
+║  • API access: ${!config.auth.enabled ? '⚠ Open (AUTH=off)' : config.auth.secret ? '✓ Session tokens and tenant keys' : '⚠ Tokens end with the process (set AUTH_SECRET)'}                ║
+║  • CORS origins: ${config.corsOrigins.length > 0 ? config.corsOrigins.join(', ') : 'same origin only'}                                  ║
+║  • Outbound webhooks: ${webhooks.enabled ? `✓ ${config.webhooks.urls.length} endpoint(s), ${webhooks.events.length} event(s)` : config.webhooks.urls.length > 0 ? '✗ Set WEBHOOK_SECRET' : '✗ Not configured'}                 ║
+║  • Telephony webhooks: ${config.telephony.authToken ? '✓ Signed (TWILIO_AUTH_TOKEN)' : '⚠ Unsigned requests accepted'}                   ║
+║  • Questionnaire: ${active ? `✓ ${active.questionnaireId} v${active.version} (${active.questions.length} questions)` : '✗ No published version is active'}                       ║
 ╚════════════════════════════════════════════════════════════════╝
   `);
+})).catch((error) => {
+  console.error('Questionnaire registry could not be loaded:', error);
+  process.exit(1);
 });